@@ -0,0 +1,119 @@
+// analytics.js - Mentor dashboard aggregates for linked learners
+const { database } = require('./auth');
+
+const { repositories: repos } = database;
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 3600 * 1000;
+
+// Time-on-task is estimated from session span: long idle sessions are capped,
+// and every session gets a base for reading the first answer
+const MAX_SESSION_SECONDS = 3600;
+const SESSION_BASE_SECONDS = 120;
+
+const SKILL_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive), defaulting to the last 30 days
+const parseDateRange = (query) => {
+  const parse = (value) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+    const date = new Date(`${value}T00:00:00Z`);
+    return Number.isNaN(date.getTime()) ? null : date;
+  };
+
+  const to = query.to ? parse(query.to) : new Date(`${isoDate(new Date())}T00:00:00Z`);
+  if (!to) return { error: 'Invalid "to" date, expected YYYY-MM-DD' };
+
+  const from = query.from ? parse(query.from) : new Date(to.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+  if (!from) return { error: 'Invalid "from" date, expected YYYY-MM-DD' };
+
+  const days = Math.round((to - from) / DAY_MS) + 1;
+  if (days < 1) return { error: '"from" must not be after "to"' };
+  if (days > MAX_RANGE_DAYS) return { error: `Date range is limited to ${MAX_RANGE_DAYS} days` };
+
+  return { from: isoDate(from), to: isoDate(to), days };
+};
+
+const toMinutes = (seconds) => Math.round((Number(seconds) || 0) / 6) / 10;
+
+// Mean level index (1 = beginner ... 4 = expert) back to a level name
+const levelFromScore = (score) => SKILL_LEVELS[Math.min(Math.max(Math.round(score) - 1, 0), SKILL_LEVELS.length - 1)];
+
+// Dashboard aggregates for one learner over a parsed date range
+const loadLearnerAnalytics = async (learnerId, range) => {
+  const activity = await repos.analytics.activity(learnerId, range, {
+    maxSessionSeconds: MAX_SESSION_SECONDS,
+    baseSeconds: SESSION_BASE_SECONDS
+  });
+  const levels = await repos.skillLevels.listByUser(learnerId);
+  const { summary, daily } = activity;
+
+  return {
+    learnerId,
+    range,
+    summary: {
+      sessions: summary.sessions,
+      activeDays: summary.active_days,
+      timeOnTaskMinutes: toMinutes(summary.seconds),
+      avgSessionMinutes: summary.sessions ? toMinutes(summary.seconds / summary.sessions) : 0,
+      fallbackSessions: summary.fallback_sessions,
+      fallbackRate: summary.sessions ? Math.round((summary.fallback_sessions / summary.sessions) * 1000) / 1000 : 0
+    },
+    sessionsPerDay: daily.map(row => ({
+      date: row.date,
+      sessions: row.sessions,
+      minutes: toMinutes(row.seconds)
+    })),
+    subjects: activity.subjects.map(row => ({ subject: row.subject, sessions: row.sessions, minutes: toMinutes(row.seconds) })),
+    modes: activity.modes.map(row => ({ mode: row.learning_mode, sessions: row.sessions })),
+    models: activity.models.map(row => ({ model: row.model_used, sessions: row.sessions })),
+    skillTrend: daily
+      .filter(row => row.level_score !== null)
+      .map(row => ({
+        date: row.date,
+        levelScore: Math.round(row.level_score * 100) / 100,
+        level: levelFromScore(row.level_score)
+      })),
+    currentSkillLevels: levels.map(row => ({
+      subject: row.subject,
+      estimatedLevel: row.estimated_level,
+      pinnedLevel: row.pinned_level,
+      effectiveLevel: row.pinned_level || row.estimated_level,
+      confidence: row.confidence,
+      updatedAt: row.updated_at
+    }))
+  };
+};
+
+// GET /api/learners/:learnerId/analytics?from=&to= - mentors only
+const getLearnerAnalytics = async (req, res) => {
+  try {
+    if (req.user.userType !== 'mentor') {
+      return res.status(403).json({ error: 'Only mentors can view learner analytics' });
+    }
+
+    const learnerId = parseInt(req.params.learnerId, 10);
+    if (Number.isNaN(learnerId)) return res.status(400).json({ error: 'Invalid learner id' });
+
+    const range = parseDateRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+
+    if (!(await repos.links.isActive(req.user.id, learnerId))) {
+      return res.status(403).json({ error: 'No access to this learner' });
+    }
+
+    res.json(await loadLearnerAnalytics(learnerId, range));
+  } catch (e) {
+    console.error('🚨 Get learner analytics error:', e);
+    res.status(500).json({ error: 'Failed to fetch learner analytics' });
+  }
+};
+
+module.exports = {
+  parseDateRange,
+  loadLearnerAnalytics,
+  getLearnerAnalytics
+};
@@ -0,0 +1,332 @@
+// attachments.js - Homework photo and document uploads for tutoring context
+const crypto = require('crypto');
+const path = require('path');
+const multer = require('multer');
+const pdfParse = require('pdf-parse');
+const { database } = require('./auth');
+const { getStorage } = require('./storage');
+
+const { repositories: repos } = database;
+
+// Upload limits
+const MAX_UPLOAD_BYTES = parseInt(process.env.UPLOAD_MAX_BYTES, 10) || 10 * 1024 * 1024; // 10MB
+const MAX_FILES_PER_UPLOAD = 4;
+const MAX_EXTRACTED_CHARS = 50000;
+
+// Accepted types and how the tutor uses them
+const ALLOWED_TYPES = {
+  'image/jpeg': 'image',
+  'image/png': 'image',
+  'image/gif': 'image',
+  'image/webp': 'image',
+  'application/pdf': 'document',
+  'text/plain': 'document',
+  'text/markdown': 'document',
+  'text/csv': 'document'
+};
+
+// Check the file's leading bytes against its declared type - never trust the client's mimetype alone
+const matchesSignature = (buffer, mimeType) => {
+  const startsWith = (bytes, offset = 0) => bytes.every((byte, i) => buffer[offset + i] === byte);
+
+  switch (mimeType) {
+    case 'image/jpeg':
+      return startsWith([0xff, 0xd8, 0xff]);
+    case 'image/png':
+      return startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    case 'image/gif':
+      return buffer.toString('ascii', 0, 4) === 'GIF8';
+    case 'image/webp':
+      return buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP';
+    case 'application/pdf':
+      return buffer.toString('ascii', 0, 5) === '%PDF-';
+    default:
+      // Text files: valid UTF-8 without NUL bytes
+      return !buffer.includes(0) && Buffer.from(buffer.toString('utf8'), 'utf8').equals(buffer);
+  }
+};
+
+// Pull plain text out of a document so the tutor can read it
+const extractText = async (buffer, mimeType) => {
+  if (mimeType === 'application/pdf') {
+    // pdf.js misreads Node buffers that share a pooled allocation, so hand it a plain copy
+    const parsed = await pdfParse(new Uint8Array(buffer));
+    return parsed.text.replace(/\n{3,}/g, '\n\n').trim().slice(0, MAX_EXTRACTED_CHARS);
+  }
+  if (ALLOWED_TYPES[mimeType] === 'document') {
+    return buffer.toString('utf8').replace(/^\uFEFF/, '').trim().slice(0, MAX_EXTRACTED_CHARS);
+  }
+  return null;
+};
+
+// Multer keeps files in memory (bounded by the limits) until they are validated and stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: MAX_FILES_PER_UPLOAD },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_TYPES[file.mimetype]) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = `Unsupported file type: ${file.mimetype}`;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Multipart "files" field -> req.files; JSON requests pass straight through
+const handleUpload = (req, res, next) => {
+  upload.array('files', MAX_FILES_PER_UPLOAD)(req, res, (err) => {
+    if (!err) return next();
+
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Files must be ${Math.round(MAX_UPLOAD_BYTES / (1024 * 1024))}MB or smaller` });
+    }
+    if (err.code === 'LIMIT_FILE_COUNT') {
+      return res.status(400).json({ error: `At most ${MAX_FILES_PER_UPLOAD} files per upload` });
+    }
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ error: err.message });
+    }
+    next(err);
+  });
+};
+
+// Attachment as stored on conversation messages and returned by the API
+const describeAttachment = (row) => ({
+  id: row.id,
+  name: row.original_name,
+  mimeType: row.mime_type,
+  kind: row.kind,
+  size: row.size_bytes
+});
+
+const formatAttachment = (row) => ({
+  ...describeAttachment(row),
+  conversationId: row.conversation_id,
+  hasText: Boolean(row.extracted_text),
+  createdAt: row.created_at
+});
+
+// Validate, extract and store one uploaded file; returns the attachments row
+const storeAttachment = async (userId, file) => {
+  if (!matchesSignature(file.buffer, file.mimetype)) {
+    const error = new Error(`${file.originalname} does not look like a valid ${file.mimetype} file`);
+    error.status = 400;
+    throw error;
+  }
+
+  let extractedText = null;
+  try {
+    extractedText = await extractText(file.buffer, file.mimetype);
+  } catch (extractError) {
+    // A PDF we can't read is still worth keeping for a mentor to open
+    console.error(`⚠️ Could not extract text from ${file.originalname}:`, extractError.message);
+  }
+
+  const extension = path.extname(file.originalname || '').toLowerCase().replace(/[^.a-z0-9]/g, '').slice(0, 10);
+  const storageKey = `${userId}/${crypto.randomUUID()}${extension}`;
+  const storage = getStorage();
+  await storage.save(storageKey, file.buffer, { contentType: file.mimetype });
+
+  try {
+    return await repos.attachments.create({
+      userId,
+      storageKey,
+      originalName: (file.originalname || 'upload').slice(0, 255),
+      mimeType: file.mimetype,
+      kind: ALLOWED_TYPES[file.mimetype],
+      sizeBytes: file.size,
+      extractedText
+    });
+  } catch (dbErr) {
+    await storage.remove(storageKey).catch(() => {});
+    throw dbErr;
+  }
+};
+
+// Validate an uploaded document and return its text (for callers that don't keep the file)
+const readUploadedDocument = async (file) => {
+  if (ALLOWED_TYPES[file.mimetype] !== 'document' || !matchesSignature(file.buffer, file.mimetype)) {
+    const error = new Error(`${file.originalname} must be a PDF or text document`);
+    error.status = 400;
+    throw error;
+  }
+
+  const text = await extractText(file.buffer, file.mimetype).catch(() => null);
+  if (!text) {
+    const error = new Error(`Could not read any text from ${file.originalname}`);
+    error.status = 400;
+    throw error;
+  }
+  return text;
+};
+
+// Store every file from a multipart request
+const storeUploadedFiles = async (userId, files = []) => {
+  const rows = [];
+  for (const file of files) {
+    rows.push(await storeAttachment(userId, file));
+  }
+  if (rows.length > 0) {
+    console.log(`📎 Stored ${rows.length} attachment(s) for user ${userId}`);
+  }
+  return rows;
+};
+
+// attachmentIds from JSON ([1, 2]) or multipart ("1,2")
+const parseAttachmentIds = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(id => parseInt(id, 10));
+};
+
+// Load attachments the user owns, in the order requested
+const loadOwnedAttachments = async (userId, ids) => {
+  if (ids.length === 0) return { attachments: [] };
+  if (ids.some(Number.isNaN)) return { status: 400, error: 'Invalid attachment id' };
+  if (ids.length > MAX_FILES_PER_UPLOAD) {
+    return { status: 400, error: `At most ${MAX_FILES_PER_UPLOAD} attachments per message` };
+  }
+
+  const rows = await repos.attachments.listOwned(userId, ids);
+  const byId = new Map(rows.map(row => [row.id, row]));
+  if (ids.some(id => !byId.has(id))) {
+    return { status: 404, error: 'Attachment not found' };
+  }
+  return { attachments: ids.map(id => byId.get(id)) };
+};
+
+// Attachments for a tutor turn: newly uploaded files plus previously uploaded attachmentIds
+const resolveTurnAttachments = async (req) => {
+  const lookup = await loadOwnedAttachments(req.user.id, parseAttachmentIds(req.body.attachmentIds));
+  if (lookup.error) return lookup;
+  if (lookup.attachments.length + (req.files || []).length > MAX_FILES_PER_UPLOAD) {
+    return { status: 400, error: `At most ${MAX_FILES_PER_UPLOAD} attachments per message` };
+  }
+
+  try {
+    const uploaded = await storeUploadedFiles(req.user.id, req.files);
+    return { attachments: [...lookup.attachments, ...uploaded] };
+  } catch (error) {
+    if (error.status) return { status: error.status, error: error.message };
+    throw error;
+  }
+};
+
+// Attachment payloads for the learning engine - documents as text, images as base64
+const toPromptAttachments = async (rows) => {
+  const storage = getStorage();
+  return Promise.all(rows.map(async (row) => ({
+    id: row.id,
+    name: row.original_name,
+    kind: row.kind,
+    mimeType: row.mime_type,
+    text: row.extracted_text || null,
+    data: row.kind === 'image' ? (await storage.read(row.storage_key)).toString('base64') : undefined
+  })));
+};
+
+// Tie a turn's attachments to the conversation they were sent in
+const linkAttachmentsToConversation = async (userId, conversationId, rows) => {
+  if (rows.length === 0) return;
+  await repos.attachments.linkToConversation(userId, conversationId, rows.map(row => row.id));
+};
+
+// Owner or a mentor with an active link to the owner (same rules as getConversation)
+const findAccessibleAttachment = async (req) => {
+  const attachmentId = parseInt(req.params.id, 10);
+  if (Number.isNaN(attachmentId)) return { status: 400, error: 'Invalid attachment id' };
+
+  const attachment = await repos.attachments.findById(attachmentId);
+  if (!attachment) {
+    return { status: 404, error: 'Attachment not found' };
+  }
+  if (attachment.user_id === req.user.id) return { attachment };
+
+  if (req.user.userType === 'mentor') {
+    if (!(await repos.links.isActive(req.user.id, attachment.user_id))) {
+      return { status: 403, error: 'No access to this learner' };
+    }
+    return { attachment };
+  }
+
+  return { status: 403, error: 'Access denied' };
+};
+
+// POST /api/attachments (multipart "files") - upload ahead of a tutor message
+const uploadAttachments = async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded. Send multipart/form-data with a "files" field.' });
+    }
+
+    let rows;
+    try {
+      rows = await storeUploadedFiles(req.user.id, req.files);
+    } catch (storeErr) {
+      if (storeErr.status) return res.status(storeErr.status).json({ error: storeErr.message });
+      throw storeErr;
+    }
+
+    res.status(201).json({ attachments: rows.map(formatAttachment) });
+  } catch (e) {
+    console.error('🚨 Upload attachments error:', e);
+    res.status(500).json({ error: 'Failed to upload attachments' });
+  }
+};
+
+// GET /api/attachments/:id - metadata plus extracted text
+const getAttachment = async (req, res) => {
+  try {
+    const lookup = await findAccessibleAttachment(req);
+    if (lookup.error) return res.status(lookup.status).json({ error: lookup.error });
+
+    res.json({
+      attachment: {
+        ...formatAttachment(lookup.attachment),
+        text: lookup.attachment.extracted_text
+      }
+    });
+  } catch (e) {
+    console.error('🚨 Get attachment error:', e);
+    res.status(500).json({ error: 'Failed to fetch attachment' });
+  }
+};
+
+// GET /api/attachments/:id/content - the original file
+const getAttachmentContent = async (req, res) => {
+  try {
+    const lookup = await findAccessibleAttachment(req);
+    if (lookup.error) return res.status(lookup.status).json({ error: lookup.error });
+
+    const { attachment } = lookup;
+    const content = await getStorage().read(attachment.storage_key);
+    const fileName = (attachment.original_name || 'attachment').replace(/["\r\n\\]/g, '');
+
+    res.set({
+      'Content-Type': attachment.mime_type,
+      'Content-Length': content.length,
+      'Content-Disposition': `inline; filename="${fileName}"`,
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.send(content);
+  } catch (e) {
+    console.error('🚨 Get attachment content error:', e);
+    res.status(500).json({ error: 'Failed to fetch attachment' });
+  }
+};
+
+module.exports = {
+  ALLOWED_TYPES,
+  MAX_UPLOAD_BYTES,
+  handleUpload,
+  extractText,
+  readUploadedDocument,
+  describeAttachment,
+  resolveTurnAttachments,
+  toPromptAttachments,
+  linkAttachmentsToConversation,
+  uploadAttachments,
+  getAttachment,
+  getAttachmentContent
+};
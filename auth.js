@@ -1,151 +1,51 @@
 // auth.js - Complete Authentication with Mentor-Learner Linking (Fixed)
+require('dotenv').config();
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { Pool } = require('pg');
-require('dotenv').config();
+const { sendMail } = require('./mailer');
+const { getDatabase } = require('./repositories');
 
-// PostgreSQL connection
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-});
+// Database backend (DB_DRIVER) - handlers go through its repositories
+const database = getDatabase();
+const { repositories: repos } = database;
 
-// Test database connection
-pool.connect()
-  .then(client => {
-    console.log('✅ Connected to PostgreSQL database');
-    client.release();
-  })
-  .catch(err => {
-    console.error('❌ Database connection failed:', err);
-  });
+// pg pool for the Postgres-only scripts (migrations) - unavailable on SQLite
+const { pool } = database;
 
 /**
  * Database initialization
- * Tables:
+ * Postgres: tables live in migrations/ (see schemaMigrations.js) -
  *  - users
- *  - conversations
+ *  - conversations / conversation_messages
  *  - user_sessions
- *  - mentor_learner_links
+ *  - account_tokens
+ *  - mentor_learner_links / invitation_attempts
+ *  - learner_skill_levels
+ *  - review_items / review_grades
+ *  - quizzes / quiz_attempts / subject_scores
+ *  - attachments
+ *  - kb_documents / kb_chunks / kb_chunk_terms
+ *  - mentor_report_settings / progress_reports
+ *  - moderation_events
+ *  - learner_integrity_policies
+ *  - learner_guardrails / learner_message_usage
+ *  - llm_usage
+ *  - rate_limits
+ *  - response_cache
+ * Pending migrations are applied at startup unless MIGRATE_ON_START=false (then run
+ * npm run migrate before deploying).
+ * SQLite: repositories/sqlite/schema.sql, created in place - the same tables apart from the
+ * rate limit and response cache stores (those use their memory stores there).
+ * Throws if the schema can't be brought up to date.
  */
 const initializeDatabase = async () => {
   try {
-    const client = await pool.connect();
-
-    // USERS
-    try {
-      await client.query(`
-        CREATE TABLE IF NOT EXISTS users (
-          id SERIAL PRIMARY KEY,
-          email VARCHAR(255) UNIQUE NOT NULL,
-          password_hash VARCHAR(255) NOT NULL,
-          display_name VARCHAR(255),
-          skill_level VARCHAR(50) DEFAULT 'intermediate',
-          preferred_subjects TEXT DEFAULT '[]',
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-      console.log('✅ Basic users table ready');
-
-      // Add app-specific columns if not present
-      await client.query(`
-        ALTER TABLE users 
-        ADD COLUMN IF NOT EXISTS username VARCHAR(50),
-        ADD COLUMN IF NOT EXISTS user_type VARCHAR(20) DEFAULT 'learner',
-        ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT TRUE,
-        ADD COLUMN IF NOT EXISTS last_login TIMESTAMP
-      `);
-      console.log('✅ Enhanced users table (username/user_type/is_active/last_login)');
-
-      // Remove legacy mentor_id column if it exists
-      try {
-        await client.query(`ALTER TABLE users DROP COLUMN IF EXISTS mentor_id`);
-        console.log('✅ Removed legacy mentor_id column');
-      } catch (e) {
-        // Column might not exist, that's fine
-      }
-
-      // Unique username
-      try {
-        await client.query(`
-          ALTER TABLE users ADD CONSTRAINT users_username_unique UNIQUE (username)
-        `);
-      } catch (constraintError) {
-        if (!String(constraintError?.message || '').includes('already exists')) {
-          console.log('⚠️ Username constraint issue:', constraintError.message);
-        }
-      }
-    } catch (userTableError) {
-      console.error('Error with users table:', userTableError);
-    }
-
-    // CONVERSATIONS
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS conversations (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER NOT NULL REFERENCES users(id),
-        subject VARCHAR(100) NOT NULL,
-        title VARCHAR(255),
-        messages TEXT NOT NULL DEFAULT '[]',
-        detected_level VARCHAR(50),
-        model_used VARCHAR(50) DEFAULT 'openai',
-        learning_mode VARCHAR(50),
-        is_archived BOOLEAN DEFAULT FALSE,
-        tags TEXT DEFAULT '[]',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    console.log('✅ Conversations table ready');
-
-    // SESSIONS
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS user_sessions (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER NOT NULL REFERENCES users(id),
-        token_hash VARCHAR(255) NOT NULL,
-        device_info VARCHAR(255),
-        ip_address INET,
-        expires_at TIMESTAMP NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    console.log('✅ Sessions table ready');
-
-    // MENTOR-LEARNER LINKING
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS mentor_learner_links (
-        id SERIAL PRIMARY KEY,
-        mentor_id INTEGER REFERENCES users(id),
-        learner_id INTEGER REFERENCES users(id),
-        status VARCHAR(20) DEFAULT 'pending',
-        invitation_code VARCHAR(10) UNIQUE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        accepted_at TIMESTAMP,
-        UNIQUE(mentor_id, learner_id)
-      )
-    `);
-    console.log('✅ Mentor-Learner linking table ready');
-
-    // Indexes
-    try {
-      await client.query(`CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)`);
-      await client.query(`CREATE INDEX IF NOT EXISTS idx_users_username ON users(username)`);
-      await client.query(`CREATE INDEX IF NOT EXISTS idx_conversations_user_id ON conversations(user_id)`);
-      await client.query(`CREATE INDEX IF NOT EXISTS idx_links_mentor ON mentor_learner_links(mentor_id)`);
-      await client.query(`CREATE INDEX IF NOT EXISTS idx_links_learner ON mentor_learner_links(learner_id)`);
-      await client.query(`CREATE INDEX IF NOT EXISTS idx_links_code ON mentor_learner_links(invitation_code)`);
-      console.log('✅ Database indexes created successfully');
-    } catch (indexError) {
-      console.log('⚠️ Some indexes may already exist, continuing...');
-    }
-
-    client.release();
-    console.log('🎉 Database initialized successfully with mentor-learner linking!');
+    await database.initialize();
+    console.log(`🎉 Database schema is up to date (${database.driver})`);
   } catch (error) {
-    console.error('❌ Error initializing database:', error);
-    console.log('⚠️ Database initialization had issues but app will continue');
+    console.error('❌ Database initialization failed:', error.message);
+    throw error;
   }
 };
 
@@ -160,7 +60,17 @@ const getJWTSecret = () => {
 
 const JWT_SECRET = getJWTSecret();
 
-// Middleware to verify JWT
+// Short-lived access tokens; long-lived refresh tokens rotate on every use
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Refresh tokens are random, so a fast hash is enough (bcrypt would make lookups impossible)
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// True while the session family has an unrevoked, unexpired refresh token
+const isSessionActive = (userId, familyId) => repos.sessions.isFamilyActive(userId, familyId);
+
+// Middleware to verify JWT - the token's session (sid) must still be active
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
@@ -169,18 +79,45 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
     if (err) {
+      if (err.name === 'TokenExpiredError') {
+        return res.status(401).json({ error: 'Access token expired', code: 'TOKEN_EXPIRED' });
+      }
       console.log('🔐 Invalid token attempt');
       return res.status(403).json({ error: 'Invalid or expired token' });
     }
+
+    try {
+      if (!user.sid || !(await isSessionActive(user.id, user.sid))) {
+        return res.status(401).json({ error: 'Session has ended. Please sign in again.', code: 'SESSION_REVOKED' });
+      }
+    } catch (dbErr) {
+      console.error('🚨 Session check error:', dbErr);
+      return res.status(500).json({ error: 'Could not verify session' });
+    }
+
     req.user = user;
     next();
   });
 };
 
-// Token generator
-const generateToken = (user) => {
+// Operator-only routes: X-Admin-Key must match ADMIN_API_KEY (unset turns them off)
+const requireAdminKey = (req, res, next) => {
+  const expected = process.env.ADMIN_API_KEY;
+  const provided = Buffer.from(String(req.headers['x-admin-key'] || ''));
+  if (!expected) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  if (provided.length !== Buffer.byteLength(expected) || !crypto.timingSafeEqual(provided, Buffer.from(expected))) {
+    console.log('🔐 Invalid admin key attempt');
+    return res.status(403).json({ error: 'Invalid admin key' });
+  }
+  next();
+};
+
+// Token generator - sid ties the access token to its session family
+const generateToken = (user, sessionId) => {
   return jwt.sign(
     { 
       id: user.id, 
@@ -188,13 +125,113 @@ const generateToken = (user) => {
       username: user.username,
       displayName: user.display_name || user.displayName,
       userType: user.user_type,
-      skillLevel: user.skill_level
+      skillLevel: user.skill_level,
+      sid: sessionId
     },
     JWT_SECRET,
-    { expiresIn: '7d' }
+    { expiresIn: ACCESS_TOKEN_TTL }
   );
 };
 
+// Store a new refresh token for a session family; returns the raw token
+const issueRefreshToken = async (sessions, userId, familyId, req) => {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+
+  await sessions.create({
+    userId,
+    familyId,
+    tokenHash: hashToken(refreshToken),
+    deviceInfo: (req.headers['user-agent'] || '').slice(0, 255) || null,
+    ipAddress: req.ip || null,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 3600 * 1000)
+  });
+
+  return refreshToken;
+};
+
+// Token pair returned by login, registration and refresh
+const buildTokenResponse = (user, familyId, refreshToken) => {
+  const token = generateToken(user, familyId);
+  const { exp, iat } = jwt.decode(token);
+  return { token, refreshToken, expiresIn: exp - iat };
+};
+
+// Start a new session family (one per login/device)
+const createSession = async (sessions, user, req) => {
+  // Drop this user's long-expired rows while we're here
+  await sessions.deleteExpired(user.id);
+
+  const familyId = crypto.randomUUID();
+  const refreshToken = await issueRefreshToken(sessions, user.id, familyId, req);
+  return buildTokenResponse(user, familyId, refreshToken);
+};
+
+// Email verification / password reset links point at the web app
+const APP_BASE_URL = (process.env.APP_BASE_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const ACCOUNT_TOKENS = {
+  email_verification: {
+    ttlHours: 48,
+    path: '/verify-email',
+    subject: 'Confirm your Lilibet email address',
+    intro: 'Welcome to Lilibet! Please confirm your email address by opening this link:'
+  },
+  password_reset: {
+    ttlHours: 1,
+    path: '/reset-password',
+    subject: 'Reset your Lilibet password',
+    intro: 'Someone asked to reset the password for your Lilibet account. If it was you, open this link to choose a new one:'
+  }
+};
+
+// Create a single-use token (older unused tokens for the same purpose stop working)
+const createAccountToken = async (users, userId, purpose) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + ACCOUNT_TOKENS[purpose].ttlHours * 3600 * 1000);
+
+  await users.createAccountToken(userId, purpose, hashToken(token), expiresAt);
+  return token;
+};
+
+// Mark a token used and return its user id, or null if unknown/expired/already used
+const consumeAccountToken = (users, token, purpose) => users.consumeAccountToken(hashToken(token), purpose);
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const sendAccountEmail = async (user, purpose, token) => {
+  const { path, subject, intro, ttlHours } = ACCOUNT_TOKENS[purpose];
+  const link = `${APP_BASE_URL}${path}?token=${encodeURIComponent(token)}`;
+  const expiry = ttlHours === 1 ? '1 hour' : `${ttlHours} hours`;
+  const name = user.display_name || user.email;
+
+  return sendMail({
+    to: user.email,
+    subject,
+    text: `Hi ${name},\n\n${intro}\n\n${link}\n\nThis link expires in ${expiry}. If you didn't request it, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>${intro}</p><p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p>` +
+      `<p>This link expires in ${expiry}. If you didn't request it, you can ignore this email.</p>`
+  });
+};
+
+// Fire-and-forget so slow mail delivery never blocks (or leaks timing on) the request
+const queueAccountEmail = (user, purpose, token) => {
+  sendAccountEmail(user, purpose, token).catch(error => {
+    console.error(`⚠️ Could not send ${purpose} email to user ${user.id}:`, error.message);
+  });
+};
+
+// Optional: require a verified email before mentor linking
+const REQUIRE_VERIFIED_EMAIL_FOR_LINKING = process.env.REQUIRE_VERIFIED_EMAIL_FOR_LINKING === 'true';
+
+const isEmailVerified = async (userId) => {
+  const user = await repos.users.findById(userId);
+  return Boolean(user) && user.email_verified === true;
+};
+
 // Helpers
 const hashPassword = async (password) => {
   const saltRounds = 10;
@@ -240,101 +277,78 @@ const registerUser = async (req, res) => {
       return res.status(400).json({ error: 'Password must be at least 6 characters long' });
     }
 
-    const client = await pool.connect();
-
-    try {
-      // Email uniqueness
-      const existingEmail = await client.query('SELECT id FROM users WHERE LOWER(email) = LOWER($1)', [email]);
-      if (existingEmail.rows.length > 0) {
-        console.log('❌ Email already exists:', email);
-        client.release();
-        return res.status(409).json({ error: 'An account with this email already exists' });
-      }
+    // Email uniqueness
+    if (await repos.users.findByEmail(email)) {
+      console.log('❌ Email already exists:', email);
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
 
-      // Username uniqueness
-      if (username) {
-        const existingUsername = await client.query('SELECT id FROM users WHERE LOWER(username) = LOWER($1)', [username]);
-        if (existingUsername.rows.length > 0) {
-          console.log('❌ Username already exists:', username);
-          client.release();
-          return res.status(409).json({ error: 'This username is already taken' });
-        }
-      }
+    // Username uniqueness
+    if (username && await repos.users.findByUsername(username)) {
+      console.log('❌ Username already exists:', username);
+      return res.status(409).json({ error: 'This username is already taken' });
+    }
 
-      // Hash password and create user
-      const passwordHash = await hashPassword(password);
-      console.log('🔐 Password hashed successfully');
-      
-      const finalSkillLevel = userType === 'mentor' ? 'expert' : (skillLevel || 'intermediate');
-      
-      console.log('📝 Creating user with:', {
-        email,
-        username: username || null,
-        displayName: displayName || email.split('@')[0],
-        userType,
-        skillLevel: finalSkillLevel
-      });
-      
-      const result = await client.query(`
-        INSERT INTO users (email, username, password_hash, display_name, user_type, skill_level) 
-        VALUES ($1, $2, $3, $4, $5, $6) 
-        RETURNING id, email, username, display_name, user_type, skill_level
-      `, [
-        email.toLowerCase(),
-        username ? username.toLowerCase() : null,
-        passwordHash, 
-        displayName || email.split('@')[0], 
-        userType,
-        finalSkillLevel
-      ]);
-
-      const newUser = result.rows[0];
-
-      // If mentor registering with invite code, link to learner
-      if (userType === 'mentor' && mentorInviteCode) {
-        console.log('🔗 Linking mentor to learner with code:', mentorInviteCode);
-        
-        const linkResult = await client.query(`
-          UPDATE mentor_learner_links 
-          SET mentor_id = $1, status = 'active', accepted_at = CURRENT_TIMESTAMP
-          WHERE invitation_code = $2 AND mentor_id IS NULL
-          RETURNING learner_id
-        `, [newUser.id, mentorInviteCode.toUpperCase()]);
-
-        if (linkResult.rows.length > 0) {
-          console.log('✅ Successfully linked to learner:', linkResult.rows[0].learner_id);
-        } else {
-          console.log('⚠️ Invalid or already used invitation code');
-        }
+    // Hash password and create user
+    const passwordHash = await hashPassword(password);
+    console.log('🔐 Password hashed successfully');
+    
+    const finalSkillLevel = userType === 'mentor' ? 'expert' : (skillLevel || 'intermediate');
+    
+    console.log('📝 Creating user with:', {
+      email,
+      username: username || null,
+      displayName: displayName || email.split('@')[0],
+      userType,
+      skillLevel: finalSkillLevel
+    });
+    
+    const newUser = await repos.users.create({
+      email: email.toLowerCase(),
+      username: username ? username.toLowerCase() : null,
+      passwordHash,
+      displayName: displayName || email.split('@')[0],
+      userType,
+      skillLevel: finalSkillLevel
+    });
+
+    // If mentor registering with invite code, link to learner
+    // (with verification required, the new mentor accepts the code once verified instead)
+    if (userType === 'mentor' && mentorInviteCode && !REQUIRE_VERIFIED_EMAIL_FOR_LINKING) {
+      console.log('🔗 Linking new mentor to learner with invitation code');
+
+      const redeemed = await redeemInvitation(repos.links, mentorInviteCode, { ...newUser, userType: 'mentor' });
+      if (redeemed.link) {
+        console.log('✅ Successfully linked to learner:', redeemed.link.learner_id);
+      } else {
+        console.log('⚠️ Invitation code not redeemed:', redeemed.error);
       }
+    }
 
-      const token = generateToken(newUser);
+    const session = await createSession(repos.sessions, newUser, req);
+    const verificationToken = await createAccountToken(repos.users, newUser.id, 'email_verification');
 
-      client.release();
+    queueAccountEmail(newUser, 'email_verification', verificationToken);
 
-      console.log(`✅ New ${userType} registered successfully:`, {
+    console.log(`✅ New ${userType} registered successfully:`, {
+      id: newUser.id,
+      email: newUser.email,
+      username: newUser.username
+    });
+    
+    res.status(201).json({
+      message: userType === 'mentor' ? 'New mentor registered' : 'New learner registered',
+      ...session,
+      user: {
         id: newUser.id,
         email: newUser.email,
-        username: newUser.username
-      });
-      
-      res.status(201).json({
-        message: userType === 'mentor' ? 'New mentor registered' : 'New learner registered',
-        token,
-        user: {
-          id: newUser.id,
-          email: newUser.email,
-          username: newUser.username,
-          displayName: newUser.display_name,
-          userType: newUser.user_type,
-          skillLevel: newUser.skill_level
-        }
-      });
-    } catch (dbErr) {
-      client.release();
-      console.error('🚨 Registration database error:', dbErr);
-      res.status(500).json({ error: 'Registration failed. Please try again.' });
-    }
+        username: newUser.username,
+        displayName: newUser.display_name,
+        userType: newUser.user_type,
+        skillLevel: newUser.skill_level,
+        emailVerified: newUser.email_verified === true
+      }
+    });
   } catch (error) {
     console.error('🚨 Registration error:', error);
     res.status(500).json({ error: 'Registration failed. Please try again.' });
@@ -350,97 +364,193 @@ const loginUser = async (req, res) => {
       return res.status(400).json({ error: 'Email/username and password are required' });
     }
 
-    const client = await pool.connect();
-    try {
-      const u = emailOrUsername.trim();
-      const isEmail = u.includes('@');
+    const u = emailOrUsername.trim();
+    const user = u.includes('@')
+      ? await repos.users.findByEmail(u)
+      : await repos.users.findByUsername(u);
 
-      const query = isEmail
-        ? 'SELECT * FROM users WHERE LOWER(email) = LOWER($1)'
-        : 'SELECT * FROM users WHERE LOWER(username) = LOWER($1)';
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
 
-      const result = await client.query(query, [u.toLowerCase()]);
-      if (result.rows.length === 0) {
-        client.release();
-        return res.status(401).json({ error: 'Invalid credentials' });
-      }
+    const ok = await bcrypt.compare(password, user.password_hash);
+    if (!ok) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
 
-      const user = result.rows[0];
-      const ok = await bcrypt.compare(password, user.password_hash);
-      if (!ok) {
-        client.release();
-        return res.status(401).json({ error: 'Invalid credentials' });
+    // Update last_login
+    await repos.users.recordLogin(user.id);
+
+    const session = await createSession(repos.sessions, user, req);
+
+    console.log(`✅ ${user.user_type === 'mentor' ? 'Mentor' : 'Learner'} logged in: ${user.email}`);
+    res.json({
+      ...session,
+      user: {
+        id: user.id,
+        email: user.email,
+        username: user.username,
+        displayName: user.display_name,
+        userType: user.user_type,
+        skillLevel: user.skill_level,
+        emailVerified: user.email_verified === true
       }
-
-      // Update last_login
-      await client.query(`UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1`, [user.id]);
-
-      const token = generateToken(user);
-
-      // Optional: persist session token hash
-      const tokenHash = await hashPassword(token);
-      const expiresAt = new Date(Date.now() + 7 * 24 * 3600 * 1000); // 7 days
-
-      await client.query(`
-        INSERT INTO user_sessions (user_id, token_hash, device_info, ip_address, expires_at)
-        VALUES ($1, $2, $3, $4, $5)
-      `, [
-        user.id,
-        tokenHash,
-        req.headers['user-agent'] || null,
-        req.ip || null,
-        expiresAt
-      ]);
-
-      client.release();
-
-      console.log(`✅ ${user.user_type === 'mentor' ? 'Mentor' : 'Learner'} logged in: ${user.email}`);
-      res.json({
-        token,
-        user: {
-          id: user.id,
-          email: user.email,
-          username: user.username,
-          displayName: user.display_name,
-          userType: user.user_type,
-          skillLevel: user.skill_level
-        }
-      });
-    } catch (dbErr) {
-      client.release();
-      console.error('🚨 Login database error:', dbErr);
-      res.status(500).json({ error: 'Login failed. Please try again.' });
-    }
+    });
   } catch (error) {
     console.error('🚨 Login error:', error);
     res.status(500).json({ error: 'Login failed. Please try again.' });
   }
 };
 
-// Get user profile
-const getUserProfile = async (req, res) => {
+// Re-send the verification email for the signed-in user
+const requestEmailVerification = async (req, res) => {
   try {
-    const client = await pool.connect();
-    try {
-      const result = await client.query(`
-        SELECT id, email, username, display_name, user_type, skill_level, 
-               preferred_subjects, created_at, last_login
-        FROM users 
-        WHERE id = $1
-      `, [req.user.id]);
+    const user = await repos.users.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.email_verified) {
+      return res.json({ message: 'Email is already verified' });
+    }
 
-      client.release();
+    const token = await createAccountToken(repos.users, user.id, 'email_verification');
 
-      if (result.rows.length === 0) {
-        return res.status(404).json({ error: 'User not found' });
-      }
+    queueAccountEmail(user, 'email_verification', token);
+    res.json({ message: 'Verification email sent' });
+  } catch (e) {
+    console.error('🚨 Request email verification error:', e);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+};
 
-      res.json({ user: result.rows[0] });
-    } catch (dbErr) {
-      client.release();
-      console.error('🚨 Get profile error:', dbErr);
-      res.status(500).json({ error: 'Failed to fetch profile' });
+// Confirm an email address with the token from the verification email
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'Verification token is required' });
     }
+
+    const userId = await database.transaction(async (tx) => {
+      const verifiedId = await consumeAccountToken(tx.users, token, 'email_verification');
+      if (verifiedId) await tx.users.markEmailVerified(verifiedId);
+      return verifiedId;
+    });
+
+    if (!userId) {
+      return res.status(400).json({ error: 'This verification link is invalid or has expired' });
+    }
+
+    console.log(`✅ Email verified for user ${userId}`);
+    res.json({ message: 'Email verified' });
+  } catch (e) {
+    console.error('🚨 Verify email error:', e);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+};
+
+// Start a password reset - always answers the same way so it can't be used to probe for accounts
+const requestPasswordReset = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email || !isValidEmail(email)) {
+      return res.status(400).json({ error: 'Please enter a valid email address' });
+    }
+
+    const user = await repos.users.findByEmail(email);
+    if (user && user.is_active !== false) {
+      const token = await createAccountToken(repos.users, user.id, 'password_reset');
+      queueAccountEmail(user, 'password_reset', token);
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (e) {
+    console.error('🚨 Request password reset error:', e);
+    res.status(500).json({ error: 'Failed to request password reset' });
+  }
+};
+
+// Finish a password reset - every existing session is signed out
+const resetPassword = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'Reset token is required' });
+    }
+    if (!newPassword || newPassword.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+    }
+
+    const passwordHash = await hashPassword(newPassword);
+
+    const userId = await database.transaction(async (tx) => {
+      const resetId = await consumeAccountToken(tx.users, token, 'password_reset');
+      if (!resetId) return null;
+
+      await tx.users.updatePassword(resetId, passwordHash);
+      await tx.sessions.revokeAllForUser(resetId, 'password_reset');
+      return resetId;
+    });
+
+    if (!userId) {
+      return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+    }
+
+    console.log(`🔐 Password reset for user ${userId}`);
+    res.json({ message: 'Password has been reset. Please sign in with your new password.' });
+  } catch (e) {
+    console.error('🚨 Reset password error:', e);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+};
+
+// Change password while signed in - other sessions are signed out, this one stays
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current and new password are required' });
+    }
+    if (newPassword.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+    }
+
+    const user = await repos.users.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const ok = await bcrypt.compare(currentPassword, user.password_hash);
+    if (!ok) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    const passwordHash = await hashPassword(newPassword);
+
+    const revoked = await database.transaction(async (tx) => {
+      await tx.users.updatePassword(req.user.id, passwordHash);
+      const count = await tx.sessions.revokeAllForUser(req.user.id, 'password_changed', { exceptFamilyId: req.user.sid || null });
+      await tx.users.invalidateAccountTokens(req.user.id, 'password_reset');
+      return count;
+    });
+
+    console.log(`🔐 Password changed for user ${req.user.id} (${revoked} other session token(s) revoked)`);
+    res.json({ message: 'Password changed. Other devices have been signed out.' });
+  } catch (e) {
+    console.error('🚨 Change password error:', e);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+};
+
+// Get user profile
+const getUserProfile = async (req, res) => {
+  try {
+    const user = await repos.users.getProfile(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ user });
   } catch (e) {
     console.error('🚨 Get profile error:', e);
     res.status(500).json({ error: 'Failed to fetch profile' });
@@ -456,36 +566,26 @@ const saveConversation = async (req, res) => {
       return res.status(400).json({ error: 'Subject and messages are required' });
     }
 
-    const client = await pool.connect();
-    try {
-      const result = await client.query(`
-        INSERT INTO conversations (
-          user_id, subject, title, messages, detected_level, model_used, learning_mode, tags
-        )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-        RETURNING id, created_at
-      `, [
-        req.user.id,
+    const saved = await database.transaction(async (tx) => {
+      const created = await tx.conversations.create({
+        userId: req.user.id,
         subject,
-        title || `${subject} - ${new Date().toLocaleDateString()}`,
-        typeof messages === 'string' ? messages : JSON.stringify(messages),
-        detected_level || null,
-        model_used || 'openai',
-        learning_mode || null,
-        JSON.stringify(tags || [])
-      ]);
-      
-      client.release();
-      res.status(201).json({ 
-        id: result.rows[0].id, 
-        createdAt: result.rows[0].created_at,
-        message: 'Conversation saved successfully'
+        title: title || `${subject} - ${new Date().toLocaleDateString()}`,
+        detectedLevel: detected_level || null,
+        modelUsed: model_used || 'openai',
+        learningMode: learning_mode || null,
+        tags: tags || []
       });
-    } catch (dbErr) {
-      client.release();
-      console.error('🚨 Save conversation error:', dbErr);
-      res.status(500).json({ error: 'Failed to save conversation' });
-    }
+
+      await appendMessages(tx.conversations, created.id, parseMessages(messages));
+      return created;
+    });
+
+    res.status(201).json({ 
+      id: saved.id, 
+      createdAt: saved.created_at,
+      message: 'Conversation saved successfully'
+    });
   } catch (e) {
     console.error('🚨 Save conversation error:', e);
     res.status(500).json({ error: 'Failed to save conversation' });
@@ -495,141 +595,364 @@ const saveConversation = async (req, res) => {
 // List user's own conversations
 const getUserConversations = async (req, res) => {
   try {
-    const client = await pool.connect();
-    try {
-      const result = await client.query(`
-        SELECT id, subject, title, detected_level, model_used, learning_mode, 
-               is_archived, tags, created_at, updated_at
-        FROM conversations
-        WHERE user_id = $1
-        ORDER BY created_at DESC
-      `, [req.user.id]);
-      client.release();
-      res.json({ conversations: result.rows });
-    } catch (dbErr) {
-      client.release();
-      console.error('🚨 Get conversations error:', dbErr);
-      res.status(500).json({ error: 'Failed to fetch conversations' });
-    }
+    const conversations = await repos.conversations.listByUser(req.user.id);
+    res.json({ conversations });
   } catch (e) {
     console.error('🚨 Get conversations error:', e);
     res.status(500).json({ error: 'Failed to fetch conversations' });
   }
 };
 
+// Load a conversation the user may read (owner or linked mentor); returns { conversation } or { status, error }
+const loadViewableConversation = async (conversationId, user) => {
+  const convo = await repos.conversations.findById(conversationId);
+  if (!convo) {
+    return { status: 404, error: 'Conversation not found' };
+  }
+
+  // Owner
+  if (convo.user_id === user.id) {
+    return { conversation: convo };
+  }
+
+  // If requester is a mentor, they must be linked to the learner who owns this conversation
+  if (user.userType === 'mentor') {
+    if (!(await repos.links.isActive(user.id, convo.user_id))) {
+      return { status: 403, error: 'No access to this learner' };
+    }
+    return { conversation: convo };
+  }
+
+  return { status: 403, error: 'Access denied' };
+};
+
 // Get single conversation (owner or linked mentor)
+// messages keeps its original shape (a JSON string) for existing clients
 const getConversation = async (req, res) => {
   try {
     const conversationId = parseInt(req.params.id, 10);
     if (Number.isNaN(conversationId)) return res.status(400).json({ error: 'Invalid conversation id' });
 
-    const client = await pool.connect();
-    try {
-      const convRes = await client.query(`SELECT * FROM conversations WHERE id = $1`, [conversationId]);
-      if (convRes.rows.length === 0) {
-        client.release();
-        return res.status(404).json({ error: 'Conversation not found' });
-      }
+    const found = await loadViewableConversation(conversationId, req.user);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
 
-      const convo = convRes.rows[0];
+    const conversation = await withMessages(repos.conversations, found.conversation);
+    res.json({ conversation });
+  } catch (e) {
+    console.error('🚨 Get conversation error:', e);
+    res.status(500).json({ error: 'Failed to fetch conversation' });
+  }
+};
 
-      // Owner
-      if (convo.user_id === req.user.id) {
-        client.release();
-        return res.json({ conversation: convo });
-      }
+// Update conversation (owner only)
+// messages may only extend the stored history - if it no longer starts with what is
+// stored (another device added turns), the update is rejected instead of overwriting them
+const updateConversation = async (req, res) => {
+  try {
+    const conversationId = parseInt(req.params.id, 10);
+    if (Number.isNaN(conversationId)) return res.status(400).json({ error: 'Invalid conversation id' });
 
-      // If requester is a mentor, they must be linked to the learner who owns this conversation
-      if (req.user.userType === 'mentor') {
-        const linkRes = await client.query(`
-          SELECT 1
-          FROM mentor_learner_links
-          WHERE mentor_id = $1 AND learner_id = $2 AND status = 'active'
-        `, [req.user.id, convo.user_id]);
+    const { title, messages, is_archived, tags } = req.body;
 
-        client.release();
+    const changes = {};
+    if (typeof title === 'string') changes.title = title;
+    if (typeof is_archived === 'boolean') changes.isArchived = is_archived;
+    if (typeof tags !== 'undefined') changes.tags = tags;
+
+    if (Object.keys(changes).length === 0 && typeof messages === 'undefined') {
+      return res.status(400).json({ error: 'No changes provided' });
+    }
+
+    const outcome = await database.transaction(async (tx) => {
+      // Lock the row so concurrent updates see each other's appended messages
+      const ownerId = await tx.conversations.findOwnerForUpdate(conversationId);
+      if (ownerId === null) {
+        return { status: 404, body: { error: 'Conversation not found' } };
+      }
+      if (ownerId !== req.user.id) {
+        return { status: 403, body: { error: 'Access denied' } };
+      }
 
-        if (linkRes.rows.length === 0) {
-          return res.status(403).json({ error: 'No access to this learner' });
+      let appended = 0;
+      if (typeof messages !== 'undefined') {
+        const incoming = parseMessages(messages);
+        const stored = await tx.conversations.listMessages(conversationId);
+        const diverged = incoming.length < stored.length ||
+          stored.some((row, i) => row.role !== incoming[i].role || row.content !== toMessageRecord(incoming[i]).content);
+
+        if (diverged) {
+          // Nothing has been written yet, so committing the empty transaction is harmless
+          return {
+            status: 409,
+            body: {
+              error: 'This conversation was changed on another device. Reload it and try again.',
+              messageCount: stored.length
+            }
+          };
         }
-        return res.json({ conversation: convo });
+
+        appended = (await appendMessages(tx.conversations, conversationId, incoming.slice(stored.length))).length;
       }
 
-      client.release();
-      return res.status(403).json({ error: 'Access denied' });
-    } catch (dbErr) {
-      client.release();
-      console.error('🚨 Get conversation error:', dbErr);
-      res.status(500).json({ error: 'Failed to fetch conversation' });
-    }
+      await tx.conversations.update(conversationId, changes);
+      return { status: 200, body: { message: 'Conversation updated', appendedMessages: appended } };
+    });
+
+    res.status(outcome.status).json(outcome.body);
   } catch (e) {
-    console.error('🚨 Get conversation error:', e);
-    res.status(500).json({ error: 'Failed to fetch conversation' });
+    console.error('🚨 Update conversation error:', e);
+    res.status(500).json({ error: 'Failed to update conversation' });
   }
 };
 
-// Update conversation (owner only)
-const updateConversation = async (req, res) => {
+const DEFAULT_MESSAGE_PAGE = 50;
+const MAX_MESSAGE_PAGE = 200;
+const MAX_APPEND_MESSAGES = 50;
+const MAX_MESSAGE_LENGTH = 50000;
+const APPENDABLE_ROLES = ['user', 'assistant'];
+
+// GET /api/conversations/:id/messages?limit=&before=&after= (owner or linked mentor)
+// Default is the newest page; before=<messageId> pages back, after=<messageId> fetches newer turns.
+// Messages are always returned oldest first.
+const getConversationMessages = async (req, res) => {
   try {
     const conversationId = parseInt(req.params.id, 10);
     if (Number.isNaN(conversationId)) return res.status(400).json({ error: 'Invalid conversation id' });
 
-    const { title, messages, is_archived, tags } = req.body;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_MESSAGE_PAGE, 1), MAX_MESSAGE_PAGE);
+    const before = req.query.before !== undefined ? parseInt(req.query.before, 10) : null;
+    const after = req.query.after !== undefined ? parseInt(req.query.after, 10) : null;
+    if (Number.isNaN(before) || Number.isNaN(after)) return res.status(400).json({ error: 'Invalid message cursor' });
+    if (before !== null && after !== null) return res.status(400).json({ error: 'Use either before or after, not both' });
 
-    const client = await pool.connect();
-    try {
-      const ownerRes = await client.query(`SELECT user_id FROM conversations WHERE id = $1`, [conversationId]);
-      if (ownerRes.rows.length === 0) {
-        client.release();
-        return res.status(404).json({ error: 'Conversation not found' });
+    const found = await loadViewableConversation(conversationId, req.user);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
+
+    const rows = await repos.conversations.listMessagesPage(conversationId, { before, after, limit: limit + 1 });
+
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    if (after === null) page.reverse();
+
+    res.json({ messages: page.map(formatMessage), hasMore });
+  } catch (e) {
+    console.error('🚨 Get conversation messages error:', e);
+    res.status(500).json({ error: 'Failed to fetch messages' });
+  }
+};
+
+// POST /api/conversations/:id/messages { messages: [{ role, content, metadata? }] } or a single { role, content } (owner only)
+// Append-only: existing turns are never rewritten
+const appendConversationMessages = async (req, res) => {
+  try {
+    const conversationId = parseInt(req.params.id, 10);
+    if (Number.isNaN(conversationId)) return res.status(400).json({ error: 'Invalid conversation id' });
+
+    const incoming = Array.isArray(req.body.messages) ? req.body.messages : [req.body];
+    if (incoming.length === 0 || incoming.length > MAX_APPEND_MESSAGES) {
+      return res.status(400).json({ error: `Send between 1 and ${MAX_APPEND_MESSAGES} messages` });
+    }
+    for (const message of incoming) {
+      if (!message || !APPENDABLE_ROLES.includes(message.role)) {
+        return res.status(400).json({ error: `Message role must be one of: ${APPENDABLE_ROLES.join(', ')}` });
+      }
+      if (typeof message.content !== 'string' || !message.content.trim() || message.content.length > MAX_MESSAGE_LENGTH) {
+        return res.status(400).json({ error: `Message content must be a non-empty string up to ${MAX_MESSAGE_LENGTH} characters` });
       }
-      if (ownerRes.rows[0].user_id !== req.user.id) {
-        client.release();
-        return res.status(403).json({ error: 'Access denied' });
+      if (message.metadata !== undefined && (typeof message.metadata !== 'object' || Array.isArray(message.metadata))) {
+        return res.status(400).json({ error: 'Message metadata must be an object' });
       }
+    }
 
-      const fields = [];
-      const vals = [];
-      let idx = 1;
+    const conversation = await repos.conversations.findById(conversationId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    if (conversation.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
 
-      if (typeof title === 'string') { fields.push(`title = $${idx++}`); vals.push(title); }
-      if (typeof messages !== 'undefined') { 
-        fields.push(`messages = $${idx++}`); 
-        vals.push(typeof messages === 'string' ? messages : JSON.stringify(messages)); 
-      }
-      if (typeof is_archived === 'boolean') { fields.push(`is_archived = $${idx++}`); vals.push(is_archived); }
-      if (typeof tags !== 'undefined') { fields.push(`tags = $${idx++}`); vals.push(JSON.stringify(tags)); }
+    const rows = await database.transaction(async (tx) => {
+      const inserted = await appendMessages(tx.conversations, conversationId, incoming.map(({ role, content, metadata }) => ({ role, content, metadata })));
+      await tx.conversations.touch(conversationId);
+      return inserted;
+    });
+
+    res.status(201).json({ messages: rows.map(formatMessage) });
+  } catch (e) {
+    console.error('🚨 Append conversation messages error:', e);
+    res.status(500).json({ error: 'Failed to append messages' });
+  }
+};
+
+// Normalize a stored messages blob into [{ role, content, ... }]
+// Handles the legacy { text, sender } shape written by earlier app versions
+const parseMessages = (raw) => {
+  let parsed = raw;
+  if (typeof raw === 'string') {
+    try {
+      parsed = JSON.parse(raw);
+    } catch (e) {
+      return [];
+    }
+  }
+  if (!Array.isArray(parsed)) return [];
+
+  return parsed
+    .filter(m => m && typeof m === 'object')
+    .map(m => {
+      if (m.role) return m;
+      const { text, sender, ...rest } = m;
+      return { ...rest, role: sender === 'user' ? 'user' : 'assistant', content: text || '' };
+    });
+};
+
+/**
+ * Conversation messages (conversation_messages rows)
+ */
 
-      if (fields.length === 0) {
-        client.release();
-        return res.status(400).json({ error: 'No changes provided' });
+// Split a message ({ role, content, timestamp?, attachments?, metadata? }) into table columns.
+// Everything besides role/content/timestamp lands in metadata; model and token usage also get columns.
+const toMessageRecord = (message) => {
+  const { role, content, timestamp, metadata, attachments, id, ...rest } = message;
+  const usage = metadata && metadata.usage;
+
+  return {
+    role: String(role || 'assistant').slice(0, 20),
+    content: typeof content === 'string' ? content : (content == null ? '' : JSON.stringify(content)),
+    metadata: {
+      ...rest,
+      ...(metadata && typeof metadata === 'object' ? metadata : {}),
+      ...(attachments ? { attachments } : {}),
+      ...(id !== undefined ? { clientId: id } : {})
+    },
+    model: (metadata && (metadata.modelName || metadata.model)) || null,
+    prompt_tokens: usage ? usage.inputTokens : null,
+    completion_tokens: usage ? usage.outputTokens : null,
+    // Legacy blobs have clock-only timestamps ("11:36:25 AM") - those fall back to the default
+    created_at: typeof timestamp === 'string' && !Number.isNaN(Date.parse(timestamp)) ? new Date(timestamp).toISOString() : null
+  };
+};
+
+// Append messages in order; returns the inserted rows (oldest first)
+const appendMessages = (conversations, conversationId, messages, defaultCreatedAt = null) =>
+  conversations.appendMessages(conversationId, messages.map(toMessageRecord), defaultCreatedAt);
+
+// Message in the shape clients got from the old messages blob
+const toLegacyMessage = (row) => {
+  const { attachments, ...metadata } = row.metadata || {};
+  return {
+    role: row.role,
+    content: row.content,
+    timestamp: row.created_at,
+    ...(attachments ? { attachments } : {}),
+    ...(Object.keys(metadata).length > 0 ? { metadata } : {})
+  };
+};
+
+// Message as returned by the messages endpoints
+const formatMessage = (row) => ({
+  id: row.id,
+  role: row.role,
+  content: row.content,
+  metadata: row.metadata,
+  model: row.model,
+  promptTokens: row.prompt_tokens,
+  completionTokens: row.completion_tokens,
+  createdAt: row.created_at
+});
+
+// Conversation row with messages rebuilt from conversation_messages (as a JSON string, like the old column)
+const withMessages = async (conversations, convo) => {
+  const rows = await conversations.listMessages(convo.id);
+  return { ...convo, messages: JSON.stringify(rows.map(toLegacyMessage)) };
+};
+
+// Conversation messages as [{ role, content, ... }] for prompts, review extraction, etc.
+const loadConversationMessages = async (conversationId) => {
+  return (await repos.conversations.listMessages(conversationId)).map(toLegacyMessage);
+};
+
+// Load a conversation owned by the given user (used to continue tutoring sessions)
+const findOwnedConversation = async (conversationId, userId) => {
+  const conversation = await repos.conversations.findById(conversationId);
+  if (!conversation) {
+    return { status: 404, error: 'Conversation not found' };
+  }
+  if (conversation.user_id !== userId) {
+    return { status: 403, error: 'Access denied' };
+  }
+  return { conversation: await withMessages(repos.conversations, conversation) };
+};
+
+// Store one tutor exchange: updates (or creates) the conversation and appends its messages
+// in a single transaction. Returns the conversation id, or null if conversationId isn't the user's.
+const storeTutorExchange = (userId, { conversationId, subject, title, detectedLevel, modelUsed, learningMode, messages }) =>
+  database.transaction(async (tx) => {
+    const state = { detectedLevel, modelUsed, learningMode };
+    const saved = conversationId
+      ? await tx.conversations.updateTutorState(conversationId, userId, state)
+      : await tx.conversations.create({ userId, subject, title, ...state });
+    if (!saved) return null;
+
+    await appendMessages(tx.conversations, saved.id, messages);
+    return saved.id;
+  });
+
+// Exchange a refresh token for a new token pair (the old refresh token stops working)
+// Presenting an already-rotated token means it leaked - the whole session family is revoked
+const refreshSession = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const session = await repos.sessions.findByTokenHash(hashToken(refreshToken));
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    if (session.revoked_at) {
+      if (session.revoked_reason === 'rotated') {
+        const revoked = await repos.sessions.revokeFamily(session.family_id, 'reuse_detected');
+        console.log(`🚨 Refresh token reuse for user ${session.user_id} - revoked ${revoked} token(s) in session family`);
       }
+      return res.status(401).json({ error: 'Session has ended. Please sign in again.', code: 'SESSION_REVOKED' });
+    }
 
-      vals.push(conversationId);
-      await client.query(`
-        UPDATE conversations
-        SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP
-        WHERE id = $${idx}
-      `, vals);
+    if (new Date(session.expires_at) <= new Date() || session.is_active === false) {
+      return res.status(401).json({ error: 'Session has expired. Please sign in again.' });
+    }
 
-      client.release();
-      res.json({ message: 'Conversation updated' });
-    } catch (dbErr) {
-      client.release();
-      console.error('🚨 Update conversation error:', dbErr);
-      res.status(500).json({ error: 'Failed to update conversation' });
+    // Rotate - only one concurrent refresh can win the UPDATE
+    const newRefreshToken = await database.transaction(async (tx) => {
+      if (!(await tx.sessions.markRotated(session.id))) return null;
+      return issueRefreshToken(tx.sessions, session.user_id, session.family_id, req);
+    });
+
+    if (!newRefreshToken) {
+      await repos.sessions.revokeFamily(session.family_id, 'reuse_detected');
+      console.log(`🚨 Concurrent refresh token reuse for user ${session.user_id} - session family revoked`);
+      return res.status(401).json({ error: 'Session has ended. Please sign in again.', code: 'SESSION_REVOKED' });
     }
+
+    const user = { ...session, id: session.user_id };
+    res.json(buildTokenResponse(user, session.family_id, newRefreshToken));
   } catch (e) {
-    console.error('🚨 Update conversation error:', e);
-    res.status(500).json({ error: 'Failed to update conversation' });
+    console.error('🚨 Refresh session error:', e);
+    res.status(500).json({ error: 'Failed to refresh session' });
   }
 };
 
-// Logout (invalidate current token by recording a "used" hash—best effort)
+// Logout - revokes the current session so its refresh and access tokens stop working
 const logoutUser = async (req, res) => {
   try {
-    // Best-effort: no server-side token blacklist here (JWT stateless).
-    // If you maintain sessions, you could mark session expired here.
+    await repos.sessions.revokeFamily(req.user.sid, 'logout', req.user.id);
     res.json({ message: 'Logged out successfully' });
   } catch (e) {
     console.error('🚨 Logout error:', e);
@@ -637,32 +960,66 @@ const logoutUser = async (req, res) => {
   }
 };
 
+// Sign out everywhere - revokes every session for the user, including this one
+const logoutAllSessions = async (req, res) => {
+  try {
+    const revoked = await repos.sessions.revokeAllForUser(req.user.id, 'logout_all');
+    console.log(`🔐 User ${req.user.id} signed out everywhere (${revoked} token(s) revoked)`);
+    res.json({ message: 'Signed out of all devices' });
+  } catch (e) {
+    console.error('🚨 Logout all error:', e);
+    res.status(500).json({ error: 'Failed to sign out of all devices' });
+  }
+};
+
+// List active sessions (one per device/login) from the live refresh token of each family
+const getSessions = async (req, res) => {
+  try {
+    const rows = await repos.sessions.listActive(req.user.id);
+
+    res.json({
+      sessions: rows.map(row => ({
+        id: row.family_id,
+        deviceInfo: row.device_info,
+        ipAddress: row.ip_address,
+        signedInAt: row.signed_in_at,
+        lastUsedAt: row.last_used_at,
+        expiresAt: row.expires_at,
+        current: row.family_id === req.user.sid
+      }))
+    });
+  } catch (e) {
+    console.error('🚨 Get sessions error:', e);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+};
+
+// Sign out one device
+const revokeSession = async (req, res) => {
+  try {
+    const revoked = await repos.sessions.revokeFamily(req.params.sessionId, 'revoked', req.user.id);
+    if (revoked === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ message: 'Session revoked' });
+  } catch (e) {
+    console.error('🚨 Revoke session error:', e);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+};
+
 /**
  * Mentor/Learner utilities
  */
 
+// True when the mentor has an active link to the learner
+const hasActiveMentorLink = (mentorId, learnerId) => repos.links.isActive(mentorId, learnerId);
+
 // Get linked mentors for a learner
 const getLinkedMentors = async (req, res) => {
   try {
-    const learnerId = req.user.id;
-
-    const client = await pool.connect();
-    try {
-      const result = await client.query(`
-        SELECT u.id, u.email, u.username, u.display_name, u.user_type, u.skill_level
-        FROM mentor_learner_links mll
-        JOIN users u ON u.id = mll.mentor_id
-        WHERE mll.learner_id = $1 AND mll.status = 'active'
-        ORDER BY u.display_name ASC NULLS LAST, u.email ASC
-      `, [learnerId]);
-
-      client.release();
-      res.json({ mentors: result.rows });
-    } catch (dbErr) {
-      client.release();
-      console.error('🚨 Failed to get linked mentors:', dbErr);
-      res.status(500).json({ error: 'Failed to get linked mentors' });
-    }
+    const mentors = await repos.links.listMentors(req.user.id);
+    res.json({ mentors });
   } catch (e) {
     console.error('🚨 Failed to get linked mentors:', e);
     res.status(500).json({ error: 'Failed to get linked mentors' });
@@ -672,67 +1029,230 @@ const getLinkedMentors = async (req, res) => {
 // Get linked learners for a mentor
 const getLinkedLearners = async (req, res) => {
   try {
-    const mentorId = req.user.id;
-
-    const client = await pool.connect();
-    try {
-      const result = await client.query(`
-        SELECT u.id, u.email, u.username, u.display_name, u.user_type, u.skill_level
-        FROM mentor_learner_links mll
-        JOIN users u ON u.id = mll.learner_id
-        WHERE mll.mentor_id = $1 AND mll.status = 'active'
-        ORDER BY u.display_name ASC NULLS LAST, u.email ASC
-      `, [mentorId]);
-
-      client.release();
-      res.json({ learners: result.rows });
-    } catch (dbErr) {
-      client.release();
-      console.error('🚨 Failed to get linked learners:', dbErr);
-      res.status(500).json({ error: 'Failed to get linked learners' });
-    }
+    const learners = await repos.links.listLearners(req.user.id);
+    res.json({ learners });
   } catch (e) {
     console.error('🚨 Failed to get linked learners:', e);
     res.status(500).json({ error: 'Failed to get linked learners' });
   }
 };
 
-// Utility to generate short uppercase codes
-const genCode = () => Math.random().toString(36).slice(2, 8).toUpperCase();
+// Invitation codes: 10 characters from an alphabet without look-alikes (0/O, 1/I/L)
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 10;
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS, 10) || 7;
+const MAX_OUTSTANDING_INVITATIONS = 5;
+
+// Lockout after repeated bad codes
+const MAX_FAILED_INVITE_ATTEMPTS = 5;
+const INVITE_ATTEMPT_WINDOW_MS = 15 * 60 * 1000;
+const INVITE_LOCKOUT_MS = 15 * 60 * 1000;
+
+const genCode = () => Array.from(
+  { length: INVITE_CODE_LENGTH },
+  () => INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)]
+).join('');
+
+// Accept codes typed with spaces, dashes or lowercase
+const normalizeCode = (code) => String(code || '').toUpperCase().replace(/[\s-]/g, '');
+
+const formatInvitation = (row) => ({
+  id: row.id,
+  invitationCode: row.invitation_code,
+  initiatedBy: row.mentor_id ? 'mentor' : 'learner',
+  createdAt: row.created_at,
+  expiresAt: row.expires_at
+});
 
-// Create mentor invitation (learner creates a code to share with a mentor)
-const createMentorInvitation = async (req, res) => {
+// Create a pending code for the other side to redeem; learner codes leave mentor_id empty and vice versa
+const createInvitationCode = async (links, user) => {
+  const outstanding = await links.countPendingInvitations(user.id);
+  if (outstanding >= MAX_OUTSTANDING_INVITATIONS) {
+    return { status: 409, error: `You already have ${MAX_OUTSTANDING_INVITATIONS} open invitations. Revoke one before creating another.` };
+  }
+
+  const isMentor = user.userType === 'mentor';
+  const expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 3600 * 1000);
+
+  // Collisions are vanishingly rare, but the code column is unique - retry a couple of times
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const invitation = await links.createInvitation({
+      mentorId: isMentor ? user.id : null,
+      learnerId: isMentor ? null : user.id,
+      code: genCode(),
+      createdBy: user.id,
+      expiresAt
+    });
+    if (invitation) return { invitation };
+  }
+  throw new Error('Could not generate a unique invitation code');
+};
+
+// Record a bad code; returns the lockout end when the user is now locked out
+const recordFailedInviteAttempt = async (links, userId) => {
+  const now = Date.now();
+  const row = await links.recordFailedInviteAttempt(userId, {
+    now: new Date(now),
+    windowStart: new Date(now - INVITE_ATTEMPT_WINDOW_MS),
+    maxAttempts: MAX_FAILED_INVITE_ATTEMPTS,
+    lockedUntil: new Date(now + INVITE_LOCKOUT_MS)
+  });
+
+  const lockedUntil = row && row.locked_until ? new Date(row.locked_until) : null;
+  if (lockedUntil) console.log(`🔒 User ${userId} locked out of invitation codes until ${lockedUntil.toISOString()}`);
+  return lockedUntil;
+};
+
+// Seconds left on an invitation lockout, or 0
+const inviteLockoutRemaining = async (links, userId) => {
+  const lockedUntil = (await links.getInviteAttempts(userId))?.locked_until;
+  if (!lockedUntil) return 0;
+  return Math.max(0, Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 1000));
+};
+
+// Redeem a pending code created by the other role; returns { link } or { status, error, badCode }
+const redeemInvitation = async (links, rawCode, user) => {
+  const code = normalizeCode(rawCode);
+  const isMentor = user.userType === 'mentor';
+
+  const invitation = await links.findPendingByCode(code);
+
+  // Codes from the same role are treated like unknown codes
+  const redeemable = invitation &&
+    new Date(invitation.expires_at) > new Date() &&
+    (isMentor ? invitation.mentor_id === null : invitation.learner_id === null);
+  if (!redeemable) {
+    return { status: 404, error: 'Invitation code is invalid or has expired', badCode: true };
+  }
+  if (invitation.created_by === user.id) {
+    return { status: 400, error: 'You cannot accept your own invitation' };
+  }
+
+  const mentorId = isMentor ? user.id : invitation.mentor_id;
+  const learnerId = isMentor ? invitation.learner_id : user.id;
+
+  if (await links.isActive(mentorId, learnerId)) {
+    return { status: 409, error: 'You are already linked' };
+  }
+
+  const link = await links.activate(invitation.id, mentorId, learnerId);
+  if (!link) {
+    return { status: 404, error: 'Invitation code is invalid or has expired', badCode: true };
+  }
+  return { link };
+};
+
+// Shared create handler - learners invite mentors, mentors invite learners
+const createInvitationHandler = (role) => async (req, res) => {
   try {
-    // Only learners should be allowed to create an invite code that mentors can redeem
-    if (req.user.userType !== 'learner') {
-      return res.status(403).json({ error: 'Only learners can create mentor invitations' });
+    if (req.user.userType !== role) {
+      return res.status(403).json({
+        error: role === 'learner' ? 'Only learners can create mentor invitations' : 'Only mentors can create learner invitations'
+      });
     }
 
-    const learnerId = req.user.id;
-    const code = genCode();
+    if (REQUIRE_VERIFIED_EMAIL_FOR_LINKING && !(await isEmailVerified(req.user.id))) {
+      return res.status(403).json({ error: 'Please verify your email address before creating an invitation', code: 'EMAIL_NOT_VERIFIED' });
+    }
 
-    const client = await pool.connect();
-    try {
-      // Insert a pending link with code
-      const result = await client.query(`
-        INSERT INTO mentor_learner_links (mentor_id, learner_id, status, invitation_code)
-        VALUES (NULL, $1, 'pending', $2)
-        RETURNING id, invitation_code, created_at
-      `, [learnerId, code]);
-
-      client.release();
-      res.status(201).json({
-        invitationCode: result.rows[0].invitation_code,
-        createdAt: result.rows[0].created_at
+    const created = await createInvitationCode(repos.links, req.user);
+    if (created.error) {
+      return res.status(created.status).json({ error: created.error });
+    }
+
+    const invitation = created.invitation;
+    res.status(201).json({
+      id: invitation.id,
+      invitationCode: invitation.invitation_code,
+      createdAt: invitation.created_at,
+      expiresAt: invitation.expires_at
+    });
+  } catch (e) {
+    console.error('🚨 Create invitation error:', e);
+    res.status(500).json({ error: 'Failed to create invitation' });
+  }
+};
+
+// Create mentor invitation (learner creates a code to share with a mentor)
+const createMentorInvitation = createInvitationHandler('learner');
+
+// Create learner invitation (mentor creates a code the learner approves)
+const createLearnerInvitation = createInvitationHandler('mentor');
+
+// Shared redeem handler - mentors accept learner codes, learners approve mentor codes
+const redeemInvitationHandler = (role) => async (req, res) => {
+  try {
+    if (req.user.userType !== role) {
+      return res.status(403).json({
+        error: role === 'mentor' ? 'Only mentors can accept mentor invitations' : 'Only learners can approve mentor invitations'
       });
-    } catch (dbErr) {
-      client.release();
-      console.error('🚨 Create mentor invitation error:', dbErr);
-      res.status(500).json({ error: 'Failed to create mentor invitation' });
     }
+
+    const lockedFor = await inviteLockoutRemaining(repos.links, req.user.id);
+    if (lockedFor > 0) {
+      res.set('Retry-After', String(lockedFor));
+      return res.status(429).json({ error: 'Too many invalid invitation codes. Please try again later.', retryAfter: lockedFor });
+    }
+
+    if (REQUIRE_VERIFIED_EMAIL_FOR_LINKING && !(await isEmailVerified(req.user.id))) {
+      return res.status(403).json({ error: 'Please verify your email address before linking', code: 'EMAIL_NOT_VERIFIED' });
+    }
+
+    const redeemed = await redeemInvitation(repos.links, req.params.code, req.user);
+
+    if (redeemed.badCode) {
+      await recordFailedInviteAttempt(repos.links, req.user.id);
+    } else if (redeemed.link) {
+      await repos.links.clearInviteAttempts(req.user.id);
+    }
+
+    if (redeemed.error) {
+      return res.status(redeemed.status).json({ error: redeemed.error });
+    }
+
+    console.log(`🔗 Mentor ${redeemed.link.mentor_id} linked to learner ${redeemed.link.learner_id}`);
+    res.json({
+      message: 'Successfully linked',
+      mentorId: redeemed.link.mentor_id,
+      learnerId: redeemed.link.learner_id,
+      acceptedAt: redeemed.link.accepted_at
+    });
+  } catch (e) {
+    console.error('🚨 Redeem invitation error:', e);
+    res.status(500).json({ error: 'Failed to redeem invitation' });
+  }
+};
+
+// POST /api/mentors/invitations/:code/accept - existing mentor redeems a learner's code
+const acceptMentorInvitation = redeemInvitationHandler('mentor');
+
+// POST /api/mentors/invitations/:code/approve - learner approves a mentor's code
+const approveMentorInvitation = redeemInvitationHandler('learner');
+
+// List the caller's open (pending, unexpired) invitations
+const getPendingInvitations = async (req, res) => {
+  try {
+    const rows = await repos.links.listPendingInvitations(req.user.id);
+    res.json({ invitations: rows.map(formatInvitation) });
+  } catch (e) {
+    console.error('🚨 Get invitations error:', e);
+    res.status(500).json({ error: 'Failed to fetch invitations' });
+  }
+};
+
+// Revoke one of the caller's pending invitations
+const revokeInvitation = async (req, res) => {
+  try {
+    const invitationId = parseInt(req.params.invitationId, 10);
+    if (Number.isNaN(invitationId)) return res.status(400).json({ error: 'Invalid invitation id' });
+
+    if (!(await repos.links.revokeInvitation(invitationId, req.user.id))) {
+      return res.status(404).json({ error: 'Pending invitation not found' });
+    }
+    res.json({ message: 'Invitation revoked' });
   } catch (e) {
-    console.error('🚨 Create mentor invitation error:', e);
-    res.status(500).json({ error: 'Failed to create mentor invitation' });
+    console.error('🚨 Revoke invitation error:', e);
+    res.status(500).json({ error: 'Failed to revoke invitation' });
   }
 };
 
@@ -747,26 +1267,11 @@ const unlinkMentor = async (req, res) => {
     // Typically, learners call this endpoint to remove a mentor
     const learnerId = req.user.id;
 
-    const client = await pool.connect();
-    try {
-      const del = await client.query(`
-        DELETE FROM mentor_learner_links
-        WHERE learner_id = $1 AND mentor_id = $2
-        RETURNING id
-      `, [learnerId, requestedMentorId]);
-
-      client.release();
-
-      if (del.rows.length === 0) {
-        return res.status(404).json({ error: 'Link not found or already removed' });
-      }
-
-      res.json({ message: 'Successfully unlinked mentor' });
-    } catch (dbErr) {
-      client.release();
-      console.error('🚨 Failed to unlink mentor:', dbErr);
-      res.status(500).json({ error: 'Failed to unlink mentor' });
+    if (!(await repos.links.revokeLink(requestedMentorId, learnerId, learnerId))) {
+      return res.status(404).json({ error: 'Link not found or already removed' });
     }
+
+    res.json({ message: 'Successfully unlinked mentor' });
   } catch (e) {
     console.error('🚨 Failed to unlink mentor:', e);
     res.status(500).json({ error: 'Failed to unlink mentor' });
@@ -784,36 +1289,13 @@ const getLearnerConversations = async (req, res) => {
     const learnerId = parseInt(req.params.learnerId, 10);
     if (Number.isNaN(learnerId)) return res.status(400).json({ error: 'Invalid learner id' });
 
-    const client = await pool.connect();
-    try {
-      // Check link
-      const linkRes = await client.query(`
-        SELECT 1
-        FROM mentor_learner_links
-        WHERE mentor_id = $1 AND learner_id = $2 AND status = 'active'
-      `, [mentorId, learnerId]);
-
-      if (linkRes.rows.length === 0) {
-        client.release();
-        return res.status(403).json({ error: 'No access to this learner' });
-      }
-
-      // Fetch conversations
-      const convos = await client.query(`
-        SELECT id, subject, title, detected_level, model_used, learning_mode,
-               is_archived, tags, created_at, updated_at
-        FROM conversations
-        WHERE user_id = $1
-        ORDER BY created_at DESC
-      `, [learnerId]);
-
-      client.release();
-      res.json({ conversations: convos.rows });
-    } catch (dbErr) {
-      client.release();
-      console.error('🚨 Failed to get learner conversations:', dbErr);
-      res.status(500).json({ error: 'Failed to get learner conversations' });
+    // Check link
+    if (!(await repos.links.isActive(mentorId, learnerId))) {
+      return res.status(403).json({ error: 'No access to this learner' });
     }
+
+    const conversations = await repos.conversations.listByUser(learnerId);
+    res.json({ conversations });
   } catch (e) {
     console.error('🚨 Failed to get learner conversations:', e);
     res.status(500).json({ error: 'Failed to get learner conversations' });
@@ -823,6 +1305,7 @@ const getLearnerConversations = async (req, res) => {
 module.exports = {
   initializeDatabase,
   authenticateToken,
+  requireAdminKey,
   registerUser,
   loginUser,
   getUserProfile,
@@ -830,12 +1313,35 @@ module.exports = {
   getUserConversations,
   getConversation,
   updateConversation,
+  getConversationMessages,
+  appendConversationMessages,
   logoutUser,
+  refreshSession,
+  logoutAllSessions,
+  getSessions,
+  revokeSession,
+  requestEmailVerification,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+  changePassword,
   // Updated exports for mentor-learner linking
   getLinkedMentors,
   getLinkedLearners,
   createMentorInvitation,
+  createLearnerInvitation,
+  acceptMentorInvitation,
+  approveMentorInvitation,
+  getPendingInvitations,
+  revokeInvitation,
   unlinkMentor,
   getLearnerConversations,
-  pool // Export pool for use in server.js
-};
\ No newline at end of file
+  // Conversation helpers for the tutor endpoint
+  parseMessages,
+  findOwnedConversation,
+  storeTutorExchange,
+  loadConversationMessages,
+  hasActiveMentorLink,
+  database, // Selected backend (see repositories/index.js)
+  pool // pg pool for the Postgres-only scripts
+};
@@ -0,0 +1,101 @@
+// conversationSearch.js - Full-text search over conversation history
+const { database } = require('./auth');
+
+const { repositories: repos } = database;
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const encodeCursor = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const value = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Number.isInteger(value.id)) return null;
+    if (value.rank !== undefined && typeof value.rank !== 'number') return null;
+    return value;
+  } catch (e) {
+    return null;
+  }
+};
+
+// The caller's filters from the query string
+const parseFilters = (query) => ({
+  subject: query.subject || null,
+  mode: query.mode || null,
+  tags: query.tags ? String(query.tags).split(',').map(tag => tag.trim()).filter(Boolean) : [],
+  archived: query.archived === 'true' || query.archived === 'false' ? query.archived === 'true' : null,
+  from: query.from || null,
+  to: query.to || null
+});
+
+// Whose conversations are searched: your own, one linked learner, or (learnerId=all) every linked learner
+const resolveScope = async (user, learnerIdParam) => {
+  if (!learnerIdParam) return { scope: { userId: user.id } };
+
+  if (user.userType !== 'mentor') {
+    return { status: 403, error: 'Only mentors can search learner conversations' };
+  }
+
+  if (learnerIdParam === 'all') return { scope: { mentorId: user.id } };
+
+  const learnerId = parseInt(learnerIdParam, 10);
+  if (Number.isNaN(learnerId)) return { status: 400, error: 'Invalid learner id' };
+
+  if (!(await repos.links.isActive(user.id, learnerId))) {
+    return { status: 403, error: 'No access to this learner' };
+  }
+
+  return { scope: { userId: learnerId } };
+};
+
+// GET /api/conversations/search?q=&subject=&mode=&tags=&archived=&from=&to=&learnerId=&limit=&cursor=
+// With q: ranked by relevance with snippets. Without q: newest first.
+const searchConversations = async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (q.length > 200) return res.status(400).json({ error: 'Search query is too long' });
+
+    for (const key of ['from', 'to']) {
+      if (req.query[key] && !DATE_RE.test(req.query[key])) {
+        return res.status(400).json({ error: `Invalid "${key}" date, expected YYYY-MM-DD` });
+      }
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor);
+      if (!cursor || (q && cursor.rank === undefined)) return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const lookup = await resolveScope(req.user, req.query.learnerId);
+    if (lookup.error) return res.status(lookup.status).json({ error: lookup.error });
+
+    // One extra row tells us whether there is a next page
+    const found = await repos.conversationSearch.search({
+      scope: lookup.scope,
+      filters: parseFilters(req.query),
+      q,
+      cursor,
+      limit: limit + 1
+    });
+
+    const rows = found.slice(0, limit);
+    const last = rows[rows.length - 1];
+    const nextCursor = found.length > limit
+      ? encodeCursor(q ? { rank: last.rank, id: last.id } : { id: last.id })
+      : null;
+
+    res.json({ conversations: rows, nextCursor });
+  } catch (e) {
+    console.error('🚨 Search conversations error:', e);
+    res.status(500).json({ error: 'Failed to search conversations' });
+  }
+};
+
+module.exports = {
+  searchConversations
+};
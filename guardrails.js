@@ -0,0 +1,331 @@
+// guardrails.js - Mentor-controlled limits on how a linked learner uses the tutor
+// Allowed subjects, daily/weekly message caps, quiet hours in the learner's time zone and a
+// maximum skill level. The tutor, quiz and review-card routes check them before any model call
+// and count each request in learner_message_usage, so limits survive restarts.
+const { database } = require('./auth');
+const { SKILL_LEVELS } = require('./skillEstimator');
+
+const { repositories: repos } = database;
+
+const MAX_ALLOWED_SUBJECTS = 50;
+const MAX_MESSAGE_LIMIT = 10000;
+const CLOCK_TIME = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const DAY_SECONDS = 24 * 60 * 60;
+
+const normalizeSubject = (subject) => String(subject || '').trim().toLowerCase().slice(0, 100);
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const toMinutes = (clock) => {
+  const [, hours, minutes] = CLOCK_TIME.exec(clock);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+// Shift a 'YYYY-MM-DD' date by whole days
+const addDays = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+// The learner's wall clock: local date, minutes and seconds past midnight, weekday (Monday = 0)
+const localClock = (timeZone, now = new Date()) => {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23'
+  });
+  for (const part of formatter.formatToParts(now)) parts[part.type] = part.value;
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    seconds: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+const formatGuardrails = (row, learnerId) => ({
+  learnerId,
+  allowedSubjects: row ? row.allowed_subjects : null,
+  dailyMessageLimit: row ? row.daily_message_limit : null,
+  weeklyMessageLimit: row ? row.weekly_message_limit : null,
+  quietHours: row && row.quiet_hours_start ? { start: row.quiet_hours_start, end: row.quiet_hours_end } : null,
+  timeZone: row ? row.time_zone : 'UTC',
+  maxSkillLevel: row ? row.max_skill_level : null,
+  updatedBy: row ? row.updated_by : null,
+  updatedAt: row ? row.updated_at : null
+});
+
+// Messages counted for the clock's day and week (weeks start on Monday)
+const countUsage = async (learnerId, clock) => {
+  const weekStart = addDays(clock.date, -clock.weekday);
+  const [today, thisWeek] = await Promise.all([
+    repos.guardrails.countMessages(learnerId, clock.date, clock.date),
+    repos.guardrails.countMessages(learnerId, weekStart, clock.date)
+  ]);
+  return { date: clock.date, weekStart, today, thisWeek };
+};
+
+// Messages counted for today and this week in the learner's time zone
+const loadUsage = (learnerId, guardrails, now = new Date()) => countUsage(learnerId, localClock(guardrails.timeZone, now));
+
+// Messages still allowed today under the daily and weekly caps, or null when neither is set.
+// Earlier days this week can't change any more, so the weekly cap is a cap on today's count too.
+const remainingToday = async (learnerId, guardrails, clock) => {
+  let limit = guardrails.dailyMessageLimit;
+  if (guardrails.weeklyMessageLimit) {
+    const weekStart = addDays(clock.date, -clock.weekday);
+    const earlier = clock.weekday === 0
+      ? 0
+      : await repos.guardrails.countMessages(learnerId, weekStart, addDays(clock.date, -1));
+    const weekly = guardrails.weeklyMessageLimit - earlier;
+    limit = limit ? Math.min(limit, weekly) : weekly;
+  }
+  return limit;
+};
+
+// Validate a PUT body and merge it into the current settings; omitted fields keep their value
+const mergeGuardrailChanges = (current, body = {}) => {
+  const next = {
+    allowedSubjects: current.allowedSubjects,
+    dailyMessageLimit: current.dailyMessageLimit,
+    weeklyMessageLimit: current.weeklyMessageLimit,
+    quietHoursStart: current.quietHours ? current.quietHours.start : null,
+    quietHoursEnd: current.quietHours ? current.quietHours.end : null,
+    timeZone: current.timeZone,
+    maxSkillLevel: current.maxSkillLevel
+  };
+
+  if (body.allowedSubjects !== undefined) {
+    const subjects = body.allowedSubjects;
+    if (subjects !== null && (!Array.isArray(subjects) || subjects.length > MAX_ALLOWED_SUBJECTS ||
+        subjects.some(subject => typeof subject !== 'string' || !subject.trim()))) {
+      return { error: `allowedSubjects must be null or a list of up to ${MAX_ALLOWED_SUBJECTS} subject names` };
+    }
+    next.allowedSubjects = subjects === null ? null : [...new Set(subjects.map(normalizeSubject))];
+  }
+
+  for (const field of ['dailyMessageLimit', 'weeklyMessageLimit']) {
+    if (body[field] === undefined) continue;
+    const limit = body[field];
+    if (limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > MAX_MESSAGE_LIMIT)) {
+      return { error: `${field} must be null or a whole number from 1 to ${MAX_MESSAGE_LIMIT}` };
+    }
+    next[field] = limit;
+  }
+
+  if (body.quietHours !== undefined) {
+    const quietHours = body.quietHours;
+    if (quietHours !== null && (typeof quietHours !== 'object' ||
+        !CLOCK_TIME.test(quietHours.start) || !CLOCK_TIME.test(quietHours.end) ||
+        quietHours.start === quietHours.end)) {
+      return { error: 'quietHours must be null or { start, end } as different HH:MM times' };
+    }
+    next.quietHoursStart = quietHours ? quietHours.start : null;
+    next.quietHoursEnd = quietHours ? quietHours.end : null;
+  }
+
+  if (body.timeZone !== undefined) {
+    if (typeof body.timeZone !== 'string' || !isValidTimeZone(body.timeZone)) {
+      return { error: 'timeZone must be an IANA time zone such as Europe/London' };
+    }
+    next.timeZone = body.timeZone;
+  }
+
+  if (body.maxSkillLevel !== undefined) {
+    if (body.maxSkillLevel !== null && !SKILL_LEVELS.includes(body.maxSkillLevel)) {
+      return { error: `maxSkillLevel must be null or one of: ${SKILL_LEVELS.join(', ')}` };
+    }
+    next.maxSkillLevel = body.maxSkillLevel;
+  }
+
+  return { settings: next };
+};
+
+const blocked = (status, code, error, extra = {}) => ({ blocked: true, status, body: { error, code, ...extra } });
+
+// The 429 for a used-up daily or weekly cap, or null
+const limitReached = (guardrails, usage, clock) => {
+  const untilMidnight = DAY_SECONDS - clock.minutes * 60 - clock.seconds;
+
+  if (guardrails.dailyMessageLimit && usage.today >= guardrails.dailyMessageLimit) {
+    return blocked(429, 'DAILY_LIMIT_REACHED',
+      `You've used all ${guardrails.dailyMessageLimit} of today's messages. Come back tomorrow!`,
+      { retryAfter: untilMidnight, guardrail: { limit: guardrails.dailyMessageLimit, used: usage.today, timeZone: guardrails.timeZone } });
+  }
+  if (guardrails.weeklyMessageLimit && usage.thisWeek >= guardrails.weeklyMessageLimit) {
+    return blocked(429, 'WEEKLY_LIMIT_REACHED',
+      `You've used all ${guardrails.weeklyMessageLimit} of this week's messages. They reset on Monday!`,
+      { retryAfter: (6 - clock.weekday) * DAY_SECONDS + untilMidnight, guardrail: { limit: guardrails.weeklyMessageLimit, used: usage.thisWeek, timeZone: guardrails.timeZone } });
+  }
+  return null;
+};
+
+// Check a tutor message against the learner's guardrails. Returns { blocked: false, guardrails, clock }
+// or { blocked: true, status, body } - body is { error, code, retryAfter?, guardrail } for the app to show.
+// Codes: SUBJECT_NOT_ALLOWED, QUIET_HOURS, DAILY_LIMIT_REACHED, WEEKLY_LIMIT_REACHED
+const checkGuardrails = async (learnerId, subject, now = new Date()) => {
+  const guardrails = formatGuardrails(await repos.guardrails.find(learnerId), learnerId);
+  const clock = localClock(guardrails.timeZone, now);
+
+  if (guardrails.allowedSubjects && !guardrails.allowedSubjects.includes(normalizeSubject(subject))) {
+    return blocked(403, 'SUBJECT_NOT_ALLOWED',
+      `Your mentor hasn't turned on ${subject} yet. You can ask about: ${guardrails.allowedSubjects.join(', ')}`,
+      { guardrail: { subject, allowedSubjects: guardrails.allowedSubjects } });
+  }
+
+  if (guardrails.quietHours) {
+    const start = toMinutes(guardrails.quietHours.start);
+    const end = toMinutes(guardrails.quietHours.end);
+    const quiet = start < end
+      ? clock.minutes >= start && clock.minutes < end
+      : clock.minutes >= start || clock.minutes < end;
+    if (quiet) {
+      const retryAfter = ((end - clock.minutes + 1440) % 1440) * 60 - clock.seconds;
+      return blocked(403, 'QUIET_HOURS',
+        `It's quiet time right now. Lilibet will be back at ${guardrails.quietHours.end}.`,
+        { retryAfter, guardrail: { quietHours: guardrails.quietHours, timeZone: guardrails.timeZone } });
+    }
+  }
+
+  if (guardrails.dailyMessageLimit || guardrails.weeklyMessageLimit) {
+    const reached = limitReached(guardrails, await countUsage(learnerId, clock), clock);
+    if (reached) return reached;
+  }
+
+  return { blocked: false, guardrails, clock };
+};
+
+// Count a message that passed checkGuardrails. The cap is enforced again by the counting write
+// itself, so two requests racing for the last message can't both get it; the loser gets the same
+// 429 as checkGuardrails. Returns { blocked: false } or a blocked result.
+const recordGuardedMessage = async (learnerId, check) => {
+  const { guardrails, clock } = check;
+  const limit = await remainingToday(learnerId, guardrails, clock);
+  if (await repos.guardrails.recordMessage(learnerId, clock.date, limit)) {
+    return { blocked: false };
+  }
+
+  return limitReached(guardrails, await countUsage(learnerId, clock), clock);
+};
+
+// Answer a request that a guardrail blocked
+const sendGuardrailBlock = (res, check) => {
+  if (check.body.retryAfter) res.set('Retry-After', String(check.body.retryAfter));
+  console.log(`🚧 Request from a guarded learner blocked: ${check.body.code}`);
+  return res.status(check.status).json(check.body);
+};
+
+// Check and count one request that calls a model for the learner (quizzes, review cards);
+// answers the request and returns null when a guardrail blocks it, otherwise the check
+const admitGuardedRequest = async (req, res, subject) => {
+  const check = await checkGuardrails(req.user.id, subject);
+  const admitted = check.blocked ? check : await recordGuardedMessage(req.user.id, check);
+  if (admitted.blocked) {
+    sendGuardrailBlock(res, admitted);
+    return null;
+  }
+  return check;
+};
+
+// Lower a resolved skill level ({ level, source }) to the mentor's maximum
+const capSkillLevel = (skill, guardrails) => {
+  const max = guardrails && guardrails.maxSkillLevel;
+  if (!max || SKILL_LEVELS.indexOf(skill.level) <= SKILL_LEVELS.indexOf(max)) return skill;
+  return { level: max, source: 'mentor_limit' };
+};
+
+// GET /api/guardrails - the learner's own limits and usage
+const getMyGuardrails = async (req, res) => {
+  try {
+    const guardrails = formatGuardrails(await repos.guardrails.find(req.user.id), req.user.id);
+    res.json({ guardrails, usage: await loadUsage(req.user.id, guardrails) });
+  } catch (e) {
+    console.error('🚨 Get guardrails error:', e);
+    res.status(500).json({ error: 'Failed to fetch guardrails' });
+  }
+};
+
+// Mentor routes: the learner id from the path, or null after answering the request
+const resolveMentorLearner = async (req, res) => {
+  if (req.user.userType !== 'mentor') {
+    res.status(403).json({ error: 'Only mentors can manage learner guardrails' });
+    return null;
+  }
+
+  const learnerId = parseInt(req.params.learnerId, 10);
+  if (Number.isNaN(learnerId)) {
+    res.status(400).json({ error: 'Invalid learner id' });
+    return null;
+  }
+
+  if (!(await repos.links.isActive(req.user.id, learnerId))) {
+    res.status(403).json({ error: 'No access to this learner' });
+    return null;
+  }
+
+  return learnerId;
+};
+
+// GET /api/learners/:learnerId/guardrails
+const getLearnerGuardrails = async (req, res) => {
+  try {
+    const learnerId = await resolveMentorLearner(req, res);
+    if (learnerId === null) return;
+
+    const guardrails = formatGuardrails(await repos.guardrails.find(learnerId), learnerId);
+    res.json({ guardrails, usage: await loadUsage(learnerId, guardrails) });
+  } catch (e) {
+    console.error('🚨 Get learner guardrails error:', e);
+    res.status(500).json({ error: 'Failed to fetch guardrails' });
+  }
+};
+
+// PUT /api/learners/:learnerId/guardrails
+// { allowedSubjects?, dailyMessageLimit?, weeklyMessageLimit?, quietHours?: { start, end }, timeZone?, maxSkillLevel? }
+// null clears a setting; any linked mentor can change them and the latest change wins
+const updateLearnerGuardrails = async (req, res) => {
+  try {
+    const learnerId = await resolveMentorLearner(req, res);
+    if (learnerId === null) return;
+
+    const current = formatGuardrails(await repos.guardrails.find(learnerId), learnerId);
+    const merged = mergeGuardrailChanges(current, req.body);
+    if (merged.error) return res.status(400).json({ error: merged.error });
+
+    const row = await repos.guardrails.save(learnerId, { ...merged.settings, updatedBy: req.user.id });
+    const guardrails = formatGuardrails(row, learnerId);
+    console.log(`🚧 Mentor ${req.user.id} updated guardrails for learner ${learnerId}`);
+    res.json({ guardrails, usage: await loadUsage(learnerId, guardrails) });
+  } catch (e) {
+    console.error('🚨 Update guardrails error:', e);
+    res.status(500).json({ error: 'Failed to update guardrails' });
+  }
+};
+
+module.exports = {
+  localClock,
+  checkGuardrails,
+  recordGuardedMessage,
+  sendGuardrailBlock,
+  admitGuardedRequest,
+  capSkillLevel,
+  getMyGuardrails,
+  getLearnerGuardrails,
+  updateLearnerGuardrails
+};
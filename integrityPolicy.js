@@ -0,0 +1,255 @@
+// integrityPolicy.js - Mentor-set academic integrity rules per learner
+// A linked mentor can require hints only, forbid full solutions or require the learner to show
+// their work. The rules go into the tutor prompt (learningEngine.js) and every reply is checked
+// afterwards: one that gives the final answer away is regenerated once, then redacted.
+// The decision is recorded in the reply's metadata.integrity so mentors can audit it.
+const { database } = require('./auth');
+
+const { repositories: repos } = database;
+
+const POLICY_OPTIONS = ['hintsOnly', 'noFullSolutions', 'showWorkRequired'];
+
+// Signs that a reply states the answer; patterns run against lowercased text without markdown
+// emphasis. A reply's score is the sum of its matched weights.
+const GIVEAWAY_RULES = [
+  { name: 'answer_statement', pattern: /\b(?:the|your|final|correct)\s+(?:final\s+)?(?:answer|solution|result)\s+(?:is|would be|should be|=)/, weight: 0.6 },
+  { name: 'answer_label', pattern: /^\s*(?:final\s+)?(?:answer|solution|result)\s*[:=]/m, weight: 0.6 },
+  { name: 'boxed_answer', pattern: /\\boxed\{/, weight: 0.6 },
+  { name: 'solved_value', pattern: /\b(?:so|therefore|thus|hence|gives|get|equals)\b[^.\n]{0,40}?\b[a-z]\s*=\s*-?\d[\d.,/]*(?:\s*[.!\n]|\s*$)/m, weight: 0.5 },
+  { name: 'closing_result', pattern: /=\s*-?\d[\d.,/]*\s*\.?\s*$/, weight: 0.3 },
+  // Several "= <number>" steps in a row - a worked solution rather than a hint
+  { name: 'worked_steps', pattern: /=\s*-?\d/g, minMatches: 3, weight: 0.3 }
+];
+
+// Scores at or above these break the policy; hints-only also rules out worked steps
+const THRESHOLDS = {
+  hintsOnly: 0.3,
+  noFullSolutions: 0.5,
+  showWorkRequired: 0.5
+};
+
+const normalizeText = (text) => String(text || '').replace(/[*_`]/g, '').toLowerCase();
+
+// Learner messages that include their own attempt - show-work-required lets the tutor check those.
+// A single "=" is usually just the problem, so written-out working needs at least two lines of it.
+const SHOWED_WORK = /\bi (?:got|tried|think|did|calculated|worked out|solved)\b|\bmy (?:answer|work|working|attempt|steps?)\b/;
+const MIN_WORKING_LINES = 2;
+
+const learnerShowedWork = (message) => {
+  const normalized = normalizeText(message);
+  return SHOWED_WORK.test(normalized) ||
+    normalized.split('\n').filter(line => line.includes('=')).length >= MIN_WORKING_LINES;
+};
+
+// Anything in a sentence that looks like a result is dropped when redacting
+const RESULT_IN_SENTENCE = /=\s*-?\d|\\boxed\{/;
+
+const REDACTION_NOTES = {
+  showWork: "I've left out the final answer. Show me how you'd work it out and I'll check your steps!",
+  default: "I've left out the final answer so you can work it out yourself - give the last step a try and tell me what you get!"
+};
+
+const isPolicyActive = (policy) => Boolean(policy) && POLICY_OPTIONS.some(option => policy[option]);
+
+const formatPolicy = (row, learnerId) => ({
+  learnerId,
+  hintsOnly: row ? row.hints_only : false,
+  noFullSolutions: row ? row.no_full_solutions : false,
+  showWorkRequired: row ? row.show_work_required : false,
+  updatedBy: row ? row.updated_by : null,
+  updatedAt: row ? row.updated_at : null
+});
+
+// The learner's policy, or null when their mentors haven't set any rules
+const loadIntegrityPolicy = async (learnerId) => {
+  const policy = formatPolicy(await repos.links.getIntegrityPolicy(learnerId), learnerId);
+  return isPolicyActive(policy) ? policy : null;
+};
+
+const scoreGiveaway = (text) => {
+  const normalized = normalizeText(text).trim();
+  const signals = [];
+  let score = 0;
+
+  for (const rule of GIVEAWAY_RULES) {
+    const matches = rule.minMatches
+      ? (normalized.match(rule.pattern) || []).length >= rule.minMatches
+      : rule.pattern.test(normalized);
+    if (matches) {
+      signals.push(rule.name);
+      score += rule.weight;
+    }
+  }
+
+  return { score: Math.round(Math.min(score, 1) * 100) / 100, signals };
+};
+
+// Check one reply against the policy
+// Returns { violation, score, signals, learnerShowedWork }
+const checkResponse = (response, policy, message) => {
+  const { score, signals } = scoreGiveaway(response);
+  const showedWork = learnerShowedWork(message);
+
+  const violation =
+    (policy.hintsOnly && score >= THRESHOLDS.hintsOnly) ||
+    (policy.noFullSolutions && score >= THRESHOLDS.noFullSolutions) ||
+    (policy.showWorkRequired && !showedWork && score >= THRESHOLDS.showWorkRequired);
+
+  return { violation: Boolean(violation), score, signals, learnerShowedWork: showedWork };
+};
+
+// Drop the sentences that state a result and add a nudge to finish the problem
+const redactResponse = (response, policy) => {
+  const sentences = String(response).match(/[^.!?\n]+[.!?]*\n*|\n+/g) || [];
+  const kept = sentences.filter(sentence => {
+    const normalized = normalizeText(sentence);
+    return !RESULT_IN_SENTENCE.test(normalized) &&
+      !GIVEAWAY_RULES.some(rule => !rule.minMatches && rule.pattern.test(normalized.trim()));
+  });
+
+  const note = policy.showWorkRequired ? REDACTION_NOTES.showWork : REDACTION_NOTES.default;
+  const remaining = kept.join('').replace(/\n{3,}/g, '\n\n').trim();
+  return remaining ? `${remaining}\n\n${note}` : note;
+};
+
+const describePolicy = (policy) => ({
+  hintsOnly: policy.hintsOnly,
+  noFullSolutions: policy.noFullSolutions,
+  showWorkRequired: policy.showWorkRequired,
+  updatedBy: policy.updatedBy
+});
+
+// Replies that didn't come from the model (canned fallbacks, moderation) aren't checked
+const isModelReply = (result) => result.metadata.model !== 'fallback' && result.metadata.model !== 'moderation';
+
+// Run a tutor turn under the learner's integrity policy. generate(retry) produces a reply;
+// retry is { mode, integrityRetry: true } when the first draft broke the policy. If the second
+// draft passes it replaces the first, otherwise the failing draft is redacted. Nothing should reach
+// the learner before this returns - streaming callers generate in one piece under a policy.
+// The result's metadata.integrity has the policy, one check per draft and the action taken.
+const enforceIntegrityPolicy = async ({ policy, message }, generate) => {
+  if (!isPolicyActive(policy)) return generate(null);
+
+  const first = await generate(null);
+  if (!isModelReply(first)) return first;
+
+  const checks = [checkResponse(first.response, policy, message)];
+  const integrity = (action) => ({ policy: describePolicy(policy), checks, action });
+
+  if (!checks[0].violation) {
+    return { ...first, metadata: { ...first.metadata, integrity: integrity('none') } };
+  }
+
+  console.log(`📏 Reply broke the integrity policy for learner ${policy.learnerId} (${checks[0].signals.join(', ')}) - regenerating`);
+
+  let draft = first;
+  try {
+    const retry = await generate({ mode: first.metadata.mode, integrityRetry: true });
+    if (isModelReply(retry)) {
+      checks.push(checkResponse(retry.response, policy, message));
+      if (!checks[1].violation) {
+        return { ...retry, metadata: { ...retry.metadata, integrity: integrity('regenerated') } };
+      }
+      draft = retry;
+    }
+  } catch (error) {
+    console.error('⚠️ Could not regenerate reply for integrity policy:', error.message);
+  }
+
+  console.log(`📏 Redacting answer for learner ${policy.learnerId}`);
+  const response = redactResponse(draft.response, policy);
+  return { ...draft, response, metadata: { ...draft.metadata, integrity: integrity('redacted') } };
+};
+
+const parsePolicyChanges = (body = {}) => {
+  const changes = {};
+  for (const option of POLICY_OPTIONS) {
+    if (body[option] === undefined) continue;
+    if (typeof body[option] !== 'boolean') {
+      return { error: `${option} must be true or false` };
+    }
+    changes[option] = body[option];
+  }
+  if (Object.keys(changes).length === 0) {
+    return { error: `Expected at least one of: ${POLICY_OPTIONS.join(', ')}` };
+  }
+  return { changes };
+};
+
+// GET /api/integrity-policy - the rules the learner's mentors set for them
+const getMyIntegrityPolicy = async (req, res) => {
+  try {
+    const row = await repos.links.getIntegrityPolicy(req.user.id);
+    res.json({ policy: formatPolicy(row, req.user.id) });
+  } catch (e) {
+    console.error('🚨 Get integrity policy error:', e);
+    res.status(500).json({ error: 'Failed to fetch integrity policy' });
+  }
+};
+
+// Mentor routes: the learner id from the path, or null after answering the request
+const resolveMentorLearner = async (req, res) => {
+  if (req.user.userType !== 'mentor') {
+    res.status(403).json({ error: 'Only mentors can manage integrity policies' });
+    return null;
+  }
+
+  const learnerId = parseInt(req.params.learnerId, 10);
+  if (Number.isNaN(learnerId)) {
+    res.status(400).json({ error: 'Invalid learner id' });
+    return null;
+  }
+
+  if (!(await repos.links.isActive(req.user.id, learnerId))) {
+    res.status(403).json({ error: 'No access to this learner' });
+    return null;
+  }
+
+  return learnerId;
+};
+
+// GET /api/learners/:learnerId/integrity-policy
+const getLearnerIntegrityPolicy = async (req, res) => {
+  try {
+    const learnerId = await resolveMentorLearner(req, res);
+    if (learnerId === null) return;
+
+    const row = await repos.links.getIntegrityPolicy(learnerId);
+    res.json({ policy: formatPolicy(row, learnerId) });
+  } catch (e) {
+    console.error('🚨 Get learner integrity policy error:', e);
+    res.status(500).json({ error: 'Failed to fetch integrity policy' });
+  }
+};
+
+// PUT /api/learners/:learnerId/integrity-policy { hintsOnly?, noFullSolutions?, showWorkRequired? }
+// Any linked mentor can change it; the latest change wins and is recorded in updatedBy
+const updateLearnerIntegrityPolicy = async (req, res) => {
+  try {
+    const learnerId = await resolveMentorLearner(req, res);
+    if (learnerId === null) return;
+
+    const parsed = parsePolicyChanges(req.body);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    const row = await repos.links.saveIntegrityPolicy(learnerId, { ...parsed.changes, updatedBy: req.user.id });
+    const policy = formatPolicy(row, learnerId);
+    const enabled = POLICY_OPTIONS.filter(option => policy[option]);
+    console.log(`📏 Mentor ${req.user.id} set integrity policy for learner ${learnerId}: ${enabled.join(', ') || 'off'}`);
+    res.json({ policy });
+  } catch (e) {
+    console.error('🚨 Update integrity policy error:', e);
+    res.status(500).json({ error: 'Failed to update integrity policy' });
+  }
+};
+
+module.exports = {
+  POLICY_OPTIONS,
+  loadIntegrityPolicy,
+  checkResponse,
+  redactResponse,
+  enforceIntegrityPolicy,
+  getMyIntegrityPolicy,
+  getLearnerIntegrityPolicy,
+  updateLearnerIntegrityPolicy
+};
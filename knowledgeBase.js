@@ -0,0 +1,328 @@
+// knowledgeBase.js - Mentor-curated documents with BM25 retrieval for tutoring
+const { database } = require('./auth');
+const { readUploadedDocument } = require('./attachments');
+
+const { repositories: repos } = database;
+
+// Chunking - overlapping word windows so a passage isn't cut off mid-idea
+const CHUNK_WORDS = 160;
+const CHUNK_OVERLAP_WORDS = 40;
+const MAX_DOCUMENT_CHARS = 200000;
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const DEFAULT_TOP_K = parseInt(process.env.KB_TOP_K, 10) || 3;
+
+const STOPWORDS = new Set([
+  // English
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'has', 'have',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'so', 'that', 'the',
+  'their', 'then', 'there', 'these', 'this', 'to', 'was', 'we', 'what', 'when', 'where', 'which', 'who',
+  'why', 'will', 'with', 'you', 'your',
+  // Spanish / French (the mode classifier understands both)
+  'el', 'la', 'los', 'las', 'de', 'del', 'que', 'y', 'en', 'un', 'una', 'es', 'por', 'para', 'con', 'como',
+  'le', 'les', 'des', 'du', 'et', 'est', 'une', 'pour', 'dans', 'qui', 'au', 'aux'
+]);
+
+// Lowercase, strip accents, drop stopwords and fold simple plurals
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(word => word.length > 1 && word.length <= 100 && !STOPWORDS.has(word))
+  .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+
+// Split a document into overlapping passages of roughly CHUNK_WORDS words
+const chunkText = (text) => {
+  const words = String(text).split(/\s+/).filter(Boolean);
+  const chunks = [];
+  for (let start = 0; start < words.length; start += CHUNK_WORDS - CHUNK_OVERLAP_WORDS) {
+    chunks.push(words.slice(start, start + CHUNK_WORDS).join(' '));
+    if (start + CHUNK_WORDS >= words.length) break;
+  }
+  return chunks;
+};
+
+// Term frequencies for one passage
+const countTerms = (terms) => {
+  const counts = new Map();
+  terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+  return counts;
+};
+
+// Replace a document's chunks and term index (pass the transaction's repositories)
+const indexDocument = async (kb, documentId, content) => {
+  const chunks = chunkText(content).map((chunk) => {
+    const terms = tokenize(chunk);
+    return { content: chunk, termCount: terms.length, terms: countTerms(terms) };
+  });
+  await kb.replaceChunks(documentId, chunks);
+  return chunks.length;
+};
+
+// Top BM25 passages from the mentors linked to a learner
+// Documents without a subject (or a 'General' question) match every subject;
+// documents with a learner_id are only visible to that learner
+const searchKnowledgeBase = async ({ learnerId, subject, query, limit = DEFAULT_TOP_K, mentorId = null }) => {
+  const terms = Array.from(new Set(tokenize(query)));
+  if (terms.length === 0) return [];
+
+  const rows = await repos.knowledgeBase.search({
+    learnerId,
+    subject: subject || null,
+    anySubject: !subject || subject.toLowerCase() === 'general',
+    terms,
+    limit,
+    mentorId,
+    k1: BM25_K1,
+    b: BM25_B
+  });
+
+  return rows.map(row => ({
+    chunkId: row.chunk_id,
+    documentId: row.document_id,
+    title: row.title,
+    mentorId: row.mentor_id,
+    chunkIndex: row.chunk_index,
+    content: row.content,
+    score: Math.round(Number(row.score) * 1000) / 1000
+  }));
+};
+
+const formatDocument = (row, includeContent = false) => ({
+  id: row.id,
+  title: row.title,
+  subject: row.subject,
+  learnerId: row.learner_id,
+  originalName: row.original_name,
+  chunkCount: row.chunk_count,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  ...(includeContent ? { content: row.content } : {})
+});
+
+// Document text from a JSON body ({ content }) or a multipart upload ("files" field)
+const readDocumentBody = async (req) => {
+  const file = req.files && req.files[0];
+  if (file) {
+    return { content: await readUploadedDocument(file), originalName: file.originalname };
+  }
+  return { content: typeof req.body.content === 'string' ? req.body.content.trim() : '' };
+};
+
+// Validate the optional learnerId a mentor scopes a document to
+const resolveDocumentLearner = async (mentorId, learnerId) => {
+  if (learnerId === undefined || learnerId === null || learnerId === '') return { learnerId: null };
+  const id = parseInt(learnerId, 10);
+  if (Number.isNaN(id)) return { status: 400, error: 'Invalid learner id' };
+  if (!(await repos.links.isActive(mentorId, id))) {
+    return { status: 403, error: 'No access to this learner' };
+  }
+  return { learnerId: id };
+};
+
+const requireMentor = (req, res) => {
+  if (req.user.userType !== 'mentor') {
+    res.status(403).json({ error: 'Only mentors can manage knowledge base documents' });
+    return false;
+  }
+  return true;
+};
+
+// GET /api/knowledge-base/documents?subject=
+const listDocuments = async (req, res) => {
+  try {
+    if (!requireMentor(req, res)) return;
+
+    const rows = await repos.knowledgeBase.listDocuments(req.user.id, req.query.subject || null);
+    res.json({ documents: rows.map(row => formatDocument(row)) });
+  } catch (e) {
+    console.error('🚨 List knowledge base documents error:', e);
+    res.status(500).json({ error: 'Failed to fetch documents' });
+  }
+};
+
+// POST /api/knowledge-base/documents { title, subject?, learnerId?, content } or multipart with a "files" document
+const createDocument = async (req, res) => {
+  try {
+    if (!requireMentor(req, res)) return;
+
+    let body;
+    try {
+      body = await readDocumentBody(req);
+    } catch (readErr) {
+      if (readErr.status) return res.status(readErr.status).json({ error: readErr.message });
+      throw readErr;
+    }
+
+    const title = (req.body.title || body.originalName || '').trim();
+    if (!title || !body.content) {
+      return res.status(400).json({ error: 'Title and content (or an uploaded document) are required' });
+    }
+    if (body.content.length > MAX_DOCUMENT_CHARS) {
+      return res.status(413).json({ error: `Documents are limited to ${MAX_DOCUMENT_CHARS} characters` });
+    }
+
+    const learner = await resolveDocumentLearner(req.user.id, req.body.learnerId);
+    if (learner.error) {
+      return res.status(learner.status).json({ error: learner.error });
+    }
+
+    const { document, chunkCount } = await database.transaction(async (tx) => {
+      const created = await tx.knowledgeBase.createDocument({
+        mentorId: req.user.id,
+        learnerId: learner.learnerId,
+        title: title.slice(0, 255),
+        subject: req.body.subject || null,
+        originalName: body.originalName ? body.originalName.slice(0, 255) : null,
+        content: body.content
+      });
+      return { document: created, chunkCount: await indexDocument(tx.knowledgeBase, created.id, body.content) };
+    });
+
+    console.log(`📚 Knowledge base document ${document.id} indexed (${chunkCount} chunks)`);
+    res.status(201).json({ document: formatDocument({ ...document, chunk_count: chunkCount }) });
+  } catch (e) {
+    console.error('🚨 Create knowledge base document error:', e);
+    res.status(500).json({ error: 'Failed to create document' });
+  }
+};
+
+// Load a document the requesting mentor owns
+const findOwnedDocument = async (req) => {
+  const documentId = parseInt(req.params.id, 10);
+  if (Number.isNaN(documentId)) return { status: 400, error: 'Invalid document id' };
+
+  const document = await repos.knowledgeBase.findDocument(documentId);
+  if (!document) return { status: 404, error: 'Document not found' };
+  if (document.mentor_id !== req.user.id) return { status: 403, error: 'Access denied' };
+  return { document };
+};
+
+// GET /api/knowledge-base/documents/:id
+const getDocument = async (req, res) => {
+  try {
+    if (!requireMentor(req, res)) return;
+
+    const lookup = await findOwnedDocument(req);
+    if (lookup.error) return res.status(lookup.status).json({ error: lookup.error });
+    res.json({ document: formatDocument(lookup.document, true) });
+  } catch (e) {
+    console.error('🚨 Get knowledge base document error:', e);
+    res.status(500).json({ error: 'Failed to fetch document' });
+  }
+};
+
+// PUT /api/knowledge-base/documents/:id { title?, subject?, learnerId?, content? } - new content is re-indexed
+const updateDocument = async (req, res) => {
+  try {
+    if (!requireMentor(req, res)) return;
+
+    let body;
+    try {
+      body = await readDocumentBody(req);
+    } catch (readErr) {
+      if (readErr.status) return res.status(readErr.status).json({ error: readErr.message });
+      throw readErr;
+    }
+    if (body.content.length > MAX_DOCUMENT_CHARS) {
+      return res.status(413).json({ error: `Documents are limited to ${MAX_DOCUMENT_CHARS} characters` });
+    }
+
+    const lookup = await findOwnedDocument(req);
+    if (lookup.error) {
+      return res.status(lookup.status).json({ error: lookup.error });
+    }
+
+    const current = lookup.document;
+    let learnerId = current.learner_id;
+    if (req.body.learnerId !== undefined) {
+      const learner = await resolveDocumentLearner(req.user.id, req.body.learnerId);
+      if (learner.error) {
+        return res.status(learner.status).json({ error: learner.error });
+      }
+      learnerId = learner.learnerId;
+    }
+
+    const content = body.content || current.content;
+
+    const { document, chunkCount } = await database.transaction(async (tx) => {
+      const updated = await tx.knowledgeBase.updateDocument(current.id, {
+        title: (req.body.title || current.title).slice(0, 255),
+        subject: req.body.subject !== undefined ? (req.body.subject || null) : current.subject,
+        learnerId,
+        content,
+        originalName: body.originalName ? body.originalName.slice(0, 255) : null
+      });
+      const count = content !== current.content
+        ? await indexDocument(tx.knowledgeBase, current.id, content)
+        : current.chunk_count;
+      return { document: updated, chunkCount: count };
+    });
+
+    res.json({ document: formatDocument({ ...document, chunk_count: chunkCount }) });
+  } catch (e) {
+    console.error('🚨 Update knowledge base document error:', e);
+    res.status(500).json({ error: 'Failed to update document' });
+  }
+};
+
+// DELETE /api/knowledge-base/documents/:id - chunks and terms cascade
+const deleteDocument = async (req, res) => {
+  try {
+    if (!requireMentor(req, res)) return;
+
+    const lookup = await findOwnedDocument(req);
+    if (lookup.error) {
+      return res.status(lookup.status).json({ error: lookup.error });
+    }
+
+    await repos.knowledgeBase.deleteDocument(lookup.document.id);
+    res.json({ message: 'Document deleted' });
+  } catch (e) {
+    console.error('🚨 Delete knowledge base document error:', e);
+    res.status(500).json({ error: 'Failed to delete document' });
+  }
+};
+
+// GET /api/knowledge-base/search?learnerId=&subject=&q= - preview what the tutor would retrieve
+const searchDocuments = async (req, res) => {
+  try {
+    if (!requireMentor(req, res)) return;
+
+    const learnerId = parseInt(req.query.learnerId, 10);
+    if (Number.isNaN(learnerId)) return res.status(400).json({ error: 'learnerId is required' });
+    if (!req.query.q) return res.status(400).json({ error: 'Query (q) is required' });
+
+    if (!(await repos.links.isActive(req.user.id, learnerId))) {
+      return res.status(403).json({ error: 'No access to this learner' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_TOP_K, 1), 20);
+    const results = await searchKnowledgeBase({
+      learnerId,
+      subject: req.query.subject,
+      query: req.query.q,
+      limit,
+      mentorId: req.user.id
+    });
+    res.json({ results });
+  } catch (e) {
+    console.error('🚨 Search knowledge base error:', e);
+    res.status(500).json({ error: 'Failed to search knowledge base' });
+  }
+};
+
+module.exports = {
+  tokenize,
+  chunkText,
+  searchKnowledgeBase,
+  listDocuments,
+  createDocument,
+  getDocument,
+  updateDocument,
+  deleteDocument,
+  searchDocuments
+};
@@ -1,93 +1,82 @@
 // learningEngine.js - Smart Learning Intelligence System (Fixed)
-const OpenAI = require('openai');
-const Anthropic = require('@anthropic-ai/sdk');
+const { listProviders, getProvider, isProviderAvailable } = require('./providers');
+const { createAttemptBudget } = require('./providers/resilience');
+const {
+  LEARNING_MODES,
+  scoreLearningModes,
+  classifyLearningMode
+} = require('./modeClassifier');
+const { QUIZ_SCHEMA, MAX_QUESTIONS, validateQuiz } = require('./quizSchema');
 
-// Initialize AI clients
-let openaiClient = null;
-let claudeClient = null;
+// Learning Mode Detection - top mode from the scored classifier
+const detectLearningMode = (message) => scoreLearningModes(message).mode;
 
-// Initialize clients only if API keys are present
-if (process.env.OPENAI_API_KEY) {
-  openaiClient = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-  });
-  console.log('✅ OpenAI client initialized');
-} else {
-  console.log('⚠️ OpenAI API Key: Not configured');
-}
-
-if (process.env.CLAUDE_API_KEY || process.env.ANTHROPIC_API_KEY) {
-  // Try both possible env variable names
-  const apiKey = process.env.CLAUDE_API_KEY || process.env.ANTHROPIC_API_KEY;
-  claudeClient = new Anthropic({
-    apiKey: apiKey
-  });
-  console.log('✅ Claude client initialized');
-} else {
-  console.log('⚠️ Claude API Key: Not configured');
-}
-
-// Learning Mode Detection
-const detectLearningMode = (message) => {
-  const msg = message.toLowerCase();
-  
-  // Discovery Mode - Questions and curiosity
-  if (msg.includes('what is') || msg.includes('how does') || msg.includes('why') || 
-      msg.includes('tell me about') || msg.includes('explain')) {
-    return 'explanation';
-  }
-  
-  // Practice Mode - Exercises and problems
-  if (msg.includes('practice') || msg.includes('solve') || msg.includes('calculate') ||
-      msg.includes('exercise') || msg.includes('problem') || msg.includes('work through')) {
-    return 'practice';
-  }
-  
-  // Discovery Mode - Open exploration
-  if (msg.includes('wonder') || msg.includes('curious') || msg.includes('explore') ||
-      msg.includes('discover') || msg.includes('learn about')) {
-    return 'discovery';
-  }
-  
-  // Challenge Mode - Testing knowledge
-  if (msg.includes('challenge') || msg.includes('test') || msg.includes('quiz') ||
-      msg.includes('hard') || msg.includes('difficult')) {
-    return 'challenge';
-  }
-  
-  // Review Mode - Reinforcement
-  if (msg.includes('review') || msg.includes('remember') || msg.includes('recap') ||
-      msg.includes('summarize') || msg.includes('go over')) {
-    return 'review';
+// Pick the mode for an interaction - an explicit client mode wins over detection,
+// but the rule scores are still reported so overrides can be audited
+const resolveLearningMode = async (message, history, requestedMode) => {
+  if (requestedMode && LEARNING_MODES.includes(requestedMode)) {
+    const scored = scoreLearningModes(message, { history });
+    return { ...scored, mode: requestedMode, confidence: 1, source: 'override' };
   }
-  
-  // Default to discovery for open-ended questions
-  return 'discovery';
+  return classifyLearningMode(message, { history });
 };
 
-// Intelligent Model Selection
-const selectOptimalModel = (mode, hasOpenAI, hasClaude) => {
-  // If only one API is available, use it
-  if (!hasOpenAI && hasClaude) return 'claude';
-  if (hasOpenAI && !hasClaude) return 'openai';
-  if (!hasOpenAI && !hasClaude) return 'none';
-  
-  // Both available - choose based on mode
-  switch(mode) {
-    case 'explanation':
-    case 'discovery':
-      return 'claude'; // Claude excels at explanations and Socratic method
-    case 'practice':
-    case 'challenge':
-    case 'review':
-      return 'openai'; // GPT-4 better for structured exercises
-    default:
-      return 'openai';
-  }
+// Compact classification summary for response metadata
+const summarizeClassification = (classification) => ({
+  source: classification.source,
+  confidence: classification.confidence,
+  scores: classification.ranked
+});
+
+// Provider preference per learning mode - first available provider wins
+const MODE_PROVIDER_PREFERENCES = {
+  explanation: ['claude', 'openai', 'local'], // Claude excels at explanations and Socratic method
+  discovery: ['claude', 'openai', 'local'],
+  practice: ['openai', 'claude', 'local'], // GPT-4 better for structured exercises
+  challenge: ['openai', 'claude', 'local'],
+  review: ['openai', 'claude', 'local']
+};
+
+// Providers whose circuit breaker is open are passed over while another one is healthy
+const skipUnhealthy = (names) => {
+  const healthy = names.filter(name => !getProvider(name) || isProviderAvailable(name));
+  return healthy.length > 0 ? healthy : names;
+};
+
+// Providers to try for a request, best first - failover goes down this list
+const rankProviders = (mode, candidates = listProviders().map(p => p.name)) => {
+  const available = skipUnhealthy(candidates);
+
+  // Explicit override (e.g. LLM_DEFAULT_PROVIDER=local on dev machines)
+  const forced = process.env.LLM_DEFAULT_PROVIDER;
+  const preferences = MODE_PROVIDER_PREFERENCES[mode] || MODE_PROVIDER_PREFERENCES.practice;
+  const rank = (name) => {
+    if (name === forced) return -1;
+    const index = preferences.indexOf(name);
+    return index === -1 ? preferences.length : index;
+  };
+  return [...available].sort((a, b) => rank(a) - rank(b));
+};
+
+// Intelligent Model Selection - returns a registered provider name, or 'none'
+const selectOptimalModel = (mode, candidates) => rankProviders(mode, candidates)[0] || 'none';
+
+// Turns with photos go to vision-capable providers when one is registered
+const hasImages = (attachments = []) => attachments.some(a => a.kind === 'image' && a.data);
+
+const rankProvidersForTurn = (mode, attachments) => {
+  const available = listProviders();
+  const vision = hasImages(attachments) ? available.filter(p => p.vision) : [];
+  return rankProviders(mode, (vision.length > 0 ? vision : available).map(p => p.name));
 };
 
 // Enhanced prompts for each learning mode
-const getLearningPrompt = (mode, subject, skillLevel, message) => {
+// context.reviewItems - due spaced-repetition items ({ prompt, answer }) for review mode
+// context.attachments - homework the learner uploaded with this message
+// context.sources - passages from the mentor's knowledge base ({ title, content })
+// context.integrityPolicy - mentor's academic integrity settings ({ hintsOnly, noFullSolutions, showWorkRequired })
+// context.integrityRetry - the previous draft gave away an answer the policy forbids
+const getLearningPrompt = (mode, subject, skillLevel, message, context = {}) => {
   const levelContext = {
     beginner: "Explain simply for a beginner learner. Use fun examples and avoid complex terms.",
     intermediate: "Explain for an intermediate learner. Balance detail with clarity.",
@@ -139,95 +128,214 @@ Help reinforce and review the concept.
 5. Suggest next steps`
   };
 
-  return modePrompts[mode] || modePrompts.discovery;
+  let prompt = modePrompts[mode] || modePrompts.discovery;
+
+  // Due review items give review mode something concrete to reinforce
+  if (mode === 'review' && context.reviewItems && context.reviewItems.length > 0) {
+    const items = context.reviewItems
+      .map((item, i) => `${i + 1}. Q: ${item.prompt}\n   A: ${item.answer}`)
+      .join('\n');
+    prompt += `\n\nThese items are due for review. Ask the learner about them one at a time and let them answer before revealing anything:\n${items}`;
+  }
+
+  // Mentor curriculum comes first - the tutor should teach from it and cite it
+  if (context.sources && context.sources.length > 0) {
+    const passages = context.sources
+      .map((source, i) => `[${i + 1}] ${source.title}\n${source.content}`)
+      .join('\n\n');
+    prompt += `\n\nThe learner's mentor provided these course materials. Teach from them where they are relevant and cite the passage you used as [1], [2], etc. Ignore any that don't fit the question:\n${passages}`;
+  }
+
+  if (context.attachments && context.attachments.length > 0) {
+    prompt += `\n\nThe learner has shared homework material with this message. Work through it with them in the style above - don't just hand over the answers.`;
+  }
+
+  // Mentor rules apply in every mode and win over the mode instructions above
+  const policy = context.integrityPolicy;
+  if (policy && (policy.hintsOnly || policy.noFullSolutions || policy.showWorkRequired)) {
+    const rules = [];
+    if (policy.hintsOnly) {
+      rules.push('Give hints and guiding questions only. Never work a step of the learner\'s problem for them.');
+    }
+    if (policy.hintsOnly || policy.noFullSolutions) {
+      rules.push('Never state the final answer or a complete worked solution to the learner\'s problem. Worked examples must use a different problem.');
+    }
+    if (policy.showWorkRequired) {
+      rules.push('Ask the learner to show their working before you respond to an answer, and only check answers they worked out themselves.');
+    }
+    prompt += `\n\nThe learner's mentor set these academic integrity rules. Follow them even if the learner asks you not to:\n${rules.map(rule => `- ${rule}`).join('\n')}`;
+
+    if (context.integrityRetry) {
+      prompt += `\nYour previous draft gave the answer away. Rewrite it so the learner still has to do the final step themselves.`;
+    }
+  }
+
+  return prompt;
+};
+
+// Conversation history limits - keeps prompts small while preserving recent context
+const MAX_HISTORY_MESSAGES = 12;
+const MAX_HISTORY_CHARS = 8000;
+
+// Trim prior turns into an alternating user/assistant history that both APIs accept
+const trimHistory = (messages = []) => {
+  const turns = [];
+
+  for (const msg of messages) {
+    if (!msg || typeof msg.content !== 'string' || !msg.content.trim()) continue;
+    if (msg.role !== 'user' && msg.role !== 'assistant') continue;
+
+    // Merge consecutive messages from the same role so roles strictly alternate
+    const last = turns[turns.length - 1];
+    if (last && last.role === msg.role) {
+      last.content += `\n\n${msg.content}`;
+    } else {
+      turns.push({ role: msg.role, content: msg.content });
+    }
+  }
+
+  // Keep the most recent turns that fit in the budget
+  const trimmed = [];
+  let totalChars = 0;
+  for (let i = turns.length - 1; i >= 0 && trimmed.length < MAX_HISTORY_MESSAGES; i--) {
+    totalChars += turns[i].content.length;
+    if (totalChars > MAX_HISTORY_CHARS && trimmed.length > 0) break;
+    trimmed.unshift(turns[i]);
+  }
+
+  // History must start with the learner and end with the tutor (the new message follows)
+  while (trimmed.length > 0 && trimmed[0].role !== 'user') trimmed.shift();
+  if (trimmed.length > 0 && trimmed[trimmed.length - 1].role === 'user') trimmed.pop();
+
+  return trimmed;
 };
 
-// FIXED: Call OpenAI with correct parameter
-const callOpenAILearningMode = async (message, subject, skillLevel, mode) => {
-  if (!openaiClient) {
-    throw new Error('OpenAI client not initialized');
+// Document text budget per turn, shared between attached documents
+const MAX_ATTACHMENT_CHARS = 12000;
+
+// The learner's message plus attached documents as text and photos as images (vision providers only)
+const buildUserMessage = (message, context = {}) => {
+  const attachments = context.attachments || [];
+  const documents = attachments.filter(a => a.kind !== 'image');
+  const perDocument = Math.floor(MAX_ATTACHMENT_CHARS / Math.max(documents.length, 1));
+  const sections = [];
+  const images = [];
+
+  for (const attachment of attachments) {
+    if (attachment.kind === 'image') {
+      if (context.vision && attachment.data) {
+        images.push({ mimeType: attachment.mimeType, data: attachment.data });
+      } else {
+        sections.push(`[The learner attached an image (${attachment.name}) that can't be viewed right now. Ask them to type out the part they need help with.]`);
+      }
+    } else if (attachment.text) {
+      const truncated = attachment.text.length > perDocument;
+      sections.push(`--- Attached document: ${attachment.name} ---\n${attachment.text.slice(0, perDocument)}${truncated ? '\n[...truncated]' : ''}`);
+    } else {
+      sections.push(`[The learner attached ${attachment.name}, but its text could not be read.]`);
+    }
   }
 
-  const systemPrompt = getLearningPrompt(mode, subject, skillLevel, message);
-  
-  try {
-    const completion = await openaiClient.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: message }
-      ],
-      max_tokens: 500,  // FIXED: Using correct parameter name
-      temperature: mode === 'practice' ? 0.3 : 0.7,
-      presence_penalty: 0.1,
-      frequency_penalty: 0.1
-    });
+  const content = sections.length > 0 ? `${message}\n\n${sections.join('\n\n')}` : message;
+  return images.length > 0 ? { role: 'user', content, images } : { role: 'user', content };
+};
 
-    return completion.choices[0].message.content;
-  } catch (error) {
-    console.error('OpenAI Learning Mode Error:', error.message);
-    
-    // Try fallback model if main model fails
+// Build the provider-neutral request for a learning interaction
+const buildLearningRequest = (message, subject, skillLevel, mode, history, context) => ({
+  system: getLearningPrompt(mode, subject, skillLevel, message, context),
+  messages: [
+    ...history,
+    buildUserMessage(message, context)
+  ],
+  maxTokens: 500,
+  temperature: mode === 'practice' ? 0.3 : 0.7,
+  purpose: 'tutor'
+});
+
+// Extra prompt context that depends on the detected mode and the chosen provider
+const loadPromptContext = async (mode, options, provider) => {
+  const context = {
+    attachments: options.attachments || [],
+    vision: Boolean(provider && provider.vision),
+    integrityPolicy: options.integrityPolicy || null,
+    integrityRetry: Boolean(options.integrityRetry)
+  };
+  if (mode === 'review' && options.loadReviewItems) {
     try {
-      const completion = await openaiClient.chat.completions.create({
-        model: 'gpt-3.5-turbo',
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: message }
-        ],
-        max_tokens: 500,
-        temperature: mode === 'practice' ? 0.3 : 0.7,
-        presence_penalty: 0.1,
-        frequency_penalty: 0.1
-      });
-      return completion.choices[0].message.content;
-    } catch (fallbackError) {
-      console.error('OpenAI fallback also failed:', fallbackError.message);
-      throw fallbackError;
+      context.reviewItems = await options.loadReviewItems();
+    } catch (error) {
+      console.error('Could not load review items:', error.message);
     }
   }
+  if (options.sources) {
+    context.sources = options.sources;
+  } else if (options.loadSources) {
+    try {
+      context.sources = await options.loadSources();
+    } catch (error) {
+      console.error('Could not load knowledge base sources:', error.message);
+    }
+  }
+  return context;
 };
 
-// Call Claude with learning optimization and fallback
-const callClaudeLearningMode = async (message, subject, skillLevel, mode) => {
-  if (!claudeClient) {
-    throw new Error('Claude client not initialized');
-  }
+// Metadata describing the context that went into the prompt
+const describePromptContext = (context) => ({
+  ...(context.reviewItems && context.reviewItems.length > 0
+    ? { reviewItemIds: context.reviewItems.map(item => item.id) }
+    : {}),
+  ...(context.attachments.length > 0
+    ? { attachmentIds: context.attachments.map(attachment => attachment.id) }
+    : {}),
+  ...(context.sources && context.sources.length > 0
+    ? {
+        sources: context.sources.map((source, i) => ({
+          ref: i + 1,
+          documentId: source.documentId,
+          chunkId: source.chunkId,
+          title: source.title,
+          score: source.score
+        }))
+      }
+    : {})
+});
 
-  const systemPrompt = getLearningPrompt(mode, subject, skillLevel, message);
-  
-  try {
-    const response = await claudeClient.messages.create({
-      model: 'claude-3-5-haiku-20241022',
-      max_tokens: 500,
-      temperature: mode === 'practice' ? 0.3 : 0.7,
-      system: systemPrompt,
-      messages: [
-        { role: "user", content: message }
-      ]
-    });
+// Call providers in order until one answers, under one attempt budget and deadline for the whole
+// request (see providers/resilience.js). Every provider's primary model gets one try before its
+// fallback models are tried; only the last candidate is retried. Streams stop switching once
+// something was emitted. Returns the provider's result plus the provider that produced it.
+const callWithFailover = async (operation, names, request) => {
+  const providers = names.map(getProvider).filter(Boolean);
+  const candidates = [
+    ...providers.map(provider => ({ provider })),
+    ...providers.filter(provider => provider.models.fallback).map(provider => ({ provider, model: provider.models.fallback }))
+  ];
+  const budget = createAttemptBudget();
 
-    return response.content[0].text;
-  } catch (error) {
-    console.error('Claude Learning Mode Error:', error.message);
-    
-    // Try fallback to sonnet if haiku fails
+  let emitted = false;
+  const trackedRequest = request.onDelta
+    ? { ...request, onDelta: (delta) => { emitted = true; request.onDelta(delta); } }
+    : request;
+
+  let lastError = new Error('No AI provider available');
+  for (const [index, { provider, model }] of candidates.entries()) {
     try {
-      const response = await claudeClient.messages.create({
-        model: 'claude-3-5-sonnet-20241022',
-        max_tokens: 500,
-        temperature: mode === 'practice' ? 0.3 : 0.7,
-        system: systemPrompt,
-        messages: [
-          { role: "user", content: message }
-        ]
+      const result = await provider[operation]({
+        ...trackedRequest,
+        ...(model ? { model } : {}),
+        budget,
+        ...(index < candidates.length - 1 ? { maxRetries: 0 } : {})
       });
-      return response.content[0].text;
-    } catch (fallbackError) {
-      console.error('Claude fallback also failed:', fallbackError.message);
-      throw fallbackError;
+      return { ...result, provider };
+    } catch (error) {
+      // Can't switch once the learner has seen part of the answer, or after they left
+      if (emitted || (request.signal && request.signal.aborted)) throw error;
+      if (error.code === 'PROVIDER_BUDGET_EXHAUSTED') break;
+      lastError = error;
+      console.error(`${provider.label}${model ? ` (${model})` : ''} failed, trying the next provider:`, error.message);
     }
   }
+  throw lastError;
 };
 
 // Fallback response when both APIs fail
@@ -244,29 +352,41 @@ const getFallbackResponse = (mode, message) => {
 };
 
 // Main processing function
-const processLearningInteraction = async (message, subject, skillLevel, hasOpenAI, hasClaude) => {
-  const mode = detectLearningMode(message);
-  const model = selectOptimalModel(mode, hasOpenAI, hasClaude);
+// options.history - prior conversation messages ({ role, content }) for multi-turn sessions
+// options.mode - explicit learning mode from the client, skips detection
+// options.loadReviewItems - async () => due review items, only called in review mode
+// options.attachments - [{ id, name, kind, mimeType, text?, data? }] uploaded with this message
+// options.loadSources - async () => knowledge base passages to teach from (cited in metadata.sources)
+// options.sources / options.classification - already loaded passages and mode classification (responseCache)
+// options.integrityPolicy - mentor's academic integrity settings, added to the prompt in every mode
+// options.integrityRetry - regenerating because the last draft broke the policy (see integrityPolicy.js)
+const processLearningInteraction = async (message, subject, skillLevel, options = {}) => {
+  const history = trimHistory(options.history);
+  const classification = options.classification || await resolveLearningMode(message, options.history, options.mode);
+  const mode = classification.mode;
+  const candidates = rankProvidersForTurn(mode, options.attachments);
+  const model = candidates[0] || 'none';
+  const provider = getProvider(model);
+  const promptContext = await loadPromptContext(mode, options, provider);
   
-  console.log(`🎯 Learning Mode: ${mode}, Selected Model: ${model}`);
+  console.log(`🎯 Learning Mode: ${mode}, Selected Model: ${model}, History: ${history.length} messages`);
   
   let response;
   let actualModel = model;
+  let modelName;
+  let usage;
   
   try {
-    if (model === 'openai' && hasOpenAI) {
-      response = await callOpenAILearningMode(message, subject, skillLevel, mode);
-    } else if (model === 'claude' && hasClaude) {
-      response = await callClaudeLearningMode(message, subject, skillLevel, mode);
-    } else if (model !== 'none') {
-      // Fallback to available model
-      if (hasOpenAI) {
-        response = await callOpenAILearningMode(message, subject, skillLevel, mode);
-        actualModel = 'openai';
-      } else if (hasClaude) {
-        response = await callClaudeLearningMode(message, subject, skillLevel, mode);
-        actualModel = 'claude';
-      }
+    if (provider) {
+      const result = await callWithFailover(
+        'generate',
+        candidates,
+        buildLearningRequest(message, subject, skillLevel, mode, history, promptContext)
+      );
+      response = result.text;
+      actualModel = result.provider.name;
+      modelName = result.model;
+      usage = result.usage || undefined;
     }
     
     if (!response) {
@@ -278,6 +398,8 @@ const processLearningInteraction = async (message, subject, skillLevel, hasOpenA
     console.error('Error in learning interaction:', error);
     response = getFallbackResponse(mode, message);
     actualModel = 'fallback';
+    modelName = undefined;
+    usage = undefined;
   }
   
   return {
@@ -285,23 +407,364 @@ const processLearningInteraction = async (message, subject, skillLevel, hasOpenA
     metadata: {
       mode,
       model: actualModel,
+      modelName,
       subject,
-      skillLevel
+      skillLevel,
+      modeClassification: summarizeClassification(classification),
+      ...(usage ? { usage } : {}),
+      ...describePromptContext(promptContext)
     }
   };
 };
 
-// Check API availability
+// Streaming processing function - same routing as processLearningInteraction
+// options.onMetadata - called once with { mode, model, subject, skillLevel, modeClassification } before generation
+// options.onDelta - called with each text chunk (the canned fallback arrives as one chunk)
+// options.signal - AbortSignal that cancels the upstream request (e.g. client disconnected)
+const streamLearningInteraction = async (message, subject, skillLevel, options = {}) => {
+  const history = trimHistory(options.history);
+  const onDelta = options.onDelta || (() => {});
+  const signal = options.signal;
+  const classification = options.classification || await resolveLearningMode(message, options.history, options.mode);
+  const mode = classification.mode;
+  const candidates = rankProvidersForTurn(mode, options.attachments);
+  const model = candidates[0] || 'none';
+  const provider = getProvider(model);
+  const promptContext = await loadPromptContext(mode, options, provider);
+
+  console.log(`🎯 Streaming Learning Mode: ${mode}, Selected Model: ${model}, History: ${history.length} messages`);
+
+  if (options.onMetadata) {
+    options.onMetadata({
+      mode,
+      model,
+      subject,
+      skillLevel,
+      modeClassification: summarizeClassification(classification)
+    });
+  }
+
+  let response = '';
+  let actualModel = model;
+  let modelName;
+  let usage;
+  let streamed = '';
+
+  try {
+    if (provider) {
+      const result = await callWithFailover('stream', candidates, {
+        ...buildLearningRequest(message, subject, skillLevel, mode, history, promptContext),
+        signal,
+        onDelta: (delta) => {
+          streamed += delta;
+          onDelta(delta);
+        }
+      });
+      response = result.text;
+      actualModel = result.provider.name;
+      modelName = result.model;
+      usage = result.usage || undefined;
+    }
+  } catch (error) {
+    if (signal && signal.aborted) throw error;
+    console.error('Error in streaming learning interaction:', error);
+
+    // Partial answers are kept as-is; only an empty stream gets the canned response
+    if (streamed) {
+      return {
+        response: streamed,
+        metadata: {
+          mode,
+          model: actualModel,
+          subject,
+          skillLevel,
+          modeClassification: summarizeClassification(classification),
+          incomplete: true
+        }
+      };
+    }
+  }
+
+  if (!response) {
+    response = getFallbackResponse(mode, message);
+    actualModel = 'fallback';
+    modelName = undefined;
+    usage = undefined;
+    onDelta(response);
+  }
+
+  return {
+    response,
+    metadata: {
+      mode,
+      model: actualModel,
+      modelName,
+      subject,
+      skillLevel,
+      modeClassification: summarizeClassification(classification),
+      ...(usage ? { usage } : {}),
+      ...describePromptContext(promptContext)
+    }
+  };
+};
+
+// Pull the first JSON object or array out of a model reply (handles ``` fences and prose)
+const parseModelJSON = (text) => {
+  const cleaned = String(text || '').replace(/```(?:json)?/gi, '').trim();
+  const start = cleaned.search(/[[{]/);
+  if (start === -1) throw new Error('No JSON found in model response');
+
+  const open = cleaned[start];
+  const close = open === '[' ? ']' : '}';
+  const end = cleaned.lastIndexOf(close);
+  if (end <= start) throw new Error('Unterminated JSON in model response');
+
+  return JSON.parse(cleaned.slice(start, end + 1));
+};
+
+const REVIEW_ITEMS_PROMPT = `You turn tutoring conversations into flashcards for spaced repetition.
+Pick the most important facts or concepts the learner was taught. Each card has a short question
+("prompt") and a concise answer ("answer") of at most two sentences, in the language of the conversation.
+Respond with a JSON array only: [{"prompt": "...", "answer": "..."}]`;
+
+// Cheap extraction without a model: learner questions paired with the start of the tutor's reply
+const extractReviewItemsHeuristically = (messages, maxItems) => {
+  const items = [];
+  for (let i = 0; i < messages.length - 1 && items.length < maxItems; i++) {
+    const question = messages[i];
+    const reply = messages[i + 1];
+    if (question.role !== 'user' || reply.role !== 'assistant') continue;
+    if (!/\?\s*$/.test(question.content.trim())) continue;
+
+    const sentences = reply.content.match(/[^.!?]+[.!?]+/g) || [reply.content];
+    items.push({
+      prompt: question.content.trim().slice(0, 500),
+      answer: sentences.slice(0, 2).join(' ').trim().slice(0, 1000)
+    });
+  }
+  return items;
+};
+
+// Turn conversation messages into review items [{ prompt, answer }]
+const generateReviewItems = async (messages, subject, maxItems = 5) => {
+  const turns = messages.filter(m => (m.role === 'user' || m.role === 'assistant') && typeof m.content === 'string' && m.content.trim());
+  if (turns.length === 0) return [];
+
+  const candidates = rankProviders('review');
+  if (candidates.length > 0) {
+    const transcript = turns
+      .slice(-20)
+      .map(m => `${m.role === 'user' ? 'Learner' : 'Tutor'}: ${m.content.slice(0, 1500)}`)
+      .join('\n\n');
+
+    try {
+      const result = await callWithFailover('generate', candidates, {
+        system: REVIEW_ITEMS_PROMPT,
+        messages: [{ role: 'user', content: `Subject: ${subject}\nMaximum cards: ${maxItems}\n\n${transcript}` }],
+        maxTokens: 800,
+        temperature: 0.2,
+        purpose: 'review_items'
+      });
+
+      const parsed = parseModelJSON(result.text);
+      const items = (Array.isArray(parsed) ? parsed : [])
+        .filter(item => item && typeof item.prompt === 'string' && typeof item.answer === 'string')
+        .map(item => ({ prompt: item.prompt.trim().slice(0, 500), answer: item.answer.trim().slice(0, 1000) }))
+        .filter(item => item.prompt && item.answer);
+
+      if (items.length > 0) return items.slice(0, maxItems);
+    } catch (error) {
+      console.error('Review item extraction failed, using heuristic:', error.message);
+    }
+  }
+
+  return extractReviewItemsHeuristically(turns, maxItems);
+};
+
+// Common model JSON slips: smart quotes and trailing commas
+const repairJSONText = (text) => String(text || '')
+  .replace(/[\u201C\u201D]/g, '"')
+  .replace(/[\u2018\u2019]/g, "'")
+  .replace(/,\s*([\]}])/g, '$1');
+
+const QUIZ_PROMPT = `You write short quizzes for an AI tutor. Respond with JSON only, matching this JSON schema:
+${JSON.stringify(QUIZ_SCHEMA)}
+Rules:
+- multiple_choice questions need "choices" and the zero-based "answerIndex" of the correct choice
+- true_false questions need a boolean "answer"
+- short_answer questions need "acceptedAnswers" (short strings, all acceptable spellings)
+- every question needs an "explanation" shown after the learner answers`;
+
+const MAX_QUIZ_ATTEMPTS = 3;
+
+// Generate a schema-valid quiz, asking the model to repair invalid output
+// Returns { quiz, model } or throws when every attempt fails validation
+const generateQuiz = async (subject, skillLevel, { topic, questionCount = 5, history = [] } = {}) => {
+  const candidates = rankProviders('challenge');
+  if (candidates.length === 0) throw new Error('No AI provider available for quiz generation');
+
+  const count = Math.min(Math.max(parseInt(questionCount, 10) || 5, 1), MAX_QUESTIONS);
+  const recent = trimHistory(history)
+    .slice(-6)
+    .map(m => `${m.role === 'user' ? 'Learner' : 'Tutor'}: ${m.content.slice(0, 800)}`)
+    .join('\n');
+
+  const messages = [{
+    role: 'user',
+    content: `Write a ${count}-question quiz on ${topic || subject} (subject: ${subject}) for a ${skillLevel} level learner.` +
+      (recent ? `\nBase it on this recent tutoring conversation:\n${recent}` : '')
+  }];
+
+  let lastErrors = [];
+  for (let attempt = 1; attempt <= MAX_QUIZ_ATTEMPTS; attempt++) {
+    const result = await callWithFailover('generate', candidates, {
+      system: QUIZ_PROMPT,
+      messages,
+      maxTokens: 1500,
+      temperature: attempt === 1 ? 0.5 : 0.2,
+      purpose: 'quiz'
+    });
+
+    let quiz = null;
+    try {
+      quiz = parseModelJSON(result.text);
+    } catch (parseError) {
+      try {
+        quiz = parseModelJSON(repairJSONText(result.text));
+      } catch (repairError) {
+        lastErrors = [`invalid JSON: ${parseError.message}`];
+      }
+    }
+
+    if (quiz) {
+      lastErrors = validateQuiz(quiz);
+      if (lastErrors.length === 0) {
+        return { quiz, model: result.provider.name, modelName: result.model };
+      }
+    }
+
+    console.log(`⚠️ Quiz attempt ${attempt} invalid: ${lastErrors.slice(0, 3).join('; ')}`);
+
+    // Ask the model to fix its own output
+    messages.push(
+      { role: 'assistant', content: String(result.text || '').slice(0, 6000) },
+      { role: 'user', content: `That response is not valid. Problems:\n- ${lastErrors.slice(0, 10).join('\n- ')}\nReply with the corrected JSON only.` }
+    );
+  }
+
+  throw new Error(`Quiz generation failed validation: ${lastErrors.slice(0, 3).join('; ')}`);
+};
+
+const PROGRESS_PROMPT = `You help mentors follow a learner's progress with an AI tutor.
+From the activity summary and the learner's own messages, write up to 3 highlights (what went well)
+and up to 3 struggles (where the learner needs support). Be specific, kind and brief - one sentence each.
+Respond with JSON only: {"highlights": ["..."], "struggles": ["..."]}`;
+
+// Highlights and struggles from numbers alone, when no model is available
+const summarizeProgressHeuristically = ({ subjects = [], quizResults = [] }) => {
+  const highlights = [];
+  const struggles = [];
+
+  if (subjects.length > 0) {
+    highlights.push(`Spent the most time on ${subjects[0].subject} (${subjects[0].sessions} session${subjects[0].sessions === 1 ? '' : 's'}).`);
+  }
+  quizResults.forEach(result => {
+    const accuracy = result.total ? result.correct / result.total : 0;
+    if (accuracy >= 0.8) highlights.push(`Scored ${result.correct}/${result.total} on ${result.subject} quizzes.`);
+    else if (accuracy < 0.5) struggles.push(`Found ${result.subject} quizzes difficult (${result.correct}/${result.total} correct).`);
+  });
+
+  return { highlights: highlights.slice(0, 3), struggles: struggles.slice(0, 3), source: 'heuristic' };
+};
+
+// Summarize a learner's period for their mentor: { highlights, struggles, source }
+// activity: { learnerName, summary, subjects, modes, quizResults, learnerMessages: [{ subject, content }] }
+const summarizeProgress = async (activity) => {
+  const messages = activity.learnerMessages || [];
+  const candidates = rankProviders('review');
+  if (candidates.length === 0 || messages.length === 0) {
+    return summarizeProgressHeuristically(activity);
+  }
+
+  const facts = {
+    sessions: activity.summary && activity.summary.sessions,
+    minutes: activity.summary && activity.summary.timeOnTaskMinutes,
+    subjects: activity.subjects,
+    modes: activity.modes,
+    quizResults: activity.quizResults
+  };
+  const excerpts = messages
+    .slice(0, 30)
+    .map(m => `[${m.subject}] ${m.content.slice(0, 300)}`)
+    .join('\n');
+
+  try {
+    const result = await callWithFailover('generate', candidates, {
+      system: PROGRESS_PROMPT,
+      messages: [{
+        role: 'user',
+        content: `Learner: ${activity.learnerName}\nActivity: ${JSON.stringify(facts)}\n\nLearner messages:\n${excerpts}`
+      }],
+      maxTokens: 500,
+      temperature: 0.3,
+      purpose: 'progress_summary'
+    });
+
+    const parsed = parseModelJSON(result.text);
+    const clean = (list) => (Array.isArray(list) ? list : [])
+      .filter(item => typeof item === 'string' && item.trim())
+      .map(item => item.trim().slice(0, 300))
+      .slice(0, 3);
+
+    return { highlights: clean(parsed.highlights), struggles: clean(parsed.struggles), source: 'model' };
+  } catch (error) {
+    console.error('Progress summary failed, using heuristic:', error.message);
+    return summarizeProgressHeuristically(activity);
+  }
+};
+
+// Check API availability - one flag per registered provider
+// openai/claude/... are true while the provider is registered and its circuit breaker lets calls
+// through; ready needs at least one such provider
 const checkAPIStatus = () => {
+  const names = listProviders().map(p => p.name);
+  const status = { openai: false, claude: false };
+  names.forEach(name => { status[name] = isProviderAvailable(name); });
+  const available = names.filter(name => status[name]);
+
   return {
-    openai: !!openaiClient,
-    claude: !!claudeClient,
-    ready: !!(openaiClient || claudeClient)
+    ...status,
+    providers: names,
+    available,
+    ready: available.length > 0
   };
 };
 
+// Ask every registered provider for a live health report
+const checkProviderHealth = async () => {
+  const entries = await Promise.all(listProviders().map(async (provider) => {
+    try {
+      return [provider.name, await provider.health()];
+    } catch (error) {
+      return [provider.name, { ok: false, error: error.message }];
+    }
+  }));
+  return Object.fromEntries(entries);
+};
+
 module.exports = {
   processLearningInteraction,
+  streamLearningInteraction,
   checkAPIStatus,
-  detectLearningMode
+  checkProviderHealth,
+  selectOptimalModel,
+  rankProviders,
+  generateReviewItems,
+  generateQuiz,
+  summarizeProgress,
+  parseModelJSON,
+  detectLearningMode,
+  resolveLearningMode,
+  summarizeClassification,
+  LEARNING_MODES
 };
\ No newline at end of file
@@ -0,0 +1,316 @@
+// llmUsage.js - Token usage, latency and estimated cost of every LLM call, with monthly budgets
+// Provider call hooks (providers/index.js) report each attempt, retries and fallback models included. Calls made
+// while handling a request are attributed to its user through an async context; calls for a tutor
+// turn are held until the turn's conversation is known, then written to llm_usage.
+//
+// Budgets: LLM_MONTHLY_BUDGET_USD per user per calendar month (UTC). From LLM_BUDGET_DOWNGRADE_AT
+// (default 0.8) of the budget, requests use each provider's cheaper budget model; with
+// LLM_BUDGET_ACTION=block they are refused once the budget is spent (default: keep downgrading).
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+const { database } = require('./auth');
+const { addCallHook } = require('./providers');
+
+const { repositories: repos } = database;
+
+// USD per million tokens; the longest model-name prefix that matches wins
+const DEFAULT_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-opus': { input: 15, output: 75 }
+};
+
+// Self-hosted and test providers cost nothing per token
+const FREE_PROVIDERS = ['local', 'scripted'];
+
+const BUDGET_ACTIONS = ['downgrade', 'block'];
+const MONTH = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+const roundCost = (value) => Math.round(Number(value) * 1e6) / 1e6;
+
+// LLM_PRICING_FILE: { "<model prefix>": { "input": 0.15, "output": 0.6 } } adds to or replaces the defaults
+const loadUsageConfig = (env = process.env) => {
+  const prices = { ...DEFAULT_PRICES };
+  if (env.LLM_PRICING_FILE) {
+    try {
+      Object.assign(prices, JSON.parse(fs.readFileSync(env.LLM_PRICING_FILE, 'utf8')));
+    } catch (error) {
+      console.error(`⚠️ Could not load LLM pricing from ${env.LLM_PRICING_FILE}:`, error.message);
+    }
+  }
+
+  const budgetUsd = parseFloat(env.LLM_MONTHLY_BUDGET_USD);
+  const downgradeAt = parseFloat(env.LLM_BUDGET_DOWNGRADE_AT);
+  return {
+    prices,
+    budgetUsd: budgetUsd > 0 ? budgetUsd : null,
+    action: BUDGET_ACTIONS.includes(env.LLM_BUDGET_ACTION) ? env.LLM_BUDGET_ACTION : 'downgrade',
+    downgradeAt: downgradeAt > 0 && downgradeAt <= 1 ? downgradeAt : 0.8
+  };
+};
+
+let config = null;
+
+const getUsageConfig = () => {
+  if (!config) config = loadUsageConfig();
+  return config;
+};
+
+// Swap the configuration (tests, admin reloads)
+const setUsageConfig = (next) => {
+  config = next;
+};
+
+const findPrice = (model, prices) => {
+  const prefix = Object.keys(prices)
+    .filter(key => String(model).startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? prices[prefix] : null;
+};
+
+// Estimated USD cost of a call, or null when the model has no known price
+const estimateCost = ({ provider, model, inputTokens, outputTokens }, prices = getUsageConfig().prices) => {
+  if (FREE_PROVIDERS.includes(provider)) return 0;
+  const price = findPrice(model, prices);
+  if (!price) return null;
+  return roundCost((inputTokens * price.input + outputTokens * price.output) / 1e6);
+};
+
+// The cheapest of a provider's models - its budget model if it has one
+const budgetModelFor = (provider) => {
+  const { primary, fallback, budget } = provider.models;
+  if (budget) return budget;
+
+  const prices = getUsageConfig().prices;
+  const cost = (model) => {
+    const price = model && findPrice(model, prices);
+    return price ? price.input + price.output : Infinity;
+  };
+  return fallback && cost(fallback) < cost(primary) ? fallback : primary;
+};
+
+// Per-request context: { userId, conversationId, downgrade, pending } - pending holds calls
+// until flushUsage(), after which they are written as they happen
+const usageContext = new AsyncLocalStorage();
+
+const writeCall = (record) => {
+  repos.llmUsage.record(record).catch(error => {
+    console.error('⚠️ Could not record LLM usage:', error.message);
+  });
+};
+
+const flushUsage = (store) => {
+  if (!store.pending) return;
+  const pending = store.pending;
+  store.pending = null;
+  pending.forEach(record => writeCall({ ...record, conversationId: record.conversationId || store.conversationId }));
+};
+
+addCallHook({
+  // Users over the downgrade threshold get the cheaper model (explicit models, e.g. fallback retries, are kept)
+  before: (provider, request) => {
+    const store = usageContext.getStore();
+    if (!store || !store.downgrade || request.model) return request;
+    const model = budgetModelFor(provider);
+    return model === provider.models.primary ? request : { ...request, model, budgetDowngrade: true };
+  },
+
+  after: (call, request) => {
+    const store = usageContext.getStore();
+    const inputTokens = (call.usage && call.usage.inputTokens) || 0;
+    const outputTokens = (call.usage && call.usage.outputTokens) || 0;
+    const record = {
+      userId: store ? store.userId : null,
+      conversationId: store ? store.conversationId : null,
+      purpose: call.purpose || 'other',
+      provider: call.provider,
+      model: call.model,
+      operation: call.operation,
+      status: call.status,
+      inputTokens,
+      outputTokens,
+      latencyMs: call.latencyMs,
+      costUsd: estimateCost({ provider: call.provider, model: call.model, inputTokens, outputTokens }),
+      downgraded: Boolean(request.budgetDowngrade)
+    };
+
+    if (store && store.pending) store.pending.push(record);
+    else writeCall(record);
+  }
+});
+
+// Run fn with LLM calls attributed to userId (scheduled jobs and other work outside a request)
+const withUsageContext = ({ userId, conversationId = null }, fn) =>
+  usageContext.run({ userId, conversationId, downgrade: false, pending: null }, fn);
+
+// Attribute the current request's calls (including ones already made) to a conversation
+const setUsageConversation = (conversationId) => {
+  const store = usageContext.getStore();
+  if (store && conversationId) store.conversationId = conversationId;
+};
+
+const monthPeriod = (month) => {
+  const [, year, monthNumber] = MONTH.exec(month);
+  const next = new Date(Date.UTC(Number(year), Number(monthNumber), 1)).toISOString().slice(0, 10);
+  return { month, from: `${month}-01`, to: next };
+};
+
+const currentMonth = (now = new Date()) => now.toISOString().slice(0, 7);
+
+// Where a user stands against the monthly budget
+// status: 'ok', 'downgrade' (cheaper models) or 'blocked'
+const checkBudget = async (userId, now = new Date()) => {
+  const { budgetUsd, action, downgradeAt } = getUsageConfig();
+  if (!budgetUsd) return { status: 'ok', limitUsd: null };
+
+  const period = monthPeriod(currentMonth(now));
+  const totals = await repos.llmUsage.totals(userId, period.from, period.to);
+  const spentUsd = roundCost(totals.cost_usd);
+
+  let status = 'ok';
+  if (action === 'block' && spentUsd >= budgetUsd) status = 'blocked';
+  else if (spentUsd >= budgetUsd * downgradeAt) status = 'downgrade';
+
+  return {
+    status,
+    action,
+    limitUsd: budgetUsd,
+    spentUsd,
+    remainingUsd: roundCost(Math.max(budgetUsd - spentUsd, 0)),
+    resetsAt: `${period.to}T00:00:00.000Z`
+  };
+};
+
+// Route middleware for endpoints that call LLMs: enforces the budget and attributes calls to
+// the user. Add it after multipart parsing (handleUpload) so the context reaches the handler.
+const trackLLMUsage = async (req, res, next) => {
+  let budget = { status: 'ok', limitUsd: null };
+  try {
+    budget = await checkBudget(req.user.id);
+  } catch (error) {
+    console.error('⚠️ Could not check LLM budget:', error.message);
+  }
+
+  if (budget.status === 'blocked') {
+    const retryAfter = Math.max(Math.ceil((Date.parse(budget.resetsAt) - Date.now()) / 1000), 1);
+    res.set('Retry-After', String(retryAfter));
+    console.log(`💸 User ${req.user.id} is over their monthly LLM budget - request blocked`);
+    return res.status(429).json({
+      error: "You've reached this month's tutoring budget. It resets at the start of next month.",
+      code: 'BUDGET_EXCEEDED',
+      retryAfter,
+      budget
+    });
+  }
+
+  const store = { userId: req.user.id, conversationId: null, downgrade: budget.status === 'downgrade', budget, pending: [] };
+  res.on('close', () => flushUsage(store));
+  usageContext.run(store, next);
+};
+
+// metadata.budget for a tutor turn on cheaper models, otherwise undefined
+const budgetMetadata = () => {
+  const store = usageContext.getStore();
+  if (!store || !store.downgrade) return undefined;
+  return { status: 'downgraded', limitUsd: store.budget.limitUsd, spentUsd: store.budget.spentUsd };
+};
+
+const formatSummary = async (userId, period) => {
+  const [totals, byModel, byPurpose, byDay] = await Promise.all([
+    repos.llmUsage.totals(userId, period.from, period.to),
+    repos.llmUsage.byModel(userId, period.from, period.to),
+    repos.llmUsage.byPurpose(userId, period.from, period.to),
+    repos.llmUsage.byDay(userId, period.from, period.to)
+  ]);
+
+  return {
+    period,
+    totals: {
+      calls: totals.calls,
+      failedCalls: totals.failed_calls,
+      inputTokens: totals.input_tokens,
+      outputTokens: totals.output_tokens,
+      costUsd: roundCost(totals.cost_usd)
+    },
+    byModel: byModel.map(row => ({
+      provider: row.provider,
+      model: row.model,
+      calls: row.calls,
+      inputTokens: row.input_tokens,
+      outputTokens: row.output_tokens,
+      costUsd: roundCost(row.cost_usd),
+      avgLatencyMs: row.avg_latency_ms
+    })),
+    byPurpose: byPurpose.map(row => ({ purpose: row.purpose, calls: row.calls, costUsd: roundCost(row.cost_usd) })),
+    byDay: byDay.map(row => ({ day: row.day, calls: row.calls, tokens: row.tokens, costUsd: roundCost(row.cost_usd) })),
+    budget: await checkBudget(userId)
+  };
+};
+
+// ?month=YYYY-MM, defaulting to the current month; null when invalid
+const resolvePeriod = (query) => {
+  const month = query.month || currentMonth();
+  return MONTH.test(month) ? monthPeriod(month) : null;
+};
+
+// GET /api/usage?month=YYYY-MM
+const getMyUsage = async (req, res) => {
+  try {
+    const period = resolvePeriod(req.query);
+    if (!period) return res.status(400).json({ error: 'month must be YYYY-MM' });
+
+    res.json({ usage: await formatSummary(req.user.id, period) });
+  } catch (e) {
+    console.error('🚨 Get usage error:', e);
+    res.status(500).json({ error: 'Failed to fetch usage' });
+  }
+};
+
+// GET /api/learners/:learnerId/usage?month=YYYY-MM
+const getLearnerUsage = async (req, res) => {
+  try {
+    if (req.user.userType !== 'mentor') {
+      return res.status(403).json({ error: 'Only mentors can view learner usage' });
+    }
+
+    const learnerId = parseInt(req.params.learnerId, 10);
+    if (Number.isNaN(learnerId)) return res.status(400).json({ error: 'Invalid learner id' });
+
+    const period = resolvePeriod(req.query);
+    if (!period) return res.status(400).json({ error: 'month must be YYYY-MM' });
+
+    if (!(await repos.links.isActive(req.user.id, learnerId))) {
+      return res.status(403).json({ error: 'No access to this learner' });
+    }
+
+    res.json({ learnerId, usage: await formatSummary(learnerId, period) });
+  } catch (e) {
+    console.error('🚨 Get learner usage error:', e);
+    res.status(500).json({ error: 'Failed to fetch learner usage' });
+  }
+};
+
+module.exports = {
+  DEFAULT_PRICES,
+  loadUsageConfig,
+  getUsageConfig,
+  setUsageConfig,
+  estimateCost,
+  withUsageContext,
+  setUsageConversation,
+  checkBudget,
+  trackLLMUsage,
+  budgetMetadata,
+  getMyUsage,
+  getLearnerUsage
+};
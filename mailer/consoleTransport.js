@@ -0,0 +1,17 @@
+// mailer/consoleTransport.js - Prints messages instead of sending them
+const crypto = require('crypto');
+
+const createConsoleTransport = () => {
+  const send = async ({ from, to, subject, text }) => {
+    const messageId = `console-${crypto.randomBytes(6).toString('hex')}`;
+    console.log(`📨 [mail] ${from} -> ${to}\n   Subject: ${subject}\n${text.split('\n').map(line => `   ${line}`).join('\n')}`);
+    return { messageId };
+  };
+
+  return {
+    name: 'console',
+    send
+  };
+};
+
+module.exports = { createConsoleTransport };
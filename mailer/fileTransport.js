@@ -0,0 +1,30 @@
+// mailer/fileTransport.js - Writes each message to disk for local development
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+const createFileTransport = ({ directory }) => {
+  const root = path.resolve(directory);
+
+  // <timestamp>-<id>.json holds the envelope and text; the HTML part sits next to it for a browser
+  const send = async ({ from, to, subject, text, html }) => {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    await fs.mkdir(root, { recursive: true });
+    await fs.writeFile(
+      path.join(root, `${messageId}.json`),
+      JSON.stringify({ messageId, from, to, subject, text, date: new Date().toISOString() }, null, 2)
+    );
+    if (html) {
+      await fs.writeFile(path.join(root, `${messageId}.html`), html);
+    }
+    return { messageId };
+  };
+
+  return {
+    name: 'file',
+    root,
+    send
+  };
+};
+
+module.exports = { createFileTransport };
@@ -0,0 +1,63 @@
+// mailer/index.js - Pluggable mail transport
+//
+// A transport is an object with:
+//   name  - 'smtp', 'file' or 'console'
+//   send  - async ({ from, to, subject, text, html }) => { messageId }
+const { createSmtpTransport } = require('./smtpTransport');
+const { createFileTransport } = require('./fileTransport');
+const { createConsoleTransport } = require('./consoleTransport');
+
+const DEFAULT_FROM = 'Lilibet <no-reply@lilibet.app>';
+
+let transport = null;
+
+// MAIL_TRANSPORT picks the backend; SMTP when SMTP_HOST is set, otherwise the console
+const createDefaultTransport = (env = process.env) => {
+  const name = env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'console');
+
+  switch (name) {
+    case 'smtp':
+      return createSmtpTransport({
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT, 10) || 587,
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS
+      });
+    case 'file':
+      return createFileTransport({ directory: env.MAIL_OUTPUT_DIR || 'mail-outbox' });
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+  }
+};
+
+const getTransport = () => {
+  if (!transport) transport = createDefaultTransport();
+  return transport;
+};
+
+// Swap the transport (tests, alternative providers)
+const setTransport = (backend) => {
+  transport = backend;
+  return transport;
+};
+
+// Send one message through the active transport
+const sendMail = async (message) => {
+  const active = getTransport();
+  const result = await active.send({ from: process.env.MAIL_FROM || DEFAULT_FROM, ...message });
+  console.log(`📧 Mail "${message.subject}" sent to ${message.to} via ${active.name}`);
+  return { ...result, transport: active.name };
+};
+
+module.exports = {
+  getTransport,
+  setTransport,
+  sendMail,
+  createDefaultTransport,
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport
+};
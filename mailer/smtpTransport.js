@@ -0,0 +1,25 @@
+// mailer/smtpTransport.js - SMTP delivery through nodemailer
+const nodemailer = require('nodemailer');
+
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  if (!host) throw new Error('SMTP_HOST is required for the smtp mail transport');
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user ? { auth: { user, pass } } : {})
+  });
+
+  const send = async ({ from, to, subject, text, html }) => {
+    const info = await transporter.sendMail({ from, to, subject, text, html });
+    return { messageId: info.messageId };
+  };
+
+  return {
+    name: 'smtp',
+    send
+  };
+};
+
+module.exports = { createSmtpTransport };
@@ -0,0 +1,8 @@
+-- 001_initial_schema.down.sql - Drop the core tables
+--
+-- The legacy parent/student renames are not reversed.
+
+DROP TABLE IF EXISTS mentor_learner_links;
+DROP TABLE IF EXISTS user_sessions;
+DROP TABLE IF EXISTS conversations;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,163 @@
+-- 001_initial_schema.up.sql - Core tables (users, conversations, sessions, mentor links)
+--
+-- Idempotent so databases created by the old startup initializer adopt it cleanly.
+-- Also carries the legacy parent/student -> mentor/learner renames from the old migration.sql.
+
+----------------------------------------------------------------------
+-- Legacy renames (no-ops on a fresh database)
+----------------------------------------------------------------------
+
+ALTER TABLE IF EXISTS parent_student_links RENAME TO mentor_learner_links;
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_name = 'mentor_learner_links' AND column_name = 'parent_id') THEN
+    EXECUTE 'ALTER TABLE mentor_learner_links RENAME COLUMN parent_id TO mentor_id';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_name = 'mentor_learner_links' AND column_name = 'student_id') THEN
+    EXECUTE 'ALTER TABLE mentor_learner_links RENAME COLUMN student_id TO learner_id';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_name = 'users' AND column_name = 'age_group') THEN
+    EXECUTE 'ALTER TABLE users RENAME COLUMN age_group TO skill_level';
+  END IF;
+END$$;
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_class WHERE relname = 'idx_parent_student_links_parent_id') THEN
+    EXECUTE 'ALTER INDEX idx_parent_student_links_parent_id RENAME TO idx_mentor_learner_links_mentor_id';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM pg_class WHERE relname = 'idx_parent_student_links_student_id') THEN
+    EXECUTE 'ALTER INDEX idx_parent_student_links_student_id RENAME TO idx_mentor_learner_links_learner_id';
+  END IF;
+END$$;
+
+----------------------------------------------------------------------
+-- USERS
+----------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(255) UNIQUE NOT NULL,
+  password_hash VARCHAR(255) NOT NULL,
+  display_name VARCHAR(255),
+  skill_level VARCHAR(50) DEFAULT 'intermediate',
+  preferred_subjects TEXT DEFAULT '[]',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS username VARCHAR(50),
+  ADD COLUMN IF NOT EXISTS user_type VARCHAR(20) DEFAULT 'learner',
+  ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS last_login TIMESTAMP;
+
+-- Mentors are linked through mentor_learner_links, not a column on users
+ALTER TABLE users DROP COLUMN IF EXISTS parent_id;
+ALTER TABLE users DROP COLUMN IF EXISTS mentor_id;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'users_username_unique') THEN
+    ALTER TABLE users ADD CONSTRAINT users_username_unique UNIQUE (username);
+  END IF;
+END$$;
+
+-- Legacy user_type / skill_level values
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_user_type_check;
+
+UPDATE users SET user_type = 'mentor'  WHERE user_type = 'parent';
+UPDATE users SET user_type = 'learner' WHERE user_type = 'student';
+
+UPDATE users SET skill_level = 'beginner'     WHERE skill_level IN ('elementary', 'Elementary (Under 13)', 'Elementary (5-8)', 'under 13', 'Under 13');
+UPDATE users SET skill_level = 'intermediate' WHERE skill_level IN ('middle', 'Middle School (10-13)', 'Middle School (13-14)');
+UPDATE users SET skill_level = 'advanced'     WHERE skill_level IN ('high', 'High School (13+)', 'High School (15-17)');
+UPDATE users SET skill_level = 'expert'       WHERE skill_level IN ('adult', 'Adult (18+)');
+
+ALTER TABLE users ALTER COLUMN user_type SET DEFAULT 'learner';
+ALTER TABLE users ALTER COLUMN skill_level SET DEFAULT 'intermediate';
+
+-- CHECK on user_type that accepts whatever values are present (mentor/learner on a fresh database)
+DO $$
+DECLARE vals TEXT;
+BEGIN
+  SELECT string_agg(quote_literal(user_type), ',')
+    INTO vals
+  FROM (SELECT DISTINCT user_type FROM users WHERE user_type IS NOT NULL) s;
+
+  IF vals IS NULL OR vals = '' THEN
+    vals := '''mentor'',''learner''';
+  END IF;
+
+  EXECUTE format(
+    'ALTER TABLE users ADD CONSTRAINT users_user_type_check CHECK (user_type IS NULL OR user_type IN (%s))',
+    vals
+  );
+END$$;
+
+----------------------------------------------------------------------
+-- CONVERSATIONS
+----------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS conversations (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  subject VARCHAR(100) NOT NULL,
+  title VARCHAR(255),
+  messages TEXT NOT NULL DEFAULT '[]',
+  detected_level VARCHAR(50),
+  model_used VARCHAR(50) DEFAULT 'openai',
+  learning_mode VARCHAR(50),
+  is_archived BOOLEAN DEFAULT FALSE,
+  tags TEXT DEFAULT '[]',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+----------------------------------------------------------------------
+-- SESSIONS
+----------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  token_hash VARCHAR(255) NOT NULL,
+  device_info VARCHAR(255),
+  ip_address INET,
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+----------------------------------------------------------------------
+-- MENTOR-LEARNER LINKING
+----------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS mentor_learner_links (
+  id SERIAL PRIMARY KEY,
+  mentor_id INTEGER REFERENCES users(id),
+  learner_id INTEGER REFERENCES users(id),
+  status VARCHAR(20) DEFAULT 'pending',
+  invitation_code VARCHAR(10) UNIQUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  accepted_at TIMESTAMP,
+  UNIQUE(mentor_id, learner_id)
+);
+
+----------------------------------------------------------------------
+-- Indexes
+----------------------------------------------------------------------
+
+CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
+CREATE INDEX IF NOT EXISTS idx_conversations_user_id ON conversations(user_id);
+CREATE INDEX IF NOT EXISTS idx_conversations_user_subject ON conversations(user_id, LOWER(subject));
+CREATE INDEX IF NOT EXISTS idx_links_mentor ON mentor_learner_links(mentor_id);
+CREATE INDEX IF NOT EXISTS idx_links_learner ON mentor_learner_links(learner_id);
+CREATE INDEX IF NOT EXISTS idx_links_code ON mentor_learner_links(invitation_code);
@@ -0,0 +1,14 @@
+-- 002_learning_features.down.sql - Drop the learning feature tables
+
+DROP TABLE IF EXISTS progress_reports;
+DROP TABLE IF EXISTS mentor_report_settings;
+DROP TABLE IF EXISTS kb_chunk_terms;
+DROP TABLE IF EXISTS kb_chunks;
+DROP TABLE IF EXISTS kb_documents;
+DROP TABLE IF EXISTS attachments;
+DROP TABLE IF EXISTS subject_scores;
+DROP TABLE IF EXISTS quiz_attempts;
+DROP TABLE IF EXISTS quizzes;
+DROP TABLE IF EXISTS review_grades;
+DROP TABLE IF EXISTS review_items;
+DROP TABLE IF EXISTS learner_skill_levels;
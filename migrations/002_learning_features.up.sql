@@ -0,0 +1,163 @@
+-- 002_learning_features.up.sql - Skill estimates, spaced repetition, quizzes, attachments,
+-- knowledge base and progress reports
+
+-- PER-SUBJECT SKILL ESTIMATES
+CREATE TABLE IF NOT EXISTS learner_skill_levels (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  subject VARCHAR(100) NOT NULL,
+  estimated_level VARCHAR(50),
+  confidence REAL DEFAULT 0,
+  signals JSONB DEFAULT '{}',
+  practice_correct INTEGER DEFAULT 0,
+  practice_total INTEGER DEFAULT 0,
+  pinned_level VARCHAR(50),
+  pinned_by INTEGER REFERENCES users(id),
+  pinned_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(user_id, subject)
+);
+
+-- SPACED REPETITION (SM-2 state lives on each item)
+CREATE TABLE IF NOT EXISTS review_items (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  conversation_id INTEGER REFERENCES conversations(id) ON DELETE SET NULL,
+  subject VARCHAR(100) NOT NULL,
+  prompt TEXT NOT NULL,
+  answer TEXT NOT NULL,
+  source VARCHAR(20) DEFAULT 'auto',
+  ease_factor REAL DEFAULT 2.5,
+  interval_days INTEGER DEFAULT 0,
+  repetitions INTEGER DEFAULT 0,
+  lapses INTEGER DEFAULT 0,
+  due_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_grade INTEGER,
+  last_reviewed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(user_id, prompt)
+);
+
+CREATE TABLE IF NOT EXISTS review_grades (
+  id SERIAL PRIMARY KEY,
+  item_id INTEGER NOT NULL REFERENCES review_items(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  grade INTEGER NOT NULL,
+  interval_days INTEGER NOT NULL,
+  ease_factor REAL NOT NULL,
+  reviewed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- QUIZZES (questions include answer keys - never sent to learners before grading)
+CREATE TABLE IF NOT EXISTS quizzes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  conversation_id INTEGER REFERENCES conversations(id) ON DELETE SET NULL,
+  subject VARCHAR(100) NOT NULL,
+  topic VARCHAR(255),
+  skill_level VARCHAR(50),
+  title VARCHAR(255),
+  questions JSONB NOT NULL,
+  model_used VARCHAR(50),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS quiz_attempts (
+  id SERIAL PRIMARY KEY,
+  quiz_id INTEGER NOT NULL REFERENCES quizzes(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  answers JSONB NOT NULL,
+  results JSONB NOT NULL,
+  score INTEGER NOT NULL,
+  total INTEGER NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS subject_scores (
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  subject VARCHAR(100) NOT NULL,
+  attempts INTEGER DEFAULT 0,
+  questions_answered INTEGER DEFAULT 0,
+  correct_answers INTEGER DEFAULT 0,
+  last_score_pct REAL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, subject)
+);
+
+-- ATTACHMENTS (uploaded homework photos/documents; file bytes live in upload storage)
+CREATE TABLE IF NOT EXISTS attachments (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  conversation_id INTEGER REFERENCES conversations(id) ON DELETE SET NULL,
+  storage_key VARCHAR(255) NOT NULL,
+  original_name VARCHAR(255),
+  mime_type VARCHAR(100) NOT NULL,
+  kind VARCHAR(20) NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  extracted_text TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- KNOWLEDGE BASE (mentor curriculum, chunked and BM25-indexed for retrieval)
+CREATE TABLE IF NOT EXISTS kb_documents (
+  id SERIAL PRIMARY KEY,
+  mentor_id INTEGER NOT NULL REFERENCES users(id),
+  learner_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  title VARCHAR(255) NOT NULL,
+  subject VARCHAR(100),
+  original_name VARCHAR(255),
+  content TEXT NOT NULL,
+  chunk_count INTEGER DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS kb_chunks (
+  id SERIAL PRIMARY KEY,
+  document_id INTEGER NOT NULL REFERENCES kb_documents(id) ON DELETE CASCADE,
+  chunk_index INTEGER NOT NULL,
+  content TEXT NOT NULL,
+  term_count INTEGER NOT NULL,
+  UNIQUE(document_id, chunk_index)
+);
+
+CREATE TABLE IF NOT EXISTS kb_chunk_terms (
+  chunk_id INTEGER NOT NULL REFERENCES kb_chunks(id) ON DELETE CASCADE,
+  term VARCHAR(100) NOT NULL,
+  tf INTEGER NOT NULL,
+  PRIMARY KEY (chunk_id, term)
+);
+
+-- PROGRESS REPORTS (one row per mentor/learner/period so restarts never resend)
+CREATE TABLE IF NOT EXISTS mentor_report_settings (
+  mentor_id INTEGER PRIMARY KEY REFERENCES users(id),
+  enabled BOOLEAN DEFAULT FALSE,
+  frequency VARCHAR(20) DEFAULT 'weekly',
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS progress_reports (
+  id SERIAL PRIMARY KEY,
+  mentor_id INTEGER NOT NULL REFERENCES users(id),
+  learner_id INTEGER NOT NULL REFERENCES users(id),
+  period_start DATE NOT NULL,
+  period_end DATE NOT NULL,
+  status VARCHAR(20) DEFAULT 'sending',
+  transport VARCHAR(20),
+  message_id VARCHAR(255),
+  error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  sent_at TIMESTAMP,
+  UNIQUE(mentor_id, learner_id, period_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_items_due ON review_items(user_id, due_at);
+CREATE INDEX IF NOT EXISTS idx_quizzes_user ON quizzes(user_id);
+CREATE INDEX IF NOT EXISTS idx_quiz_attempts_quiz ON quiz_attempts(quiz_id);
+CREATE INDEX IF NOT EXISTS idx_attachments_user ON attachments(user_id);
+CREATE INDEX IF NOT EXISTS idx_attachments_conversation ON attachments(conversation_id);
+CREATE INDEX IF NOT EXISTS idx_kb_documents_mentor ON kb_documents(mentor_id);
+CREATE INDEX IF NOT EXISTS idx_kb_chunks_document ON kb_chunks(document_id);
+CREATE INDEX IF NOT EXISTS idx_kb_chunk_terms_term ON kb_chunk_terms(term);
@@ -0,0 +1,29 @@
+-- 003_account_security.down.sql - Back to delete-on-unlink links and single-token sessions
+--
+-- Revoked link rows are deleted so the old (mentor_id, learner_id) uniqueness can be restored.
+
+DROP TABLE IF EXISTS invitation_attempts;
+
+DELETE FROM mentor_learner_links WHERE status = 'revoked';
+DROP INDEX IF EXISTS idx_links_active_pair;
+ALTER TABLE mentor_learner_links
+  ADD CONSTRAINT mentor_learner_links_mentor_id_learner_id_key UNIQUE (mentor_id, learner_id);
+ALTER TABLE mentor_learner_links
+  DROP COLUMN IF EXISTS created_by,
+  DROP COLUMN IF EXISTS expires_at,
+  DROP COLUMN IF EXISTS revoked_at,
+  DROP COLUMN IF EXISTS revoked_by;
+
+DROP TABLE IF EXISTS account_tokens;
+
+DROP INDEX IF EXISTS idx_sessions_token_hash;
+DROP INDEX IF EXISTS idx_sessions_family;
+ALTER TABLE user_sessions
+  DROP COLUMN IF EXISTS family_id,
+  DROP COLUMN IF EXISTS last_used_at,
+  DROP COLUMN IF EXISTS revoked_at,
+  DROP COLUMN IF EXISTS revoked_reason;
+
+ALTER TABLE users
+  DROP COLUMN IF EXISTS email_verified,
+  DROP COLUMN IF EXISTS email_verified_at;
@@ -0,0 +1,53 @@
+-- 003_account_security.up.sql - Refresh-token rotation, email verification / password reset
+-- tokens, and the mentor invitation lifecycle
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS email_verified BOOLEAN DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+
+-- Refresh-token rotation: one row per refresh token, rows of one login share a family_id
+ALTER TABLE user_sessions
+  ADD COLUMN IF NOT EXISTS family_id VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS revoked_reason VARCHAR(50);
+
+-- ACCOUNT TOKENS - single-use email verification / password reset tokens (hashed)
+CREATE TABLE IF NOT EXISTS account_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  purpose VARCHAR(30) NOT NULL,
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Invitation lifecycle: pending -> active -> revoked, rows are kept rather than deleted
+ALTER TABLE mentor_learner_links
+  ADD COLUMN IF NOT EXISTS created_by INTEGER REFERENCES users(id),
+  ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS revoked_by INTEGER REFERENCES users(id);
+
+UPDATE mentor_learner_links
+SET created_by = COALESCE(created_by, learner_id),
+    expires_at = COALESCE(expires_at, created_at + INTERVAL '7 days')
+WHERE status = 'pending' AND mentor_id IS NULL AND (created_by IS NULL OR expires_at IS NULL);
+
+-- A pair may be re-linked after a revoke, so uniqueness only applies to active links
+ALTER TABLE mentor_learner_links DROP CONSTRAINT IF EXISTS mentor_learner_links_mentor_id_learner_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_links_active_pair
+  ON mentor_learner_links(mentor_id, learner_id) WHERE status = 'active';
+
+-- Failed invitation-code attempts per user (lockout)
+CREATE TABLE IF NOT EXISTS invitation_attempts (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  failed_count INTEGER NOT NULL DEFAULT 0,
+  window_started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  locked_until TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_token_hash ON user_sessions(token_hash);
+CREATE INDEX IF NOT EXISTS idx_sessions_family ON user_sessions(family_id);
+CREATE INDEX IF NOT EXISTS idx_account_tokens_user ON account_tokens(user_id, purpose);
@@ -0,0 +1,28 @@
+-- 004_conversation_messages_and_search.down.sql - Fold messages back into the JSON blobs
+--
+-- Blobs are rebuilt in the shape the API returned ({ role, content, timestamp, attachments?, metadata? }).
+
+UPDATE conversations c
+SET messages = rebuilt.messages::text
+FROM (
+  SELECT conversation_id,
+         jsonb_agg(
+           jsonb_build_object('role', role, 'content', content, 'timestamp', created_at)
+             || CASE WHEN metadata ? 'attachments'
+                     THEN jsonb_build_object('attachments', metadata->'attachments') ELSE '{}'::jsonb END
+             || CASE WHEN (metadata - 'attachments') <> '{}'::jsonb
+                     THEN jsonb_build_object('metadata', metadata - 'attachments') ELSE '{}'::jsonb END
+           ORDER BY id
+         ) AS messages
+  FROM conversation_messages
+  GROUP BY conversation_id
+) rebuilt
+WHERE rebuilt.conversation_id = c.id;
+
+DROP INDEX IF EXISTS idx_conversations_search;
+DROP TRIGGER IF EXISTS conversations_search_vector ON conversations;
+DROP FUNCTION IF EXISTS conversations_search_vector_update();
+ALTER TABLE conversations DROP COLUMN IF EXISTS search_vector;
+
+DROP TABLE IF EXISTS conversation_messages;
+DROP FUNCTION IF EXISTS conversation_messages_search_vector_append();
@@ -0,0 +1,128 @@
+-- 004_conversation_messages_and_search.up.sql - One row per conversation turn, and full-text search
+--
+-- Splits the legacy conversations.messages JSON blobs into conversation_messages. The blob column
+-- is left in place (unused) so the data can be recovered if needed.
+
+-- CONVERSATION MESSAGES
+CREATE TABLE IF NOT EXISTS conversation_messages (
+  id SERIAL PRIMARY KEY,
+  conversation_id INTEGER NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL,
+  content TEXT NOT NULL DEFAULT '',
+  metadata JSONB NOT NULL DEFAULT '{}',
+  model VARCHAR(100),
+  prompt_tokens INTEGER,
+  completion_tokens INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_messages_conversation ON conversation_messages(conversation_id, id);
+
+----------------------------------------------------------------------
+-- Split legacy blobs
+----------------------------------------------------------------------
+
+-- Databases initialized by the old startup code may already have split some (or all) conversations
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS messages_migrated BOOLEAN DEFAULT FALSE;
+
+-- Unparseable blobs are treated as empty
+CREATE OR REPLACE FUNCTION migration_parse_messages(raw TEXT) RETURNS JSONB AS $$
+DECLARE parsed JSONB;
+BEGIN
+  parsed := raw::jsonb;
+  RETURN CASE WHEN jsonb_typeof(parsed) = 'array' THEN parsed ELSE '[]'::jsonb END;
+EXCEPTION WHEN OTHERS THEN
+  RETURN '[]'::jsonb;
+END
+$$ LANGUAGE plpgsql;
+
+-- Legacy blobs have clock-only timestamps ("11:36:25 AM") - those fall back to the conversation's
+CREATE OR REPLACE FUNCTION migration_parse_timestamp(raw TEXT) RETURNS TIMESTAMPTZ AS $$
+BEGIN
+  RETURN raw::timestamptz;
+EXCEPTION WHEN OTHERS THEN
+  RETURN NULL;
+END
+$$ LANGUAGE plpgsql;
+
+-- Messages are { role, content, ... } or the older { text, sender, ... }; everything besides
+-- role/content/timestamp lands in metadata, model and token usage also get columns
+INSERT INTO conversation_messages (
+  conversation_id, role, content, metadata, model, prompt_tokens, completion_tokens, created_at
+)
+SELECT c.id,
+       LEFT(COALESCE(NULLIF(m->>'role', ''), CASE WHEN m->>'sender' = 'user' THEN 'user' ELSE 'assistant' END), 20),
+       CASE
+         WHEN NULLIF(m->>'role', '') IS NULL THEN COALESCE(m->>'text', '')
+         WHEN jsonb_typeof(m->'content') = 'string' THEN m->>'content'
+         WHEN m->'content' IS NULL OR jsonb_typeof(m->'content') = 'null' THEN ''
+         ELSE (m->'content')::text
+       END,
+       (m - 'role' - 'content' - 'text' - 'sender' - 'timestamp' - 'metadata' - 'attachments' - 'id')
+         || CASE WHEN jsonb_typeof(m->'metadata') = 'object' THEN m->'metadata' ELSE '{}'::jsonb END
+         || CASE WHEN m ? 'attachments' AND jsonb_typeof(m->'attachments') <> 'null'
+                 THEN jsonb_build_object('attachments', m->'attachments') ELSE '{}'::jsonb END
+         || CASE WHEN m ? 'id' THEN jsonb_build_object('clientId', m->'id') ELSE '{}'::jsonb END,
+       LEFT(COALESCE(NULLIF(m->'metadata'->>'modelName', ''), NULLIF(m->'metadata'->>'model', '')), 100),
+       CASE WHEN jsonb_typeof(m->'metadata'->'usage'->'inputTokens') = 'number'
+            THEN (m->'metadata'->'usage'->>'inputTokens')::numeric::int END,
+       CASE WHEN jsonb_typeof(m->'metadata'->'usage'->'outputTokens') = 'number'
+            THEN (m->'metadata'->'usage'->>'outputTokens')::numeric::int END,
+       COALESCE(
+         CASE WHEN jsonb_typeof(m->'timestamp') = 'string' THEN migration_parse_timestamp(m->>'timestamp') END,
+         c.created_at,
+         CURRENT_TIMESTAMP
+       )
+FROM conversations c
+CROSS JOIN LATERAL jsonb_array_elements(migration_parse_messages(c.messages)) WITH ORDINALITY AS e(m, n)
+WHERE c.messages_migrated = FALSE
+  AND jsonb_typeof(m) = 'object'
+ORDER BY c.id, n;
+
+ALTER TABLE conversations DROP COLUMN messages_migrated;
+DROP FUNCTION migration_parse_messages(TEXT);
+DROP FUNCTION migration_parse_timestamp(TEXT);
+
+----------------------------------------------------------------------
+-- Full-text search: title (weight A) + message contents (weight B), kept current by triggers
+----------------------------------------------------------------------
+
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+
+CREATE OR REPLACE FUNCTION conversations_search_vector_update() RETURNS TRIGGER AS $$
+BEGIN
+  NEW.search_vector :=
+    setweight(to_tsvector('english', COALESCE(NEW.title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE((
+      SELECT string_agg(content, ' ' ORDER BY id) FROM conversation_messages WHERE conversation_id = NEW.id
+    ), '')), 'B');
+  RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS conversations_search_vector ON conversations;
+CREATE TRIGGER conversations_search_vector
+BEFORE INSERT OR UPDATE OF title ON conversations
+FOR EACH ROW EXECUTE FUNCTION conversations_search_vector_update();
+
+-- New messages are appended to the vector instead of rebuilding it
+CREATE OR REPLACE FUNCTION conversation_messages_search_vector_append() RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE conversations
+  SET search_vector = COALESCE(search_vector, ''::tsvector) || setweight(to_tsvector('english', NEW.content), 'B')
+  WHERE id = NEW.conversation_id;
+  RETURN NULL;
+END
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS conversation_messages_search_vector ON conversation_messages;
+CREATE TRIGGER conversation_messages_search_vector
+AFTER INSERT ON conversation_messages
+FOR EACH ROW EXECUTE FUNCTION conversation_messages_search_vector_append();
+
+DROP FUNCTION IF EXISTS conversation_message_text(TEXT);
+
+-- title = title rebuilds every vector from the rows above
+UPDATE conversations SET title = title;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_search ON conversations USING GIN(search_vector);
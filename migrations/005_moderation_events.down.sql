@@ -0,0 +1,3 @@
+-- 005_moderation_events.down.sql - Drop moderation events
+
+DROP TABLE IF EXISTS moderation_events;
@@ -0,0 +1,20 @@
+-- 005_moderation_events.up.sql - Content safety flags on learner input and tutor output
+
+CREATE TABLE IF NOT EXISTS moderation_events (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  conversation_id INTEGER REFERENCES conversations(id) ON DELETE SET NULL,
+  stage VARCHAR(10) NOT NULL CHECK (stage IN ('input', 'output')),
+  skill_level VARCHAR(50),
+  -- [{ category, score, threshold, sources }] for every category over its threshold
+  categories JSONB NOT NULL DEFAULT '[]',
+  severity VARCHAR(10) NOT NULL CHECK (severity IN ('low', 'medium', 'high')),
+  action VARCHAR(20) NOT NULL DEFAULT 'replaced',
+  provider VARCHAR(50),
+  mentors_notified_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_events_user ON moderation_events(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_moderation_events_notified
+  ON moderation_events(user_id, mentors_notified_at) WHERE mentors_notified_at IS NOT NULL;
@@ -0,0 +1,3 @@
+-- 006_integrity_policies.down.sql - Drop learner integrity policies
+
+DROP TABLE IF EXISTS learner_integrity_policies;
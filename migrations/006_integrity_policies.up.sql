@@ -0,0 +1,11 @@
+-- 006_integrity_policies.up.sql - Academic integrity settings a linked mentor sets per learner
+
+CREATE TABLE IF NOT EXISTS learner_integrity_policies (
+  learner_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  hints_only BOOLEAN NOT NULL DEFAULT FALSE,
+  no_full_solutions BOOLEAN NOT NULL DEFAULT FALSE,
+  show_work_required BOOLEAN NOT NULL DEFAULT FALSE,
+  updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
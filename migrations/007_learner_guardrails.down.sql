@@ -0,0 +1,4 @@
+-- 007_learner_guardrails.down.sql - Drop learner guardrails and message usage
+
+DROP TABLE IF EXISTS learner_message_usage;
+DROP TABLE IF EXISTS learner_guardrails;
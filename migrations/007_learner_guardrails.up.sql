@@ -0,0 +1,25 @@
+-- 007_learner_guardrails.up.sql - Mentor-set usage limits per learner and the message counts behind them
+
+CREATE TABLE IF NOT EXISTS learner_guardrails (
+  learner_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  -- Lowercased subject names; NULL allows every subject
+  allowed_subjects JSONB,
+  daily_message_limit INTEGER CHECK (daily_message_limit > 0),
+  weekly_message_limit INTEGER CHECK (weekly_message_limit > 0),
+  -- 'HH:MM' in time_zone; the window may wrap past midnight
+  quiet_hours_start VARCHAR(5),
+  quiet_hours_end VARCHAR(5),
+  time_zone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+  max_skill_level VARCHAR(50),
+  updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tutor messages per learner per day (the learner's local date)
+CREATE TABLE IF NOT EXISTS learner_message_usage (
+  learner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  usage_date DATE NOT NULL,
+  message_count INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (learner_id, usage_date)
+);
@@ -0,0 +1,3 @@
+-- 008_llm_usage.down.sql - Drop LLM usage accounting
+
+DROP TABLE IF EXISTS llm_usage;
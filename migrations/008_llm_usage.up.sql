@@ -0,0 +1,23 @@
+-- 008_llm_usage.up.sql - One row per LLM provider call (fallback retries included) with its estimated cost
+
+CREATE TABLE IF NOT EXISTS llm_usage (
+  id SERIAL PRIMARY KEY,
+  -- NULL for calls made outside a user's request (scheduled jobs)
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  conversation_id INTEGER REFERENCES conversations(id) ON DELETE SET NULL,
+  purpose VARCHAR(30) NOT NULL DEFAULT 'other',
+  provider VARCHAR(50) NOT NULL,
+  model VARCHAR(100) NOT NULL,
+  operation VARCHAR(10) NOT NULL CHECK (operation IN ('generate', 'stream')),
+  status VARCHAR(10) NOT NULL CHECK (status IN ('ok', 'error', 'aborted')),
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  latency_ms INTEGER NOT NULL,
+  -- NULL when the model has no known price
+  estimated_cost_usd NUMERIC(12, 6),
+  downgraded BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_user ON llm_usage(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_conversation ON llm_usage(conversation_id);
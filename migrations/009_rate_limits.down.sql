@@ -0,0 +1,3 @@
+-- 009_rate_limits.down.sql - Drop shared rate limit counters
+
+DROP TABLE IF EXISTS rate_limits;
@@ -0,0 +1,11 @@
+-- 009_rate_limits.up.sql - Rate limit counters shared across instances (RATE_LIMIT_STORE=postgres)
+
+CREATE TABLE IF NOT EXISTS rate_limits (
+  -- "<policy>:<ip|user|account>:<id>"
+  key VARCHAR(255) PRIMARY KEY,
+  -- Algorithm state (see rateLimit/algorithms.js)
+  state JSONB,
+  expires_at TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limits_expires ON rate_limits(expires_at);
@@ -0,0 +1,3 @@
+-- 010_response_cache.down.sql - Drop the tutor response cache
+
+DROP TABLE IF EXISTS response_cache;
@@ -0,0 +1,17 @@
+-- 010_response_cache.up.sql - Tutor replies reused for identical first-turn questions (RESPONSE_CACHE_STORE=postgres)
+
+CREATE TABLE IF NOT EXISTS response_cache (
+  -- sha256 of the normalized question, subject, skill level, mode, integrity policy and safety level
+  cache_key CHAR(64) PRIMARY KEY,
+  subject VARCHAR(100) NOT NULL,
+  mode VARCHAR(20) NOT NULL,
+  skill_level VARCHAR(50),
+  response TEXT NOT NULL,
+  metadata JSONB NOT NULL DEFAULT '{}',
+  hits INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_response_cache_expires ON response_cache(expires_at);
+CREATE INDEX IF NOT EXISTS idx_response_cache_subject ON response_cache(LOWER(subject), mode);
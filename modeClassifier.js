@@ -0,0 +1,270 @@
+// modeClassifier.js - Scored learning mode classifier
+// Weighted features (English, Spanish, French, German), conversation context and an
+// optional LLM classification step produce a ranked list of modes with confidences.
+const { listProviders, getProvider, isProviderAvailable } = require('./providers');
+
+const LEARNING_MODES = ['discovery', 'practice', 'explanation', 'challenge', 'review'];
+
+// Prior applied to every message so open-ended input still lands in discovery
+const BASE_SCORES = {
+  discovery: 0.5,
+  practice: 0,
+  explanation: 0,
+  challenge: 0,
+  review: 0
+};
+
+// Patterns run against lowercased, accent-stripped text
+const MODE_FEATURES = {
+  explanation: [
+    { name: 'what-is', pattern: /\bwhat(?:'s| is| are| does| do)\b/, weight: 2 },
+    { name: 'explain', pattern: /\bexplain|\bexplanation\b/, weight: 3 },
+    { name: 'how-does', pattern: /\bhow (?:does|do|did|can|is|are)\b/, weight: 2 },
+    { name: 'why', pattern: /\bwhy\b/, weight: 1.5 },
+    { name: 'tell-me-about', pattern: /\btell me (?:about|what)\b/, weight: 2 },
+    { name: 'define', pattern: /\bdefin(?:e|ition)\b|\bmeaning of\b|\bwhat does .+ mean\b/, weight: 2.5 },
+    { name: 'difference', pattern: /\bdifference between\b/, weight: 2 },
+    { name: 'es-explain', pattern: /\bque (?:es|son|significa)\b|\bexplica|\bpor que\b|\bcomo funciona/, weight: 2.5 },
+    { name: 'fr-explain', pattern: /\bqu'est-ce (?:que|qu'|qui)|\bexpliqu|\bpourquoi\b|\bcomment (?:fonctionne|marche)/, weight: 2.5 },
+    { name: 'de-explain', pattern: /\bwas (?:ist|sind|bedeutet)\b|\berklar|\bwarum\b|\bwie funktioniert/, weight: 2.5 }
+  ],
+  practice: [
+    { name: 'practice', pattern: /\bpractic(?:e|ing)\b/, weight: 3 },
+    { name: 'solve', pattern: /\bsolv(?:e|ing)\b/, weight: 2.5 },
+    { name: 'calculate', pattern: /\bcalculat(?:e|ing)|\bcompute\b|\bsimplify\b|\bfactor\b/, weight: 2.5 },
+    { name: 'exercise', pattern: /\bexercises?\b|\bworksheet\b|\bhomework\b/, weight: 2.5 },
+    { name: 'problem', pattern: /\bproblems?\b/, weight: 1.5 },
+    { name: 'work-through', pattern: /\bwork (?:through|out)\b|\bstep by step\b|\bhelp me (?:with|do)\b/, weight: 2 },
+    { name: 'equation', pattern: /\d\s*[-+*/x=^]\s*\d|\b\d+\s*[a-z]\s*[-+=]/, weight: 2 },
+    { name: 'es-practice', pattern: /\bpractica|\bresolver|\bresuelve|\bcalcula|\bejercicio/, weight: 2.5 },
+    { name: 'fr-practice', pattern: /\bpratiqu|\bresoudre|\bresous|\bcalcul|\bexercice/, weight: 2.5 },
+    { name: 'de-practice', pattern: /\buben\b|\blosen\b|\bberechne|\baufgabe|\bubung/, weight: 2.5 }
+  ],
+  discovery: [
+    { name: 'wonder', pattern: /\bwonder(?:ing)?\b|\bwhat if\b|\bimagine\b/, weight: 2.5 },
+    { name: 'curious', pattern: /\bcurious\b|\binterested in\b|\bfascinat/, weight: 2.5 },
+    { name: 'explore', pattern: /\bexplor(?:e|ing)\b|\bdiscover\b|\bfigure (?:it|this) out\b/, weight: 2.5 },
+    { name: 'learn-about', pattern: /\blearn (?:about|more)\b|\bwant to know\b/, weight: 1.5 },
+    { name: 'es-discovery', pattern: /\bcurios|\bexplorar|\bdescubrir|\bme pregunto\b/, weight: 2.5 },
+    { name: 'fr-discovery', pattern: /\bcurieu|\bexplorer\b|\bdecouvrir|\bje me demande\b/, weight: 2.5 },
+    { name: 'de-discovery', pattern: /\bneugierig|\bentdecken|\berkunden|\bich frage mich\b/, weight: 2.5 }
+  ],
+  challenge: [
+    { name: 'challenge', pattern: /\bchalleng(?:e|ing)\b/, weight: 3 },
+    { name: 'quiz', pattern: /\bquiz(?:zes)?\b|\btest me\b|\bask me\b/, weight: 3 },
+    { name: 'test', pattern: /\btests?\b|\bexams?\b/, weight: 1.5 },
+    { name: 'difficulty', pattern: /\b(?:hard|harder|hardest|difficult|tricky|tough)\b/, weight: 1.5 },
+    { name: 'give-me-problem', pattern: /\bgive me (?:a|an|another|some) (?:\w+ ){0,2}(?:problem|question|puzzle|riddle)s?\b/, weight: 2 },
+    { name: 'competitive', pattern: /\bbet you can'?t\b|\btry me\b|\bbring it\b|\bstump me\b/, weight: 2.5 },
+    { name: 'es-challenge', pattern: /\bdesafio|\breto\b|\bexamen|\bprueba|\bdificil/, weight: 2.5 },
+    { name: 'fr-challenge', pattern: /\bdefi\b|\bexamen|\binterro|\bdifficile/, weight: 2.5 },
+    { name: 'de-challenge', pattern: /\bherausforderung|\bprufung|\bteste mich|\bschwierig/, weight: 2.5 }
+  ],
+  review: [
+    { name: 'review', pattern: /\breview(?:ing)?\b|\brevise\b|\brevision\b/, weight: 3 },
+    { name: 'recap', pattern: /\brecap\b|\bsummar(?:ize|ise|y)\b|\bgo over\b|\brefresh\b/, weight: 3 },
+    { name: 'remember', pattern: /\bremember\b|\bforgot\b|\bforget\b|\bremind me\b/, weight: 2 },
+    { name: 'study-for', pattern: /\bstudy(?:ing)? for\b|\bprepare for\b|\bbefore (?:the|my) (?:test|exam|quiz)\b/, weight: 2 },
+    { name: 'last-time', pattern: /\blast (?:time|week|class|lesson)\b|\bwe (?:learned|covered|did)\b/, weight: 1.5 },
+    { name: 'es-review', pattern: /\brepas|\bresum|\brecordar|\bolvide/, weight: 2.5 },
+    { name: 'fr-review', pattern: /\brevis|\bresum|\brappel|\boublie/, weight: 2.5 },
+    { name: 'de-review', pattern: /\bwiederhol|\bzusammenfass|\berinner|\bvergessen/, weight: 2.5 }
+  ]
+};
+
+// Short follow-ups ("ok", "I think it's 12") mostly continue the previous mode
+const CONTEXT_WEIGHT = 2;
+const SHORT_MESSAGE_WORDS = 6;
+
+// LLM step only runs when the rules are unsure
+const LLM_CONFIDENCE_THRESHOLD = 0.5;
+const LLM_WEIGHT = 3;
+
+const normalizeText = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[\u2018\u2019]/g, "'");
+
+// Most recent mode the tutor used in this conversation
+const getPreviousMode = (history = []) => {
+  for (let i = history.length - 1; i >= 0; i--) {
+    const msg = history[i];
+    const mode = msg && msg.metadata && msg.metadata.mode;
+    if (LEARNING_MODES.includes(mode)) return mode;
+  }
+  return null;
+};
+
+// Convert raw scores into confidences that sum to 1
+const toConfidences = (scores) => {
+  const exps = LEARNING_MODES.map(mode => Math.exp(scores[mode]));
+  const total = exps.reduce((sum, value) => sum + value, 0);
+  const confidences = {};
+  LEARNING_MODES.forEach((mode, i) => {
+    confidences[mode] = exps[i] / total;
+  });
+  return confidences;
+};
+
+const rankScores = (scores, features) => {
+  const confidences = toConfidences(scores);
+  return LEARNING_MODES
+    .map(mode => ({
+      mode,
+      score: Math.round(scores[mode] * 100) / 100,
+      confidence: Math.round(confidences[mode] * 1000) / 1000,
+      features: features[mode]
+    }))
+    .sort((a, b) => b.score - a.score || LEARNING_MODES.indexOf(a.mode) - LEARNING_MODES.indexOf(b.mode));
+};
+
+// Rule-based scoring - synchronous and deterministic
+const scoreLearningModes = (message, { history = [] } = {}) => {
+  const text = normalizeText(message);
+  const scores = { ...BASE_SCORES };
+  const features = {};
+
+  LEARNING_MODES.forEach(mode => {
+    features[mode] = [];
+    MODE_FEATURES[mode].forEach(feature => {
+      if (feature.pattern.test(text)) {
+        scores[mode] += feature.weight;
+        features[mode].push(feature.name);
+      }
+    });
+  });
+
+  // Conversation context - stronger for short follow-ups with no clear signal of their own
+  const previousMode = getPreviousMode(history);
+  if (previousMode) {
+    const wordCount = text.split(/\s+/).filter(Boolean).length;
+    const contextWeight = wordCount <= SHORT_MESSAGE_WORDS ? CONTEXT_WEIGHT : CONTEXT_WEIGHT / 2;
+    scores[previousMode] += contextWeight;
+    features[previousMode].push('previous-mode');
+  }
+
+  const ranked = rankScores(scores, features);
+  return {
+    mode: ranked[0].mode,
+    confidence: ranked[0].confidence,
+    source: 'rules',
+    ranked
+  };
+};
+
+const LLM_CLASSIFIER_PROMPT = `You classify a learner's message for an AI tutor into exactly one learning mode:
+- discovery: open-ended curiosity, wants to explore or be guided to figure something out
+- explanation: wants a concept explained or defined
+- practice: wants to work through exercises or solve a specific problem
+- challenge: wants to be tested, quizzed or given a hard problem
+- review: wants to recap, summarize or refresh something learned before
+The message may be in any language. Respond with JSON only: {"mode": "<mode>", "confidence": <0-1>}`;
+
+// Ask an LLM for a second opinion; returns null if unavailable or unparseable
+const classifyWithLLM = async (message, history = []) => {
+  const providerName = process.env.MODE_CLASSIFIER_PROVIDER;
+  const registered = listProviders();
+  const provider = (providerName && getProvider(providerName)) ||
+    registered.find(candidate => isProviderAvailable(candidate.name)) || registered[0];
+  if (!provider) return null;
+
+  const recent = history.slice(-2).map(m => `${m.role}: ${String(m.content).slice(0, 200)}`).join('\n');
+
+  try {
+    const result = await provider.generate({
+      system: LLM_CLASSIFIER_PROMPT,
+      messages: [{
+        role: 'user',
+        content: recent ? `Recent conversation:\n${recent}\n\nMessage: ${message}` : `Message: ${message}`
+      }],
+      maxTokens: 50,
+      temperature: 0,
+      purpose: 'mode_classifier'
+    });
+
+    const match = String(result.text).match(/\{[\s\S]*\}/);
+    if (!match) return null;
+    const parsed = JSON.parse(match[0]);
+    if (!LEARNING_MODES.includes(parsed.mode)) return null;
+
+    const confidence = Math.min(Math.max(Number(parsed.confidence) || 0.5, 0), 1);
+    return { mode: parsed.mode, confidence, provider: provider.name };
+  } catch (error) {
+    console.error('Mode classifier LLM step failed:', error.message);
+    return null;
+  }
+};
+
+// Full classifier - rules first, then an optional LLM vote when the rules are unsure
+// options.useLLM defaults to MODE_CLASSIFIER_LLM=true
+const classifyLearningMode = async (message, { history = [], useLLM = process.env.MODE_CLASSIFIER_LLM === 'true' } = {}) => {
+  const result = scoreLearningModes(message, { history });
+  if (!useLLM || result.confidence >= LLM_CONFIDENCE_THRESHOLD) {
+    return result;
+  }
+
+  const llm = await classifyWithLLM(message, history);
+  if (!llm) return result;
+
+  const scores = {};
+  const features = {};
+  result.ranked.forEach(entry => {
+    scores[entry.mode] = entry.score;
+    features[entry.mode] = [...entry.features];
+  });
+  scores[llm.mode] += LLM_WEIGHT * llm.confidence;
+  features[llm.mode].push(`llm:${llm.provider}`);
+
+  const ranked = rankScores(scores, features);
+  return {
+    mode: ranked[0].mode,
+    confidence: ranked[0].confidence,
+    source: 'rules+llm',
+    ranked
+  };
+};
+
+// Accuracy report against labeled examples [{ message, mode, history? }]
+const evaluateClassifier = (examples) => {
+  const perMode = {};
+  LEARNING_MODES.forEach(mode => {
+    perMode[mode] = { truePositives: 0, falsePositives: 0, falseNegatives: 0 };
+  });
+
+  const misses = [];
+  examples.forEach(example => {
+    const predicted = scoreLearningModes(example.message, { history: example.history || [] }).mode;
+    if (predicted === example.mode) {
+      perMode[example.mode].truePositives++;
+    } else {
+      perMode[predicted].falsePositives++;
+      perMode[example.mode].falseNegatives++;
+      misses.push({ message: example.message, expected: example.mode, predicted });
+    }
+  });
+
+  const correct = examples.length - misses.length;
+  const round = (value) => Math.round(value * 1000) / 1000;
+  Object.values(perMode).forEach(stats => {
+    const predictedCount = stats.truePositives + stats.falsePositives;
+    const actualCount = stats.truePositives + stats.falseNegatives;
+    stats.precision = predictedCount ? round(stats.truePositives / predictedCount) : null;
+    stats.recall = actualCount ? round(stats.truePositives / actualCount) : null;
+  });
+
+  return {
+    total: examples.length,
+    correct,
+    accuracy: examples.length ? round(correct / examples.length) : null,
+    perMode,
+    misses
+  };
+};
+
+module.exports = {
+  LEARNING_MODES,
+  scoreLearningModes,
+  classifyLearningMode,
+  evaluateClassifier
+};
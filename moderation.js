@@ -0,0 +1,481 @@
+// moderation.js - Content safety checks around tutor turns (learner input and tutor output)
+// Weighted rules plus an optional provider moderation call score each category; per-skill-level
+// thresholds decide what is replaced with a safe response. Flags are stored in moderation_events
+// and high-severity input (self-harm, ...) alerts the learner's linked mentors by email.
+const fs = require('fs');
+const { database } = require('./auth');
+const { getProvider } = require('./providers');
+const { sendMail } = require('./mailer');
+
+const { repositories: repos } = database;
+
+const SKILL_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+const SEVERITIES = ['low', 'medium', 'high'];
+
+// stages - which side of the turn the category applies to
+const CATEGORIES = {
+  self_harm: { label: 'self-harm', severity: 'high', stages: ['input', 'output'] },
+  sexual_minors: { label: 'sexual content involving minors', severity: 'high', stages: ['input', 'output'] },
+  sexual: { label: 'sexual content', severity: 'medium', stages: ['input', 'output'] },
+  violence: { label: 'violence', severity: 'medium', stages: ['input', 'output'] },
+  illicit: { label: 'dangerous or illegal activities', severity: 'medium', stages: ['input', 'output'] },
+  hate: { label: 'hate', severity: 'medium', stages: ['input', 'output'] },
+  harassment: { label: 'harassment', severity: 'low', stages: ['input', 'output'] },
+  personal_info: { label: 'personal information', severity: 'low', stages: ['input'] }
+};
+
+// Patterns run against lowercased, accent-stripped text; a category's score is the sum of its
+// matched weights (capped at 1). Single words carry low weights so they only trip the strictest levels.
+const DEFAULT_RULES = {
+  self_harm: [
+    { name: 'kill-myself', pattern: /\bkill(?:ing)? myself\b|\bend(?:ing)? my (?:own )?life\b|\btake my (?:own )?life\b/, weight: 0.9 },
+    { name: 'want-to-die', pattern: /\bwant(?:s)? to die\b|\bwish i (?:was|were) dead\b|\bbetter off dead\b|\bdon'?t want to (?:live|be alive)\b/, weight: 0.8 },
+    { name: 'self-harm', pattern: /\bself[- ]?harm|\bcut(?:ting)? myself\b|\bhurt(?:ing)? myself\b|\bstarv(?:e|ing) myself\b/, weight: 0.8 },
+    { name: 'suicide', pattern: /\bsuicid/, weight: 0.35 },
+    { name: 'es-self-harm', pattern: /\bquiero morir|\bmatarme\b|\bsuicidarme\b|\bhacerme dano\b/, weight: 0.8 },
+    { name: 'fr-self-harm', pattern: /\bje veux mourir|\bme suicider\b|\bme tuer\b|\bme faire du mal\b/, weight: 0.8 },
+    { name: 'de-self-harm', pattern: /\bich will sterben|\bmich umbringen\b|\bselbstmord|\bmich (?:selbst )?verletzen\b/, weight: 0.8 }
+  ],
+  // Any match flags at every level (threshold 0.2); sex education and biology ("sexual
+  // reproduction", "sex cells") don't name a minor alongside explicit content
+  sexual_minors: [
+    { name: 'abuse-material', pattern: /\bchild (?:porn|pornography|sexual abuse material)|\bkiddie porn|\bcsam\b|\blolicon\b/, weight: 1 },
+    { name: 'minor-explicit', pattern: /\b(?:child|children|kids?|minors?|underage|preteens?|little (?:girls?|boys?)|(?:[1-9]|1[0-7])[- ](?:year|yr)s?[- ]olds?)\b(?:\W+\w+){0,6}?\W+(?:nudes?|naked|porn\w*|erotic\w*|sexy|having sex|sexual(?:ly)? (?:acts?|explicit|roleplay|touch\w*))\b/, weight: 0.9 },
+    { name: 'explicit-minor', pattern: /\b(?:nudes?|naked|porn\w*|erotic\w*|sexy|sexual(?:ly)? (?:acts?|explicit|roleplay))\b(?:\W+\w+){0,6}?\W+(?:child|children|kids?|minors?|underage|preteens?|little (?:girls?|boys?)|(?:[1-9]|1[0-7])[- ](?:year|yr)s?[- ]olds?)\b/, weight: 0.9 },
+    { name: 'grooming-pics', pattern: /\b(?:pics?|photos?|pictures?|selfies?) of (?:you|yourself|your body)\b(?:\W+\w+){0,3}?\W+(?:naked|nude|undressed|without (?:your )?clothes|in (?:your|ur) underwear)\b/, weight: 0.9 },
+    // Secrecy alone is common ("don't tell mom about her surprise party"); it adds to other matches
+    { name: 'grooming-secret', pattern: /\b(?:don'?t|do not) tell (?:your|ur) (?:parents|mom|dad|mum|teacher)\b|\bour (?:little )?secret\b/, weight: 0.15 }
+  ],
+  sexual: [
+    { name: 'explicit', pattern: /\bporn|\bxxx\b|\bhorny\b|\bhaving sex\b|\bsex(?:ual)? positions?\b/, weight: 0.6 },
+    { name: 'nudes', pattern: /\bnudes?\b|\bsend (?:me )?(?:naked |sexy )?(?:pics|photos|pictures)\b/, weight: 0.6 },
+    { name: 'sexy', pattern: /\bsexy\b|\bhot (?:girls|boys|pics)\b/, weight: 0.3 },
+    // "sex cells", "sex chromosomes" - only counts alongside other matches
+    { name: 'sex', pattern: /\bsex\b/, weight: 0.2 }
+  ],
+  violence: [
+    // Targets are people, so "kill a process" or "shoot a basketball" don't count
+    { name: 'threat', pattern: /\bi(?:'m| am)? (?:going to|gonna|will|want to) (?:kill|murder|stab|shoot|beat up) (?:him|her|them|you|someone|somebody|people|everyone|everybody|my (?:mom|dad|mother|father|brother|sister|teacher|friend|classmate)s?)\b/, weight: 0.8 },
+    { name: 'attack', pattern: /\bhow (?:to|do i|can i|would i) (?:kill|murder|stab|shoot|poison) (?:someone|somebody|people|him|her|a (?:person|human|kid|teacher|classmate)|my (?:mom|dad|mother|father|brother|sister|teacher|friend|classmate))\b/, weight: 0.8 },
+    { name: 'school-shooting', pattern: /\bshoot up (?:the|my) school\b/, weight: 0.8 },
+    { name: 'graphic', pattern: /\bdismember|\bdecapitat|\bgory\b/, weight: 0.3 }
+  ],
+  illicit: [
+    { name: 'weapons', pattern: /\bhow (?:to|do i|can i|do you) (?:make|build|get|buy) (?:a |an |some )?(?:bomb|explosives?|pipe bomb|molotov|gun|firearm|weapon)s?\b/, weight: 0.9 },
+    { name: 'drugs-how-to', pattern: /\bhow (?:to|do i|can i|do you) (?:make|cook|get|buy) (?:some )?(?:meth|cocaine|heroin|drugs|weed|fentanyl)\b/, weight: 0.8 },
+    { name: 'drugs', pattern: /\bvap(?:e|ing)\b|\bsmoke weed\b|\bcocaine\b|\bheroin\b|\bget high\b|\bget drunk\b/, weight: 0.35 }
+  ],
+  hate: [
+    { name: 'hate-group', pattern: /\b(?:i hate|kill all|get rid of all) (?:the )?(?:jews|muslims|christians|gays|black people|white people|immigrants|asians|mexicans)\b/, weight: 0.6 },
+    { name: 'dehumanize', pattern: /\b(?:jews|muslims|christians|gays|black people|white people|immigrants|asians|mexicans) are (?:evil|animals|disgusting|vermin|subhuman)\b/, weight: 0.6 },
+    { name: 'supremacy', pattern: /\b(?:white|racial) (?:power|supremacy)\b|\bheil hitler\b/, weight: 0.7 }
+  ],
+  harassment: [
+    { name: 'insult', pattern: /\byou(?:'re| are) (?:so |such an? )?(?:stupid|dumb|an idiot|idiot|worthless|useless|ugly|pathetic)\b/, weight: 0.45 },
+    { name: 'threaten', pattern: /\bi(?:'ll| will) (?:hurt|find|get|come for) you\b/, weight: 0.7 },
+    { name: 'shut-up', pattern: /\bshut up\b/, weight: 0.2 }
+  ],
+  personal_info: [
+    { name: 'phone', pattern: /(?:\+\d{1,3}[\s.-]?)?\(?\b\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/, weight: 0.6 },
+    { name: 'email', pattern: /\b[^\s@]+@[^\s@]+\.[a-z]{2,}\b/, weight: 0.5 },
+    { name: 'address', pattern: /\bi live (?:at|on)\b|\bmy (?:home |house )?address is\b/, weight: 0.6 },
+    { name: 'password', pattern: /\bmy password is\b|\bpassword: ?\S+/, weight: 0.7 },
+    { name: 'contact-me', pattern: /\bmy (?:phone|cell|mobile) (?:number )?is\b|\bmy snap(?:chat)? is\b|\bmy insta(?:gram)? is\b/, weight: 0.5 }
+  ]
+};
+
+// Flag at or above these scores; younger learners (beginner) get the strictest limits.
+// null turns a category off for that level.
+const DEFAULT_THRESHOLDS = {
+  beginner: { self_harm: 0.3, sexual_minors: 0.2, sexual: 0.25, violence: 0.4, illicit: 0.3, hate: 0.4, harassment: 0.4, personal_info: 0.5 },
+  intermediate: { self_harm: 0.3, sexual_minors: 0.2, sexual: 0.5, violence: 0.5, illicit: 0.5, hate: 0.45, harassment: 0.5, personal_info: 0.5 },
+  advanced: { self_harm: 0.4, sexual_minors: 0.2, sexual: 0.6, violence: 0.7, illicit: 0.6, hate: 0.5, harassment: 0.6, personal_info: 0.6 },
+  expert: { self_harm: 0.5, sexual_minors: 0.2, sexual: 0.8, violence: 0.8, illicit: 0.8, hate: 0.6, harassment: 0.7, personal_info: null }
+};
+
+// Provider moderation categories (OpenAI names) -> our categories
+const PROVIDER_CATEGORIES = {
+  'self-harm': 'self_harm',
+  'self-harm/intent': 'self_harm',
+  'self-harm/instructions': 'self_harm',
+  'sexual': 'sexual',
+  'sexual/minors': 'sexual_minors',
+  'violence': 'violence',
+  'violence/graphic': 'violence',
+  'illicit': 'illicit',
+  'illicit/violent': 'illicit',
+  'hate': 'hate',
+  'hate/threatening': 'hate',
+  'harassment': 'harassment',
+  'harassment/threatening': 'harassment'
+};
+
+// Safe replacements - the first category (in CATEGORIES order) that was flagged picks the text
+const SAFE_RESPONSES = {
+  self_harm: "It sounds like you might be going through something really hard, and I'm glad you said something. You don't have to deal with it alone. Please talk to a trusted adult right now - a parent, teacher or school counselor. If you might be in danger, call your local emergency number. In the US you can call or text 988 any time to reach the Suicide & Crisis Lifeline. I'm here to help with your learning whenever you're ready.",
+  sexual_minors: "That's not something I can talk about. If someone is making you uncomfortable or asking you for pictures, please tell a trusted adult like a parent or teacher right away. Let's get back to learning - what would you like to work on?",
+  personal_info: "Let's keep personal details like your address, phone number, email or passwords private - please don't share them here. What would you like to learn about?",
+  input: "That's not something I can help with here. Let's keep our conversation focused on learning - what topic would you like to explore?",
+  output: "Let me try that again in a different way. Can you tell me a bit more about what you're studying, so I can help you with it?"
+};
+
+const normalizeText = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[\u2018\u2019]/g, "'");
+
+// Rules from MODERATION_RULES_FILE are merged in: a rule with an existing name replaces it.
+// File shape: { "rules": { "<category>": [{ "name", "pattern", "weight" }] },
+//               "thresholds": { "<skill level>": { "<category>": 0.4 } } }
+const mergeRulesFile = (rules, thresholds, filePath) => {
+  const file = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  Object.entries(file.rules || {}).forEach(([category, extra]) => {
+    if (!CATEGORIES[category]) throw new Error(`Unknown moderation category in ${filePath}: ${category}`);
+    const byName = new Map(rules[category].map(rule => [rule.name, rule]));
+    extra.forEach(rule => byName.set(rule.name, { name: rule.name, pattern: new RegExp(rule.pattern), weight: Number(rule.weight) }));
+    rules[category] = Array.from(byName.values());
+  });
+
+  Object.entries(file.thresholds || {}).forEach(([level, overrides]) => {
+    if (!thresholds[level]) throw new Error(`Unknown skill level in ${filePath}: ${level}`);
+    thresholds[level] = { ...thresholds[level], ...overrides };
+  });
+};
+
+// MODERATION_ENABLED=false turns the stage off; MODERATION_PROVIDER (e.g. openai) adds a provider call
+const loadModerationConfig = (env = process.env) => {
+  const rules = Object.fromEntries(Object.entries(DEFAULT_RULES).map(([category, list]) => [category, [...list]]));
+  const thresholds = Object.fromEntries(Object.entries(DEFAULT_THRESHOLDS).map(([level, values]) => [level, { ...values }]));
+
+  if (env.MODERATION_RULES_FILE) {
+    mergeRulesFile(rules, thresholds, env.MODERATION_RULES_FILE);
+  }
+
+  return {
+    enabled: env.MODERATION_ENABLED !== 'false',
+    provider: env.MODERATION_PROVIDER || null,
+    timeoutMs: parseInt(env.MODERATION_TIMEOUT_MS, 10) || 3000,
+    // Mentors are only alerted for clear statements, not a topic mention like "suicide" in a book report
+    alertScore: parseFloat(env.MODERATION_ALERT_SCORE) || 0.7,
+    alertCooldownMinutes: parseInt(env.MODERATION_ALERT_COOLDOWN_MINUTES, 10) || 60,
+    // Streamed replies are checked and released a sentence at a time once this much text is held
+    streamWindowChars: parseInt(env.MODERATION_STREAM_WINDOW_CHARS, 10) || 200,
+    rules,
+    thresholds
+  };
+};
+
+let config = null;
+
+const getModerationConfig = () => {
+  if (!config) config = loadModerationConfig();
+  return config;
+};
+
+// Swap the configuration (tests, admin reloads)
+const setModerationConfig = (next) => {
+  config = next;
+  return config;
+};
+
+// The stricter of two skill levels - a client-supplied level can't loosen the account's limits
+const stricterLevel = (a, b) => {
+  const levels = [a, b].filter(level => SKILL_LEVELS.includes(level));
+  if (levels.length === 0) return 'beginner';
+  return levels.sort((x, y) => SKILL_LEVELS.indexOf(x) - SKILL_LEVELS.indexOf(y))[0];
+};
+
+const scoreWithRules = (text, stage, rules) => {
+  const normalized = normalizeText(text);
+  const scores = {};
+  const matches = {};
+
+  Object.entries(CATEGORIES).forEach(([category, { stages }]) => {
+    if (!stages.includes(stage)) return;
+    (rules[category] || []).forEach(rule => {
+      if (rule.pattern.test(normalized)) {
+        scores[category] = Math.min(1, (scores[category] || 0) + rule.weight);
+        (matches[category] = matches[category] || []).push(rule.name);
+      }
+    });
+  });
+
+  return { scores, matches };
+};
+
+// Provider category scores mapped onto ours, or null when unavailable (rules still apply)
+const scoreWithProvider = async (text, stage, { provider: name, timeoutMs }) => {
+  if (!name) return null;
+  const provider = getProvider(name);
+  if (!provider || !provider.moderate) {
+    console.error(`⚠️ Moderation provider "${name}" is not available - using rules only`);
+    return null;
+  }
+
+  try {
+    const result = await provider.moderate(text, { signal: AbortSignal.timeout(timeoutMs) });
+    const scores = {};
+    Object.entries(result.scores).forEach(([key, score]) => {
+      const category = PROVIDER_CATEGORIES[key];
+      if (!category || !CATEGORIES[category].stages.includes(stage)) return;
+      scores[category] = Math.max(scores[category] || 0, score);
+    });
+    return scores;
+  } catch (error) {
+    console.error(`⚠️ Moderation provider "${name}" failed - using rules only:`, error.message);
+    return null;
+  }
+};
+
+// Check one piece of text; returns { stage, flagged, severity, categories: [{ category, score, threshold, sources }], provider }
+const moderateText = async (text, { stage, skillLevel }) => {
+  const active = getModerationConfig();
+  const level = SKILL_LEVELS.includes(skillLevel) ? skillLevel : 'beginner';
+  const limits = active.thresholds[level];
+
+  const rules = scoreWithRules(text, stage, active.rules);
+  const providerScores = await scoreWithProvider(text, stage, active);
+
+  const categories = Object.keys(CATEGORIES)
+    .map(category => {
+      const ruleScore = rules.scores[category] || 0;
+      const providerScore = providerScores ? providerScores[category] || 0 : 0;
+      return {
+        category,
+        score: Math.round(Math.max(ruleScore, providerScore) * 1000) / 1000,
+        threshold: limits[category],
+        sources: [
+          ...(rules.matches[category] || []).map(name => `rule:${name}`),
+          ...(providerScore > 0 && providerScore >= ruleScore ? [active.provider] : [])
+        ]
+      };
+    })
+    .filter(entry => entry.threshold !== null && entry.threshold !== undefined && entry.score >= entry.threshold);
+
+  const severity = categories.reduce(
+    (worst, entry) => (SEVERITIES.indexOf(CATEGORIES[entry.category].severity) > SEVERITIES.indexOf(worst) ? CATEGORIES[entry.category].severity : worst),
+    'low'
+  );
+
+  return {
+    stage,
+    flagged: categories.length > 0,
+    severity,
+    categories,
+    provider: providerScores ? active.provider : null
+  };
+};
+
+const safeResponseFor = (check) => {
+  const specific = check.categories.find(entry => SAFE_RESPONSES[entry.category]);
+  return specific ? SAFE_RESPONSES[specific.category] : SAFE_RESPONSES[check.stage];
+};
+
+// What clients see in metadata.moderation (no scores or matched rules)
+const describeCheck = (check) => ({
+  stage: check.stage,
+  severity: check.severity,
+  categories: check.categories.map(entry => entry.category)
+});
+
+// Length of the shortest run of text, at least minChars long, that ends a sentence (0 when there is none yet)
+const sentenceWindow = (text, minChars) => {
+  const boundary = /[.!?:\n]\s/g;
+  let match;
+  while ((match = boundary.exec(text))) {
+    const end = match.index + match[0].length;
+    if (end >= minChars) return end;
+  }
+  return 0;
+};
+
+// Holds streamed reply text back from onDelta until the reply so far passes the output check.
+// Held text is checked and released in windows of at least windowChars that end on a sentence;
+// after a failed check nothing more is released. Returns { push, settle, flush }.
+const createOutputGate = ({ skillLevel, onDelta, windowChars }) => {
+  let text = '';
+  let released = 0;
+  let flagged = null;
+  let checking = Promise.resolve();
+
+  const release = (end) => {
+    if (end <= released) return;
+    onDelta(text.slice(released, end));
+    released = end;
+  };
+
+  // Text can arrive faster than it is checked, so work through every complete window in order
+  const checkWindows = async () => {
+    while (!flagged) {
+      const size = sentenceWindow(text.slice(released), windowChars);
+      if (size === 0) return;
+
+      const end = released + size;
+      const check = await moderateText(text.slice(0, end), { stage: 'output', skillLevel });
+      if (check.flagged) {
+        flagged = check;
+      } else {
+        release(end);
+      }
+    }
+  };
+
+  return {
+    push: (delta) => {
+      text += delta;
+      checking = checking.then(checkWindows);
+    },
+    // Wait for pending window checks; resolves to the failed check, if any
+    settle: async () => {
+      await checking;
+      return flagged;
+    },
+    // Release everything still held (once the whole reply passed)
+    flush: () => release(text.length)
+  };
+};
+
+// Run a tutor turn through moderation: the message (and text extracted from its attachments) is
+// checked before generate() is called and the reply after it. Flagged turns get a safe replacement
+// response; onReplace(text, moderation) lets streaming callers send it (the input case) or swap
+// out what was already streamed (output).
+// Streaming callers pass onDelta and stream through the emitter generate(emit) receives: reply
+// text only reaches onDelta after it passed the output check, so a flagged reply is never sent.
+// Returns { result, flags } - flags are the checks that tripped, for recordModerationEvents.
+const moderateInteraction = async ({ message, attachments = [], subject, skillLevel, onReplace, onDelta }, generate) => {
+  const active = getModerationConfig();
+  if (!active.enabled) {
+    return { result: await generate(onDelta), flags: [] };
+  }
+
+  const inputText = [message, ...attachments.filter(attachment => attachment.text).map(attachment => attachment.text)].join('\n\n');
+  const input = await moderateText(inputText, { stage: 'input', skillLevel });
+  if (input.flagged) {
+    const response = safeResponseFor(input);
+    const moderation = describeCheck(input);
+    console.log(`🛡️ Learner input flagged (${moderation.categories.join(', ')}) - model not called`);
+    if (onReplace) onReplace(response, moderation);
+    return {
+      result: { response, metadata: { mode: null, model: 'moderation', subject, skillLevel, moderation } },
+      flags: [input]
+    };
+  }
+
+  const gate = onDelta ? createOutputGate({ skillLevel, onDelta, windowChars: active.streamWindowChars }) : null;
+  const result = await generate(gate ? gate.push : undefined);
+  const windowCheck = gate ? await gate.settle() : null;
+  const output = windowCheck || await moderateText(result.response, { stage: 'output', skillLevel });
+  if (!output.flagged) {
+    if (gate) gate.flush();
+    return { result, flags: [] };
+  }
+
+  const response = safeResponseFor(output);
+  const moderation = describeCheck(output);
+  console.log(`🛡️ Tutor output flagged (${moderation.categories.join(', ')}) - replaced`);
+  if (onReplace) onReplace(response, moderation);
+  return {
+    result: { response, metadata: { ...result.metadata, moderation } },
+    flags: [output]
+  };
+};
+
+// Flagged learner messages (and the safe reply to them) stay in the conversation for mentors,
+// but are left out of the history sent to the model
+const dropModeratedTurns = (history) => history.filter(message => {
+  const metadata = message.metadata || {};
+  return !metadata.moderated && !(metadata.moderation && metadata.moderation.stage === 'input');
+});
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// The email says what kind of concern it is, never what the learner wrote
+const renderMentorAlert = (mentor, learner, flags, alertScore) => {
+  const learnerName = learner.display_name || learner.username || 'Your learner';
+  const mentorName = mentor.display_name || mentor.email;
+  const labels = [...new Set(flags.flatMap(flag => flag.categories
+    .filter(entry => CATEGORIES[entry.category].severity === 'high' && entry.score >= alertScore)
+    .map(entry => CATEGORIES[entry.category].label)))];
+  const concern = labels.join(' or ');
+
+  const paragraphs = [
+    `${learnerName} wrote something in Lilibet that our safety checks flagged as possible ${concern}.`,
+    "Lilibet didn't continue on that topic. It encouraged them to talk to a trusted adult and shared crisis resources where appropriate.",
+    `Please check in with ${learnerName} soon. You can read the conversation in Lilibet.`,
+    'If you believe they are in immediate danger, contact your local emergency services.'
+  ];
+
+  return {
+    subject: `Lilibet safety alert for ${learnerName}`,
+    text: `Hi ${mentorName},\n\n${paragraphs.join('\n\n')}\n`,
+    html: `<p>Hi ${escapeHtml(mentorName)},</p>${paragraphs.map(p => `<p>${escapeHtml(p)}</p>`).join('')}`
+  };
+};
+
+// Store flagged checks; high-severity learner input scoring at least MODERATION_ALERT_SCORE also
+// emails linked mentors (at most once per MODERATION_ALERT_COOLDOWN_MINUTES per learner).
+// Returns the number of mentors alerted.
+const recordModerationEvents = async ({ userId, conversationId = null, skillLevel, flags }) => {
+  if (flags.length === 0) return 0;
+
+  const eventIds = [];
+  for (const flag of flags) {
+    eventIds.push(await repos.moderationEvents.record({
+      userId,
+      conversationId,
+      stage: flag.stage,
+      skillLevel,
+      categories: flag.categories,
+      severity: flag.severity,
+      provider: flag.provider
+    }));
+  }
+
+  const { alertScore, alertCooldownMinutes } = getModerationConfig();
+  const urgent = flags.filter(flag => flag.stage === 'input' && flag.categories.some(entry =>
+    CATEGORIES[entry.category].severity === 'high' && entry.score >= alertScore));
+  if (urgent.length === 0) return 0;
+
+  if (await repos.moderationEvents.alertedWithin(userId, alertCooldownMinutes)) {
+    console.log(`🔕 Safety alert for user ${userId} skipped - mentors were alerted recently`);
+    return 0;
+  }
+
+  const mentors = await repos.links.listMentors(userId);
+  if (mentors.length === 0) return 0;
+  const learner = await repos.users.findById(userId);
+
+  const results = await Promise.allSettled(
+    mentors.map(mentor => sendMail({ to: mentor.email, ...renderMentorAlert(mentor, learner, urgent, alertScore) }))
+  );
+  results.forEach((outcome, i) => {
+    if (outcome.status === 'rejected') {
+      console.error(`⚠️ Could not send safety alert to mentor ${mentors[i].id}:`, outcome.reason.message);
+    }
+  });
+
+  const sent = results.filter(outcome => outcome.status === 'fulfilled').length;
+  if (sent > 0) {
+    await repos.moderationEvents.markNotified(eventIds);
+    console.log(`🚨 Safety alert for user ${userId} sent to ${sent} mentor(s)`);
+  }
+  return sent;
+};
+
+module.exports = {
+  CATEGORIES,
+  loadModerationConfig,
+  getModerationConfig,
+  setModerationConfig,
+  stricterLevel,
+  moderateText,
+  moderateInteraction,
+  dropModeratedTurns,
+  recordModerationEvents
+};
@@ -0,0 +1,91 @@
+// providers/anthropicProvider.js - Anthropic Claude messages provider
+const Anthropic = require('@anthropic-ai/sdk');
+
+// Neutral { role, content, images? } -> Claude content blocks with base64 images first
+const toClaudeMessage = (message) => {
+  if (!message.images || message.images.length === 0) {
+    return { role: message.role, content: message.content };
+  }
+  return {
+    role: message.role,
+    content: [
+      ...message.images.map(image => ({
+        type: 'image',
+        source: { type: 'base64', media_type: image.mimeType, data: image.data }
+      })),
+      { type: 'text', text: message.content }
+    ]
+  };
+};
+
+const createAnthropicProvider = ({ apiKey, models, vision = true, timeoutMs = null }) => {
+  // Retries and timeouts are handled by the registry (providers/resilience.js)
+  const client = new Anthropic({
+    apiKey: apiKey,
+    maxRetries: 0
+  });
+
+  const buildRequest = (request, model) => ({
+    model,
+    max_tokens: request.maxTokens || 500,
+    temperature: request.temperature,
+    system: request.system,
+    messages: request.messages.map(toClaudeMessage)
+  });
+
+  const generate = async (request) => {
+    const model = request.model || models.primary;
+    const response = await client.messages.create(
+      buildRequest(request, model),
+      { signal: request.signal }
+    );
+
+    return {
+      text: response.content[0].text,
+      model,
+      usage: response.usage
+        ? { inputTokens: response.usage.input_tokens || 0, outputTokens: response.usage.output_tokens || 0 }
+        : null
+    };
+  };
+
+  const stream = async (request) => {
+    const model = request.model || models.primary;
+    const messageStream = await client.messages.create({
+      ...buildRequest(request, model),
+      stream: true
+    }, { signal: request.signal });
+
+    let text = '';
+    const usage = { inputTokens: 0, outputTokens: 0 };
+    for await (const event of messageStream) {
+      if (event.type === 'content_block_delta' && event.delta && event.delta.text) {
+        text += event.delta.text;
+        request.onDelta(event.delta.text);
+      } else if (event.type === 'message_start' && event.message.usage) {
+        usage.inputTokens = event.message.usage.input_tokens || 0;
+      } else if (event.type === 'message_delta' && event.usage) {
+        usage.outputTokens = event.usage.output_tokens || 0;
+      }
+    }
+
+    return { text, model, usage };
+  };
+
+  // The SDK has no free endpoint to ping, so report configuration only
+  const health = async () => ({ ok: true, model: models.primary, checked: false });
+
+  return {
+    name: 'claude',
+    label: 'Claude',
+    models,
+    vision,
+    timeoutMs,
+    client,
+    generate,
+    stream,
+    health
+  };
+};
+
+module.exports = { createAnthropicProvider };
@@ -0,0 +1,182 @@
+// providers/index.js - LLM provider registry
+//
+// A provider is an object with:
+//   name      - registry key, also reported as metadata.model ('openai', 'claude', ...)
+//   label     - human readable name for logs
+//   models    - { primary, fallback, budget? } model ids; fallback is retried when primary fails,
+//               budget is the cheaper model used for users over their spending budget (see llmUsage.js)
+//   vision    - true when user messages may carry images: [{ mimeType, data (base64) }]
+//   generate  - async ({ system, messages, maxTokens, temperature, model, signal }) => { text, model, usage }
+//   stream    - same as generate plus onDelta(text) for each chunk
+//   health    - async () => { ok, model, error? }
+//   moderate  - optional async (text, { signal }) => { flagged, scores: { 'self-harm': 0.93, ... } }
+//   timeoutMs - optional per-call timeout, overriding LLM_TIMEOUT_MS
+//
+// Registered providers also get timeouts, retries with backoff and a circuit breaker (see
+// resilience.js); breaker state is what /health reports and what model selection skips.
+//
+// Registered providers are wrapped so call hooks see every generate/stream attempt:
+//   before(provider, request) - may return a replacement request (e.g. a cheaper model)
+//   after(call, request)      - call is { provider, model, operation, purpose, status, usage, latencyMs, error? }
+// Requests may carry a purpose ('tutor', 'quiz', ...) for accounting; providers ignore it.
+const { createOpenAIProvider, createLocalProvider } = require('./openaiProvider');
+const { createAnthropicProvider } = require('./anthropicProvider');
+const { createScriptedProvider } = require('./scriptedProvider');
+const { createCircuitBreaker, withTimeout, withRetries, getResilienceConfig, setResilienceConfig } = require('./resilience');
+
+const providers = new Map();
+const callHooks = [];
+
+// Register { before?, after? }; returns a function that removes the hook
+const addCallHook = (hook) => {
+  callHooks.push(hook);
+  return () => {
+    const index = callHooks.indexOf(hook);
+    if (index !== -1) callHooks.splice(index, 1);
+  };
+};
+
+const notifyCall = (call, request) => {
+  for (const hook of callHooks) {
+    if (!hook.after) continue;
+    try {
+      hook.after(call, request);
+    } catch (error) {
+      console.error('⚠️ Provider call hook failed:', error.message);
+    }
+  }
+};
+
+// Time one provider call (a single attempt) and report it to the hooks, successful or not
+const instrument = (provider, operation) => {
+  const attempt = withTimeout(provider, operation);
+  return async (request) => {
+    let finalRequest = request;
+    for (const hook of callHooks) {
+      if (hook.before) finalRequest = hook.before(provider, finalRequest) || finalRequest;
+    }
+
+    const started = Date.now();
+    const call = {
+      provider: provider.name,
+      model: finalRequest.model || provider.models.primary,
+      operation,
+      purpose: finalRequest.purpose || null
+    };
+    try {
+      const result = await attempt(finalRequest);
+      notifyCall({ ...call, model: result.model || call.model, status: 'ok', usage: result.usage || null, latencyMs: Date.now() - started }, finalRequest);
+      return result;
+    } catch (error) {
+      const aborted = Boolean(finalRequest.signal && finalRequest.signal.aborted);
+      notifyCall({ ...call, status: aborted ? 'aborted' : 'error', usage: null, latencyMs: Date.now() - started, error: error.message }, finalRequest);
+      throw error;
+    }
+  };
+};
+
+const registerProvider = (provider) => {
+  const breaker = createCircuitBreaker(provider.label || provider.name);
+  const instrumented = {
+    ...provider,
+    breaker,
+    generate: withRetries(provider, breaker, instrument(provider, 'generate')),
+    stream: withRetries(provider, breaker, instrument(provider, 'stream'))
+  };
+  providers.set(provider.name, instrumented);
+  return instrumented;
+};
+
+const unregisterProvider = (name) => providers.delete(name);
+
+const getProvider = (name) => providers.get(name) || null;
+
+const listProviders = () => Array.from(providers.values());
+
+// Registered and not skipped by an open circuit breaker
+const isProviderAvailable = (name) => {
+  const provider = providers.get(name);
+  return Boolean(provider) && provider.breaker.isAvailable();
+};
+
+// Breaker state per provider: { openai: { state, recentCalls, errorRate, lastSuccessAt, ... } }
+const getProviderStatus = () => Object.fromEntries(
+  listProviders().map(provider => [provider.name, provider.breaker.snapshot()])
+);
+
+// Register providers for every configured backend
+const registerDefaultProviders = (env = process.env) => {
+  if (env.OPENAI_API_KEY) {
+    registerProvider(createOpenAIProvider({
+      apiKey: env.OPENAI_API_KEY,
+      models: {
+        primary: env.OPENAI_MODEL || 'gpt-4o-mini',
+        fallback: env.OPENAI_FALLBACK_MODEL || 'gpt-3.5-turbo',
+        budget: env.OPENAI_BUDGET_MODEL || null
+      },
+      vision: env.OPENAI_VISION !== 'false',
+      moderationModel: env.OPENAI_MODERATION_MODEL || 'omni-moderation-latest',
+      timeoutMs: parseInt(env.OPENAI_TIMEOUT_MS, 10) || null
+    }));
+    console.log('✅ OpenAI client initialized');
+  } else {
+    console.log('⚠️ OpenAI API Key: Not configured');
+  }
+
+  // Try both possible env variable names
+  const claudeKey = env.CLAUDE_API_KEY || env.ANTHROPIC_API_KEY;
+  if (claudeKey) {
+    registerProvider(createAnthropicProvider({
+      apiKey: claudeKey,
+      models: {
+        primary: env.CLAUDE_MODEL || 'claude-3-5-haiku-20241022',
+        fallback: env.CLAUDE_FALLBACK_MODEL || 'claude-3-5-sonnet-20241022',
+        budget: env.CLAUDE_BUDGET_MODEL || 'claude-3-haiku-20240307'
+      },
+      vision: env.CLAUDE_VISION !== 'false',
+      timeoutMs: parseInt(env.CLAUDE_TIMEOUT_MS, 10) || null
+    }));
+    console.log('✅ Claude client initialized');
+  } else {
+    console.log('⚠️ Claude API Key: Not configured');
+  }
+
+  if (env.LOCAL_LLM_BASE_URL) {
+    registerProvider(createLocalProvider({
+      baseURL: env.LOCAL_LLM_BASE_URL,
+      apiKey: env.LOCAL_LLM_API_KEY,
+      models: {
+        primary: env.LOCAL_LLM_MODEL || 'llama3.1',
+        fallback: env.LOCAL_LLM_FALLBACK_MODEL || null
+      },
+      vision: env.LOCAL_LLM_VISION === 'true',
+      // Models on a CPU can take a while to start answering
+      timeoutMs: parseInt(env.LOCAL_LLM_TIMEOUT_MS, 10) || 120000
+    }));
+    console.log(`✅ Local LLM provider initialized (${env.LOCAL_LLM_BASE_URL})`);
+  }
+
+  if (env.LLM_SCRIPTED === 'true') {
+    registerProvider(createScriptedProvider());
+    console.log('✅ Scripted LLM provider initialized');
+  }
+};
+
+registerDefaultProviders();
+
+module.exports = {
+  addCallHook,
+  registerProvider,
+  unregisterProvider,
+  getProvider,
+  listProviders,
+  isProviderAvailable,
+  getProviderStatus,
+  getResilienceConfig,
+  setResilienceConfig,
+  registerDefaultProviders,
+  createOpenAIProvider,
+  createLocalProvider,
+  createAnthropicProvider,
+  createScriptedProvider
+};
@@ -0,0 +1,145 @@
+// providers/openaiProvider.js - OpenAI and OpenAI-compatible (Ollama, llama.cpp) chat providers
+const OpenAI = require('openai');
+
+// Normalize OpenAI usage into { inputTokens, outputTokens }
+const toUsage = (usage) => {
+  if (!usage) return null;
+  return {
+    inputTokens: usage.prompt_tokens || 0,
+    outputTokens: usage.completion_tokens || 0
+  };
+};
+
+// Neutral { role, content, images? } -> OpenAI content parts with data-URL images
+const toOpenAIMessage = (message) => {
+  if (!message.images || message.images.length === 0) {
+    return { role: message.role, content: message.content };
+  }
+  return {
+    role: message.role,
+    content: [
+      { type: 'text', text: message.content },
+      ...message.images.map(image => ({
+        type: 'image_url',
+        image_url: { url: `data:${image.mimeType};base64,${image.data}` }
+      }))
+    ]
+  };
+};
+
+const createOpenAICompatibleProvider = ({ name, label, apiKey, baseURL, models, streamUsage = true, vision = false, moderationModel = null, timeoutMs = null }) => {
+  // Retries and timeouts are handled by the registry (providers/resilience.js)
+  const client = new OpenAI({
+    apiKey,
+    maxRetries: 0,
+    ...(baseURL ? { baseURL } : {})
+  });
+
+  const buildRequest = (request, model) => ({
+    model,
+    messages: [
+      { role: "system", content: request.system },
+      ...request.messages.map(toOpenAIMessage)
+    ],
+    max_tokens: request.maxTokens || 500,
+    temperature: request.temperature,
+    presence_penalty: 0.1,
+    frequency_penalty: 0.1
+  });
+
+  const generate = async (request) => {
+    const model = request.model || models.primary;
+    const completion = await client.chat.completions.create(
+      buildRequest(request, model),
+      { signal: request.signal }
+    );
+
+    return {
+      text: completion.choices[0].message.content,
+      model,
+      usage: toUsage(completion.usage)
+    };
+  };
+
+  const stream = async (request) => {
+    const model = request.model || models.primary;
+    const completionStream = await client.chat.completions.create({
+      ...buildRequest(request, model),
+      stream: true,
+      // Local servers often reject stream_options, so only ask the real API for usage
+      ...(streamUsage ? { stream_options: { include_usage: true } } : {})
+    }, { signal: request.signal });
+
+    let text = '';
+    let usage = null;
+    for await (const chunk of completionStream) {
+      const delta = chunk.choices[0] && chunk.choices[0].delta && chunk.choices[0].delta.content;
+      if (delta) {
+        text += delta;
+        request.onDelta(delta);
+      }
+      if (chunk.usage) usage = toUsage(chunk.usage);
+    }
+
+    return { text, model, usage };
+  };
+
+  // Listing models is free and confirms both connectivity and credentials
+  const health = async () => {
+    try {
+      await client.models.list();
+      return { ok: true, model: models.primary };
+    } catch (error) {
+      return { ok: false, model: models.primary, error: error.message };
+    }
+  };
+
+  // Category scores from the moderation endpoint (only the real API has one)
+  const moderate = async (input, { signal } = {}) => {
+    const result = await client.moderations.create({ model: moderationModel, input }, { signal });
+    const [first] = result.results;
+    return { flagged: first.flagged, scores: first.category_scores || {} };
+  };
+
+  return {
+    name,
+    label,
+    models,
+    vision,
+    timeoutMs,
+    client,
+    generate,
+    stream,
+    health,
+    ...(moderationModel ? { moderate } : {})
+  };
+};
+
+const createOpenAIProvider = ({ apiKey, models, vision = true, moderationModel = 'omni-moderation-latest', timeoutMs = null }) => createOpenAICompatibleProvider({
+  name: 'openai',
+  label: 'OpenAI',
+  apiKey,
+  models,
+  vision,
+  moderationModel,
+  timeoutMs
+});
+
+// Local OpenAI-compatible server - no cloud key required
+// vision only when the local model accepts images (e.g. llava)
+const createLocalProvider = ({ baseURL, apiKey, models, vision = false, timeoutMs = null }) => createOpenAICompatibleProvider({
+  name: 'local',
+  label: 'Local',
+  apiKey: apiKey || 'local',
+  baseURL,
+  models,
+  streamUsage: false,
+  vision,
+  timeoutMs
+});
+
+module.exports = {
+  createOpenAICompatibleProvider,
+  createOpenAIProvider,
+  createLocalProvider
+};
@@ -0,0 +1,298 @@
+// providers/resilience.js - Timeouts, retries with backoff and a circuit breaker per provider
+//
+// Every provider call gets a timeout (for streams: the longest wait for the next chunk). Retryable
+// failures (timeouts, connection errors, 408/409/429/5xx) are retried with exponential backoff and
+// jitter, honouring Retry-After. A provider whose recent calls keep failing has its breaker opened:
+// calls fail fast with code PROVIDER_UNAVAILABLE and learningEngine.js routes turns to another
+// provider. After the cooldown one trial call is let through (half open) - success closes the
+// breaker, failure opens it again.
+//
+// A request may also carry an attempt budget (createAttemptBudget) shared by every provider it
+// tries: LLM_MAX_ATTEMPTS calls in total (default 4) before LLM_REQUEST_DEADLINE_MS runs out
+// (default 45000). Timeouts and backoff shrink to fit what is left of the deadline.
+//
+// LLM_TIMEOUT_MS (default 30000; per provider OPENAI_TIMEOUT_MS, ...), LLM_MAX_RETRIES (default 2),
+// LLM_RETRY_BASE_MS (default 500), LLM_BREAKER_FAILURES (consecutive failures that open it, default 5),
+// LLM_BREAKER_ERROR_RATE (error rate over LLM_BREAKER_WINDOW_MS that opens it, default 0.5 of at
+// least 10 calls in 60s), LLM_BREAKER_COOLDOWN_MS (default 30000).
+const positive = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return parsed > 0 ? parsed : fallback;
+};
+
+const nonNegativeInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return parsed >= 0 ? parsed : fallback;
+};
+
+const loadResilienceConfig = (env = process.env) => ({
+  timeoutMs: positive(env.LLM_TIMEOUT_MS, 30000),
+  maxRetries: nonNegativeInt(env.LLM_MAX_RETRIES, 2),
+  retryBaseMs: positive(env.LLM_RETRY_BASE_MS, 500),
+  retryMaxMs: positive(env.LLM_RETRY_MAX_MS, 8000),
+  maxAttempts: positive(env.LLM_MAX_ATTEMPTS, 4),
+  deadlineMs: positive(env.LLM_REQUEST_DEADLINE_MS, 45000),
+  breaker: {
+    failureThreshold: positive(env.LLM_BREAKER_FAILURES, 5),
+    errorRateThreshold: Math.min(positive(env.LLM_BREAKER_ERROR_RATE, 0.5), 1),
+    minimumCalls: positive(env.LLM_BREAKER_MIN_CALLS, 10),
+    windowMs: positive(env.LLM_BREAKER_WINDOW_MS, 60000),
+    cooldownMs: positive(env.LLM_BREAKER_COOLDOWN_MS, 30000)
+  }
+});
+
+let config = loadResilienceConfig();
+
+const getResilienceConfig = () => config;
+
+// Swap the configuration (tests, admin reloads)
+const setResilienceConfig = (next) => {
+  config = next;
+  return config;
+};
+
+const providerError = (message, code, cause) => Object.assign(new Error(message), { code, cause });
+
+// Attempts and time left for one request, across retries and providers
+const createAttemptBudget = ({ maxAttempts = config.maxAttempts, deadlineMs = config.deadlineMs } = {}) => ({
+  attemptsLeft: maxAttempts,
+  deadline: Date.now() + deadlineMs
+});
+
+const timeLeft = (budget) => (budget ? budget.deadline - Date.now() : Infinity);
+
+const budgetExhausted = (budget) => Boolean(budget) && (budget.attemptsLeft <= 0 || timeLeft(budget) <= 0);
+
+// Request problems (bad input, unknown model) say nothing about the provider's health
+const CLIENT_ERROR_STATUSES = [400, 404, 413, 422];
+
+const isRetryable = (error) => {
+  if (error.code === 'PROVIDER_TIMEOUT') return true;
+  if (error.code === 'PROVIDER_UNAVAILABLE') return false;
+  const status = error.status;
+  // No status: the request never got an answer (connection refused, reset, DNS)
+  if (!status) return true;
+  return status === 408 || status === 409 || status === 429 || status >= 500;
+};
+
+const countsAgainstProvider = (error) => !CLIENT_ERROR_STATUSES.includes(error.status);
+
+const retryAfterMs = (error) => {
+  const headers = error.headers || {};
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  const seconds = parseFloat(value);
+  return seconds >= 0 ? seconds * 1000 : null;
+};
+
+const backoffDelay = (attempt, error) => {
+  const exponential = config.retryBaseMs * 2 ** attempt;
+  const jittered = exponential / 2 + Math.random() * exponential / 2;
+  return Math.round(Math.min(retryAfterMs(error) ?? jittered, config.retryMaxMs));
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) return reject(providerError('Request aborted', 'ABORTED'));
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(providerError('Request aborted', 'ABORTED'));
+  };
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+// Closed -> open after too many failures -> half open after the cooldown -> closed on one success
+const createCircuitBreaker = (name) => {
+  let state = 'closed';
+  let openedAt = null;
+  let trialInFlight = false;
+  let consecutiveFailures = 0;
+  let lastSuccessAt = null;
+  let lastFailureAt = null;
+  let lastError = null;
+  let outcomes = []; // { at, ok } within the window
+
+  const recent = (now) => {
+    outcomes = outcomes.filter(outcome => now - outcome.at <= config.breaker.windowMs);
+    return outcomes;
+  };
+
+  const currentState = (now = Date.now()) => {
+    if (state === 'open' && now - openedAt >= config.breaker.cooldownMs) {
+      state = 'half_open';
+      trialInFlight = false;
+    }
+    return state;
+  };
+
+  const open = (now) => {
+    state = 'open';
+    openedAt = now;
+    trialInFlight = false;
+    console.error(`🔌 Circuit open for ${name} - skipping it for ${Math.round(config.breaker.cooldownMs / 1000)}s`);
+  };
+
+  return {
+    // Whether a call may go out now; in half open only one trial call at a time
+    allowRequest: () => {
+      const current = currentState();
+      if (current === 'closed') return true;
+      if (current === 'half_open' && !trialInFlight) {
+        trialInFlight = true;
+        return true;
+      }
+      return false;
+    },
+
+    // A call ended without saying anything about the provider (caller left, bad request) -
+    // let the next one be the half-open trial
+    release: () => {
+      trialInFlight = false;
+    },
+
+    // Would a call be let through (without claiming the half-open trial)
+    isAvailable: () => currentState() !== 'open' && !(state === 'half_open' && trialInFlight),
+
+    recordSuccess: () => {
+      const now = Date.now();
+      if (state !== 'closed') console.log(`🔌 Circuit closed for ${name}`);
+      state = 'closed';
+      trialInFlight = false;
+      consecutiveFailures = 0;
+      lastSuccessAt = new Date(now);
+      recent(now).push({ at: now, ok: true });
+    },
+
+    recordFailure: (error) => {
+      const now = Date.now();
+      consecutiveFailures++;
+      lastFailureAt = new Date(now);
+      lastError = error.message;
+      const window = recent(now);
+      window.push({ at: now, ok: false });
+
+      if (currentState(now) === 'half_open') return open(now);
+      if (state !== 'closed') return;
+
+      const failures = window.filter(outcome => !outcome.ok).length;
+      const tooManyInARow = consecutiveFailures >= config.breaker.failureThreshold;
+      const errorRateTooHigh = window.length >= config.breaker.minimumCalls &&
+        failures / window.length >= config.breaker.errorRateThreshold;
+      if (tooManyInARow || errorRateTooHigh) open(now);
+    },
+
+    // Health report: { state, recentCalls, errorRate, consecutiveFailures, lastSuccessAt, lastFailureAt, lastError, retryAt }
+    snapshot: () => {
+      const now = Date.now();
+      const window = recent(now);
+      const failures = window.filter(outcome => !outcome.ok).length;
+      const current = currentState(now);
+      return {
+        state: current,
+        recentCalls: window.length,
+        errorRate: window.length > 0 ? Math.round((failures / window.length) * 100) / 100 : 0,
+        consecutiveFailures,
+        lastSuccessAt,
+        lastFailureAt,
+        lastError,
+        retryAt: current === 'open' ? new Date(openedAt + config.breaker.cooldownMs) : null
+      };
+    }
+  };
+};
+
+// One call with a timeout; streams restart the clock on every chunk. The caller's own signal
+// still cancels it, and a timeout surfaces as code PROVIDER_TIMEOUT rather than an abort.
+const withTimeout = (provider, operation) => async ({ budget, maxRetries, ...request }) => {
+  const timeoutMs = Math.max(1, Math.min(provider.timeoutMs || config.timeoutMs, timeLeft(budget)));
+  const controller = new AbortController();
+  const callerSignal = request.signal;
+  const onCallerAbort = () => controller.abort();
+  if (callerSignal) {
+    if (callerSignal.aborted) controller.abort();
+    else callerSignal.addEventListener('abort', onCallerAbort, { once: true });
+  }
+
+  let timedOut = false;
+  let timer = null;
+  const arm = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+  };
+  arm();
+
+  try {
+    return await provider[operation]({
+      ...request,
+      signal: controller.signal,
+      ...(request.onDelta
+        ? { onDelta: (delta) => { arm(); request.onDelta(delta); } }
+        : {})
+    });
+  } catch (error) {
+    if (timedOut) {
+      throw providerError(`${provider.label} did not respond within ${timeoutMs}ms`, 'PROVIDER_TIMEOUT', error);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    if (callerSignal) callerSignal.removeEventListener('abort', onCallerAbort);
+  }
+};
+
+// Retries and the breaker around single attempts. Streams are only retried before their first
+// chunk - after that the learner has already seen part of the answer. request.budget caps the
+// attempts and time across the whole request; request.maxRetries overrides LLM_MAX_RETRIES.
+const withRetries = (provider, breaker, attempt) => async (request) => {
+  const { budget } = request;
+  const maxRetries = request.maxRetries ?? config.maxRetries;
+  if (budgetExhausted(budget)) {
+    throw providerError('No attempts left for this request', 'PROVIDER_BUDGET_EXHAUSTED');
+  }
+  if (!breaker.allowRequest()) {
+    throw providerError(`${provider.label} is unavailable (circuit open)`, 'PROVIDER_UNAVAILABLE');
+  }
+
+  for (let retry = 0; ; retry++) {
+    let emitted = false;
+    if (budget) budget.attemptsLeft--;
+    try {
+      const result = await attempt(request.onDelta
+        ? { ...request, onDelta: (delta) => { emitted = true; request.onDelta(delta); } }
+        : request);
+      breaker.recordSuccess();
+      return result;
+    } catch (error) {
+      // The learner left - not the provider's fault
+      if (request.signal && request.signal.aborted) {
+        breaker.release();
+        throw error;
+      }
+
+      if (countsAgainstProvider(error)) breaker.recordFailure(error);
+      else breaker.release();
+      if (emitted || retry >= maxRetries || !isRetryable(error)) throw error;
+      const delay = backoffDelay(retry, error);
+      if (budgetExhausted(budget) || delay >= timeLeft(budget) || !breaker.allowRequest()) throw error;
+
+      console.log(`🔁 ${provider.label} call failed (${error.message}) - retry ${retry + 1}/${maxRetries} in ${delay}ms`);
+      await sleep(delay, request.signal);
+    }
+  }
+};
+
+module.exports = {
+  loadResilienceConfig,
+  getResilienceConfig,
+  setResilienceConfig,
+  isRetryable,
+  createAttemptBudget,
+  createCircuitBreaker,
+  withTimeout,
+  withRetries
+};
@@ -0,0 +1,64 @@
+// providers/scriptedProvider.js - Deterministic provider for tests and offline development
+// responses: array of strings (cycled) or (request, callIndex) => string
+// calls keeps the most recent maxCalls requests for assertions; reset() clears it and the call index
+const createScriptedProvider = ({ name = 'scripted', responses, vision = true, maxCalls = 100 } = {}) => {
+  const calls = [];
+  let callCount = 0;
+
+  const respond = (request) => {
+    const index = callCount++;
+    calls.push(request);
+    if (calls.length > maxCalls) calls.splice(0, calls.length - maxCalls);
+
+    if (typeof responses === 'function') return responses(request, index);
+    if (Array.isArray(responses) && responses.length > 0) return responses[index % responses.length];
+
+    const last = request.messages[request.messages.length - 1];
+    const content = last && typeof last.content === 'string' ? last.content : '';
+    return `Let's explore "${content.slice(0, 80)}" together. What do you already know about it?`;
+  };
+
+  const toResult = (request, text) => ({
+    text,
+    model: request.model || 'scripted-1',
+    usage: {
+      inputTokens: Math.ceil((request.system.length + JSON.stringify(request.messages).length) / 4),
+      outputTokens: Math.ceil(text.length / 4)
+    }
+  });
+
+  const generate = async (request) => toResult(request, respond(request));
+
+  const stream = async (request) => {
+    const text = respond(request);
+    // Emit word by word so clients exercise the same code path as real providers
+    for (const piece of text.match(/\S+\s*/g) || []) {
+      if (request.signal && request.signal.aborted) {
+        throw new Error('Request was aborted.');
+      }
+      request.onDelta(piece);
+    }
+    return toResult(request, text);
+  };
+
+  const health = async () => ({ ok: true, model: 'scripted-1' });
+
+  const reset = () => {
+    calls.length = 0;
+    callCount = 0;
+  };
+
+  return {
+    name,
+    label: 'Scripted',
+    models: { primary: 'scripted-1', fallback: null },
+    vision,
+    calls,
+    reset,
+    generate,
+    stream,
+    health
+  };
+};
+
+module.exports = { createScriptedProvider };
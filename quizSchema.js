@@ -0,0 +1,78 @@
+// quizSchema.js - JSON schema and validation for model-generated quizzes
+const Ajv = require('ajv');
+
+const MAX_QUESTIONS = 10;
+
+const QUIZ_SCHEMA = {
+  type: 'object',
+  required: ['title', 'questions'],
+  properties: {
+    title: { type: 'string', minLength: 1, maxLength: 200 },
+    questions: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_QUESTIONS,
+      items: {
+        type: 'object',
+        required: ['type', 'question', 'explanation'],
+        properties: {
+          type: { enum: ['multiple_choice', 'true_false', 'short_answer'] },
+          question: { type: 'string', minLength: 1, maxLength: 1000 },
+          choices: {
+            type: 'array',
+            minItems: 2,
+            maxItems: 6,
+            items: { type: 'string', minLength: 1, maxLength: 300 }
+          },
+          answerIndex: { type: 'integer', minimum: 0 },
+          answer: { type: 'boolean' },
+          acceptedAnswers: {
+            type: 'array',
+            minItems: 1,
+            items: { type: 'string', minLength: 1, maxLength: 200 }
+          },
+          explanation: { type: 'string', minLength: 1, maxLength: 1500 }
+        },
+        allOf: [
+          {
+            if: { properties: { type: { const: 'multiple_choice' } } },
+            then: { required: ['choices', 'answerIndex'] }
+          },
+          {
+            if: { properties: { type: { const: 'true_false' } } },
+            then: { required: ['answer'] }
+          },
+          {
+            if: { properties: { type: { const: 'short_answer' } } },
+            then: { required: ['acceptedAnswers'] }
+          }
+        ]
+      }
+    }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateQuizSchema = ajv.compile(QUIZ_SCHEMA);
+
+// Returns a list of human-readable problems (empty when the quiz is valid)
+const validateQuiz = (quiz) => {
+  if (!validateQuizSchema(quiz)) {
+    return validateQuizSchema.errors.map(err => `${err.instancePath || '/'} ${err.message}`);
+  }
+
+  // Cross-field rules the schema can't express
+  const errors = [];
+  quiz.questions.forEach((q, i) => {
+    if (q.type === 'multiple_choice' && q.answerIndex >= q.choices.length) {
+      errors.push(`/questions/${i}/answerIndex must point at one of the ${q.choices.length} choices`);
+    }
+  });
+  return errors;
+};
+
+module.exports = {
+  QUIZ_SCHEMA,
+  MAX_QUESTIONS,
+  validateQuiz
+};
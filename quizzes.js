@@ -0,0 +1,266 @@
+// quizzes.js - Structured quizzes with server-side grading
+const { database } = require('./auth');
+const { generateQuiz } = require('./learningEngine');
+const { recordPracticeResult } = require('./skillEstimator');
+const { admitGuardedRequest, capSkillLevel } = require('./guardrails');
+
+const { repositories: repos } = database;
+
+// Quiz as sent to clients - answer keys and explanations only when allowed
+const formatQuiz = (row, includeAnswers = false) => ({
+  id: row.id,
+  subject: row.subject,
+  topic: row.topic,
+  skillLevel: row.skill_level,
+  title: row.title,
+  conversationId: row.conversation_id,
+  createdAt: row.created_at,
+  questions: row.questions.map((q, index) => ({
+    index,
+    type: q.type,
+    question: q.question,
+    ...(q.type === 'multiple_choice' ? { choices: q.choices } : {}),
+    ...(includeAnswers ? {
+      answerIndex: q.answerIndex,
+      answer: q.answer,
+      acceptedAnswers: q.acceptedAnswers,
+      explanation: q.explanation
+    } : {})
+  }))
+});
+
+// Lowercase, trim and drop punctuation so "Paris." matches "paris"
+const normalizeAnswer = (value) => String(value)
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\p{L}\p{N}.\-/ ]/gu, '')
+  .replace(/\s+/g, ' ')
+  .replace(/\.$/, '')
+  .trim();
+
+const answersMatch = (given, expected) => {
+  const a = normalizeAnswer(given);
+  const b = normalizeAnswer(expected);
+  if (a === b) return true;
+
+  // Numeric answers: "0.5" matches ".50"
+  const numA = Number(a);
+  const numB = Number(b);
+  return a !== '' && b !== '' && !Number.isNaN(numA) && !Number.isNaN(numB) && Math.abs(numA - numB) < 1e-9;
+};
+
+// Grade one answer against its question
+const gradeQuestion = (question, given) => {
+  if (given === undefined || given === null || given === '') return false;
+
+  switch (question.type) {
+    case 'multiple_choice':
+      // Accept either the choice index or the choice text
+      if (Number.isInteger(given)) return given === question.answerIndex;
+      return answersMatch(given, question.choices[question.answerIndex]);
+    case 'true_false':
+      if (typeof given === 'boolean') return given === question.answer;
+      return normalizeAnswer(given) === String(question.answer);
+    case 'short_answer':
+      return question.acceptedAnswers.some(accepted => answersMatch(given, accepted));
+    default:
+      return false;
+  }
+};
+
+// Generate and store a quiz; returns the stored row
+const createQuizRecord = async ({ userId, conversationId = null, subject, skillLevel, topic, questionCount, history }) => {
+  const { quiz, model } = await generateQuiz(subject, skillLevel, { topic, questionCount, history });
+
+  const row = await repos.quizzes.create({
+    userId,
+    conversationId,
+    subject,
+    topic: topic || null,
+    skillLevel,
+    title: quiz.title.slice(0, 255),
+    questions: quiz.questions,
+    model
+  });
+
+  console.log(`📝 Quiz ${row.id} created for user ${userId} (${quiz.questions.length} questions)`);
+  return row;
+};
+
+// POST /api/quizzes { subject, topic?, questionCount?, skillLevel? } - mentor guardrails answer 403/429 as on /api/tutor
+const createQuiz = async (req, res) => {
+  try {
+    const { subject, topic, questionCount, skillLevel } = req.body;
+    if (!subject) {
+      return res.status(400).json({ error: 'Subject is required' });
+    }
+
+    // Same mentor guardrails as a tutor message, counted as one
+    const guard = await admitGuardedRequest(req, res, subject);
+    if (!guard) return;
+    const skill = capSkillLevel({ level: skillLevel || req.user.skillLevel || 'intermediate' }, guard.guardrails);
+
+    let row;
+    try {
+      row = await createQuizRecord({
+        userId: req.user.id,
+        subject,
+        topic,
+        questionCount,
+        skillLevel: skill.level
+      });
+    } catch (genErr) {
+      console.error('🚨 Quiz generation error:', genErr.message);
+      return res.status(502).json({ error: 'Could not generate a quiz right now. Please try again.' });
+    }
+
+    res.status(201).json({ quiz: formatQuiz(row) });
+  } catch (e) {
+    console.error('🚨 Create quiz error:', e);
+    res.status(500).json({ error: 'Failed to create quiz' });
+  }
+};
+
+// GET /api/quizzes/:id - owner sees questions; linked mentors also see answer keys
+const getQuiz = async (req, res) => {
+  try {
+    const quizId = parseInt(req.params.id, 10);
+    if (Number.isNaN(quizId)) return res.status(400).json({ error: 'Invalid quiz id' });
+
+    const quiz = await repos.quizzes.findById(quizId);
+    if (!quiz) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+
+    if (quiz.user_id === req.user.id) {
+      return res.json({ quiz: formatQuiz(quiz) });
+    }
+
+    if (req.user.userType === 'mentor' && await repos.links.isActive(req.user.id, quiz.user_id)) {
+      return res.json({ quiz: formatQuiz(quiz, true) });
+    }
+
+    return res.status(403).json({ error: 'Access denied' });
+  } catch (e) {
+    console.error('🚨 Get quiz error:', e);
+    res.status(500).json({ error: 'Failed to fetch quiz' });
+  }
+};
+
+// POST /api/quizzes/:id/attempts { answers: [...] } - answers align with question order
+const submitQuizAttempt = async (req, res) => {
+  try {
+    const quizId = parseInt(req.params.id, 10);
+    if (Number.isNaN(quizId)) return res.status(400).json({ error: 'Invalid quiz id' });
+
+    const { answers } = req.body;
+    if (!Array.isArray(answers)) {
+      return res.status(400).json({ error: 'Answers must be an array in question order' });
+    }
+
+    const quiz = await repos.quizzes.findById(quizId);
+    if (!quiz) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+    if (quiz.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (answers.length !== quiz.questions.length) {
+      return res.status(400).json({ error: `Expected ${quiz.questions.length} answers` });
+    }
+
+    const results = quiz.questions.map((question, index) => ({
+      index,
+      given: answers[index],
+      correct: gradeQuestion(question, answers[index]),
+      answerIndex: question.answerIndex,
+      answer: question.answer,
+      acceptedAnswers: question.acceptedAnswers,
+      explanation: question.explanation
+    }));
+    const score = results.filter(r => r.correct).length;
+    const total = results.length;
+
+    const attempt = await database.transaction(async (tx) => {
+      const created = await tx.quizzes.createAttempt({ quizId, userId: req.user.id, answers, results, score, total });
+      await tx.quizzes.addSubjectScore(req.user.id, quiz.subject, {
+        correct: score,
+        total,
+        scorePct: Math.round((score / total) * 1000) / 10
+      });
+      return created;
+    });
+
+    // Quiz results feed the learner's skill estimate
+    recordPracticeResult(req.user.id, quiz.subject, score, total).catch(error => {
+      console.error('⚠️ Could not record practice result:', error.message);
+    });
+
+    console.log(`✅ Quiz ${quizId} attempt graded: ${score}/${total}`);
+    res.status(201).json({
+      attemptId: attempt.id,
+      createdAt: attempt.created_at,
+      score,
+      total,
+      results
+    });
+  } catch (e) {
+    console.error('🚨 Submit quiz attempt error:', e);
+    res.status(500).json({ error: 'Failed to grade quiz attempt' });
+  }
+};
+
+const formatSubjectScore = (row) => ({
+  subject: row.subject,
+  attempts: row.attempts,
+  questionsAnswered: row.questions_answered,
+  correctAnswers: row.correct_answers,
+  accuracyPct: row.questions_answered ? Math.round((row.correct_answers / row.questions_answered) * 1000) / 10 : null,
+  lastScorePct: row.last_score_pct,
+  updatedAt: row.updated_at
+});
+
+// GET /api/quiz-scores - learner's own per-subject scores
+const getMyQuizScores = async (req, res) => {
+  try {
+    const rows = await repos.quizzes.listSubjectScores(req.user.id);
+    res.json({ scores: rows.map(formatSubjectScore) });
+  } catch (e) {
+    console.error('🚨 Get quiz scores error:', e);
+    res.status(500).json({ error: 'Failed to fetch quiz scores' });
+  }
+};
+
+// GET /api/learners/:learnerId/quiz-scores - mentors only
+const getLearnerQuizScores = async (req, res) => {
+  try {
+    if (req.user.userType !== 'mentor') {
+      return res.status(403).json({ error: 'Only mentors can view learner quiz scores' });
+    }
+
+    const learnerId = parseInt(req.params.learnerId, 10);
+    if (Number.isNaN(learnerId)) return res.status(400).json({ error: 'Invalid learner id' });
+
+    if (!(await repos.links.isActive(req.user.id, learnerId))) {
+      return res.status(403).json({ error: 'No access to this learner' });
+    }
+
+    const rows = await repos.quizzes.listSubjectScores(learnerId);
+    res.json({ learnerId, scores: rows.map(formatSubjectScore) });
+  } catch (e) {
+    console.error('🚨 Get learner quiz scores error:', e);
+    res.status(500).json({ error: 'Failed to fetch learner quiz scores' });
+  }
+};
+
+module.exports = {
+  formatQuiz,
+  gradeQuestion,
+  createQuizRecord,
+  createQuiz,
+  getQuiz,
+  submitQuizAttempt,
+  getMyQuizScores,
+  getLearnerQuizScores
+};
@@ -0,0 +1,80 @@
+// rateLimit/algorithms.js - Token bucket and sliding window counters
+//
+// Each algorithm is take(state, policy, now, { cost, dryRun, refund }) => { state, allowed,
+// remaining, resetMs, retryAfterMs }. state is whatever the algorithm stored last time (null for a
+// new key) and must be JSON-serializable so any store can hold it. A dry run reports whether a
+// request of that cost would pass without spending anything; a refund gives back cost that an
+// earlier take spent.
+
+// Bucket of policy.limit tokens, refilled at limit per windowMs - allows short bursts
+const tokenBucket = (state, policy, now, { cost = 1, dryRun = false, refund = false } = {}) => {
+  const ratePerMs = policy.limit / policy.windowMs;
+  const elapsed = state ? Math.max(0, now - state.updatedAt) : 0;
+  const available = state ? Math.min(policy.limit, state.tokens + elapsed * ratePerMs) : policy.limit;
+
+  const allowed = refund || available >= cost;
+  let tokens = available;
+  if (refund) tokens = Math.min(policy.limit, available + cost);
+  else if (allowed && !dryRun) tokens = available - cost;
+
+  return {
+    state: { tokens, updatedAt: now },
+    allowed,
+    remaining: Math.floor(tokens),
+    resetMs: Math.ceil((policy.limit - tokens) / ratePerMs),
+    retryAfterMs: allowed ? 0 : Math.ceil((cost - available) / ratePerMs)
+  };
+};
+
+// Counts in fixed windows, weighting the previous window by how much of it still overlaps the
+// sliding one - close to an exact log of timestamps at the cost of two numbers per key
+const slidingWindow = (state, policy, now, { cost = 1, dryRun = false, refund = false } = {}) => {
+  const { limit, windowMs } = policy;
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+
+  let current = 0;
+  let previous = 0;
+  if (state && state.windowStart === windowStart) {
+    ({ current, previous } = state);
+  } else if (state && state.windowStart === windowStart - windowMs) {
+    previous = state.current;
+  }
+
+  // A refund comes out of the current window first, then the previous one it may have been spent in
+  if (refund) {
+    const fromCurrent = Math.min(current, cost);
+    current -= fromCurrent;
+    previous = Math.max(0, previous - (cost - fromCurrent));
+  }
+
+  const elapsed = now - windowStart;
+  const overlap = 1 - elapsed / windowMs;
+  const used = previous * overlap + current;
+  const allowed = refund || used + cost <= limit;
+  if (allowed && !dryRun && !refund) current += cost;
+
+  // Waiting for the previous window to slide out is enough when this window has room left;
+  // otherwise nothing frees up before the next window starts
+  let retryAfterMs = 0;
+  if (!allowed) {
+    const roomInCurrent = limit - current - cost;
+    retryAfterMs = roomInCurrent >= 0 && previous > 0
+      ? Math.ceil(windowMs * (1 - roomInCurrent / previous)) - elapsed
+      : windowMs - elapsed;
+  }
+
+  return {
+    state: { windowStart, current, previous },
+    allowed,
+    remaining: Math.max(0, Math.floor(limit - previous * overlap - current)),
+    resetMs: windowMs - elapsed,
+    retryAfterMs: Math.max(retryAfterMs, 0)
+  };
+};
+
+const ALGORITHMS = {
+  token_bucket: tokenBucket,
+  sliding_window: slidingWindow
+};
+
+module.exports = { ALGORITHMS, tokenBucket, slidingWindow };
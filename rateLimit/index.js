@@ -0,0 +1,268 @@
+// rateLimit/index.js - Per-route, per-user rate limiting with a pluggable counter store
+//
+// A store is an object with:
+//   name    - 'memory' or 'postgres'
+//   update  - async (key, ttlMs, apply) => result; apply(state | null) => { state, result } runs
+//             atomically for that key and its state is kept for ttlMs
+//   remove  - async (key) => void
+//   prune   - async () => number of expired keys dropped
+//
+// RATE_LIMIT_STORE picks the store: postgres (the default on Postgres, shared by every instance)
+// or memory (the default on other backends). Policies are named, and each has an algorithm
+// (token_bucket or sliding_window), a limit per windowMs and what it counts by (ip or user).
+// RATE_LIMIT_POLICIES overrides them, e.g. {"tutor":{"limit":60}}. RATE_LIMIT_ENABLED=false
+// turns limiting off.
+const { database } = require('../auth');
+const { ALGORITHMS, tokenBucket, slidingWindow } = require('./algorithms');
+const { createMemoryStore } = require('./memoryStore');
+const { createPostgresStore } = require('./postgresStore');
+
+const MINUTE = 60 * 1000;
+
+const DEFAULT_POLICIES = {
+  // Account endpoints (register, login, refresh, verification, password reset), per IP
+  auth: { algorithm: 'sliding_window', limit: 100, windowMs: MINUTE, by: 'ip' },
+  // Model calls (tutor turns, quizzes, review cards, report previews), per user - bursts of up to
+  // 20, refilling at 20 a minute
+  tutor: { algorithm: 'token_bucket', limit: 20, windowMs: MINUTE, by: 'user' },
+  // Login attempts, refunded when they succeed (see protectLogin)
+  login_account: { algorithm: 'sliding_window', limit: 5, windowMs: 15 * MINUTE, by: 'account' },
+  login_ip: { algorithm: 'sliding_window', limit: 20, windowMs: 15 * MINUTE, by: 'ip' }
+};
+
+const PRUNE_INTERVAL_MS = 10 * MINUTE;
+
+let store = null;
+let pruneTimer = null;
+
+const loadPolicies = (env = process.env) => {
+  const policies = {};
+  let overrides = {};
+  if (env.RATE_LIMIT_POLICIES) {
+    try {
+      overrides = JSON.parse(env.RATE_LIMIT_POLICIES);
+    } catch (error) {
+      console.error('⚠️ Could not parse RATE_LIMIT_POLICIES:', error.message);
+    }
+  }
+
+  for (const [name, defaults] of Object.entries(DEFAULT_POLICIES)) {
+    const policy = { ...defaults, ...overrides[name], name };
+    if (!ALGORITHMS[policy.algorithm] || !(policy.limit > 0) || !(policy.windowMs > 0)) {
+      console.error(`⚠️ Invalid rate limit policy "${name}" - using the default`);
+      policies[name] = { ...defaults, name };
+    } else {
+      policies[name] = policy;
+    }
+  }
+  return policies;
+};
+
+let config = {
+  enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+  policies: loadPolicies()
+};
+
+const getRateLimitConfig = () => config;
+
+// Replace the active settings (tests, admin tooling)
+const setRateLimitConfig = (next) => {
+  config = next;
+  return config;
+};
+
+const createDefaultStore = (env = process.env) => {
+  const name = env.RATE_LIMIT_STORE || (database.driver === 'postgres' ? 'postgres' : 'memory');
+
+  switch (name) {
+    case 'postgres':
+      if (database.driver !== 'postgres') {
+        throw new Error(`RATE_LIMIT_STORE=postgres requires PostgreSQL (DB_DRIVER is "${database.driver}")`);
+      }
+      return createPostgresStore({ pool: database.pool });
+    case 'memory':
+      return createMemoryStore();
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE: ${name}`);
+  }
+};
+
+const schedulePruning = () => {
+  if (pruneTimer) clearInterval(pruneTimer);
+  pruneTimer = setInterval(() => {
+    store.prune().catch(error => console.error('⚠️ Could not prune rate limits:', error.message));
+  }, PRUNE_INTERVAL_MS);
+  pruneTimer.unref();
+};
+
+const getStore = () => {
+  if (!store) {
+    store = createDefaultStore();
+    schedulePruning();
+  }
+  return store;
+};
+
+// Swap the store (tests, Redis and the like)
+const setStore = (backend) => {
+  store = backend;
+  schedulePruning();
+  return store;
+};
+
+// Run one request of `cost` against a policy for an identity ('ip:1.2.3.4', 'user:7', ...)
+// Returns { allowed, limit, remaining, resetMs, retryAfterMs }
+const take = async (policy, identity, options = {}) => {
+  const algorithm = ALGORITHMS[policy.algorithm];
+  const now = Date.now();
+  const result = await getStore().update(`${policy.name}:${identity}`, policy.windowMs * 2, (state) => {
+    const outcome = algorithm(state, policy, now, options);
+    return { state: outcome.state, result: outcome };
+  });
+  return {
+    allowed: result.allowed,
+    limit: policy.limit,
+    remaining: result.remaining,
+    resetMs: result.resetMs,
+    retryAfterMs: result.retryAfterMs
+  };
+};
+
+// Give back what an earlier take spent
+const refund = async (policy, identity, options = {}) => {
+  const algorithm = ALGORITHMS[policy.algorithm];
+  const now = Date.now();
+  await getStore().update(`${policy.name}:${identity}`, policy.windowMs * 2, (state) => {
+    const outcome = algorithm(state, policy, now, { ...options, refund: true });
+    return { state: outcome.state, result: outcome };
+  });
+};
+
+const clientIp = (req) => req.ip || req.connection.remoteAddress;
+
+const identify = (req, by) => (by === 'user' && req.user ? `user:${req.user.id}` : `ip:${clientIp(req)}`);
+
+const toSeconds = (ms) => Math.max(1, Math.ceil(ms / 1000));
+
+// RateLimit-* headers (IETF draft), plus Retry-After when refused
+const setRateLimitHeaders = (res, policy, outcome) => {
+  res.set('RateLimit-Policy', `${policy.limit};w=${Math.ceil(policy.windowMs / 1000)}`);
+  res.set('RateLimit-Limit', String(outcome.limit));
+  res.set('RateLimit-Remaining', String(outcome.remaining));
+  res.set('RateLimit-Reset', String(toSeconds(outcome.resetMs)));
+  if (!outcome.allowed) res.set('Retry-After', String(toSeconds(outcome.retryAfterMs)));
+};
+
+// Middleware for a named policy; policies counted by user go after authenticateToken
+// (unauthenticated requests fall back to the IP). A failing store lets requests through.
+const rateLimit = (policyName) => async (req, res, next) => {
+  const policy = config.policies[policyName];
+  if (!config.enabled || !policy) return next();
+
+  let outcome;
+  try {
+    outcome = await take(policy, identify(req, policy.by));
+  } catch (error) {
+    console.error(`⚠️ Rate limit check failed (${policyName}) - allowing request:`, error.message);
+    return next();
+  }
+
+  setRateLimitHeaders(res, policy, outcome);
+  if (outcome.allowed) return next();
+
+  const retryAfter = toSeconds(outcome.retryAfterMs);
+  console.log(`🚧 Rate limit "${policyName}" reached for ${identify(req, policy.by)}`);
+  res.status(429).json({ error: 'Too many requests. Please try again later.', code: 'RATE_LIMITED', retryAfter });
+};
+
+// The login_account identity: the user id, so an account's email and username share one counter.
+// Unknown accounts (and failed lookups) are counted by what was typed.
+const resolveAccount = async (emailOrUsername) => {
+  const login = typeof emailOrUsername === 'string' ? emailOrUsername.trim() : '';
+  if (!login) return '';
+
+  try {
+    const { users } = database.repositories;
+    const user = login.includes('@') ? await users.findByEmail(login) : await users.findByUsername(login);
+    if (user) return `user:${user.id}`;
+  } catch (error) {
+    console.error('⚠️ Could not resolve login account - counting it as typed:', error.message);
+  }
+  return `login:${login.toLowerCase()}`;
+};
+
+// Brute-force protection for POST /api/auth/login. Each attempt takes one from both the account
+// and the IP up front, so parallel guesses can't slip past the limit; once either is used up
+// further attempts get a 429 without checking the password. Only failed attempts (401s) keep
+// what they took - anything else is refunded, and a successful login clears the account's count.
+const protectLogin = async (req, res, next) => {
+  if (!config.enabled) return next();
+
+  const account = await resolveAccount(req.body && req.body.emailOrUsername);
+  const counters = [[config.policies.login_ip, `ip:${clientIp(req)}`]];
+  if (account) counters.push([config.policies.login_account, `account:${account}`]);
+
+  const refundAll = (entries) => Promise.all(entries.map(([policy, identity]) => refund(policy, identity)));
+
+  let outcomes;
+  try {
+    outcomes = await Promise.all(counters.map(([policy, identity]) => take(policy, identity)));
+  } catch (error) {
+    console.error('⚠️ Login attempt check failed - allowing request:', error.message);
+    return next();
+  }
+
+  const blocked = outcomes.filter(outcome => !outcome.allowed);
+  if (blocked.length > 0) {
+    // A refused attempt never reaches the password check, so it doesn't count against the others
+    refundAll(counters.filter((counter, index) => outcomes[index].allowed))
+      .catch(error => console.error('⚠️ Could not refund login attempt:', error.message));
+
+    const retryAfter = toSeconds(Math.max(...blocked.map(outcome => outcome.retryAfterMs)));
+    console.log(`🚧 Too many failed logins for ${account || 'unknown account'} from ${clientIp(req)}`);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      error: 'Too many failed login attempts. Please try again later.',
+      code: 'TOO_MANY_LOGIN_ATTEMPTS',
+      retryAfter
+    });
+  }
+
+  res.on('finish', () => {
+    if (res.statusCode === 401) return;
+    const settled = res.statusCode < 300 && account
+      ? Promise.all([
+        refundAll(counters.filter(([policy]) => policy.name !== config.policies.login_account.name)),
+        getStore().remove(`${config.policies.login_account.name}:account:${account}`)
+      ])
+      : refundAll(counters);
+    settled.catch(error => console.error('⚠️ Could not refund login attempt:', error.message));
+  });
+  next();
+};
+
+// One-line summary for the startup log
+const describeRateLimits = () => {
+  if (!config.enabled) return '⚠️ Disabled';
+  const { tutor } = config.policies;
+  return `✅ ${getStore().name} store (tutor ${tutor.limit} per ${Math.round(tutor.windowMs / 1000)}s per user)`;
+};
+
+module.exports = {
+  DEFAULT_POLICIES,
+  loadPolicies,
+  getRateLimitConfig,
+  setRateLimitConfig,
+  getStore,
+  setStore,
+  createDefaultStore,
+  createMemoryStore,
+  createPostgresStore,
+  tokenBucket,
+  slidingWindow,
+  take,
+  refund,
+  rateLimit,
+  protectLogin,
+  describeRateLimits
+};
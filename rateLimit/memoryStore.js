@@ -0,0 +1,34 @@
+// rateLimit/memoryStore.js - Counters in a Map; per process and lost on restart
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    update: async (key, ttlMs, apply) => {
+      const now = Date.now();
+      const entry = entries.get(key);
+      const { state, result } = apply(entry && entry.expiresAt > now ? entry.state : null);
+      entries.set(key, { state, expiresAt: now + ttlMs });
+      return result;
+    },
+
+    remove: async (key) => {
+      entries.delete(key);
+    },
+
+    prune: async () => {
+      const now = Date.now();
+      let removed = 0;
+      for (const [key, entry] of entries) {
+        if (entry.expiresAt <= now) {
+          entries.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    }
+  };
+};
+
+module.exports = { createMemoryStore };
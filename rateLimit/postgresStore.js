@@ -0,0 +1,51 @@
+// rateLimit/postgresStore.js - Counters in the rate_limits table, shared by every instance
+// Each update locks its row for the read-modify-write, so concurrent requests for one key queue
+// up instead of both spending the same token.
+const createPostgresStore = ({ pool }) => ({
+  name: 'postgres',
+
+  update: async (key, ttlMs, apply) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`
+        INSERT INTO rate_limits (key, state, expires_at)
+        VALUES ($1, NULL, CURRENT_TIMESTAMP)
+        ON CONFLICT (key) DO NOTHING
+      `, [key]);
+      const current = await client.query(`
+        SELECT state, expires_at > CURRENT_TIMESTAMP AS live
+        FROM rate_limits
+        WHERE key = $1
+        FOR UPDATE
+      `, [key]);
+
+      const row = current.rows[0];
+      const { state, result } = apply(row.live ? row.state : null);
+
+      await client.query(`
+        UPDATE rate_limits
+        SET state = $2, expires_at = CURRENT_TIMESTAMP + $3 * INTERVAL '1 millisecond'
+        WHERE key = $1
+      `, [key, JSON.stringify(state), ttlMs]);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  remove: async (key) => {
+    await pool.query(`DELETE FROM rate_limits WHERE key = $1`, [key]);
+  },
+
+  prune: async () => {
+    const result = await pool.query(`DELETE FROM rate_limits WHERE expires_at <= CURRENT_TIMESTAMP`);
+    return result.rowCount;
+  }
+});
+
+module.exports = { createPostgresStore };
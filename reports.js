@@ -0,0 +1,345 @@
+// reports.js - Scheduled progress reports emailed to mentors
+const { database } = require('./auth');
+const { summarizeProgress } = require('./learningEngine');
+const { loadLearnerAnalytics, parseDateRange } = require('./analytics');
+const { sendMail } = require('./mailer');
+const { withUsageContext } = require('./llmUsage');
+
+const { repositories: repos } = database;
+
+const FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+const DAY_MS = 24 * 3600 * 1000;
+// Biweekly periods are counted from this Monday so they stay aligned across restarts
+const BIWEEKLY_ANCHOR = Date.UTC(2024, 0, 1);
+
+const MAX_EXCERPT_CONVERSATIONS = 10;
+const MAX_EXCERPTS_PER_CONVERSATION = 3;
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+// Most recent fully finished period for a frequency - { from, to } inclusive dates (UTC)
+const lastCompletedPeriod = (frequency, now = new Date()) => {
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+
+  if (frequency === 'monthly') {
+    const from = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+    const to = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 0));
+    return { from: isoDate(from), to: isoDate(to) };
+  }
+
+  // Weeks run Monday to Sunday
+  const daysSinceMonday = (new Date(today).getUTCDay() + 6) % 7;
+  let periodEnd = today - daysSinceMonday * DAY_MS; // exclusive end: this Monday
+  let length = 7;
+
+  if (frequency === 'biweekly') {
+    length = 14;
+    const weeksSinceAnchor = Math.floor((periodEnd - BIWEEKLY_ANCHOR) / (7 * DAY_MS));
+    if (weeksSinceAnchor % 2 !== 0) periodEnd -= 7 * DAY_MS;
+  }
+
+  return {
+    from: isoDate(new Date(periodEnd - length * DAY_MS)),
+    to: isoDate(new Date(periodEnd - DAY_MS))
+  };
+};
+
+// Everything a report needs for one learner and period
+const collectReportData = async (learnerId, period) => {
+  const analytics = await loadLearnerAnalytics(learnerId, {
+    ...period,
+    days: Math.round((new Date(period.to) - new Date(period.from)) / DAY_MS) + 1
+  });
+
+  const quizResults = await repos.quizzes.resultsBySubject(learnerId, period.from, period.to);
+
+  // Recent learner messages give the summary something concrete to work from
+  const excerpts = await repos.reports.learnerExcerpts(learnerId, period, {
+    conversations: MAX_EXCERPT_CONVERSATIONS,
+    perConversation: MAX_EXCERPTS_PER_CONVERSATION
+  });
+  const learnerMessages = excerpts.map(row => ({ subject: row.subject, content: row.content }));
+
+  return { analytics, quizResults, learnerMessages };
+};
+
+// Compile a report object for a mentor/learner pair
+const buildReport = async ({ mentor, learner, period }) => {
+  const data = await collectReportData(learner.id, period);
+  const learnerName = learner.display_name || learner.username || learner.email;
+
+  const summary = await summarizeProgress({
+    learnerName,
+    summary: data.analytics.summary,
+    subjects: data.analytics.subjects,
+    modes: data.analytics.modes,
+    quizResults: data.quizResults,
+    learnerMessages: data.learnerMessages
+  });
+
+  return {
+    mentor: { id: mentor.id, name: mentor.display_name || mentor.username || mentor.email, email: mentor.email },
+    learner: { id: learner.id, name: learnerName },
+    period,
+    activity: data.analytics.summary,
+    subjects: data.analytics.subjects,
+    modes: data.analytics.modes,
+    quizResults: data.quizResults,
+    skillLevels: data.analytics.currentSkillLevels,
+    highlights: summary.highlights,
+    struggles: summary.struggles,
+    summarySource: summary.source
+  };
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Render a report as an email { subject, text, html }
+const renderReport = (report) => {
+  const { learner, period, activity } = report;
+  const subject = `${learner.name}'s learning report (${period.from} to ${period.to})`;
+
+  const lines = {
+    activity: activity.sessions === 0
+      ? `${learner.name} didn't have any tutoring sessions this period.`
+      : `${activity.sessions} session${activity.sessions === 1 ? '' : 's'} on ${activity.activeDays} day${activity.activeDays === 1 ? '' : 's'}, about ${Math.round(activity.timeOnTaskMinutes)} minutes in total.`,
+    subjects: report.subjects.map(s => `${s.subject}: ${s.sessions} session${s.sessions === 1 ? '' : 's'}`),
+    modes: report.modes.map(m => `${m.mode}: ${m.sessions}`),
+    quizzes: report.quizResults.map(q => `${q.subject}: ${q.correct}/${q.total} correct`),
+    levels: report.skillLevels
+      .filter(l => l.effectiveLevel)
+      .map(l => `${l.subject}: ${l.effectiveLevel}${l.pinnedLevel ? ' (pinned)' : ''}`)
+  };
+
+  const textSection = (title, items) => (items.length > 0 ? `${title}\n${items.map(item => `  - ${item}`).join('\n')}\n\n` : '');
+  const text = `Hi ${report.mentor.name},\n\n` +
+    `Here's how ${learner.name} did between ${period.from} and ${period.to}.\n\n` +
+    `${lines.activity}\n\n` +
+    textSection('Subjects covered', lines.subjects) +
+    textSection('Learning modes', lines.modes) +
+    textSection('Quiz results', lines.quizzes) +
+    textSection('Highlights', report.highlights) +
+    textSection('Needs support', report.struggles) +
+    textSection('Current levels', lines.levels) +
+    '- Lilibet\n';
+
+  const htmlSection = (title, items) => (items.length > 0
+    ? `<h3>${escapeHtml(title)}</h3><ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+    : '');
+  const html = `<!DOCTYPE html><html><body style="font-family: sans-serif; max-width: 600px;">` +
+    `<p>Hi ${escapeHtml(report.mentor.name)},</p>` +
+    `<p>Here's how <strong>${escapeHtml(learner.name)}</strong> did between ${period.from} and ${period.to}.</p>` +
+    `<p>${escapeHtml(lines.activity)}</p>` +
+    htmlSection('Subjects covered', lines.subjects) +
+    htmlSection('Learning modes', lines.modes) +
+    htmlSection('Quiz results', lines.quizzes) +
+    htmlSection('Highlights', report.highlights) +
+    htmlSection('Needs support', report.struggles) +
+    htmlSection('Current levels', lines.levels) +
+    `<p>- Lilibet</p></body></html>`;
+
+  return { subject, text, html };
+};
+
+// Send every report that is due - safe to call repeatedly and from several instances
+const sendDueReports = async (now = new Date()) => {
+  const outcome = { sent: 0, failed: 0 };
+  const pairs = await repos.reports.listDuePairs();
+
+  for (const row of pairs) {
+    // Claim before sending; failed sends can be retried, anything else is skipped
+    const period = lastCompletedPeriod(row.frequency, now);
+    const reportId = await repos.reports.claim(row.mentor_id, row.learner_id, period);
+    if (!reportId) continue;
+
+    try {
+      // The summary's LLM calls count toward the mentor who receives the report
+      const report = await withUsageContext({ userId: row.mentor_id }, () => buildReport({
+        mentor: { id: row.mentor_id, email: row.mentor_email, username: row.mentor_username, display_name: row.mentor_display_name },
+        learner: { id: row.learner_id, email: row.learner_email, username: row.learner_username, display_name: row.learner_display_name },
+        period
+      }));
+      const mail = await sendMail({ to: row.mentor_email, ...renderReport(report) });
+
+      await repos.reports.markSent(reportId, {
+        transport: mail.transport,
+        messageId: mail.messageId ? String(mail.messageId).slice(0, 255) : null
+      });
+      outcome.sent += 1;
+    } catch (error) {
+      console.error(`⚠️ Progress report ${reportId} failed:`, error.message);
+      await repos.reports.markFailed(reportId, String(error.message).slice(0, 1000));
+      outcome.failed += 1;
+    }
+  }
+
+  if (outcome.sent || outcome.failed) {
+    console.log(`📬 Progress reports: ${outcome.sent} sent, ${outcome.failed} failed`);
+  }
+  return outcome;
+};
+
+// Check for due reports on an interval (REPORTS_SCHEDULER=false disables it, e.g. when cron runs the script)
+let schedulerTimer = null;
+const startReportScheduler = () => {
+  if (process.env.REPORTS_SCHEDULER === 'false' || schedulerTimer) return;
+
+  const intervalMs = (parseInt(process.env.REPORTS_INTERVAL_MINUTES, 10) || 60) * 60 * 1000;
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await sendDueReports();
+    } catch (error) {
+      console.error('⚠️ Progress report run failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  schedulerTimer = setInterval(run, intervalMs);
+  schedulerTimer.unref();
+  setTimeout(run, 5000).unref();
+  console.log(`📬 Progress report scheduler: ✅ every ${intervalMs / 60000} min`);
+};
+
+const formatSettings = (row, mentorId) => ({
+  mentorId,
+  enabled: row ? row.enabled : false,
+  frequency: row ? row.frequency : 'weekly'
+});
+
+const requireMentor = (req, res) => {
+  if (req.user.userType !== 'mentor') {
+    res.status(403).json({ error: 'Only mentors can manage progress reports' });
+    return false;
+  }
+  return true;
+};
+
+// GET /api/reports/settings
+const getReportSettings = async (req, res) => {
+  try {
+    if (!requireMentor(req, res)) return;
+
+    const row = await repos.reports.findSettings(req.user.id);
+    res.json({ settings: formatSettings(row, req.user.id) });
+  } catch (e) {
+    console.error('🚨 Get report settings error:', e);
+    res.status(500).json({ error: 'Failed to fetch report settings' });
+  }
+};
+
+// PUT /api/reports/settings { enabled?, frequency? }
+const updateReportSettings = async (req, res) => {
+  try {
+    if (!requireMentor(req, res)) return;
+
+    const { enabled, frequency } = req.body;
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be true or false' });
+    }
+    if (frequency !== undefined && !FREQUENCIES.includes(frequency)) {
+      return res.status(400).json({ error: `Invalid frequency. Expected one of: ${FREQUENCIES.join(', ')}` });
+    }
+
+    const row = await repos.reports.saveSettings(req.user.id, {
+      enabled: enabled === undefined ? null : enabled,
+      frequency: frequency || null
+    });
+
+    console.log(`📬 Report settings for mentor ${req.user.id}: ${row.enabled ? row.frequency : 'off'}`);
+    res.json({ settings: formatSettings(row, req.user.id) });
+  } catch (e) {
+    console.error('🚨 Update report settings error:', e);
+    res.status(500).json({ error: 'Failed to update report settings' });
+  }
+};
+
+// GET /api/reports - reports already sent (or attempted) for this mentor
+const listSentReports = async (req, res) => {
+  try {
+    if (!requireMentor(req, res)) return;
+
+    const rows = await repos.reports.listByMentor(req.user.id, 100);
+    res.json({
+      reports: rows.map(row => ({
+        id: row.id,
+        learnerId: row.learner_id,
+        periodStart: row.period_start,
+        periodEnd: row.period_end,
+        status: row.status,
+        transport: row.transport,
+        error: row.error,
+        sentAt: row.sent_at
+      }))
+    });
+  } catch (e) {
+    console.error('🚨 List reports error:', e);
+    res.status(500).json({ error: 'Failed to fetch reports' });
+  }
+};
+
+// GET /api/learners/:learnerId/report-preview?format=html|text|json&from=&to=
+// Defaults to the last completed period for the mentor's frequency; nothing is sent or recorded
+const previewReport = async (req, res) => {
+  try {
+    if (!requireMentor(req, res)) return;
+
+    const learnerId = parseInt(req.params.learnerId, 10);
+    if (Number.isNaN(learnerId)) return res.status(400).json({ error: 'Invalid learner id' });
+
+    const format = req.query.format || 'json';
+    if (!['json', 'html', 'text'].includes(format)) {
+      return res.status(400).json({ error: 'format must be json, html or text' });
+    }
+
+    if (!(await repos.links.isActive(req.user.id, learnerId))) {
+      return res.status(403).json({ error: 'No access to this learner' });
+    }
+
+    let period;
+    if (req.query.from || req.query.to) {
+      const range = parseDateRange(req.query);
+      if (range.error) {
+        return res.status(400).json({ error: range.error });
+      }
+      period = { from: range.from, to: range.to };
+    } else {
+      const settings = await repos.reports.findSettings(req.user.id);
+      period = lastCompletedPeriod(settings ? settings.frequency : 'weekly');
+    }
+
+    const mentor = await repos.users.getProfile(req.user.id);
+    const learner = await repos.users.getProfile(learnerId);
+
+    const report = await buildReport({ mentor, learner, period });
+
+    const rendered = renderReport(report);
+    if (format === 'html') return res.type('html').send(rendered.html);
+    if (format === 'text') return res.type('text').send(rendered.text);
+    res.json({ report, email: rendered });
+  } catch (e) {
+    console.error('🚨 Preview report error:', e);
+    res.status(500).json({ error: 'Failed to build report preview' });
+  }
+};
+
+module.exports = {
+  FREQUENCIES,
+  lastCompletedPeriod,
+  buildReport,
+  renderReport,
+  sendDueReports,
+  startReportScheduler,
+  getReportSettings,
+  updateReportSettings,
+  listSentReports,
+  previewReport
+};
@@ -0,0 +1,65 @@
+// repositories/index.js - Data access for every feature, over Postgres or SQLite
+//
+// DB_DRIVER picks the backend:
+//   postgres (default) - DATABASE_URL, schema managed by migrations/ (see schemaMigrations.js)
+//   sqlite             - SQLITE_PATH (default :memory:), for local development and tests
+//
+// A backend is:
+//   driver       - 'postgres' or 'sqlite'
+//   repositories - { users, conversations, sessions, links, guardrails, llmUsage, skillLevels, reviewItems,
+//                    quizzes, attachments, knowledgeBase, analytics, reports, moderationEvents, conversationSearch }
+//   transaction  - async (fn) => fn(repositories bound to one transaction)
+//   initialize   - prepare the schema (throws if it can't)
+//   pool         - pg Pool for the Postgres-only pieces (migrations, the shared rate limit and
+//                  response cache stores); on SQLite it rejects every query
+//   close        - release connections
+const { createPostgresBackend } = require('./postgres');
+
+// Stand-in for pg's Pool on backends without Postgres
+const createUnavailablePool = (driver) => {
+  const fail = () => Promise.reject(new Error(`This feature requires PostgreSQL (DB_DRIVER is "${driver}")`));
+  return {
+    connect: fail,
+    query: fail,
+    end: (callback) => {
+      if (callback) callback();
+      return Promise.resolve();
+    },
+    on: () => {}
+  };
+};
+
+const createDatabase = (env = process.env) => {
+  const driver = env.DB_DRIVER || 'postgres';
+
+  switch (driver) {
+    case 'postgres':
+      return createPostgresBackend({
+        connectionString: env.DATABASE_URL,
+        ssl: env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+        migrateOnStart: env.MIGRATE_ON_START !== 'false'
+      });
+    case 'sqlite': {
+      // Loaded on demand - better-sqlite3 is a dev dependency
+      const { createSqliteBackend } = require('./sqlite');
+      return {
+        ...createSqliteBackend({ filename: env.SQLITE_PATH || ':memory:' }),
+        pool: createUnavailablePool(driver)
+      };
+    }
+    default:
+      throw new Error(`Unknown DB_DRIVER "${driver}" (expected postgres or sqlite)`);
+  }
+};
+
+let database = null;
+
+const getDatabase = () => {
+  if (!database) database = createDatabase();
+  return database;
+};
+
+module.exports = {
+  createDatabase,
+  getDatabase
+};
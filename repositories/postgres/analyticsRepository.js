@@ -0,0 +1,77 @@
+// repositories/postgres/analyticsRepository.js - Tutoring activity aggregates for the mentor dashboard
+
+// Sessions in range with their estimated duration ($1 learner, $2/$3 date range, $4/$5 time constants)
+const SESSIONS_CTE = `
+  sessions AS (
+    SELECT id,
+           LOWER(subject) AS subject,
+           COALESCE(learning_mode, 'unknown') AS learning_mode,
+           COALESCE(model_used, 'unknown') AS model_used,
+           detected_level,
+           created_at,
+           LEAST(EXTRACT(EPOCH FROM (updated_at - created_at)), $4) + $5 AS seconds
+    FROM conversations
+    WHERE user_id = $1
+      AND created_at >= $2::date
+      AND created_at < $3::date + 1
+  )
+`;
+
+const createAnalyticsRepository = (db) => ({
+  // Conversations started on dates from..to (inclusive) - each is a session whose length is its
+  // span capped at maxSessionSeconds, plus baseSeconds.
+  // Returns { summary, daily, subjects, modes, models }; daily has one row per date in range.
+  activity: async (learnerId, { from, to }, { maxSessionSeconds, baseSeconds }) => {
+    const params = [learnerId, from, to, maxSessionSeconds, baseSeconds];
+
+    const summaryRes = await db.query(`
+      WITH ${SESSIONS_CTE}
+      SELECT COUNT(*)::int AS sessions,
+             COUNT(DISTINCT created_at::date)::int AS active_days,
+             COALESCE(SUM(seconds), 0)::float AS seconds,
+             COUNT(*) FILTER (WHERE model_used = 'fallback')::int AS fallback_sessions
+      FROM sessions
+    `, params);
+
+    const dailyRes = await db.query(`
+      WITH ${SESSIONS_CTE}
+      SELECT TO_CHAR(day, 'YYYY-MM-DD') AS date,
+             COUNT(s.id)::int AS sessions,
+             COALESCE(SUM(s.seconds), 0)::float AS seconds,
+             AVG(CASE s.detected_level
+                   WHEN 'beginner' THEN 1
+                   WHEN 'intermediate' THEN 2
+                   WHEN 'advanced' THEN 3
+                   WHEN 'expert' THEN 4
+                 END)::float AS level_score
+      FROM generate_series($2::date, $3::date, INTERVAL '1 day') AS day
+      LEFT JOIN sessions s ON s.created_at >= day AND s.created_at < day + INTERVAL '1 day'
+      GROUP BY day
+      ORDER BY day
+    `, params);
+
+    // Subject, mode and model breakdowns in a single pass
+    const breakdownRes = await db.query(`
+      WITH ${SESSIONS_CTE}
+      SELECT subject, learning_mode, model_used,
+             GROUPING(subject) AS by_subject,
+             GROUPING(learning_mode) AS by_mode,
+             COUNT(*)::int AS sessions,
+             SUM(seconds)::float AS seconds
+      FROM sessions
+      GROUP BY GROUPING SETS ((subject), (learning_mode), (model_used))
+      ORDER BY sessions DESC
+    `, params);
+    const breakdown = breakdownRes.rows;
+
+    return {
+      summary: summaryRes.rows[0],
+      daily: dailyRes.rows,
+      subjects: breakdown.filter(row => row.by_subject === 0),
+      modes: breakdown.filter(row => row.by_mode === 0),
+      models: breakdown.filter(row => row.by_subject === 1 && row.by_mode === 1)
+    };
+  }
+});
+
+module.exports = { createAnalyticsRepository };
@@ -0,0 +1,36 @@
+// repositories/postgres/attachmentsRepository.js - Uploaded homework files (the bytes live in upload storage)
+
+const createAttachmentsRepository = (db) => ({
+  create: async ({ userId, storageKey, originalName, mimeType, kind, sizeBytes, extractedText }) => {
+    const result = await db.query(`
+      INSERT INTO attachments (user_id, storage_key, original_name, mime_type, kind, size_bytes, extracted_text)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [userId, storageKey, originalName, mimeType, kind, sizeBytes, extractedText]);
+    return result.rows[0];
+  },
+
+  findById: async (id) => {
+    const result = await db.query(`SELECT * FROM attachments WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+  },
+
+  // The ones among ids that the user owns, in no particular order
+  listOwned: async (userId, ids) => {
+    const result = await db.query(`
+      SELECT * FROM attachments WHERE id = ANY($1::int[]) AND user_id = $2
+    `, [ids, userId]);
+    return result.rows;
+  },
+
+  // Only attachments not yet tied to a conversation move
+  linkToConversation: async (userId, conversationId, ids) => {
+    await db.query(`
+      UPDATE attachments
+      SET conversation_id = $1
+      WHERE id = ANY($2::int[]) AND user_id = $3 AND conversation_id IS NULL
+    `, [conversationId, ids, userId]);
+  }
+});
+
+module.exports = { createAttachmentsRepository };
@@ -0,0 +1,123 @@
+// repositories/postgres/conversationSearchRepository.js - Full-text search over conversations (search_vector, see migration 004)
+
+// Highlighted fragments from the matching message text (escaped before <mark> is added).
+// ShortWord=0 keeps short words at the fragment edges, which matter in one-line messages.
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=30, MinWords=10, ShortWord=0, FragmentDelimiter=" … "';
+
+const COLUMNS = `c.id, c.user_id, c.subject, c.title, c.detected_level, c.model_used, c.learning_mode,
+                 c.is_archived, c.tags, c.created_at, c.updated_at`;
+
+// WHERE clauses for the scope and filters; pushes values onto params
+const buildWhere = (scope, filters, params) => {
+  const clauses = [];
+
+  if (scope.mentorId) {
+    params.push(scope.mentorId);
+    clauses.push(`c.user_id IN (
+      SELECT learner_id FROM mentor_learner_links WHERE mentor_id = $${params.length} AND status = 'active'
+    )`);
+  } else {
+    params.push(scope.userId);
+    clauses.push(`c.user_id = $${params.length}`);
+  }
+
+  if (filters.subject) {
+    params.push(filters.subject);
+    clauses.push(`LOWER(c.subject) = LOWER($${params.length})`);
+  }
+  if (filters.mode) {
+    params.push(filters.mode);
+    clauses.push(`c.learning_mode = $${params.length}`);
+  }
+  if (filters.tags && filters.tags.length > 0) {
+    params.push(filters.tags);
+    clauses.push(`c.tags::jsonb ?& $${params.length}::text[]`);
+  }
+  if (filters.archived !== null && filters.archived !== undefined) {
+    params.push(filters.archived);
+    clauses.push(`COALESCE(c.is_archived, FALSE) = $${params.length}`);
+  }
+  if (filters.from) {
+    params.push(filters.from);
+    clauses.push(`c.created_at >= $${params.length}::date`);
+  }
+  if (filters.to) {
+    params.push(filters.to);
+    clauses.push(`c.created_at < $${params.length}::date + 1`);
+  }
+
+  return clauses;
+};
+
+const createConversationSearchRepository = (db) => ({
+  // scope: { userId } or { mentorId } (every linked learner)
+  // filters: { subject?, mode?, tags?, archived?, from?, to? } - dates are YYYY-MM-DD, inclusive
+  // With q: rows carry rank and snippet, best first, after cursor { rank, id }.
+  // Without q: newest first, after cursor { id }.
+  search: async ({ scope, filters = {}, q, cursor = null, limit }) => {
+    const params = [];
+    const where = buildWhere(scope, filters, params);
+
+    if (!q) {
+      if (cursor) {
+        params.push(cursor.id);
+        where.push(`c.id < $${params.length}`);
+      }
+      params.push(limit);
+
+      const result = await db.query(`
+        SELECT ${COLUMNS}
+        FROM conversations c
+        WHERE ${where.join(' AND ')}
+        ORDER BY c.id DESC
+        LIMIT $${params.length}
+      `, params);
+      return result.rows;
+    }
+
+    params.push(q);
+    const queryParam = `$${params.length}`;
+    where.push(`c.search_vector @@ websearch_to_tsquery('english', ${queryParam})`);
+
+    let cursorClause = '';
+    if (cursor) {
+      params.push(cursor.rank, cursor.id);
+      cursorClause = `WHERE rank < $${params.length - 1}::real OR (rank = $${params.length - 1}::real AND id < $${params.length})`;
+    }
+    params.push(limit);
+
+    const result = await db.query(`
+      WITH matches AS (
+        SELECT ${COLUMNS},
+               ts_rank(c.search_vector, websearch_to_tsquery('english', ${queryParam})) AS rank
+        FROM conversations c
+        WHERE ${where.join(' AND ')}
+      ),
+      page AS (
+        SELECT * FROM matches
+        ${cursorClause}
+        ORDER BY rank DESC, id DESC
+        LIMIT $${params.length}
+      )
+      SELECT page.*,
+             ts_headline(
+               'english',
+               replace(replace(replace(COALESCE(matched.text, ''), '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+               websearch_to_tsquery('english', ${queryParam}),
+               '${HEADLINE_OPTIONS}'
+             ) AS snippet
+      FROM page
+      LEFT JOIN LATERAL (
+        -- Only the messages that matched, so the snippet shows why the conversation was found
+        SELECT string_agg(m.content, ' ' ORDER BY m.id) AS text
+        FROM conversation_messages m
+        WHERE m.conversation_id = page.id
+          AND to_tsvector('english', m.content) @@ websearch_to_tsquery('english', ${queryParam})
+      ) matched ON TRUE
+      ORDER BY page.rank DESC, page.id DESC
+    `, params);
+    return result.rows;
+  }
+});
+
+module.exports = { createConversationSearchRepository };
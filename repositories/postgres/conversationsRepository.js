@@ -0,0 +1,127 @@
+// repositories/postgres/conversationsRepository.js - Conversations and their conversation_messages rows
+//
+// Messages are passed in as records: { role, content, metadata, model, prompt_tokens,
+// completion_tokens, created_at } (see toMessageRecord in auth.js).
+
+const SUMMARY_COLUMNS = `id, subject, title, detected_level, model_used, learning_mode,
+  is_archived, tags, created_at, updated_at`;
+
+const createConversationsRepository = (db) => ({
+  create: async ({ userId, subject, title, detectedLevel = null, modelUsed = 'openai', learningMode = null, tags = [] }) => {
+    const result = await db.query(`
+      INSERT INTO conversations (
+        user_id, subject, title, detected_level, model_used, learning_mode, tags
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id, created_at
+    `, [userId, subject, title, detectedLevel, modelUsed, learningMode, JSON.stringify(tags)]);
+    return result.rows[0];
+  },
+
+  findById: async (id) => {
+    const result = await db.query(`SELECT * FROM conversations WHERE id = $1`, [id]);
+    if (result.rows.length === 0) return null;
+    const { search_vector, ...conversation } = result.rows[0];
+    return conversation;
+  },
+
+  // Owner of the conversation, locking the row until the surrounding transaction ends
+  findOwnerForUpdate: async (id) => {
+    const result = await db.query(`SELECT user_id FROM conversations WHERE id = $1 FOR UPDATE`, [id]);
+    return result.rows.length ? result.rows[0].user_id : null;
+  },
+
+  listByUser: async (userId) => {
+    const result = await db.query(`
+      SELECT ${SUMMARY_COLUMNS}
+      FROM conversations
+      WHERE user_id = $1
+      ORDER BY created_at DESC
+    `, [userId]);
+    return result.rows;
+  },
+
+  // Partial update of { title, isArchived, tags }; always bumps updated_at
+  update: async (id, changes) => {
+    const fields = [];
+    const vals = [];
+
+    if (changes.title !== undefined) { vals.push(changes.title); fields.push(`title = $${vals.length}`); }
+    if (changes.isArchived !== undefined) { vals.push(changes.isArchived); fields.push(`is_archived = $${vals.length}`); }
+    if (changes.tags !== undefined) { vals.push(JSON.stringify(changes.tags)); fields.push(`tags = $${vals.length}`); }
+
+    vals.push(id);
+    await db.query(`
+      UPDATE conversations
+      SET ${[...fields, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+      WHERE id = $${vals.length}
+    `, vals);
+  },
+
+  // Level/model/mode of the latest tutor turn; null when the conversation isn't the user's
+  updateTutorState: async (id, userId, { detectedLevel, modelUsed, learningMode }) => {
+    const result = await db.query(`
+      UPDATE conversations
+      SET detected_level = $1,
+          model_used = $2,
+          learning_mode = $3,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4 AND user_id = $5
+      RETURNING id, created_at
+    `, [detectedLevel, modelUsed, learningMode, id, userId]);
+    return result.rows[0] || null;
+  },
+
+  touch: async (id) => {
+    await db.query(`UPDATE conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = $1`, [id]);
+  },
+
+  // Append message records in order; returns the inserted rows (oldest first)
+  appendMessages: async (conversationId, records, defaultCreatedAt = null) => {
+    if (records.length === 0) return [];
+
+    const result = await db.query(`
+      INSERT INTO conversation_messages (
+        conversation_id, role, content, metadata, model, prompt_tokens, completion_tokens, created_at
+      )
+      SELECT $1, m->>'role', m->>'content', m->'metadata', m->>'model',
+             (m->>'prompt_tokens')::int, (m->>'completion_tokens')::int,
+             COALESCE((m->>'created_at')::timestamptz, $3::timestamp, CURRENT_TIMESTAMP)
+      FROM jsonb_array_elements($2::jsonb) WITH ORDINALITY AS e(m, n)
+      ORDER BY n
+      RETURNING *
+    `, [conversationId, JSON.stringify(records), defaultCreatedAt]);
+
+    return result.rows.sort((a, b) => a.id - b.id);
+  },
+
+  listMessages: async (conversationId) => {
+    const result = await db.query(`
+      SELECT * FROM conversation_messages WHERE conversation_id = $1 ORDER BY id ASC
+    `, [conversationId]);
+    return result.rows;
+  },
+
+  // after: the next rows after that id (ascending); otherwise the newest rows before `before` (descending)
+  listMessagesPage: async (conversationId, { before = null, after = null, limit }) => {
+    if (after !== null) {
+      const result = await db.query(`
+        SELECT * FROM conversation_messages
+        WHERE conversation_id = $1 AND id > $2
+        ORDER BY id ASC
+        LIMIT $3
+      `, [conversationId, after, limit]);
+      return result.rows;
+    }
+
+    const result = await db.query(`
+      SELECT * FROM conversation_messages
+      WHERE conversation_id = $1 AND ($2::int IS NULL OR id < $2)
+      ORDER BY id DESC
+      LIMIT $3
+    `, [conversationId, before, limit]);
+    return result.rows;
+  }
+});
+
+module.exports = { createConversationsRepository };
@@ -0,0 +1,69 @@
+// repositories/postgres/guardrailsRepository.js - Mentor-set learner guardrails and daily message counts
+
+const createGuardrailsRepository = (db) => ({
+  find: async (learnerId) => {
+    const result = await db.query(`SELECT * FROM learner_guardrails WHERE learner_id = $1`, [learnerId]);
+    return result.rows[0] || null;
+  },
+
+  // Replaces every setting - callers merge changes into the current row first
+  save: async (learnerId, settings) => {
+    const result = await db.query(`
+      INSERT INTO learner_guardrails (
+        learner_id, allowed_subjects, daily_message_limit, weekly_message_limit,
+        quiet_hours_start, quiet_hours_end, time_zone, max_skill_level, updated_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (learner_id) DO UPDATE
+      SET allowed_subjects = EXCLUDED.allowed_subjects,
+          daily_message_limit = EXCLUDED.daily_message_limit,
+          weekly_message_limit = EXCLUDED.weekly_message_limit,
+          quiet_hours_start = EXCLUDED.quiet_hours_start,
+          quiet_hours_end = EXCLUDED.quiet_hours_end,
+          time_zone = EXCLUDED.time_zone,
+          max_skill_level = EXCLUDED.max_skill_level,
+          updated_by = EXCLUDED.updated_by,
+          updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [
+      learnerId,
+      settings.allowedSubjects === null ? null : JSON.stringify(settings.allowedSubjects),
+      settings.dailyMessageLimit,
+      settings.weeklyMessageLimit,
+      settings.quietHoursStart,
+      settings.quietHoursEnd,
+      settings.timeZone,
+      settings.maxSkillLevel,
+      settings.updatedBy
+    ]);
+    return result.rows[0];
+  },
+
+  // Count one message on usageDate (a 'YYYY-MM-DD' local date) unless that date already has
+  // limit messages - a single conditional upsert, so concurrent requests can't both take the last
+  // one. A null limit always counts. Returns whether the message was counted.
+  recordMessage: async (learnerId, usageDate, limit = null) => {
+    const result = await db.query(`
+      INSERT INTO learner_message_usage (learner_id, usage_date, message_count)
+      SELECT $1, $2, 1
+      WHERE $3::int IS NULL OR $3::int > 0
+      ON CONFLICT (learner_id, usage_date) DO UPDATE
+      SET message_count = learner_message_usage.message_count + 1
+      WHERE $3::int IS NULL OR learner_message_usage.message_count < $3::int
+      RETURNING message_count
+    `, [learnerId, usageDate, limit]);
+    return result.rows.length > 0;
+  },
+
+  // Messages sent on local dates from..to (inclusive)
+  countMessages: async (learnerId, fromDate, toDate) => {
+    const result = await db.query(`
+      SELECT COALESCE(SUM(message_count), 0)::int AS count
+      FROM learner_message_usage
+      WHERE learner_id = $1 AND usage_date BETWEEN $2 AND $3
+    `, [learnerId, fromDate, toDate]);
+    return result.rows[0].count;
+  }
+});
+
+module.exports = { createGuardrailsRepository };
@@ -0,0 +1,94 @@
+// repositories/postgres/index.js - PostgreSQL backend (the production database)
+const { Pool } = require('pg');
+const { migrateUp, assertSchemaCurrent } = require('../../schemaMigrations');
+const { createUsersRepository } = require('./usersRepository');
+const { createConversationsRepository } = require('./conversationsRepository');
+const { createSessionsRepository } = require('./sessionsRepository');
+const { createLinksRepository } = require('./linksRepository');
+const { createGuardrailsRepository } = require('./guardrailsRepository');
+const { createLlmUsageRepository } = require('./llmUsageRepository');
+const { createSkillLevelsRepository } = require('./skillLevelsRepository');
+const { createReviewItemsRepository } = require('./reviewItemsRepository');
+const { createQuizzesRepository } = require('./quizzesRepository');
+const { createAttachmentsRepository } = require('./attachmentsRepository');
+const { createKnowledgeBaseRepository } = require('./knowledgeBaseRepository');
+const { createAnalyticsRepository } = require('./analyticsRepository');
+const { createReportsRepository } = require('./reportsRepository');
+const { createModerationEventsRepository } = require('./moderationEventsRepository');
+const { createConversationSearchRepository } = require('./conversationSearchRepository');
+
+// Repositories bound to a pg pool or client
+const bindRepositories = (db) => ({
+  users: createUsersRepository(db),
+  conversations: createConversationsRepository(db),
+  sessions: createSessionsRepository(db),
+  links: createLinksRepository(db),
+  guardrails: createGuardrailsRepository(db),
+  llmUsage: createLlmUsageRepository(db),
+  skillLevels: createSkillLevelsRepository(db),
+  reviewItems: createReviewItemsRepository(db),
+  quizzes: createQuizzesRepository(db),
+  attachments: createAttachmentsRepository(db),
+  knowledgeBase: createKnowledgeBaseRepository(db),
+  analytics: createAnalyticsRepository(db),
+  reports: createReportsRepository(db),
+  moderationEvents: createModerationEventsRepository(db),
+  conversationSearch: createConversationSearchRepository(db)
+});
+
+const createPostgresBackend = ({ connectionString, ssl, migrateOnStart = true }) => {
+  const pool = new Pool({ connectionString, ssl });
+
+  // Test database connection
+  pool.connect()
+    .then(client => {
+      console.log('✅ Connected to PostgreSQL database');
+      client.release();
+    })
+    .catch(err => {
+      console.error('❌ Database connection failed:', err);
+    });
+
+  return {
+    driver: 'postgres',
+    pool,
+    repositories: bindRepositories(pool),
+
+    // Every repository call inside fn runs on one client, in one transaction
+    transaction: async (fn) => {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const result = await fn(bindRepositories(client));
+        await client.query('COMMIT');
+        return result;
+      } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    // Apply pending migrations (unless disabled), then insist the schema is current
+    initialize: async () => {
+      const client = await pool.connect();
+      try {
+        if (migrateOnStart) {
+          const applied = await migrateUp(client);
+          if (applied.length > 0) console.log(`✅ Applied ${applied.length} database migration(s)`);
+        }
+        await assertSchemaCurrent(client);
+      } finally {
+        client.release();
+      }
+    },
+
+    close: () => pool.end()
+  };
+};
+
+module.exports = {
+  bindRepositories,
+  createPostgresBackend
+};
@@ -0,0 +1,120 @@
+// repositories/postgres/knowledgeBaseRepository.js - Mentor documents, their chunks and the BM25 term index
+
+const createKnowledgeBaseRepository = (db) => ({
+  listDocuments: async (mentorId, subject) => {
+    const result = await db.query(`
+      SELECT * FROM kb_documents
+      WHERE mentor_id = $1
+        AND ($2::text IS NULL OR LOWER(subject) = LOWER($2))
+      ORDER BY updated_at DESC
+    `, [mentorId, subject]);
+    return result.rows;
+  },
+
+  findDocument: async (id) => {
+    const result = await db.query(`SELECT * FROM kb_documents WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+  },
+
+  createDocument: async ({ mentorId, learnerId, title, subject, originalName, content }) => {
+    const result = await db.query(`
+      INSERT INTO kb_documents (mentor_id, learner_id, title, subject, original_name, content)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [mentorId, learnerId, title, subject, originalName, content]);
+    return result.rows[0];
+  },
+
+  // originalName null keeps the current one
+  updateDocument: async (id, { title, subject, learnerId, content, originalName }) => {
+    const result = await db.query(`
+      UPDATE kb_documents
+      SET title = $1, subject = $2, learner_id = $3, content = $4,
+          original_name = COALESCE($5, original_name), updated_at = CURRENT_TIMESTAMP
+      WHERE id = $6
+      RETURNING *
+    `, [title, subject, learnerId, content, originalName, id]);
+    return result.rows[0];
+  },
+
+  // Chunks and terms cascade
+  deleteDocument: async (id) => {
+    await db.query(`DELETE FROM kb_documents WHERE id = $1`, [id]);
+  },
+
+  // Swap a document's passages for new ones: [{ content, termCount, terms: Map(term -> tf) }]
+  replaceChunks: async (documentId, chunks) => {
+    await db.query(`DELETE FROM kb_chunks WHERE document_id = $1`, [documentId]);
+
+    for (let i = 0; i < chunks.length; i++) {
+      const chunkRes = await db.query(`
+        INSERT INTO kb_chunks (document_id, chunk_index, content, term_count)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id
+      `, [documentId, i, chunks[i].content, chunks[i].termCount]);
+
+      if (chunks[i].terms.size > 0) {
+        await db.query(`
+          INSERT INTO kb_chunk_terms (chunk_id, term, tf)
+          SELECT $1, term, tf FROM UNNEST($2::text[], $3::int[]) AS t(term, tf)
+        `, [chunkRes.rows[0].id, Array.from(chunks[i].terms.keys()), Array.from(chunks[i].terms.values())]);
+      }
+    }
+
+    await db.query(`UPDATE kb_documents SET chunk_count = $1 WHERE id = $2`, [chunks.length, documentId]);
+  },
+
+  // Top passages by BM25 from the mentors linked to a learner (optionally one mentor).
+  // Documents without a subject match every subject, as does anySubject; documents with a
+  // learner_id are only visible to that learner.
+  search: async ({ learnerId, subject, anySubject, terms, limit, mentorId, k1, b }) => {
+    const result = await db.query(`
+      WITH scope AS (
+        SELECT c.id, c.term_count
+        FROM kb_chunks c
+        JOIN kb_documents d ON d.id = c.document_id
+        WHERE d.mentor_id IN (
+                SELECT mentor_id FROM mentor_learner_links
+                WHERE learner_id = $1 AND status = 'active'
+                  AND ($6::int IS NULL OR mentor_id = $6)
+              )
+          AND (d.learner_id IS NULL OR d.learner_id = $1)
+          AND ($3::boolean OR d.subject IS NULL OR LOWER(d.subject) = LOWER($2))
+      ),
+      stats AS (
+        SELECT COUNT(*)::float AS n, GREATEST(AVG(term_count), 1)::float AS avgdl FROM scope
+      ),
+      matches AS (
+        SELECT t.chunk_id, t.term, t.tf, s.term_count
+        FROM kb_chunk_terms t
+        JOIN scope s ON s.id = t.chunk_id
+        WHERE t.term = ANY($4::text[])
+      ),
+      df AS (
+        SELECT term, COUNT(*)::float AS df FROM matches GROUP BY term
+      ),
+      scored AS (
+        SELECT m.chunk_id,
+               SUM(
+                 LN(1 + (stats.n - df.df + 0.5) / (df.df + 0.5)) *
+                 (m.tf * ${k1 + 1}) /
+                 (m.tf + ${k1} * (1 - ${b} + ${b} * m.term_count / stats.avgdl))
+               ) AS score
+        FROM matches m
+        JOIN df ON df.term = m.term
+        CROSS JOIN stats
+        GROUP BY m.chunk_id
+        ORDER BY score DESC
+        LIMIT $5
+      )
+      SELECT scored.chunk_id, scored.score, c.content, c.chunk_index, d.id AS document_id, d.title, d.mentor_id
+      FROM scored
+      JOIN kb_chunks c ON c.id = scored.chunk_id
+      JOIN kb_documents d ON d.id = c.document_id
+      ORDER BY scored.score DESC
+    `, [learnerId, subject, anySubject, terms, limit, mentorId]);
+    return result.rows;
+  }
+});
+
+module.exports = { createKnowledgeBaseRepository };
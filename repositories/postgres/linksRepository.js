@@ -0,0 +1,164 @@
+// repositories/postgres/linksRepository.js - Mentor-learner links, invitation codes and code lockouts
+
+const LINKED_USER_COLUMNS = 'u.id, u.email, u.username, u.display_name, u.user_type, u.skill_level';
+
+const createLinksRepository = (db) => ({
+  isActive: async (mentorId, learnerId) => {
+    const result = await db.query(`
+      SELECT 1
+      FROM mentor_learner_links
+      WHERE mentor_id = $1 AND learner_id = $2 AND status = 'active'
+    `, [mentorId, learnerId]);
+    return result.rows.length > 0;
+  },
+
+  listMentors: async (learnerId) => {
+    const result = await db.query(`
+      SELECT ${LINKED_USER_COLUMNS}
+      FROM mentor_learner_links mll
+      JOIN users u ON u.id = mll.mentor_id
+      WHERE mll.learner_id = $1 AND mll.status = 'active'
+      ORDER BY u.display_name ASC NULLS LAST, u.email ASC
+    `, [learnerId]);
+    return result.rows;
+  },
+
+  listLearners: async (mentorId) => {
+    const result = await db.query(`
+      SELECT ${LINKED_USER_COLUMNS}
+      FROM mentor_learner_links mll
+      JOIN users u ON u.id = mll.learner_id
+      WHERE mll.mentor_id = $1 AND mll.status = 'active'
+      ORDER BY u.display_name ASC NULLS LAST, u.email ASC
+    `, [mentorId]);
+    return result.rows;
+  },
+
+  // Open (pending, unexpired) invitations created by the user, newest first
+  listPendingInvitations: async (userId) => {
+    const result = await db.query(`
+      SELECT * FROM mentor_learner_links
+      WHERE created_by = $1 AND status = 'pending' AND expires_at > CURRENT_TIMESTAMP
+      ORDER BY created_at DESC
+    `, [userId]);
+    return result.rows;
+  },
+
+  countPendingInvitations: async (userId) => {
+    const result = await db.query(`
+      SELECT COUNT(*)::int AS count
+      FROM mentor_learner_links
+      WHERE created_by = $1 AND status = 'pending' AND expires_at > CURRENT_TIMESTAMP
+    `, [userId]);
+    return result.rows[0].count;
+  },
+
+  // Returns the new row, or null when the code is already taken
+  createInvitation: async ({ mentorId, learnerId, code, createdBy, expiresAt }) => {
+    try {
+      const result = await db.query(`
+        INSERT INTO mentor_learner_links (mentor_id, learner_id, status, invitation_code, created_by, expires_at)
+        VALUES ($1, $2, 'pending', $3, $4, $5)
+        RETURNING *
+      `, [mentorId, learnerId, code, createdBy, expiresAt]);
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === '23505') return null;
+      throw error;
+    }
+  },
+
+  findPendingByCode: async (code) => {
+    const result = await db.query(`
+      SELECT * FROM mentor_learner_links WHERE invitation_code = $1 AND status = 'pending'
+    `, [code]);
+    return result.rows[0] || null;
+  },
+
+  // Turn a pending invitation into an active link; null if it was redeemed or revoked meanwhile
+  activate: async (id, mentorId, learnerId) => {
+    const result = await db.query(`
+      UPDATE mentor_learner_links
+      SET mentor_id = $1, learner_id = $2, status = 'active', accepted_at = CURRENT_TIMESTAMP
+      WHERE id = $3 AND status = 'pending'
+      RETURNING *
+    `, [mentorId, learnerId, id]);
+    return result.rows[0] || null;
+  },
+
+  revokeInvitation: async (id, userId) => {
+    const result = await db.query(`
+      UPDATE mentor_learner_links
+      SET status = 'revoked', revoked_at = CURRENT_TIMESTAMP, revoked_by = $2
+      WHERE id = $1 AND created_by = $2 AND status = 'pending'
+      RETURNING id
+    `, [id, userId]);
+    return result.rows.length > 0;
+  },
+
+  revokeLink: async (mentorId, learnerId, revokedBy) => {
+    const result = await db.query(`
+      UPDATE mentor_learner_links
+      SET status = 'revoked', revoked_at = CURRENT_TIMESTAMP, revoked_by = $3
+      WHERE mentor_id = $1 AND learner_id = $2 AND status = 'active'
+      RETURNING id
+    `, [mentorId, learnerId, revokedBy]);
+    return result.rows.length > 0;
+  },
+
+  // Failed invitation-code attempts (lockout state)
+  getInviteAttempts: async (userId) => {
+    const result = await db.query(`
+      SELECT failed_count, window_started_at, locked_until FROM invitation_attempts WHERE user_id = $1
+    `, [userId]);
+    return result.rows[0] || null;
+  },
+
+  // Count one bad code - a single conditional upsert, so parallel guesses can't overwrite each other's
+  // count. A window that started before windowStart (or ended in an expired lockout) starts over, and
+  // the maxAttempts-th failure sets locked_until. Nothing changes while a lockout is running.
+  // Returns { failed_count, locked_until }, or null when the user was already locked out.
+  recordFailedInviteAttempt: async (userId, { now, windowStart, maxAttempts, lockedUntil }) => {
+    const restart = `(invitation_attempts.window_started_at < $3 OR invitation_attempts.locked_until IS NOT NULL)`;
+    const failedCount = `CASE WHEN ${restart} THEN 1 ELSE invitation_attempts.failed_count + 1 END`;
+    const result = await db.query(`
+      INSERT INTO invitation_attempts (user_id, failed_count, window_started_at, locked_until)
+      VALUES ($1, 1, $2, CASE WHEN $4::int <= 1 THEN $5::timestamp END)
+      ON CONFLICT (user_id) DO UPDATE
+      SET failed_count = ${failedCount},
+          window_started_at = CASE WHEN ${restart} THEN $2 ELSE invitation_attempts.window_started_at END,
+          locked_until = CASE WHEN ${failedCount} >= $4::int THEN $5::timestamp END
+      WHERE invitation_attempts.locked_until IS NULL OR invitation_attempts.locked_until <= $2
+      RETURNING failed_count, locked_until
+    `, [userId, now, windowStart, maxAttempts, lockedUntil]);
+    return result.rows[0] || null;
+  },
+
+  clearInviteAttempts: async (userId) => {
+    await db.query(`DELETE FROM invitation_attempts WHERE user_id = $1`, [userId]);
+  },
+
+  // Academic integrity policy a linked mentor set for the learner
+  getIntegrityPolicy: async (learnerId) => {
+    const result = await db.query(`SELECT * FROM learner_integrity_policies WHERE learner_id = $1`, [learnerId]);
+    return result.rows[0] || null;
+  },
+
+  // Options left undefined keep their stored value
+  saveIntegrityPolicy: async (learnerId, { hintsOnly, noFullSolutions, showWorkRequired, updatedBy }) => {
+    const result = await db.query(`
+      INSERT INTO learner_integrity_policies (learner_id, hints_only, no_full_solutions, show_work_required, updated_by)
+      VALUES ($1, COALESCE($2, FALSE), COALESCE($3, FALSE), COALESCE($4, FALSE), $5)
+      ON CONFLICT (learner_id) DO UPDATE
+      SET hints_only = COALESCE($2, learner_integrity_policies.hints_only),
+          no_full_solutions = COALESCE($3, learner_integrity_policies.no_full_solutions),
+          show_work_required = COALESCE($4, learner_integrity_policies.show_work_required),
+          updated_by = $5,
+          updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [learnerId, hintsOnly, noFullSolutions, showWorkRequired, updatedBy]);
+    return result.rows[0];
+  }
+});
+
+module.exports = { createLinksRepository };
@@ -0,0 +1,75 @@
+// repositories/postgres/llmUsageRepository.js - LLM calls per user with tokens, latency and estimated cost
+
+const createLlmUsageRepository = (db) => ({
+  record: async (call) => {
+    await db.query(`
+      INSERT INTO llm_usage (
+        user_id, conversation_id, purpose, provider, model, operation, status,
+        input_tokens, output_tokens, latency_ms, estimated_cost_usd, downgraded
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    `, [
+      call.userId, call.conversationId, call.purpose, call.provider, call.model, call.operation, call.status,
+      call.inputTokens, call.outputTokens, call.latencyMs, call.costUsd, call.downgraded
+    ]);
+  },
+
+  // Spend and volume for [from, to) - dates are 'YYYY-MM-DD'
+  totals: async (userId, from, to) => {
+    const result = await db.query(`
+      SELECT COUNT(*)::int AS calls,
+             COUNT(*) FILTER (WHERE status <> 'ok')::int AS failed_calls,
+             COALESCE(SUM(input_tokens), 0)::int AS input_tokens,
+             COALESCE(SUM(output_tokens), 0)::int AS output_tokens,
+             COALESCE(SUM(estimated_cost_usd), 0)::float8 AS cost_usd
+      FROM llm_usage
+      WHERE user_id = $1 AND created_at >= $2 AND created_at < $3
+    `, [userId, from, to]);
+    return result.rows[0];
+  },
+
+  byModel: async (userId, from, to) => {
+    const result = await db.query(`
+      SELECT provider, model,
+             COUNT(*)::int AS calls,
+             COALESCE(SUM(input_tokens), 0)::int AS input_tokens,
+             COALESCE(SUM(output_tokens), 0)::int AS output_tokens,
+             COALESCE(SUM(estimated_cost_usd), 0)::float8 AS cost_usd,
+             ROUND(AVG(latency_ms))::int AS avg_latency_ms
+      FROM llm_usage
+      WHERE user_id = $1 AND created_at >= $2 AND created_at < $3
+      GROUP BY provider, model
+      ORDER BY cost_usd DESC, calls DESC
+    `, [userId, from, to]);
+    return result.rows;
+  },
+
+  byPurpose: async (userId, from, to) => {
+    const result = await db.query(`
+      SELECT purpose,
+             COUNT(*)::int AS calls,
+             COALESCE(SUM(estimated_cost_usd), 0)::float8 AS cost_usd
+      FROM llm_usage
+      WHERE user_id = $1 AND created_at >= $2 AND created_at < $3
+      GROUP BY purpose
+      ORDER BY cost_usd DESC, calls DESC
+    `, [userId, from, to]);
+    return result.rows;
+  },
+
+  byDay: async (userId, from, to) => {
+    const result = await db.query(`
+      SELECT TO_CHAR(created_at, 'YYYY-MM-DD') AS day,
+             COUNT(*)::int AS calls,
+             COALESCE(SUM(input_tokens + output_tokens), 0)::int AS tokens,
+             COALESCE(SUM(estimated_cost_usd), 0)::float8 AS cost_usd
+      FROM llm_usage
+      WHERE user_id = $1 AND created_at >= $2 AND created_at < $3
+      GROUP BY day
+      ORDER BY day ASC
+    `, [userId, from, to]);
+    return result.rows;
+  }
+});
+
+module.exports = { createLlmUsageRepository };
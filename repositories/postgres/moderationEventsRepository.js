@@ -0,0 +1,31 @@
+// repositories/postgres/moderationEventsRepository.js - Flagged learner input and tutor output
+
+const createModerationEventsRepository = (db) => ({
+  // Returns the new event's id
+  record: async ({ userId, conversationId, stage, skillLevel, categories, severity, provider }) => {
+    const result = await db.query(`
+      INSERT INTO moderation_events (user_id, conversation_id, stage, skill_level, categories, severity, action, provider)
+      VALUES ($1, $2, $3, $4, $5, $6, 'replaced', $7)
+      RETURNING id
+    `, [userId, conversationId, stage, skillLevel, JSON.stringify(categories), severity, provider]);
+    return result.rows[0].id;
+  },
+
+  // Were the learner's mentors alerted within the last `minutes`
+  alertedWithin: async (userId, minutes) => {
+    const result = await db.query(`
+      SELECT 1 FROM moderation_events
+      WHERE user_id = $1 AND mentors_notified_at > CURRENT_TIMESTAMP - make_interval(mins => $2)
+      LIMIT 1
+    `, [userId, minutes]);
+    return result.rows.length > 0;
+  },
+
+  markNotified: async (ids) => {
+    await db.query(`
+      UPDATE moderation_events SET mentors_notified_at = CURRENT_TIMESTAMP WHERE id = ANY($1::int[])
+    `, [ids]);
+  }
+});
+
+module.exports = { createModerationEventsRepository };
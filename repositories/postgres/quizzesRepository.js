@@ -0,0 +1,61 @@
+// repositories/postgres/quizzesRepository.js - Generated quizzes, graded attempts and per-subject scores
+
+const createQuizzesRepository = (db) => ({
+  create: async ({ userId, conversationId, subject, topic, skillLevel, title, questions, model }) => {
+    const result = await db.query(`
+      INSERT INTO quizzes (user_id, conversation_id, subject, topic, skill_level, title, questions, model_used)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [userId, conversationId, subject, topic, skillLevel, title, JSON.stringify(questions), model]);
+    return result.rows[0];
+  },
+
+  findById: async (id) => {
+    const result = await db.query(`SELECT * FROM quizzes WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+  },
+
+  createAttempt: async ({ quizId, userId, answers, results, score, total }) => {
+    const result = await db.query(`
+      INSERT INTO quiz_attempts (quiz_id, user_id, answers, results, score, total)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id, created_at
+    `, [quizId, userId, JSON.stringify(answers), JSON.stringify(results), score, total]);
+    return result.rows[0];
+  },
+
+  addSubjectScore: async (userId, subject, { correct, total, scorePct }) => {
+    await db.query(`
+      INSERT INTO subject_scores (user_id, subject, attempts, questions_answered, correct_answers, last_score_pct)
+      VALUES ($1, LOWER($2), 1, $3, $4, $5)
+      ON CONFLICT (user_id, subject) DO UPDATE
+      SET attempts = subject_scores.attempts + 1,
+          questions_answered = subject_scores.questions_answered + EXCLUDED.questions_answered,
+          correct_answers = subject_scores.correct_answers + EXCLUDED.correct_answers,
+          last_score_pct = EXCLUDED.last_score_pct,
+          updated_at = CURRENT_TIMESTAMP
+    `, [userId, subject, total, correct, scorePct]);
+  },
+
+  listSubjectScores: async (userId) => {
+    const result = await db.query(`
+      SELECT * FROM subject_scores WHERE user_id = $1 ORDER BY subject ASC
+    `, [userId]);
+    return result.rows;
+  },
+
+  // Correct/total per subject for attempts on dates from..to (inclusive)
+  resultsBySubject: async (userId, from, to) => {
+    const result = await db.query(`
+      SELECT LOWER(q.subject) AS subject, SUM(a.score)::int AS correct, SUM(a.total)::int AS total
+      FROM quiz_attempts a
+      JOIN quizzes q ON q.id = a.quiz_id
+      WHERE a.user_id = $1 AND a.created_at >= $2::date AND a.created_at < $3::date + 1
+      GROUP BY LOWER(q.subject)
+      ORDER BY total DESC
+    `, [userId, from, to]);
+    return result.rows;
+  }
+});
+
+module.exports = { createQuizzesRepository };
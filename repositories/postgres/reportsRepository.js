@@ -0,0 +1,104 @@
+// repositories/postgres/reportsRepository.js - Mentor report settings and the log of sent progress reports
+
+const createReportsRepository = (db) => ({
+  findSettings: async (mentorId) => {
+    const result = await db.query(`SELECT * FROM mentor_report_settings WHERE mentor_id = $1`, [mentorId]);
+    return result.rows[0] || null;
+  },
+
+  // null leaves a setting as it is
+  saveSettings: async (mentorId, { enabled, frequency }) => {
+    const result = await db.query(`
+      INSERT INTO mentor_report_settings (mentor_id, enabled, frequency)
+      VALUES ($1, COALESCE($2, FALSE), COALESCE($3, 'weekly'))
+      ON CONFLICT (mentor_id) DO UPDATE
+      SET enabled = COALESCE($2, mentor_report_settings.enabled),
+          frequency = COALESCE($3, mentor_report_settings.frequency),
+          updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [mentorId, enabled, frequency]);
+    return result.rows[0];
+  },
+
+  // Every active mentor/learner pair whose mentor has reports switched on
+  listDuePairs: async () => {
+    const result = await db.query(`
+      SELECT s.frequency,
+             m.id AS mentor_id, m.email AS mentor_email, m.username AS mentor_username, m.display_name AS mentor_display_name,
+             l.id AS learner_id, l.email AS learner_email, l.username AS learner_username, l.display_name AS learner_display_name
+      FROM mentor_report_settings s
+      JOIN mentor_learner_links mll ON mll.mentor_id = s.mentor_id AND mll.status = 'active'
+      JOIN users m ON m.id = mll.mentor_id
+      JOIN users l ON l.id = mll.learner_id
+      WHERE s.enabled = TRUE
+    `);
+    return result.rows;
+  },
+
+  // Claim a mentor/learner/period before sending; failed sends can be claimed again, anything
+  // else returns null
+  claim: async (mentorId, learnerId, { from, to }) => {
+    const result = await db.query(`
+      INSERT INTO progress_reports (mentor_id, learner_id, period_start, period_end)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (mentor_id, learner_id, period_start) DO UPDATE
+      SET status = 'sending', error = NULL
+      WHERE progress_reports.status = 'failed'
+      RETURNING id
+    `, [mentorId, learnerId, from, to]);
+    return result.rows.length > 0 ? result.rows[0].id : null;
+  },
+
+  markSent: async (id, { transport, messageId }) => {
+    await db.query(`
+      UPDATE progress_reports
+      SET status = 'sent', transport = $1, message_id = $2, sent_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+    `, [transport, messageId, id]);
+  },
+
+  markFailed: async (id, error) => {
+    await db.query(`
+      UPDATE progress_reports SET status = 'failed', error = $1 WHERE id = $2
+    `, [error, id]);
+  },
+
+  listByMentor: async (mentorId, limit) => {
+    const result = await db.query(`
+      SELECT id, learner_id, TO_CHAR(period_start, 'YYYY-MM-DD') AS period_start,
+             TO_CHAR(period_end, 'YYYY-MM-DD') AS period_end, status, transport, error, sent_at
+      FROM progress_reports
+      WHERE mentor_id = $1
+      ORDER BY period_start DESC, id DESC
+      LIMIT $2
+    `, [mentorId, limit]);
+    return result.rows;
+  },
+
+  // The learner's latest messages (up to perConversation each) from the conversations most
+  // recently active on dates from..to
+  learnerExcerpts: async (learnerId, { from, to }, { conversations, perConversation }) => {
+    const result = await db.query(`
+      WITH recent AS (
+        SELECT id, subject, updated_at
+        FROM conversations
+        WHERE user_id = $1 AND updated_at >= $2::date AND updated_at < $3::date + 1
+        ORDER BY updated_at DESC
+        LIMIT $4
+      )
+      SELECT r.subject, m.content
+      FROM recent r
+      CROSS JOIN LATERAL (
+        SELECT id, content
+        FROM conversation_messages
+        WHERE conversation_id = r.id AND role = 'user' AND BTRIM(content) <> ''
+        ORDER BY id DESC
+        LIMIT $5
+      ) m
+      ORDER BY r.updated_at DESC, m.id ASC
+    `, [learnerId, from, to, conversations, perConversation]);
+    return result.rows;
+  }
+});
+
+module.exports = { createReportsRepository };
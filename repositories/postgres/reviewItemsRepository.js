@@ -0,0 +1,54 @@
+// repositories/postgres/reviewItemsRepository.js - Spaced-repetition items and their grade history
+
+const createReviewItemsRepository = (db) => ({
+  // null when the learner already has an item with this prompt
+  create: async ({ userId, conversationId, subject, prompt, answer, source }) => {
+    const result = await db.query(`
+      INSERT INTO review_items (user_id, conversation_id, subject, prompt, answer, source)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (user_id, prompt) DO NOTHING
+      RETURNING *
+    `, [userId, conversationId, subject, prompt, answer, source]);
+    return result.rows[0] || null;
+  },
+
+  findById: async (id) => {
+    const result = await db.query(`SELECT * FROM review_items WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+  },
+
+  // Items due now, oldest due first; subject null means every subject
+  listDue: async (userId, subject, limit) => {
+    const result = await db.query(`
+      SELECT *
+      FROM review_items
+      WHERE user_id = $1
+        AND due_at <= CURRENT_TIMESTAMP
+        AND ($3::text IS NULL OR LOWER(subject) = LOWER($3))
+      ORDER BY due_at ASC
+      LIMIT $2
+    `, [userId, limit, subject]);
+    return result.rows;
+  },
+
+  // Store the next schedule and the grade that produced it
+  applyGrade: async (id, userId, grade, next) => {
+    const result = await db.query(`
+      UPDATE review_items
+      SET ease_factor = $1, interval_days = $2, repetitions = $3, lapses = $4,
+          due_at = $5, last_grade = $6, last_reviewed_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $7
+      RETURNING *
+    `, [next.easeFactor, next.intervalDays, next.repetitions, next.lapses, next.dueAt, grade, id]);
+
+    await db.query(`
+      INSERT INTO review_grades (item_id, user_id, grade, interval_days, ease_factor)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [id, userId, grade, next.intervalDays, next.easeFactor]);
+
+    return result.rows[0];
+  }
+});
+
+module.exports = { createReviewItemsRepository };
@@ -0,0 +1,82 @@
+// repositories/postgres/sessionsRepository.js - Refresh tokens (one row per token, grouped by family_id)
+
+const createSessionsRepository = (db) => {
+  // Revoke every live refresh token matching the filter; returns how many were revoked
+  const revokeWhere = async (whereSql, params, reason) => {
+    const result = await db.query(`
+      UPDATE user_sessions
+      SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $${params.length + 1}
+      WHERE ${whereSql} AND revoked_at IS NULL
+    `, [...params, reason]);
+    return result.rowCount;
+  };
+
+  return {
+    create: async ({ userId, familyId, tokenHash, deviceInfo, ipAddress, expiresAt }) => {
+      await db.query(`
+        INSERT INTO user_sessions (user_id, family_id, token_hash, device_info, ip_address, expires_at, last_used_at)
+        VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+      `, [userId, familyId, tokenHash, deviceInfo, ipAddress, expiresAt]);
+    },
+
+    deleteExpired: async (userId) => {
+      await db.query(`DELETE FROM user_sessions WHERE user_id = $1 AND expires_at < CURRENT_TIMESTAMP`, [userId]);
+    },
+
+    // True while the family has an unrevoked, unexpired refresh token
+    isFamilyActive: async (userId, familyId) => {
+      const result = await db.query(`
+        SELECT 1
+        FROM user_sessions
+        WHERE family_id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+        LIMIT 1
+      `, [familyId, userId]);
+      return result.rows.length > 0;
+    },
+
+    // The refresh token's row joined with the user fields needed to mint a new access token
+    findByTokenHash: async (tokenHash) => {
+      const result = await db.query(`
+        SELECT s.id, s.family_id, s.revoked_at, s.revoked_reason, s.expires_at,
+               u.id AS user_id, u.email, u.username, u.display_name, u.user_type, u.skill_level, u.is_active
+        FROM user_sessions s
+        JOIN users u ON u.id = s.user_id
+        WHERE s.token_hash = $1
+      `, [tokenHash]);
+      return result.rows[0] || null;
+    },
+
+    // Retire a token on use; false when another request already rotated it
+    markRotated: async (id) => {
+      const result = await db.query(`
+        UPDATE user_sessions
+        SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'rotated', last_used_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND revoked_at IS NULL
+      `, [id]);
+      return result.rowCount > 0;
+    },
+
+    revokeFamily: (familyId, reason, userId = null) => (userId === null
+      ? revokeWhere('family_id = $1', [familyId], reason)
+      : revokeWhere('family_id = $1 AND user_id = $2', [familyId, userId], reason)),
+
+    revokeAllForUser: (userId, reason, { exceptFamilyId } = {}) => (exceptFamilyId === undefined
+      ? revokeWhere('user_id = $1', [userId], reason)
+      : revokeWhere('user_id = $1 AND family_id IS DISTINCT FROM $2', [userId, exceptFamilyId], reason)),
+
+    // The live refresh token of each family (one per device/login)
+    listActive: async (userId) => {
+      const result = await db.query(`
+        SELECT s.family_id, s.device_info, s.ip_address, s.last_used_at, s.expires_at,
+               (SELECT MIN(created_at) FROM user_sessions f WHERE f.family_id = s.family_id) AS signed_in_at
+        FROM user_sessions s
+        WHERE s.user_id = $1 AND s.family_id IS NOT NULL
+          AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP
+        ORDER BY s.last_used_at DESC NULLS LAST
+      `, [userId]);
+      return result.rows;
+    }
+  };
+};
+
+module.exports = { createSessionsRepository };
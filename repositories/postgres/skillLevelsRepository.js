@@ -0,0 +1,73 @@
+// repositories/postgres/skillLevelsRepository.js - Per-subject skill estimates, practice results and mentor pins
+// Subjects are stored lowercased - callers pass them already normalized
+
+const createSkillLevelsRepository = (db) => ({
+  // Most recent learner messages for the subject, newest first
+  recentLearnerMessages: async (userId, subject, limit) => {
+    const result = await db.query(`
+      SELECT m.content
+      FROM conversation_messages m
+      JOIN conversations c ON c.id = m.conversation_id
+      WHERE c.user_id = $1 AND LOWER(c.subject) = $2 AND m.role = 'user'
+      ORDER BY m.id DESC
+      LIMIT $3
+    `, [userId, subject, limit]);
+    return result.rows.map(row => row.content);
+  },
+
+  find: async (userId, subject) => {
+    const result = await db.query(`
+      SELECT * FROM learner_skill_levels WHERE user_id = $1 AND subject = $2
+    `, [userId, subject]);
+    return result.rows[0] || null;
+  },
+
+  listByUser: async (userId) => {
+    const result = await db.query(`
+      SELECT * FROM learner_skill_levels
+      WHERE user_id = $1
+      ORDER BY subject ASC
+    `, [userId]);
+    return result.rows;
+  },
+
+  saveEstimate: async (userId, subject, { level, confidence, signals }) => {
+    await db.query(`
+      INSERT INTO learner_skill_levels (user_id, subject, estimated_level, confidence, signals, updated_at)
+      VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+      ON CONFLICT (user_id, subject) DO UPDATE
+      SET estimated_level = EXCLUDED.estimated_level,
+          confidence = EXCLUDED.confidence,
+          signals = EXCLUDED.signals,
+          updated_at = CURRENT_TIMESTAMP
+    `, [userId, subject, level, confidence, JSON.stringify(signals)]);
+  },
+
+  addPractice: async (userId, subject, correct, total) => {
+    await db.query(`
+      INSERT INTO learner_skill_levels (user_id, subject, practice_correct, practice_total)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (user_id, subject) DO UPDATE
+      SET practice_correct = learner_skill_levels.practice_correct + EXCLUDED.practice_correct,
+          practice_total = learner_skill_levels.practice_total + EXCLUDED.practice_total,
+          updated_at = CURRENT_TIMESTAMP
+    `, [userId, subject, correct, total]);
+  },
+
+  // level null unpins
+  pin: async (userId, subject, level, pinnedBy) => {
+    const result = await db.query(`
+      INSERT INTO learner_skill_levels (user_id, subject, pinned_level, pinned_by, pinned_at)
+      VALUES ($1, $2, $3, $4, CASE WHEN $3::varchar IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END)
+      ON CONFLICT (user_id, subject) DO UPDATE
+      SET pinned_level = EXCLUDED.pinned_level,
+          pinned_by = EXCLUDED.pinned_by,
+          pinned_at = EXCLUDED.pinned_at,
+          updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [userId, subject, level, level === null ? null : pinnedBy]);
+    return result.rows[0];
+  }
+});
+
+module.exports = { createSkillLevelsRepository };
@@ -0,0 +1,84 @@
+// repositories/postgres/usersRepository.js - Users and their single-use account tokens
+// db is anything with pg's query(text, params): the pool, or a client inside a transaction
+
+const PROFILE_COLUMNS = `id, email, username, display_name, user_type, skill_level,
+  preferred_subjects, email_verified, email_verified_at, created_at, last_login`;
+
+const createUsersRepository = (db) => ({
+  findById: async (id) => {
+    const result = await db.query(`SELECT * FROM users WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+  },
+
+  findByEmail: async (email) => {
+    const result = await db.query(`SELECT * FROM users WHERE LOWER(email) = LOWER($1)`, [email]);
+    return result.rows[0] || null;
+  },
+
+  findByUsername: async (username) => {
+    const result = await db.query(`SELECT * FROM users WHERE LOWER(username) = LOWER($1)`, [username]);
+    return result.rows[0] || null;
+  },
+
+  // Public profile columns (no password hash)
+  getProfile: async (id) => {
+    const result = await db.query(`SELECT ${PROFILE_COLUMNS} FROM users WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+  },
+
+  create: async ({ email, username, passwordHash, displayName, userType, skillLevel }) => {
+    const result = await db.query(`
+      INSERT INTO users (email, username, password_hash, display_name, user_type, skill_level)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id, email, username, display_name, user_type, skill_level, email_verified
+    `, [email, username, passwordHash, displayName, userType, skillLevel]);
+    return result.rows[0];
+  },
+
+  recordLogin: async (id) => {
+    await db.query(`UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1`, [id]);
+  },
+
+  markEmailVerified: async (id) => {
+    await db.query(`
+      UPDATE users
+      SET email_verified = TRUE, email_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [id]);
+  },
+
+  updatePassword: async (id, passwordHash) => {
+    await db.query(`
+      UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2
+    `, [passwordHash, id]);
+  },
+
+  // Store a token hash; older unused tokens for the same purpose stop working
+  createAccountToken: async (userId, purpose, tokenHash, expiresAt) => {
+    await db.query(`DELETE FROM account_tokens WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`, [userId, purpose]);
+    await db.query(`
+      INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at)
+      VALUES ($1, $2, $3, $4)
+    `, [userId, purpose, tokenHash, expiresAt]);
+  },
+
+  // Mark a token used and return its user id, or null if unknown/expired/already used
+  consumeAccountToken: async (tokenHash, purpose) => {
+    const result = await db.query(`
+      UPDATE account_tokens
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      RETURNING user_id
+    `, [tokenHash, purpose]);
+    return result.rows.length ? result.rows[0].user_id : null;
+  },
+
+  invalidateAccountTokens: async (userId, purpose) => {
+    await db.query(`
+      UPDATE account_tokens SET used_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL
+    `, [userId, purpose]);
+  }
+});
+
+module.exports = { createUsersRepository };
@@ -0,0 +1,77 @@
+// repositories/sqlite/analyticsRepository.js - Tutoring activity aggregates for the mentor dashboard
+
+// Sessions in range with their estimated duration (params: learner, from, to, max seconds, base seconds)
+const SESSIONS_CTE = `
+  sessions AS (
+    SELECT id,
+           LOWER(subject) AS subject,
+           COALESCE(learning_mode, 'unknown') AS learning_mode,
+           COALESCE(model_used, 'unknown') AS model_used,
+           detected_level,
+           created_at,
+           min((julianday(updated_at) - julianday(created_at)) * 86400, ?) + ? AS seconds
+    FROM conversations
+    WHERE user_id = ?
+      AND created_at >= ?
+      AND created_at < date(?, '+1 day')
+  )
+`;
+
+// One breakdown of the sessions by a single column
+const breakdownQuery = (column) => `
+  WITH ${SESSIONS_CTE}
+  SELECT ${column}, COUNT(*) AS sessions, SUM(seconds) AS seconds
+  FROM sessions
+  GROUP BY ${column}
+  ORDER BY sessions DESC
+`;
+
+const createAnalyticsRepository = (db) => ({
+  // Conversations started on dates from..to (inclusive) - each is a session whose length is its
+  // span capped at maxSessionSeconds, plus baseSeconds.
+  // Returns { summary, daily, subjects, modes, models }; daily has one row per date in range.
+  activity: async (learnerId, { from, to }, { maxSessionSeconds, baseSeconds }) => {
+    const params = [maxSessionSeconds, baseSeconds, learnerId, from, to];
+
+    const summary = await db.get(`
+      WITH ${SESSIONS_CTE}
+      SELECT COUNT(*) AS sessions,
+             COUNT(DISTINCT substr(created_at, 1, 10)) AS active_days,
+             COALESCE(SUM(seconds), 0.0) AS seconds,
+             COALESCE(SUM(model_used = 'fallback'), 0) AS fallback_sessions
+      FROM sessions
+    `, params);
+
+    const daily = await db.all(`
+      WITH RECURSIVE days(day) AS (
+        SELECT date(?)
+        UNION ALL
+        SELECT date(day, '+1 day') FROM days WHERE day < date(?)
+      ),
+      ${SESSIONS_CTE}
+      SELECT day AS date,
+             COUNT(s.id) AS sessions,
+             COALESCE(SUM(s.seconds), 0.0) AS seconds,
+             AVG(CASE s.detected_level
+                   WHEN 'beginner' THEN 1
+                   WHEN 'intermediate' THEN 2
+                   WHEN 'advanced' THEN 3
+                   WHEN 'expert' THEN 4
+                 END) AS level_score
+      FROM days
+      LEFT JOIN sessions s ON substr(s.created_at, 1, 10) = day
+      GROUP BY day
+      ORDER BY day
+    `, [from, to, ...params]);
+
+    return {
+      summary,
+      daily,
+      subjects: await db.all(breakdownQuery('subject'), params),
+      modes: await db.all(breakdownQuery('learning_mode'), params),
+      models: await db.all(breakdownQuery('model_used'), params)
+    };
+  }
+});
+
+module.exports = { createAnalyticsRepository };
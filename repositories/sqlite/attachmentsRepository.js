@@ -0,0 +1,34 @@
+// repositories/sqlite/attachmentsRepository.js - Uploaded homework files (the bytes live in upload storage)
+
+// IN (?, ?, ...) for a list of ids
+const placeholders = (ids) => ids.map(() => '?').join(', ');
+
+const createAttachmentsRepository = (db) => ({
+  create: ({ userId, storageKey, originalName, mimeType, kind, sizeBytes, extractedText }) => db.get(`
+    INSERT INTO attachments (user_id, storage_key, original_name, mime_type, kind, size_bytes, extracted_text)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    RETURNING *
+  `, [userId, storageKey, originalName, mimeType, kind, sizeBytes, extractedText]),
+
+  findById: (id) => db.get(`SELECT * FROM attachments WHERE id = ?`, [id]),
+
+  // The ones among ids that the user owns, in no particular order
+  listOwned: async (userId, ids) => {
+    if (ids.length === 0) return [];
+    return db.all(`
+      SELECT * FROM attachments WHERE id IN (${placeholders(ids)}) AND user_id = ?
+    `, [...ids, userId]);
+  },
+
+  // Only attachments not yet tied to a conversation move
+  linkToConversation: async (userId, conversationId, ids) => {
+    if (ids.length === 0) return;
+    await db.run(`
+      UPDATE attachments
+      SET conversation_id = ?
+      WHERE id IN (${placeholders(ids)}) AND user_id = ? AND conversation_id IS NULL
+    `, [conversationId, ...ids, userId]);
+  }
+});
+
+module.exports = { createAttachmentsRepository };
@@ -0,0 +1,187 @@
+// repositories/sqlite/conversationSearchRepository.js - Full-text search over conversations (conversations_fts, see schema.sql)
+const { toBoolean, parseJson } = require('./database');
+
+// Same snippet shape as the Postgres headline: up to two 30-word fragments
+const SNIPPET_FRAGMENTS = 2;
+const SNIPPET_WORDS = 30;
+
+const COLUMNS = `c.id, c.user_id, c.subject, c.title, c.detected_level, c.model_used, c.learning_mode,
+                 c.is_archived, c.tags, c.created_at, c.updated_at`;
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+const toConversation = (row) => ({
+  ...row,
+  is_archived: toBoolean(row.is_archived),
+  tags: parseJson(row.tags, [])
+});
+
+// Web-search style input ("quoted phrases", or, -excluded) as an FTS5 query plus the words worth
+// highlighting; query is null when nothing positive is left to match
+const parseQuery = (q) => {
+  const positives = [];
+  const negatives = [];
+  let pendingOr = false;
+
+  for (const match of q.matchAll(/(-?)"([^"]*)"?|(-?)([^\s"]+)/g)) {
+    const negated = (match[1] || match[3]) === '-';
+    const words = (match[2] !== undefined ? match[2] : match[4]).toLowerCase().match(WORD) || [];
+    if (words.length === 0) continue;
+
+    if (match[4] !== undefined && !negated && words.length === 1 && words[0] === 'or' && positives.length > 0) {
+      pendingOr = true;
+      continue;
+    }
+
+    const phrase = `"${words.join(' ')}"`;
+    if (negated) {
+      negatives.push(phrase);
+    } else {
+      positives.push({ phrase, words, or: pendingOr });
+    }
+    pendingOr = false;
+  }
+
+  if (positives.length === 0) return { query: null, words: [] };
+
+  let query = positives.map((term, i) => (i === 0 ? term.phrase : `${term.or ? 'OR' : 'AND'} ${term.phrase}`)).join(' ');
+  for (const phrase of negatives) query = `(${query}) NOT ${phrase}`;
+
+  return { query, words: positives.flatMap(term => term.words) };
+};
+
+// Rough stand-in for the porter stemmer: "fractions" and "fraction" highlight each other
+const stem = (word) => word.replace(/(ing|ed|es|s)$/, '') || word;
+
+const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Escaped fragments around the matching words with <mark> around each match
+const buildSnippet = (messages, words) => {
+  const stems = words.map(stem);
+  const isMatch = (token) => {
+    const lower = token.toLowerCase();
+    return stems.some(s => lower.startsWith(s));
+  };
+
+  const matching = messages.filter(text => (text.match(WORD) || []).some(isMatch));
+  const tokens = escapeHtml(matching.join(' ')).split(/\s+/).filter(Boolean);
+
+  const fragments = [];
+  let nextFree = 0;
+  for (let i = 0; i < tokens.length && fragments.length < SNIPPET_FRAGMENTS; i++) {
+    if (i < nextFree || !(tokens[i].match(WORD) || []).some(isMatch)) continue;
+
+    const start = Math.max(nextFree, i - Math.floor(SNIPPET_WORDS / 3));
+    const end = Math.min(tokens.length, start + SNIPPET_WORDS);
+    fragments.push(tokens.slice(start, end)
+      .map(token => token.replace(WORD, word => (isMatch(word) ? `<mark>${word}</mark>` : word)))
+      .join(' '));
+    nextFree = end;
+  }
+
+  return fragments.join(' … ');
+};
+
+// WHERE clauses for the scope and filters; pushes values onto params
+const buildWhere = (scope, filters, params) => {
+  const clauses = [];
+
+  if (scope.mentorId) {
+    params.push(scope.mentorId);
+    clauses.push(`c.user_id IN (
+      SELECT learner_id FROM mentor_learner_links WHERE mentor_id = ? AND status = 'active'
+    )`);
+  } else {
+    params.push(scope.userId);
+    clauses.push('c.user_id = ?');
+  }
+
+  if (filters.subject) {
+    params.push(filters.subject);
+    clauses.push('LOWER(c.subject) = LOWER(?)');
+  }
+  if (filters.mode) {
+    params.push(filters.mode);
+    clauses.push('c.learning_mode = ?');
+  }
+  for (const tag of filters.tags || []) {
+    params.push(tag);
+    clauses.push('EXISTS (SELECT 1 FROM json_each(c.tags) WHERE json_each.value = ?)');
+  }
+  if (filters.archived !== null && filters.archived !== undefined) {
+    params.push(filters.archived);
+    clauses.push('COALESCE(c.is_archived, 0) = ?');
+  }
+  if (filters.from) {
+    params.push(filters.from);
+    clauses.push('c.created_at >= ?');
+  }
+  if (filters.to) {
+    params.push(filters.to);
+    clauses.push(`c.created_at < date(?, '+1 day')`);
+  }
+
+  return clauses;
+};
+
+const createConversationSearchRepository = (db) => ({
+  // scope: { userId } or { mentorId } (every linked learner)
+  // filters: { subject?, mode?, tags?, archived?, from?, to? } - dates are YYYY-MM-DD, inclusive
+  // With q: rows carry rank and snippet, best first, after cursor { rank, id }.
+  // Without q: newest first, after cursor { id }.
+  search: async ({ scope, filters = {}, q, cursor = null, limit }) => {
+    const params = [];
+    const where = buildWhere(scope, filters, params);
+
+    if (!q) {
+      if (cursor) {
+        params.push(cursor.id);
+        where.push('c.id < ?');
+      }
+      params.push(limit);
+
+      const rows = await db.all(`
+        SELECT ${COLUMNS}
+        FROM conversations c
+        WHERE ${where.join(' AND ')}
+        ORDER BY c.id DESC
+        LIMIT ?
+      `, params);
+      return rows.map(toConversation);
+    }
+
+    const { query, words } = parseQuery(q);
+    if (!query) return [];
+
+    let cursorClause = '';
+    if (cursor) {
+      params.push(cursor.rank, cursor.rank, cursor.id);
+      cursorClause = 'WHERE rank < ? OR (rank = ? AND id < ?)';
+    }
+
+    // Titles weigh twice as much as message text, like setweight A/B on the Postgres side
+    const rows = await db.all(`
+      WITH matches AS (
+        SELECT ${COLUMNS}, -bm25(conversations_fts, 2.0, 1.0) AS rank
+        FROM conversations_fts
+        JOIN conversations c ON c.id = conversations_fts.rowid
+        WHERE conversations_fts MATCH ? AND ${where.join(' AND ')}
+      )
+      SELECT * FROM matches
+      ${cursorClause}
+      ORDER BY rank DESC, id DESC
+      LIMIT ?
+    `, [query, ...params, limit]);
+
+    const results = [];
+    for (const row of rows) {
+      const messages = await db.all(`
+        SELECT content FROM conversation_messages WHERE conversation_id = ? ORDER BY id
+      `, [row.id]);
+      results.push({ ...toConversation(row), snippet: buildSnippet(messages.map(m => m.content), words) });
+    }
+    return results;
+  }
+});
+
+module.exports = { createConversationSearchRepository };
@@ -0,0 +1,114 @@
+// repositories/sqlite/conversationsRepository.js - Conversations and their conversation_messages rows
+const { NOW, toBoolean, parseJson } = require('./database');
+
+const SUMMARY_COLUMNS = `id, subject, title, detected_level, model_used, learning_mode,
+  is_archived, tags, created_at, updated_at`;
+
+const toConversation = (row) => row && {
+  ...row,
+  is_archived: toBoolean(row.is_archived),
+  tags: parseJson(row.tags, [])
+};
+
+const toMessage = (row) => ({ ...row, metadata: parseJson(row.metadata, {}) });
+
+const createConversationsRepository = (db) => ({
+  create: ({ userId, subject, title, detectedLevel = null, modelUsed = 'openai', learningMode = null, tags = [] }) => db.get(`
+    INSERT INTO conversations (
+      user_id, subject, title, detected_level, model_used, learning_mode, tags
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    RETURNING id, created_at
+  `, [userId, subject, title, detectedLevel, modelUsed, learningMode, JSON.stringify(tags)]),
+
+  findById: async (id) => toConversation(await db.get(`SELECT * FROM conversations WHERE id = ?`, [id])),
+
+  // Transactions hold the whole database, so no row lock is needed
+  findOwnerForUpdate: async (id) => {
+    const row = await db.get(`SELECT user_id FROM conversations WHERE id = ?`, [id]);
+    return row ? row.user_id : null;
+  },
+
+  listByUser: async (userId) => (await db.all(`
+    SELECT ${SUMMARY_COLUMNS}
+    FROM conversations
+    WHERE user_id = ?
+    ORDER BY created_at DESC, id DESC
+  `, [userId])).map(toConversation),
+
+  update: async (id, changes) => {
+    const fields = [];
+    const vals = [];
+
+    if (changes.title !== undefined) { fields.push('title = ?'); vals.push(changes.title); }
+    if (changes.isArchived !== undefined) { fields.push('is_archived = ?'); vals.push(changes.isArchived); }
+    if (changes.tags !== undefined) { fields.push('tags = ?'); vals.push(JSON.stringify(changes.tags)); }
+
+    await db.run(`
+      UPDATE conversations
+      SET ${[...fields, `updated_at = ${NOW}`].join(', ')}
+      WHERE id = ?
+    `, [...vals, id]);
+  },
+
+  updateTutorState: (id, userId, { detectedLevel, modelUsed, learningMode }) => db.get(`
+    UPDATE conversations
+    SET detected_level = ?,
+        model_used = ?,
+        learning_mode = ?,
+        updated_at = ${NOW}
+    WHERE id = ? AND user_id = ?
+    RETURNING id, created_at
+  `, [detectedLevel, modelUsed, learningMode, id, userId]),
+
+  touch: async (id) => {
+    await db.run(`UPDATE conversations SET updated_at = ${NOW} WHERE id = ?`, [id]);
+  },
+
+  appendMessages: async (conversationId, records, defaultCreatedAt = null) => {
+    const rows = [];
+    for (const record of records) {
+      rows.push(await db.get(`
+        INSERT INTO conversation_messages (
+          conversation_id, role, content, metadata, model, prompt_tokens, completion_tokens, created_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE(?, ?, ${NOW}))
+        RETURNING *
+      `, [
+        conversationId,
+        record.role,
+        record.content,
+        JSON.stringify(record.metadata || {}),
+        record.model,
+        Number.isInteger(record.prompt_tokens) ? record.prompt_tokens : null,
+        Number.isInteger(record.completion_tokens) ? record.completion_tokens : null,
+        record.created_at,
+        defaultCreatedAt
+      ]));
+    }
+    return rows.map(toMessage);
+  },
+
+  listMessages: async (conversationId) => (await db.all(`
+    SELECT * FROM conversation_messages WHERE conversation_id = ? ORDER BY id ASC
+  `, [conversationId])).map(toMessage),
+
+  listMessagesPage: async (conversationId, { before = null, after = null, limit }) => {
+    const rows = after !== null
+      ? await db.all(`
+          SELECT * FROM conversation_messages
+          WHERE conversation_id = ? AND id > ?
+          ORDER BY id ASC
+          LIMIT ?
+        `, [conversationId, after, limit])
+      : await db.all(`
+          SELECT * FROM conversation_messages
+          WHERE conversation_id = ? AND (? IS NULL OR id < ?)
+          ORDER BY id DESC
+          LIMIT ?
+        `, [conversationId, before, before, limit]);
+    return rows.map(toMessage);
+  }
+});
+
+module.exports = { createConversationsRepository };
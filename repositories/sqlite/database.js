@@ -0,0 +1,95 @@
+// repositories/sqlite/database.js - better-sqlite3 connection with the async surface the repositories use
+//
+// executor: { all, get, run } - all() returns rows, get() one row or null, run() { changes, lastInsertRowid }
+const Database = require('better-sqlite3');
+
+// Same format as the column defaults, so timestamps compare as strings
+const NOW = `strftime('%Y-%m-%dT%H:%M:%fZ', 'now')`;
+
+// better-sqlite3 only binds numbers, strings, bigints, buffers and null
+const toParam = (value) => {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+const openDatabase = (filename) => {
+  const sqlite = new Database(filename);
+  sqlite.pragma('foreign_keys = ON');
+  if (filename !== ':memory:') sqlite.pragma('journal_mode = WAL');
+
+  const statements = new Map();
+  const prepare = (sql) => {
+    if (!statements.has(sql)) statements.set(sql, sqlite.prepare(sql));
+    return statements.get(sql);
+  };
+
+  // There is one connection, so while a transaction is open everyone else waits for it
+  let inTransaction = false;
+  let transactionTail = Promise.resolve();
+
+  const createExecutor = (insideTransaction) => {
+    // Statements run synchronously right after the check, so nothing can slip in between
+    const execute = async (method, sql, params = []) => {
+      if (!insideTransaction) {
+        while (inTransaction) await transactionTail;
+      }
+      return prepare(sql)[method](params.map(toParam));
+    };
+
+    return {
+      all: (sql, params) => execute('all', sql, params),
+      get: async (sql, params) => (await execute('get', sql, params)) || null,
+      run: (sql, params) => execute('run', sql, params)
+    };
+  };
+
+  const transactionExecutor = createExecutor(true);
+
+  return {
+    executor: createExecutor(false),
+
+    // Transactions are queued one after another; fn gets an executor that runs inside it
+    transaction: (fn) => {
+      const run = transactionTail.then(async () => {
+        inTransaction = true;
+        sqlite.exec('BEGIN IMMEDIATE');
+        try {
+          const result = await fn(transactionExecutor);
+          sqlite.exec('COMMIT');
+          return result;
+        } catch (error) {
+          if (sqlite.inTransaction) sqlite.exec('ROLLBACK');
+          throw error;
+        } finally {
+          inTransaction = false;
+        }
+      });
+      transactionTail = run.catch(() => {});
+      return run;
+    },
+
+    exec: (sql) => sqlite.exec(sql),
+    close: () => sqlite.close()
+  };
+};
+
+// Row helpers: SQLite hands back 0/1 for booleans and TEXT for JSON
+const toBoolean = (value) => (value === null || value === undefined ? value : value === 1 || value === true);
+
+const parseJson = (value, fallback) => {
+  if (typeof value !== 'string') return value ?? fallback;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+};
+
+module.exports = {
+  NOW,
+  openDatabase,
+  toBoolean,
+  parseJson
+};
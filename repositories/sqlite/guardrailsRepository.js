@@ -0,0 +1,60 @@
+// repositories/sqlite/guardrailsRepository.js - Mentor-set learner guardrails and daily message counts
+const { NOW, parseJson } = require('./database');
+
+const toGuardrails = (row) => row && {
+  ...row,
+  allowed_subjects: parseJson(row.allowed_subjects, null)
+};
+
+const createGuardrailsRepository = (db) => ({
+  find: async (learnerId) => toGuardrails(await db.get(`
+    SELECT * FROM learner_guardrails WHERE learner_id = ?
+  `, [learnerId])),
+
+  save: async (learnerId, settings) => toGuardrails(await db.get(`
+    INSERT INTO learner_guardrails (
+      learner_id, allowed_subjects, daily_message_limit, weekly_message_limit,
+      quiet_hours_start, quiet_hours_end, time_zone, max_skill_level, updated_by
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (learner_id) DO UPDATE
+    SET allowed_subjects = excluded.allowed_subjects,
+        daily_message_limit = excluded.daily_message_limit,
+        weekly_message_limit = excluded.weekly_message_limit,
+        quiet_hours_start = excluded.quiet_hours_start,
+        quiet_hours_end = excluded.quiet_hours_end,
+        time_zone = excluded.time_zone,
+        max_skill_level = excluded.max_skill_level,
+        updated_by = excluded.updated_by,
+        updated_at = ${NOW}
+    RETURNING *
+  `, [
+    learnerId,
+    settings.allowedSubjects === null ? null : JSON.stringify(settings.allowedSubjects),
+    settings.dailyMessageLimit,
+    settings.weeklyMessageLimit,
+    settings.quietHoursStart,
+    settings.quietHoursEnd,
+    settings.timeZone,
+    settings.maxSkillLevel,
+    settings.updatedBy
+  ])),
+
+  recordMessage: async (learnerId, usageDate, limit = null) => (await db.get(`
+    INSERT INTO learner_message_usage (learner_id, usage_date, message_count)
+    SELECT ?, ?, 1
+    WHERE ? IS NULL OR ? > 0
+    ON CONFLICT (learner_id, usage_date) DO UPDATE
+    SET message_count = learner_message_usage.message_count + 1
+    WHERE ? IS NULL OR learner_message_usage.message_count < ?
+    RETURNING message_count
+  `, [learnerId, usageDate, limit, limit, limit, limit])) !== null,
+
+  countMessages: async (learnerId, fromDate, toDate) => (await db.get(`
+    SELECT COALESCE(SUM(message_count), 0) AS count
+    FROM learner_message_usage
+    WHERE learner_id = ? AND usage_date BETWEEN ? AND ?
+  `, [learnerId, fromDate, toDate])).count
+});
+
+module.exports = { createGuardrailsRepository };
@@ -0,0 +1,59 @@
+// repositories/sqlite/index.js - SQLite backend for local development and tests (no Postgres needed)
+const fs = require('fs');
+const path = require('path');
+const { openDatabase } = require('./database');
+const { createUsersRepository } = require('./usersRepository');
+const { createConversationsRepository } = require('./conversationsRepository');
+const { createSessionsRepository } = require('./sessionsRepository');
+const { createLinksRepository } = require('./linksRepository');
+const { createGuardrailsRepository } = require('./guardrailsRepository');
+const { createLlmUsageRepository } = require('./llmUsageRepository');
+const { createSkillLevelsRepository } = require('./skillLevelsRepository');
+const { createReviewItemsRepository } = require('./reviewItemsRepository');
+const { createQuizzesRepository } = require('./quizzesRepository');
+const { createAttachmentsRepository } = require('./attachmentsRepository');
+const { createKnowledgeBaseRepository } = require('./knowledgeBaseRepository');
+const { createAnalyticsRepository } = require('./analyticsRepository');
+const { createReportsRepository } = require('./reportsRepository');
+const { createModerationEventsRepository } = require('./moderationEventsRepository');
+const { createConversationSearchRepository } = require('./conversationSearchRepository');
+
+const SCHEMA_PATH = path.join(__dirname, 'schema.sql');
+
+const bindRepositories = (db) => ({
+  users: createUsersRepository(db),
+  conversations: createConversationsRepository(db),
+  sessions: createSessionsRepository(db),
+  links: createLinksRepository(db),
+  guardrails: createGuardrailsRepository(db),
+  llmUsage: createLlmUsageRepository(db),
+  skillLevels: createSkillLevelsRepository(db),
+  reviewItems: createReviewItemsRepository(db),
+  quizzes: createQuizzesRepository(db),
+  attachments: createAttachmentsRepository(db),
+  knowledgeBase: createKnowledgeBaseRepository(db),
+  analytics: createAnalyticsRepository(db),
+  reports: createReportsRepository(db),
+  moderationEvents: createModerationEventsRepository(db),
+  conversationSearch: createConversationSearchRepository(db)
+});
+
+const createSqliteBackend = ({ filename }) => {
+  const database = openDatabase(filename);
+  console.log(`✅ Using SQLite database: ${filename}`);
+
+  return {
+    driver: 'sqlite',
+    repositories: bindRepositories(database.executor),
+    transaction: (fn) => database.transaction(executor => fn(bindRepositories(executor))),
+
+    // No migrations here - the schema is created in place
+    initialize: async () => {
+      database.exec(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+    },
+
+    close: async () => database.close()
+  };
+};
+
+module.exports = { createSqliteBackend };
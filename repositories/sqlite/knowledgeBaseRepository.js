@@ -0,0 +1,108 @@
+// repositories/sqlite/knowledgeBaseRepository.js - Mentor documents, their chunks and the BM25 term index
+const { NOW } = require('./database');
+
+const createKnowledgeBaseRepository = (db) => ({
+  listDocuments: (mentorId, subject) => db.all(`
+    SELECT * FROM kb_documents
+    WHERE mentor_id = ?
+      AND (? IS NULL OR LOWER(subject) = LOWER(?))
+    ORDER BY updated_at DESC
+  `, [mentorId, subject, subject]),
+
+  findDocument: (id) => db.get(`SELECT * FROM kb_documents WHERE id = ?`, [id]),
+
+  createDocument: ({ mentorId, learnerId, title, subject, originalName, content }) => db.get(`
+    INSERT INTO kb_documents (mentor_id, learner_id, title, subject, original_name, content)
+    VALUES (?, ?, ?, ?, ?, ?)
+    RETURNING *
+  `, [mentorId, learnerId, title, subject, originalName, content]),
+
+  // originalName null keeps the current one
+  updateDocument: (id, { title, subject, learnerId, content, originalName }) => db.get(`
+    UPDATE kb_documents
+    SET title = ?, subject = ?, learner_id = ?, content = ?,
+        original_name = COALESCE(?, original_name), updated_at = ${NOW}
+    WHERE id = ?
+    RETURNING *
+  `, [title, subject, learnerId, content, originalName, id]),
+
+  // Chunks and terms cascade
+  deleteDocument: async (id) => {
+    await db.run(`DELETE FROM kb_documents WHERE id = ?`, [id]);
+  },
+
+  // Swap a document's passages for new ones: [{ content, termCount, terms: Map(term -> tf) }]
+  replaceChunks: async (documentId, chunks) => {
+    await db.run(`DELETE FROM kb_chunks WHERE document_id = ?`, [documentId]);
+
+    for (let i = 0; i < chunks.length; i++) {
+      const chunk = await db.run(`
+        INSERT INTO kb_chunks (document_id, chunk_index, content, term_count)
+        VALUES (?, ?, ?, ?)
+      `, [documentId, i, chunks[i].content, chunks[i].termCount]);
+
+      for (const [term, tf] of chunks[i].terms) {
+        await db.run(`
+          INSERT INTO kb_chunk_terms (chunk_id, term, tf) VALUES (?, ?, ?)
+        `, [chunk.lastInsertRowid, term, tf]);
+      }
+    }
+
+    await db.run(`UPDATE kb_documents SET chunk_count = ? WHERE id = ?`, [chunks.length, documentId]);
+  },
+
+  // Top passages by BM25 from the mentors linked to a learner (optionally one mentor).
+  // Documents without a subject match every subject, as does anySubject; documents with a
+  // learner_id are only visible to that learner.
+  search: async ({ learnerId, subject, anySubject, terms, limit, mentorId, k1, b }) => {
+    if (terms.length === 0) return [];
+
+    return db.all(`
+      WITH scope AS (
+        SELECT c.id, c.term_count
+        FROM kb_chunks c
+        JOIN kb_documents d ON d.id = c.document_id
+        WHERE d.mentor_id IN (
+                SELECT mentor_id FROM mentor_learner_links
+                WHERE learner_id = ? AND status = 'active'
+                  AND (? IS NULL OR mentor_id = ?)
+              )
+          AND (d.learner_id IS NULL OR d.learner_id = ?)
+          AND (? OR d.subject IS NULL OR LOWER(d.subject) = LOWER(?))
+      ),
+      stats AS (
+        SELECT CAST(COUNT(*) AS REAL) AS n, max(AVG(term_count), 1.0) AS avgdl FROM scope
+      ),
+      matches AS (
+        SELECT t.chunk_id, t.term, t.tf, s.term_count
+        FROM kb_chunk_terms t
+        JOIN scope s ON s.id = t.chunk_id
+        WHERE t.term IN (${terms.map(() => '?').join(', ')})
+      ),
+      df AS (
+        SELECT term, CAST(COUNT(*) AS REAL) AS df FROM matches GROUP BY term
+      ),
+      scored AS (
+        SELECT m.chunk_id,
+               SUM(
+                 ln(1 + (stats.n - df.df + 0.5) / (df.df + 0.5)) *
+                 (m.tf * ${k1 + 1}) /
+                 (m.tf + ${k1} * (1 - ${b} + ${b} * m.term_count / stats.avgdl))
+               ) AS score
+        FROM matches m
+        JOIN df ON df.term = m.term
+        CROSS JOIN stats
+        GROUP BY m.chunk_id
+        ORDER BY score DESC
+        LIMIT ?
+      )
+      SELECT scored.chunk_id, scored.score, c.content, c.chunk_index, d.id AS document_id, d.title, d.mentor_id
+      FROM scored
+      JOIN kb_chunks c ON c.id = scored.chunk_id
+      JOIN kb_documents d ON d.id = c.document_id
+      ORDER BY scored.score DESC
+    `, [learnerId, mentorId, mentorId, learnerId, anySubject, subject, ...terms, limit]);
+  }
+});
+
+module.exports = { createKnowledgeBaseRepository };
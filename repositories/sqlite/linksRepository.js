@@ -0,0 +1,124 @@
+// repositories/sqlite/linksRepository.js - Mentor-learner links, invitation codes and code lockouts
+const { NOW, toBoolean } = require('./database');
+
+const LINKED_USER_COLUMNS = 'u.id, u.email, u.username, u.display_name, u.user_type, u.skill_level';
+
+const toIntegrityPolicy = (row) => row && {
+  ...row,
+  hints_only: toBoolean(row.hints_only),
+  no_full_solutions: toBoolean(row.no_full_solutions),
+  show_work_required: toBoolean(row.show_work_required)
+};
+
+const createLinksRepository = (db) => ({
+  isActive: async (mentorId, learnerId) => (await db.get(`
+    SELECT 1 AS found
+    FROM mentor_learner_links
+    WHERE mentor_id = ? AND learner_id = ? AND status = 'active'
+  `, [mentorId, learnerId])) !== null,
+
+  listMentors: (learnerId) => db.all(`
+    SELECT ${LINKED_USER_COLUMNS}
+    FROM mentor_learner_links mll
+    JOIN users u ON u.id = mll.mentor_id
+    WHERE mll.learner_id = ? AND mll.status = 'active'
+    ORDER BY u.display_name ASC NULLS LAST, u.email ASC
+  `, [learnerId]),
+
+  listLearners: (mentorId) => db.all(`
+    SELECT ${LINKED_USER_COLUMNS}
+    FROM mentor_learner_links mll
+    JOIN users u ON u.id = mll.learner_id
+    WHERE mll.mentor_id = ? AND mll.status = 'active'
+    ORDER BY u.display_name ASC NULLS LAST, u.email ASC
+  `, [mentorId]),
+
+  listPendingInvitations: (userId) => db.all(`
+    SELECT * FROM mentor_learner_links
+    WHERE created_by = ? AND status = 'pending' AND expires_at > ${NOW}
+    ORDER BY created_at DESC, id DESC
+  `, [userId]),
+
+  countPendingInvitations: async (userId) => (await db.get(`
+    SELECT COUNT(*) AS count
+    FROM mentor_learner_links
+    WHERE created_by = ? AND status = 'pending' AND expires_at > ${NOW}
+  `, [userId])).count,
+
+  createInvitation: async ({ mentorId, learnerId, code, createdBy, expiresAt }) => {
+    try {
+      return await db.get(`
+        INSERT INTO mentor_learner_links (mentor_id, learner_id, status, invitation_code, created_by, expires_at)
+        VALUES (?, ?, 'pending', ?, ?, ?)
+        RETURNING *
+      `, [mentorId, learnerId, code, createdBy, expiresAt]);
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') return null;
+      throw error;
+    }
+  },
+
+  findPendingByCode: (code) => db.get(`
+    SELECT * FROM mentor_learner_links WHERE invitation_code = ? AND status = 'pending'
+  `, [code]),
+
+  activate: (id, mentorId, learnerId) => db.get(`
+    UPDATE mentor_learner_links
+    SET mentor_id = ?, learner_id = ?, status = 'active', accepted_at = ${NOW}
+    WHERE id = ? AND status = 'pending'
+    RETURNING *
+  `, [mentorId, learnerId, id]),
+
+  revokeInvitation: async (id, userId) => (await db.run(`
+    UPDATE mentor_learner_links
+    SET status = 'revoked', revoked_at = ${NOW}, revoked_by = ?
+    WHERE id = ? AND created_by = ? AND status = 'pending'
+  `, [userId, id, userId])).changes > 0,
+
+  revokeLink: async (mentorId, learnerId, revokedBy) => (await db.run(`
+    UPDATE mentor_learner_links
+    SET status = 'revoked', revoked_at = ${NOW}, revoked_by = ?
+    WHERE mentor_id = ? AND learner_id = ? AND status = 'active'
+  `, [revokedBy, mentorId, learnerId])).changes > 0,
+
+  getInviteAttempts: (userId) => db.get(`
+    SELECT failed_count, window_started_at, locked_until FROM invitation_attempts WHERE user_id = ?
+  `, [userId]),
+
+  recordFailedInviteAttempt: (userId, { now, windowStart, maxAttempts, lockedUntil }) => {
+    const restart = `(invitation_attempts.window_started_at < ? OR invitation_attempts.locked_until IS NOT NULL)`;
+    const failedCount = `CASE WHEN ${restart} THEN 1 ELSE invitation_attempts.failed_count + 1 END`;
+    return db.get(`
+      INSERT INTO invitation_attempts (user_id, failed_count, window_started_at, locked_until)
+      VALUES (?, 1, ?, CASE WHEN ? <= 1 THEN ? END)
+      ON CONFLICT (user_id) DO UPDATE
+      SET failed_count = ${failedCount},
+          window_started_at = CASE WHEN ${restart} THEN ? ELSE invitation_attempts.window_started_at END,
+          locked_until = CASE WHEN ${failedCount} >= ? THEN ? END
+      WHERE invitation_attempts.locked_until IS NULL OR invitation_attempts.locked_until <= ?
+      RETURNING failed_count, locked_until
+    `, [userId, now, maxAttempts, lockedUntil, windowStart, windowStart, now, windowStart, maxAttempts, lockedUntil, now]);
+  },
+
+  clearInviteAttempts: async (userId) => {
+    await db.run(`DELETE FROM invitation_attempts WHERE user_id = ?`, [userId]);
+  },
+
+  getIntegrityPolicy: async (learnerId) => toIntegrityPolicy(await db.get(`
+    SELECT * FROM learner_integrity_policies WHERE learner_id = ?
+  `, [learnerId])),
+
+  saveIntegrityPolicy: async (learnerId, { hintsOnly, noFullSolutions, showWorkRequired, updatedBy }) => toIntegrityPolicy(await db.get(`
+    INSERT INTO learner_integrity_policies (learner_id, hints_only, no_full_solutions, show_work_required, updated_by)
+    VALUES (?, COALESCE(?, 0), COALESCE(?, 0), COALESCE(?, 0), ?)
+    ON CONFLICT (learner_id) DO UPDATE
+    SET hints_only = COALESCE(?, learner_integrity_policies.hints_only),
+        no_full_solutions = COALESCE(?, learner_integrity_policies.no_full_solutions),
+        show_work_required = COALESCE(?, learner_integrity_policies.show_work_required),
+        updated_by = excluded.updated_by,
+        updated_at = ${NOW}
+    RETURNING *
+  `, [learnerId, hintsOnly, noFullSolutions, showWorkRequired, updatedBy, hintsOnly, noFullSolutions, showWorkRequired]))
+});
+
+module.exports = { createLinksRepository };
@@ -0,0 +1,63 @@
+// repositories/sqlite/llmUsageRepository.js - LLM calls per user with tokens, latency and estimated cost
+
+const createLlmUsageRepository = (db) => ({
+  record: async (call) => {
+    await db.run(`
+      INSERT INTO llm_usage (
+        user_id, conversation_id, purpose, provider, model, operation, status,
+        input_tokens, output_tokens, latency_ms, estimated_cost_usd, downgraded
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      call.userId, call.conversationId, call.purpose, call.provider, call.model, call.operation, call.status,
+      call.inputTokens, call.outputTokens, call.latencyMs, call.costUsd, call.downgraded
+    ]);
+  },
+
+  // ISO timestamps compare as strings, so 'YYYY-MM-DD' bounds work directly
+  totals: (userId, from, to) => db.get(`
+    SELECT COUNT(*) AS calls,
+           COALESCE(SUM(status <> 'ok'), 0) AS failed_calls,
+           COALESCE(SUM(input_tokens), 0) AS input_tokens,
+           COALESCE(SUM(output_tokens), 0) AS output_tokens,
+           COALESCE(SUM(estimated_cost_usd), 0) AS cost_usd
+    FROM llm_usage
+    WHERE user_id = ? AND created_at >= ? AND created_at < ?
+  `, [userId, from, to]),
+
+  byModel: (userId, from, to) => db.all(`
+    SELECT provider, model,
+           COUNT(*) AS calls,
+           COALESCE(SUM(input_tokens), 0) AS input_tokens,
+           COALESCE(SUM(output_tokens), 0) AS output_tokens,
+           COALESCE(SUM(estimated_cost_usd), 0) AS cost_usd,
+           CAST(ROUND(AVG(latency_ms)) AS INTEGER) AS avg_latency_ms
+    FROM llm_usage
+    WHERE user_id = ? AND created_at >= ? AND created_at < ?
+    GROUP BY provider, model
+    ORDER BY cost_usd DESC, calls DESC
+  `, [userId, from, to]),
+
+  byPurpose: (userId, from, to) => db.all(`
+    SELECT purpose,
+           COUNT(*) AS calls,
+           COALESCE(SUM(estimated_cost_usd), 0) AS cost_usd
+    FROM llm_usage
+    WHERE user_id = ? AND created_at >= ? AND created_at < ?
+    GROUP BY purpose
+    ORDER BY cost_usd DESC, calls DESC
+  `, [userId, from, to]),
+
+  byDay: (userId, from, to) => db.all(`
+    SELECT substr(created_at, 1, 10) AS day,
+           COUNT(*) AS calls,
+           COALESCE(SUM(input_tokens + output_tokens), 0) AS tokens,
+           COALESCE(SUM(estimated_cost_usd), 0) AS cost_usd
+    FROM llm_usage
+    WHERE user_id = ? AND created_at >= ? AND created_at < ?
+    GROUP BY day
+    ORDER BY day ASC
+  `, [userId, from, to])
+});
+
+module.exports = { createLlmUsageRepository };
@@ -0,0 +1,34 @@
+// repositories/sqlite/moderationEventsRepository.js - Flagged learner input and tutor output
+const { NOW } = require('./database');
+
+const createModerationEventsRepository = (db) => ({
+  // Returns the new event's id
+  record: async ({ userId, conversationId, stage, skillLevel, categories, severity, provider }) => {
+    const result = await db.run(`
+      INSERT INTO moderation_events (user_id, conversation_id, stage, skill_level, categories, severity, action, provider)
+      VALUES (?, ?, ?, ?, ?, ?, 'replaced', ?)
+    `, [userId, conversationId, stage, skillLevel, JSON.stringify(categories), severity, provider]);
+    return Number(result.lastInsertRowid);
+  },
+
+  // Were the learner's mentors alerted within the last `minutes`
+  alertedWithin: async (userId, minutes) => {
+    const since = new Date(Date.now() - minutes * 60 * 1000);
+    const row = await db.get(`
+      SELECT 1 AS alerted FROM moderation_events
+      WHERE user_id = ? AND mentors_notified_at > ?
+      LIMIT 1
+    `, [userId, since]);
+    return row !== null;
+  },
+
+  markNotified: async (ids) => {
+    if (ids.length === 0) return;
+    await db.run(`
+      UPDATE moderation_events SET mentors_notified_at = ${NOW}
+      WHERE id IN (${ids.map(() => '?').join(', ')})
+    `, ids);
+  }
+});
+
+module.exports = { createModerationEventsRepository };
@@ -0,0 +1,49 @@
+// repositories/sqlite/quizzesRepository.js - Generated quizzes, graded attempts and per-subject scores
+const { NOW, parseJson } = require('./database');
+
+const toQuiz = (row) => row && { ...row, questions: parseJson(row.questions, []) };
+
+const createQuizzesRepository = (db) => ({
+  create: async ({ userId, conversationId, subject, topic, skillLevel, title, questions, model }) => toQuiz(await db.get(`
+    INSERT INTO quizzes (user_id, conversation_id, subject, topic, skill_level, title, questions, model_used)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    RETURNING *
+  `, [userId, conversationId, subject, topic, skillLevel, title, JSON.stringify(questions), model])),
+
+  findById: async (id) => toQuiz(await db.get(`SELECT * FROM quizzes WHERE id = ?`, [id])),
+
+  createAttempt: ({ quizId, userId, answers, results, score, total }) => db.get(`
+    INSERT INTO quiz_attempts (quiz_id, user_id, answers, results, score, total)
+    VALUES (?, ?, ?, ?, ?, ?)
+    RETURNING id, created_at
+  `, [quizId, userId, JSON.stringify(answers), JSON.stringify(results), score, total]),
+
+  addSubjectScore: async (userId, subject, { correct, total, scorePct }) => {
+    await db.run(`
+      INSERT INTO subject_scores (user_id, subject, attempts, questions_answered, correct_answers, last_score_pct)
+      VALUES (?, LOWER(?), 1, ?, ?, ?)
+      ON CONFLICT (user_id, subject) DO UPDATE
+      SET attempts = subject_scores.attempts + 1,
+          questions_answered = subject_scores.questions_answered + excluded.questions_answered,
+          correct_answers = subject_scores.correct_answers + excluded.correct_answers,
+          last_score_pct = excluded.last_score_pct,
+          updated_at = ${NOW}
+    `, [userId, subject, total, correct, scorePct]);
+  },
+
+  listSubjectScores: (userId) => db.all(`
+    SELECT * FROM subject_scores WHERE user_id = ? ORDER BY subject ASC
+  `, [userId]),
+
+  // Correct/total per subject for attempts on dates from..to (inclusive)
+  resultsBySubject: (userId, from, to) => db.all(`
+    SELECT LOWER(q.subject) AS subject, SUM(a.score) AS correct, SUM(a.total) AS total
+    FROM quiz_attempts a
+    JOIN quizzes q ON q.id = a.quiz_id
+    WHERE a.user_id = ? AND a.created_at >= ? AND a.created_at < date(?, '+1 day')
+    GROUP BY LOWER(q.subject)
+    ORDER BY total DESC
+  `, [userId, from, to])
+});
+
+module.exports = { createQuizzesRepository };
@@ -0,0 +1,94 @@
+// repositories/sqlite/reportsRepository.js - Mentor report settings and the log of sent progress reports
+const { NOW, toBoolean } = require('./database');
+
+const toSettings = (row) => row && { ...row, enabled: toBoolean(row.enabled) };
+
+const createReportsRepository = (db) => ({
+  findSettings: async (mentorId) => toSettings(await db.get(`
+    SELECT * FROM mentor_report_settings WHERE mentor_id = ?
+  `, [mentorId])),
+
+  // null leaves a setting as it is
+  saveSettings: async (mentorId, { enabled, frequency }) => toSettings(await db.get(`
+    INSERT INTO mentor_report_settings (mentor_id, enabled, frequency)
+    VALUES (?, COALESCE(?, 0), COALESCE(?, 'weekly'))
+    ON CONFLICT (mentor_id) DO UPDATE
+    SET enabled = COALESCE(?, mentor_report_settings.enabled),
+        frequency = COALESCE(?, mentor_report_settings.frequency),
+        updated_at = ${NOW}
+    RETURNING *
+  `, [mentorId, enabled, frequency, enabled, frequency])),
+
+  // Every active mentor/learner pair whose mentor has reports switched on
+  listDuePairs: () => db.all(`
+    SELECT s.frequency,
+           m.id AS mentor_id, m.email AS mentor_email, m.username AS mentor_username, m.display_name AS mentor_display_name,
+           l.id AS learner_id, l.email AS learner_email, l.username AS learner_username, l.display_name AS learner_display_name
+    FROM mentor_report_settings s
+    JOIN mentor_learner_links mll ON mll.mentor_id = s.mentor_id AND mll.status = 'active'
+    JOIN users m ON m.id = mll.mentor_id
+    JOIN users l ON l.id = mll.learner_id
+    WHERE s.enabled = 1
+  `),
+
+  // Claim a mentor/learner/period before sending; failed sends can be claimed again, anything
+  // else returns null
+  claim: async (mentorId, learnerId, { from, to }) => {
+    const row = await db.get(`
+      INSERT INTO progress_reports (mentor_id, learner_id, period_start, period_end)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (mentor_id, learner_id, period_start) DO UPDATE
+      SET status = 'sending', error = NULL
+      WHERE progress_reports.status = 'failed'
+      RETURNING id
+    `, [mentorId, learnerId, from, to]);
+    return row ? row.id : null;
+  },
+
+  markSent: async (id, { transport, messageId }) => {
+    await db.run(`
+      UPDATE progress_reports
+      SET status = 'sent', transport = ?, message_id = ?, sent_at = ${NOW}
+      WHERE id = ?
+    `, [transport, messageId, id]);
+  },
+
+  markFailed: async (id, error) => {
+    await db.run(`
+      UPDATE progress_reports SET status = 'failed', error = ? WHERE id = ?
+    `, [error, id]);
+  },
+
+  listByMentor: (mentorId, limit) => db.all(`
+    SELECT id, learner_id, period_start, period_end, status, transport, error, sent_at
+    FROM progress_reports
+    WHERE mentor_id = ?
+    ORDER BY period_start DESC, id DESC
+    LIMIT ?
+  `, [mentorId, limit]),
+
+  // The learner's latest messages (up to perConversation each) from the conversations most
+  // recently active on dates from..to
+  learnerExcerpts: (learnerId, { from, to }, { conversations, perConversation }) => db.all(`
+    WITH recent AS (
+      SELECT id, subject, updated_at
+      FROM conversations
+      WHERE user_id = ? AND updated_at >= ? AND updated_at < date(?, '+1 day')
+      ORDER BY updated_at DESC
+      LIMIT ?
+    ),
+    ranked AS (
+      SELECT r.subject, r.updated_at, m.id, m.content,
+             ROW_NUMBER() OVER (PARTITION BY m.conversation_id ORDER BY m.id DESC) AS n
+      FROM recent r
+      JOIN conversation_messages m ON m.conversation_id = r.id
+      WHERE m.role = 'user' AND TRIM(m.content) <> ''
+    )
+    SELECT subject, content
+    FROM ranked
+    WHERE n <= ?
+    ORDER BY updated_at DESC, id ASC
+  `, [learnerId, from, to, conversations, perConversation])
+});
+
+module.exports = { createReportsRepository };
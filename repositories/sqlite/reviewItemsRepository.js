@@ -0,0 +1,46 @@
+// repositories/sqlite/reviewItemsRepository.js - Spaced-repetition items and their grade history
+const { NOW } = require('./database');
+
+const createReviewItemsRepository = (db) => ({
+  // null when the learner already has an item with this prompt
+  create: ({ userId, conversationId, subject, prompt, answer, source }) => db.get(`
+    INSERT INTO review_items (user_id, conversation_id, subject, prompt, answer, source)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT (user_id, prompt) DO NOTHING
+    RETURNING *
+  `, [userId, conversationId, subject, prompt, answer, source]),
+
+  findById: (id) => db.get(`SELECT * FROM review_items WHERE id = ?`, [id]),
+
+  // Items due now, oldest due first; subject null means every subject
+  listDue: (userId, subject, limit) => db.all(`
+    SELECT *
+    FROM review_items
+    WHERE user_id = ?
+      AND due_at <= ${NOW}
+      AND (? IS NULL OR LOWER(subject) = LOWER(?))
+    ORDER BY due_at ASC
+    LIMIT ?
+  `, [userId, subject, subject, limit]),
+
+  // Store the next schedule and the grade that produced it
+  applyGrade: async (id, userId, grade, next) => {
+    const item = await db.get(`
+      UPDATE review_items
+      SET ease_factor = ?, interval_days = ?, repetitions = ?, lapses = ?,
+          due_at = ?, last_grade = ?, last_reviewed_at = ${NOW},
+          updated_at = ${NOW}
+      WHERE id = ?
+      RETURNING *
+    `, [next.easeFactor, next.intervalDays, next.repetitions, next.lapses, next.dueAt, grade, id]);
+
+    await db.run(`
+      INSERT INTO review_grades (item_id, user_id, grade, interval_days, ease_factor)
+      VALUES (?, ?, ?, ?, ?)
+    `, [id, userId, grade, next.intervalDays, next.easeFactor]);
+
+    return item;
+  }
+});
+
+module.exports = { createReviewItemsRepository };
@@ -0,0 +1,343 @@
+-- repositories/sqlite/schema.sql - Tables used by the SQLite repositories (local development and tests)
+--
+-- Mirrors the Postgres migrations (except the Postgres-only rate limit and response cache stores).
+-- Timestamps are ISO-8601 UTC strings, dates are YYYY-MM-DD, booleans are 0/1 and JSON columns are TEXT.
+-- Conversation search uses an FTS5 table kept current by triggers instead of a tsvector column.
+
+CREATE TABLE IF NOT EXISTS users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  email TEXT UNIQUE NOT NULL,
+  password_hash TEXT NOT NULL,
+  display_name TEXT,
+  skill_level TEXT DEFAULT 'intermediate',
+  preferred_subjects TEXT DEFAULT '[]',
+  username TEXT UNIQUE,
+  user_type TEXT DEFAULT 'learner' CHECK (user_type IS NULL OR user_type IN ('mentor', 'learner')),
+  is_active INTEGER DEFAULT 1,
+  last_login TEXT,
+  email_verified INTEGER DEFAULT 0,
+  email_verified_at TEXT,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS conversations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  subject TEXT NOT NULL,
+  title TEXT,
+  messages TEXT NOT NULL DEFAULT '[]',
+  detected_level TEXT,
+  model_used TEXT DEFAULT 'openai',
+  learning_mode TEXT,
+  is_archived INTEGER DEFAULT 0,
+  tags TEXT DEFAULT '[]',
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS conversation_messages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  conversation_id INTEGER NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  role TEXT NOT NULL,
+  content TEXT NOT NULL DEFAULT '',
+  metadata TEXT NOT NULL DEFAULT '{}',
+  model TEXT,
+  prompt_tokens INTEGER,
+  completion_tokens INTEGER,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  token_hash TEXT NOT NULL,
+  device_info TEXT,
+  ip_address TEXT,
+  expires_at TEXT NOT NULL,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  family_id TEXT,
+  last_used_at TEXT,
+  revoked_at TEXT,
+  revoked_reason TEXT
+);
+
+CREATE TABLE IF NOT EXISTS account_tokens (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  purpose TEXT NOT NULL,
+  token_hash TEXT UNIQUE NOT NULL,
+  expires_at TEXT NOT NULL,
+  used_at TEXT,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS mentor_learner_links (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  mentor_id INTEGER REFERENCES users(id),
+  learner_id INTEGER REFERENCES users(id),
+  status TEXT DEFAULT 'pending',
+  invitation_code TEXT UNIQUE,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  accepted_at TEXT,
+  created_by INTEGER REFERENCES users(id),
+  expires_at TEXT,
+  revoked_at TEXT,
+  revoked_by INTEGER REFERENCES users(id)
+);
+
+CREATE TABLE IF NOT EXISTS invitation_attempts (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  failed_count INTEGER NOT NULL DEFAULT 0,
+  window_started_at TEXT NOT NULL,
+  locked_until TEXT
+);
+
+CREATE TABLE IF NOT EXISTS learner_integrity_policies (
+  learner_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  hints_only INTEGER NOT NULL DEFAULT 0,
+  no_full_solutions INTEGER NOT NULL DEFAULT 0,
+  show_work_required INTEGER NOT NULL DEFAULT 0,
+  updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS learner_guardrails (
+  learner_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  allowed_subjects TEXT,
+  daily_message_limit INTEGER CHECK (daily_message_limit > 0),
+  weekly_message_limit INTEGER CHECK (weekly_message_limit > 0),
+  quiet_hours_start TEXT,
+  quiet_hours_end TEXT,
+  time_zone TEXT NOT NULL DEFAULT 'UTC',
+  max_skill_level TEXT,
+  updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS learner_message_usage (
+  learner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  usage_date TEXT NOT NULL,
+  message_count INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (learner_id, usage_date)
+);
+
+CREATE TABLE IF NOT EXISTS llm_usage (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  conversation_id INTEGER REFERENCES conversations(id) ON DELETE SET NULL,
+  purpose TEXT NOT NULL DEFAULT 'other',
+  provider TEXT NOT NULL,
+  model TEXT NOT NULL,
+  operation TEXT NOT NULL CHECK (operation IN ('generate', 'stream')),
+  status TEXT NOT NULL CHECK (status IN ('ok', 'error', 'aborted')),
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  latency_ms INTEGER NOT NULL,
+  estimated_cost_usd REAL,
+  downgraded INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS learner_skill_levels (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  subject TEXT NOT NULL,
+  estimated_level TEXT,
+  confidence REAL DEFAULT 0,
+  signals TEXT DEFAULT '{}',
+  practice_correct INTEGER DEFAULT 0,
+  practice_total INTEGER DEFAULT 0,
+  pinned_level TEXT,
+  pinned_by INTEGER REFERENCES users(id),
+  pinned_at TEXT,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE(user_id, subject)
+);
+
+CREATE TABLE IF NOT EXISTS review_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  conversation_id INTEGER REFERENCES conversations(id) ON DELETE SET NULL,
+  subject TEXT NOT NULL,
+  prompt TEXT NOT NULL,
+  answer TEXT NOT NULL,
+  source TEXT DEFAULT 'auto',
+  ease_factor REAL DEFAULT 2.5,
+  interval_days INTEGER DEFAULT 0,
+  repetitions INTEGER DEFAULT 0,
+  lapses INTEGER DEFAULT 0,
+  due_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  last_grade INTEGER,
+  last_reviewed_at TEXT,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE(user_id, prompt)
+);
+
+CREATE TABLE IF NOT EXISTS review_grades (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  item_id INTEGER NOT NULL REFERENCES review_items(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  grade INTEGER NOT NULL,
+  interval_days INTEGER NOT NULL,
+  ease_factor REAL NOT NULL,
+  reviewed_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS quizzes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  conversation_id INTEGER REFERENCES conversations(id) ON DELETE SET NULL,
+  subject TEXT NOT NULL,
+  topic TEXT,
+  skill_level TEXT,
+  title TEXT,
+  questions TEXT NOT NULL,
+  model_used TEXT,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS quiz_attempts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  quiz_id INTEGER NOT NULL REFERENCES quizzes(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  answers TEXT NOT NULL,
+  results TEXT NOT NULL,
+  score INTEGER NOT NULL,
+  total INTEGER NOT NULL,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS subject_scores (
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  subject TEXT NOT NULL,
+  attempts INTEGER DEFAULT 0,
+  questions_answered INTEGER DEFAULT 0,
+  correct_answers INTEGER DEFAULT 0,
+  last_score_pct REAL,
+  updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  PRIMARY KEY (user_id, subject)
+);
+
+CREATE TABLE IF NOT EXISTS attachments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  conversation_id INTEGER REFERENCES conversations(id) ON DELETE SET NULL,
+  storage_key TEXT NOT NULL,
+  original_name TEXT,
+  mime_type TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  extracted_text TEXT,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS kb_documents (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  mentor_id INTEGER NOT NULL REFERENCES users(id),
+  learner_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  subject TEXT,
+  original_name TEXT,
+  content TEXT NOT NULL,
+  chunk_count INTEGER DEFAULT 0,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS kb_chunks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  document_id INTEGER NOT NULL REFERENCES kb_documents(id) ON DELETE CASCADE,
+  chunk_index INTEGER NOT NULL,
+  content TEXT NOT NULL,
+  term_count INTEGER NOT NULL,
+  UNIQUE(document_id, chunk_index)
+);
+
+CREATE TABLE IF NOT EXISTS kb_chunk_terms (
+  chunk_id INTEGER NOT NULL REFERENCES kb_chunks(id) ON DELETE CASCADE,
+  term TEXT NOT NULL,
+  tf INTEGER NOT NULL,
+  PRIMARY KEY (chunk_id, term)
+);
+
+CREATE TABLE IF NOT EXISTS mentor_report_settings (
+  mentor_id INTEGER PRIMARY KEY REFERENCES users(id),
+  enabled INTEGER DEFAULT 0,
+  frequency TEXT DEFAULT 'weekly',
+  updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS progress_reports (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  mentor_id INTEGER NOT NULL REFERENCES users(id),
+  learner_id INTEGER NOT NULL REFERENCES users(id),
+  period_start TEXT NOT NULL,
+  period_end TEXT NOT NULL,
+  status TEXT DEFAULT 'sending',
+  transport TEXT,
+  message_id TEXT,
+  error TEXT,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  sent_at TEXT,
+  UNIQUE(mentor_id, learner_id, period_start)
+);
+
+CREATE TABLE IF NOT EXISTS moderation_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  conversation_id INTEGER REFERENCES conversations(id) ON DELETE SET NULL,
+  stage TEXT NOT NULL CHECK (stage IN ('input', 'output')),
+  skill_level TEXT,
+  categories TEXT NOT NULL DEFAULT '[]',
+  severity TEXT NOT NULL CHECK (severity IN ('low', 'medium', 'high')),
+  action TEXT NOT NULL DEFAULT 'replaced',
+  provider TEXT,
+  mentors_notified_at TEXT,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Conversation search: title and message text per conversation (rowid = conversations.id)
+CREATE VIRTUAL TABLE IF NOT EXISTS conversations_fts USING fts5(title, body, tokenize = 'porter unicode61');
+
+CREATE TRIGGER IF NOT EXISTS conversations_fts_insert AFTER INSERT ON conversations BEGIN
+  INSERT INTO conversations_fts (rowid, title, body) VALUES (NEW.id, COALESCE(NEW.title, ''), '');
+END;
+
+CREATE TRIGGER IF NOT EXISTS conversations_fts_title AFTER UPDATE OF title ON conversations BEGIN
+  UPDATE conversations_fts SET title = COALESCE(NEW.title, '') WHERE rowid = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS conversations_fts_delete AFTER DELETE ON conversations BEGIN
+  DELETE FROM conversations_fts WHERE rowid = OLD.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS conversation_messages_fts_append AFTER INSERT ON conversation_messages BEGIN
+  UPDATE conversations_fts SET body = body || ' ' || NEW.content WHERE rowid = NEW.conversation_id;
+END;
+
+CREATE INDEX IF NOT EXISTS idx_users_email ON users(LOWER(email));
+CREATE INDEX IF NOT EXISTS idx_users_username ON users(LOWER(username));
+CREATE INDEX IF NOT EXISTS idx_conversations_user_id ON conversations(user_id);
+CREATE INDEX IF NOT EXISTS idx_conversation_messages_conversation ON conversation_messages(conversation_id, id);
+CREATE INDEX IF NOT EXISTS idx_sessions_token_hash ON user_sessions(token_hash);
+CREATE INDEX IF NOT EXISTS idx_sessions_family ON user_sessions(family_id);
+CREATE INDEX IF NOT EXISTS idx_account_tokens_user ON account_tokens(user_id, purpose);
+CREATE INDEX IF NOT EXISTS idx_links_mentor ON mentor_learner_links(mentor_id);
+CREATE INDEX IF NOT EXISTS idx_links_learner ON mentor_learner_links(learner_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_links_active_pair
+  ON mentor_learner_links(mentor_id, learner_id) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_llm_usage_user ON llm_usage(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_review_items_due ON review_items(user_id, due_at);
+CREATE INDEX IF NOT EXISTS idx_quizzes_user ON quizzes(user_id);
+CREATE INDEX IF NOT EXISTS idx_quiz_attempts_quiz ON quiz_attempts(quiz_id);
+CREATE INDEX IF NOT EXISTS idx_attachments_user ON attachments(user_id);
+CREATE INDEX IF NOT EXISTS idx_attachments_conversation ON attachments(conversation_id);
+CREATE INDEX IF NOT EXISTS idx_kb_documents_mentor ON kb_documents(mentor_id);
+CREATE INDEX IF NOT EXISTS idx_kb_chunks_document ON kb_chunks(document_id);
+CREATE INDEX IF NOT EXISTS idx_kb_chunk_terms_term ON kb_chunk_terms(term);
+CREATE INDEX IF NOT EXISTS idx_moderation_events_user ON moderation_events(user_id, created_at);
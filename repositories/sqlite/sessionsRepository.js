@@ -0,0 +1,75 @@
+// repositories/sqlite/sessionsRepository.js - Refresh tokens (one row per token, grouped by family_id)
+const { NOW, toBoolean } = require('./database');
+
+const createSessionsRepository = (db) => {
+  const revokeWhere = async (whereSql, params, reason) => {
+    const result = await db.run(`
+      UPDATE user_sessions
+      SET revoked_at = ${NOW}, revoked_reason = ?
+      WHERE ${whereSql} AND revoked_at IS NULL
+    `, [reason, ...params]);
+    return result.changes;
+  };
+
+  return {
+    create: async ({ userId, familyId, tokenHash, deviceInfo, ipAddress, expiresAt }) => {
+      await db.run(`
+        INSERT INTO user_sessions (user_id, family_id, token_hash, device_info, ip_address, expires_at, last_used_at)
+        VALUES (?, ?, ?, ?, ?, ?, ${NOW})
+      `, [userId, familyId, tokenHash, deviceInfo, ipAddress, expiresAt]);
+    },
+
+    deleteExpired: async (userId) => {
+      await db.run(`DELETE FROM user_sessions WHERE user_id = ? AND expires_at < ${NOW}`, [userId]);
+    },
+
+    isFamilyActive: async (userId, familyId) => {
+      const row = await db.get(`
+        SELECT 1 AS found
+        FROM user_sessions
+        WHERE family_id = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > ${NOW}
+        LIMIT 1
+      `, [familyId, userId]);
+      return row !== null;
+    },
+
+    findByTokenHash: async (tokenHash) => {
+      const row = await db.get(`
+        SELECT s.id, s.family_id, s.revoked_at, s.revoked_reason, s.expires_at,
+               u.id AS user_id, u.email, u.username, u.display_name, u.user_type, u.skill_level, u.is_active
+        FROM user_sessions s
+        JOIN users u ON u.id = s.user_id
+        WHERE s.token_hash = ?
+      `, [tokenHash]);
+      return row && { ...row, is_active: toBoolean(row.is_active) };
+    },
+
+    markRotated: async (id) => {
+      const result = await db.run(`
+        UPDATE user_sessions
+        SET revoked_at = ${NOW}, revoked_reason = 'rotated', last_used_at = ${NOW}
+        WHERE id = ? AND revoked_at IS NULL
+      `, [id]);
+      return result.changes > 0;
+    },
+
+    revokeFamily: (familyId, reason, userId = null) => (userId === null
+      ? revokeWhere('family_id = ?', [familyId], reason)
+      : revokeWhere('family_id = ? AND user_id = ?', [familyId, userId], reason)),
+
+    revokeAllForUser: (userId, reason, { exceptFamilyId } = {}) => (exceptFamilyId === undefined
+      ? revokeWhere('user_id = ?', [userId], reason)
+      : revokeWhere('user_id = ? AND family_id IS NOT ?', [userId, exceptFamilyId], reason)),
+
+    listActive: (userId) => db.all(`
+      SELECT s.family_id, s.device_info, s.ip_address, s.last_used_at, s.expires_at,
+             (SELECT MIN(created_at) FROM user_sessions f WHERE f.family_id = s.family_id) AS signed_in_at
+      FROM user_sessions s
+      WHERE s.user_id = ? AND s.family_id IS NOT NULL
+        AND s.revoked_at IS NULL AND s.expires_at > ${NOW}
+      ORDER BY s.last_used_at DESC NULLS LAST
+    `, [userId])
+  };
+};
+
+module.exports = { createSessionsRepository };
@@ -0,0 +1,67 @@
+// repositories/sqlite/skillLevelsRepository.js - Per-subject skill estimates, practice results and mentor pins
+// Subjects are stored lowercased - callers pass them already normalized
+const { NOW, parseJson } = require('./database');
+
+const toSkillLevel = (row) => row && { ...row, signals: parseJson(row.signals, {}) };
+
+const createSkillLevelsRepository = (db) => ({
+  // Most recent learner messages for the subject, newest first
+  recentLearnerMessages: async (userId, subject, limit) => {
+    const rows = await db.all(`
+      SELECT m.content
+      FROM conversation_messages m
+      JOIN conversations c ON c.id = m.conversation_id
+      WHERE c.user_id = ? AND LOWER(c.subject) = ? AND m.role = 'user'
+      ORDER BY m.id DESC
+      LIMIT ?
+    `, [userId, subject, limit]);
+    return rows.map(row => row.content);
+  },
+
+  find: async (userId, subject) => toSkillLevel(await db.get(`
+    SELECT * FROM learner_skill_levels WHERE user_id = ? AND subject = ?
+  `, [userId, subject])),
+
+  listByUser: async (userId) => (await db.all(`
+    SELECT * FROM learner_skill_levels
+    WHERE user_id = ?
+    ORDER BY subject ASC
+  `, [userId])).map(toSkillLevel),
+
+  saveEstimate: async (userId, subject, { level, confidence, signals }) => {
+    await db.run(`
+      INSERT INTO learner_skill_levels (user_id, subject, estimated_level, confidence, signals, updated_at)
+      VALUES (?, ?, ?, ?, ?, ${NOW})
+      ON CONFLICT (user_id, subject) DO UPDATE
+      SET estimated_level = excluded.estimated_level,
+          confidence = excluded.confidence,
+          signals = excluded.signals,
+          updated_at = ${NOW}
+    `, [userId, subject, level, confidence, JSON.stringify(signals)]);
+  },
+
+  addPractice: async (userId, subject, correct, total) => {
+    await db.run(`
+      INSERT INTO learner_skill_levels (user_id, subject, practice_correct, practice_total)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (user_id, subject) DO UPDATE
+      SET practice_correct = learner_skill_levels.practice_correct + excluded.practice_correct,
+          practice_total = learner_skill_levels.practice_total + excluded.practice_total,
+          updated_at = ${NOW}
+    `, [userId, subject, correct, total]);
+  },
+
+  // level null unpins
+  pin: async (userId, subject, level, pinnedBy) => toSkillLevel(await db.get(`
+    INSERT INTO learner_skill_levels (user_id, subject, pinned_level, pinned_by, pinned_at)
+    VALUES (?, ?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE ${NOW} END)
+    ON CONFLICT (user_id, subject) DO UPDATE
+    SET pinned_level = excluded.pinned_level,
+        pinned_by = excluded.pinned_by,
+        pinned_at = excluded.pinned_at,
+        updated_at = ${NOW}
+    RETURNING *
+  `, [userId, subject, level, level === null ? null : pinnedBy, level]))
+});
+
+module.exports = { createSkillLevelsRepository };
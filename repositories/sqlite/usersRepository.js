@@ -0,0 +1,71 @@
+// repositories/sqlite/usersRepository.js - Users and their single-use account tokens
+const { NOW, toBoolean, parseJson } = require('./database');
+
+const PROFILE_COLUMNS = `id, email, username, display_name, user_type, skill_level,
+  preferred_subjects, email_verified, email_verified_at, created_at, last_login`;
+
+const toUser = (row) => row && {
+  ...row,
+  ...('email_verified' in row ? { email_verified: toBoolean(row.email_verified) } : {}),
+  ...('is_active' in row ? { is_active: toBoolean(row.is_active) } : {}),
+  ...('preferred_subjects' in row ? { preferred_subjects: parseJson(row.preferred_subjects, []) } : {})
+};
+
+const createUsersRepository = (db) => ({
+  findById: async (id) => toUser(await db.get(`SELECT * FROM users WHERE id = ?`, [id])),
+
+  findByEmail: async (email) => toUser(await db.get(`SELECT * FROM users WHERE LOWER(email) = LOWER(?)`, [email])),
+
+  findByUsername: async (username) => toUser(await db.get(`SELECT * FROM users WHERE LOWER(username) = LOWER(?)`, [username])),
+
+  getProfile: async (id) => toUser(await db.get(`SELECT ${PROFILE_COLUMNS} FROM users WHERE id = ?`, [id])),
+
+  create: async ({ email, username, passwordHash, displayName, userType, skillLevel }) => toUser(await db.get(`
+    INSERT INTO users (email, username, password_hash, display_name, user_type, skill_level)
+    VALUES (?, ?, ?, ?, ?, ?)
+    RETURNING id, email, username, display_name, user_type, skill_level, email_verified
+  `, [email, username, passwordHash, displayName, userType, skillLevel])),
+
+  recordLogin: async (id) => {
+    await db.run(`UPDATE users SET last_login = ${NOW} WHERE id = ?`, [id]);
+  },
+
+  markEmailVerified: async (id) => {
+    await db.run(`
+      UPDATE users
+      SET email_verified = 1, email_verified_at = ${NOW}, updated_at = ${NOW}
+      WHERE id = ?
+    `, [id]);
+  },
+
+  updatePassword: async (id, passwordHash) => {
+    await db.run(`UPDATE users SET password_hash = ?, updated_at = ${NOW} WHERE id = ?`, [passwordHash, id]);
+  },
+
+  createAccountToken: async (userId, purpose, tokenHash, expiresAt) => {
+    await db.run(`DELETE FROM account_tokens WHERE user_id = ? AND purpose = ? AND used_at IS NULL`, [userId, purpose]);
+    await db.run(`
+      INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at)
+      VALUES (?, ?, ?, ?)
+    `, [userId, purpose, tokenHash, expiresAt]);
+  },
+
+  consumeAccountToken: async (tokenHash, purpose) => {
+    const row = await db.get(`
+      UPDATE account_tokens
+      SET used_at = ${NOW}
+      WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > ${NOW}
+      RETURNING user_id
+    `, [tokenHash, purpose]);
+    return row ? row.user_id : null;
+  },
+
+  invalidateAccountTokens: async (userId, purpose) => {
+    await db.run(`
+      UPDATE account_tokens SET used_at = ${NOW}
+      WHERE user_id = ? AND purpose = ? AND used_at IS NULL
+    `, [userId, purpose]);
+  }
+});
+
+module.exports = { createUsersRepository };
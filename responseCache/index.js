@@ -0,0 +1,263 @@
+// responseCache/index.js - Reuse tutor replies for identical first-turn questions
+//
+// A store is an object with:
+//   name        - 'memory' or 'postgres'
+//   get         - async (key) => { response, metadata, storedAt, expiresAt, hits } | null
+//   set         - async (key, { response, metadata, subject, mode, skillLevel }, ttlMs) => void
+//   invalidate  - async ({ subject?, mode? }) => number of entries dropped (no filter drops everything)
+//   prune       - async () => number of expired entries dropped
+//
+// Replies are keyed on the normalized message, subject, skill level and learning mode, plus the
+// learner's integrity policy and moderation level, so an answer is never reused across differing
+// academic-integrity or safety settings. Follow-up turns, attachments, review mode, knowledge base
+// passages and requests with cache: false are personal and always go to the model.
+//
+// RESPONSE_CACHE_ENABLED=false turns caching off. RESPONSE_CACHE_STORE picks postgres (the default
+// on Postgres) or memory (RESPONSE_CACHE_MAX_ENTRIES, default 1000). RESPONSE_CACHE_TTLS overrides
+// the per-mode lifetimes in seconds, e.g. {"explanation":3600}.
+const crypto = require('crypto');
+const { database } = require('../auth');
+const { resolveLearningMode, summarizeClassification, LEARNING_MODES } = require('../learningEngine');
+const { getModerationConfig } = require('../moderation');
+const { createMemoryStore } = require('./memoryStore');
+const { createPostgresStore } = require('./postgresStore');
+
+const HOUR = 60 * 60;
+
+// Explanations age well; practice and challenge problems are kept briefly so learners see variety
+const DEFAULT_TTLS = {
+  explanation: 7 * 24 * HOUR,
+  discovery: 24 * HOUR,
+  practice: HOUR,
+  challenge: HOUR
+};
+
+const PRUNE_INTERVAL_MS = 30 * 60 * 1000;
+
+let store = null;
+let pruneTimer = null;
+
+const loadCacheConfig = (env = process.env) => {
+  const ttls = { ...DEFAULT_TTLS };
+  if (env.RESPONSE_CACHE_TTLS) {
+    try {
+      for (const [mode, seconds] of Object.entries(JSON.parse(env.RESPONSE_CACHE_TTLS))) {
+        if (DEFAULT_TTLS[mode] !== undefined && seconds >= 0) ttls[mode] = seconds;
+      }
+    } catch (error) {
+      console.error('⚠️ Could not parse RESPONSE_CACHE_TTLS:', error.message);
+    }
+  }
+
+  return {
+    enabled: env.RESPONSE_CACHE_ENABLED !== 'false',
+    ttls,
+    maxEntries: parseInt(env.RESPONSE_CACHE_MAX_ENTRIES, 10) || 1000
+  };
+};
+
+let config = loadCacheConfig();
+
+const getCacheConfig = () => config;
+
+// Swap the configuration (tests, admin reloads)
+const setCacheConfig = (next) => {
+  config = next;
+  return config;
+};
+
+const createDefaultStore = (env = process.env) => {
+  const name = env.RESPONSE_CACHE_STORE || (database.driver === 'postgres' ? 'postgres' : 'memory');
+
+  switch (name) {
+    case 'postgres':
+      if (database.driver !== 'postgres') {
+        throw new Error(`RESPONSE_CACHE_STORE=postgres requires PostgreSQL (DB_DRIVER is "${database.driver}")`);
+      }
+      return createPostgresStore({ pool: database.pool });
+    case 'memory':
+      return createMemoryStore({ maxEntries: config.maxEntries });
+    default:
+      throw new Error(`Unknown RESPONSE_CACHE_STORE: ${name}`);
+  }
+};
+
+const schedulePruning = () => {
+  if (pruneTimer) clearInterval(pruneTimer);
+  pruneTimer = setInterval(() => {
+    store.prune().catch(error => console.error('⚠️ Could not prune response cache:', error.message));
+  }, PRUNE_INTERVAL_MS);
+  pruneTimer.unref();
+};
+
+const getStore = () => {
+  if (!store) {
+    store = createDefaultStore();
+    schedulePruning();
+  }
+  return store;
+};
+
+// Swap the store (tests, Redis and the like)
+const setStore = (backend) => {
+  store = backend;
+  schedulePruning();
+  return store;
+};
+
+// "What is photosynthesis?" and "  what is Photosynthesis " are the same question. Only case,
+// whitespace and trailing punctuation are dropped - symbols like + - * / = ^ % . < > inside the
+// message change its meaning ("what is 2+2" isn't "what is 2-2")
+const normalizeMessage = (message) => String(message)
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim()
+  .replace(/[\s?!.,;:…]+$/u, '');
+
+const integrityFingerprint = (policy) => (policy
+  ? ['hintsOnly', 'noFullSolutions', 'showWorkRequired'].filter(option => policy[option]).join('+') || 'none'
+  : 'none');
+
+// Moderation settings decide what a reply may contain, so they are part of the key too
+const safetyFingerprint = (safetyLevel) => {
+  const moderation = getModerationConfig();
+  return [safetyLevel, moderation.enabled ? 'on' : 'off', moderation.provider || 'rules'].join(':');
+};
+
+const cacheKey = ({ message, subject, skillLevel, mode, integrityPolicy, safetyLevel }) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify([
+    normalizeMessage(message),
+    String(subject).toLowerCase(),
+    skillLevel,
+    mode,
+    integrityFingerprint(integrityPolicy),
+    safetyFingerprint(safetyLevel)
+  ]))
+  .digest('hex');
+
+// Why a request can't share replies with anyone else, or null
+const bypassReason = ({ optOut, history, attachments }) => {
+  if (optOut) return 'opted_out';
+  if (history && history.length > 0) return 'multi_turn';
+  if (attachments && attachments.length > 0) return 'personalized';
+  return null;
+};
+
+// Only complete model replies that didn't draw on the learner's own material are shared
+const isCacheable = (result) => {
+  const { metadata } = result;
+  return Boolean(result.response) &&
+    metadata.model !== 'fallback' &&
+    metadata.model !== 'moderation' &&
+    !metadata.incomplete &&
+    !metadata.sources &&
+    !metadata.reviewItemIds &&
+    !metadata.attachmentIds;
+};
+
+const withCacheMetadata = (result, cache) => ({ ...result, metadata: { ...result.metadata, cache } });
+
+const loadSources = async (loader) => {
+  if (!loader) return [];
+  try {
+    return (await loader()) || [];
+  } catch (error) {
+    console.error('Could not load knowledge base sources:', error.message);
+    return [];
+  }
+};
+
+// Run a tutor turn through the cache. generate(prepared) produces the reply on a miss; prepared
+// carries the mode classification and knowledge base passages already loaded here, to be passed
+// on to processLearningInteraction / streamLearningInteraction as options.
+// request: { message, subject, skillLevel, mode?, history, attachments, integrityPolicy,
+//            safetyLevel, optOut, loadSources, onHit? } - onHit(result) lets streaming callers
+// send a cached reply.
+// The result's metadata.cache is { hit, storedAt?, expiresAt?, bypass? }.
+const cachedTutorReply = async (request, generate) => {
+  if (!config.enabled) return generate({});
+
+  const bypass = bypassReason(request);
+  if (bypass) return withCacheMetadata(await generate({}), { hit: false, bypass });
+
+  const classification = await resolveLearningMode(request.message, [], request.mode);
+  const mode = classification.mode;
+  if (!config.ttls[mode]) {
+    return withCacheMetadata(await generate({ classification }), { hit: false, bypass: 'mode_not_cached' });
+  }
+
+  const sources = await loadSources(request.loadSources);
+  if (sources.length > 0) {
+    return withCacheMetadata(await generate({ classification, sources }), { hit: false, bypass: 'personalized' });
+  }
+
+  const key = cacheKey({ ...request, mode });
+  let cached = null;
+  try {
+    cached = await getStore().get(key);
+  } catch (error) {
+    console.error('⚠️ Response cache lookup failed:', error.message);
+  }
+
+  if (cached) {
+    console.log(`♻️ Cached ${mode} reply reused (${cached.hits} hits)`);
+    const result = {
+      response: cached.response,
+      metadata: {
+        ...cached.metadata,
+        modeClassification: summarizeClassification(classification),
+        cache: { hit: true, storedAt: cached.storedAt, expiresAt: cached.expiresAt }
+      }
+    };
+    if (request.onHit) request.onHit(result);
+    return result;
+  }
+
+  const result = await generate({ classification, sources });
+  if (!isCacheable(result)) return withCacheMetadata(result, { hit: false });
+
+  // Token usage belongs to the turn that paid for it
+  const { usage, cache, budget, ...metadata } = result.metadata;
+  getStore()
+    .set(key, { response: result.response, metadata, subject: request.subject, mode, skillLevel: request.skillLevel }, config.ttls[mode] * 1000)
+    .catch(error => console.error('⚠️ Could not store reply in response cache:', error.message));
+  return withCacheMetadata(result, { hit: false });
+};
+
+// DELETE /api/admin/response-cache?subject=&mode= (X-Admin-Key) - drop cached replies, all by default
+const invalidateResponseCache = async (req, res) => {
+  try {
+    const { subject, mode } = req.query;
+    if (mode !== undefined && !LEARNING_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Invalid mode. Expected one of: ${LEARNING_MODES.join(', ')}` });
+    }
+
+    const removed = await getStore().invalidate({ subject: subject || null, mode: mode || null });
+    console.log(`♻️ Response cache invalidated (${subject || 'all subjects'}, ${mode || 'all modes'}): ${removed} entries`);
+    res.json({ removed });
+  } catch (e) {
+    console.error('🚨 Invalidate response cache error:', e);
+    res.status(500).json({ error: 'Failed to invalidate response cache' });
+  }
+};
+
+// One-line summary for the startup log
+const describeResponseCache = () => (config.enabled ? `✅ ${getStore().name} store` : '⚠️ Disabled');
+
+module.exports = {
+  DEFAULT_TTLS,
+  loadCacheConfig,
+  getCacheConfig,
+  setCacheConfig,
+  getStore,
+  setStore,
+  createDefaultStore,
+  createMemoryStore,
+  createPostgresStore,
+  normalizeMessage,
+  cacheKey,
+  cachedTutorReply,
+  invalidateResponseCache,
+  describeResponseCache
+};
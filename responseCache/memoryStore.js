@@ -0,0 +1,64 @@
+// responseCache/memoryStore.js - Cached replies in a Map, least recently used dropped first
+const createMemoryStore = ({ maxEntries = 1000 } = {}) => {
+  const entries = new Map();
+
+  const matches = (entry, { subject, mode }) =>
+    (!subject || entry.subject.toLowerCase() === subject.toLowerCase()) && (!mode || entry.mode === mode);
+
+  return {
+    name: 'memory',
+
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      // Re-insert so Map order tracks recency
+      entries.delete(key);
+      entries.set(key, { ...entry, hits: entry.hits + 1 });
+      return {
+        response: entry.response,
+        metadata: entry.metadata,
+        storedAt: new Date(entry.storedAt),
+        expiresAt: new Date(entry.expiresAt),
+        hits: entry.hits + 1
+      };
+    },
+
+    set: async (key, { response, metadata, subject, mode, skillLevel }, ttlMs) => {
+      const now = Date.now();
+      entries.delete(key);
+      entries.set(key, { response, metadata, subject, mode, skillLevel, hits: 0, storedAt: now, expiresAt: now + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    invalidate: async (filter = {}) => {
+      let removed = 0;
+      for (const [key, entry] of entries) {
+        if (matches(entry, filter)) {
+          entries.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    prune: async () => {
+      const now = Date.now();
+      let removed = 0;
+      for (const [key, entry] of entries) {
+        if (entry.expiresAt <= now) {
+          entries.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    }
+  };
+};
+
+module.exports = { createMemoryStore };
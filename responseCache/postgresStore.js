@@ -0,0 +1,46 @@
+// responseCache/postgresStore.js - Cached replies in the response_cache table, shared by every instance
+const createPostgresStore = ({ pool }) => ({
+  name: 'postgres',
+
+  get: async (key) => {
+    const result = await pool.query(`
+      UPDATE response_cache
+      SET hits = hits + 1
+      WHERE cache_key = $1 AND expires_at > CURRENT_TIMESTAMP
+      RETURNING response, metadata, created_at, expires_at, hits
+    `, [key]);
+    const row = result.rows[0];
+    return row
+      ? { response: row.response, metadata: row.metadata, storedAt: row.created_at, expiresAt: row.expires_at, hits: row.hits }
+      : null;
+  },
+
+  set: async (key, { response, metadata, subject, mode, skillLevel }, ttlMs) => {
+    await pool.query(`
+      INSERT INTO response_cache (cache_key, subject, mode, skill_level, response, metadata, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP + $7 * INTERVAL '1 millisecond')
+      ON CONFLICT (cache_key) DO UPDATE SET
+        response = EXCLUDED.response,
+        metadata = EXCLUDED.metadata,
+        hits = 0,
+        created_at = CURRENT_TIMESTAMP,
+        expires_at = EXCLUDED.expires_at
+    `, [key, subject, mode, skillLevel, response, JSON.stringify(metadata), ttlMs]);
+  },
+
+  invalidate: async ({ subject, mode } = {}) => {
+    const result = await pool.query(`
+      DELETE FROM response_cache
+      WHERE ($1::text IS NULL OR LOWER(subject) = LOWER($1))
+        AND ($2::text IS NULL OR mode = $2)
+    `, [subject || null, mode || null]);
+    return result.rowCount;
+  },
+
+  prune: async () => {
+    const result = await pool.query(`DELETE FROM response_cache WHERE expires_at <= CURRENT_TIMESTAMP`);
+    return result.rowCount;
+  }
+});
+
+module.exports = { createPostgresStore };
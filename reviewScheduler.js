@@ -0,0 +1,200 @@
+// reviewScheduler.js - Spaced-repetition review items (SM-2 scheduling)
+const { database, loadConversationMessages } = require('./auth');
+const { generateReviewItems } = require('./learningEngine');
+const { admitGuardedRequest } = require('./guardrails');
+
+const { repositories: repos } = database;
+
+// SM-2 constants
+const MIN_EASE_FACTOR = 1.3;
+const PASSING_GRADE = 3; // grades are 0 (blackout) to 5 (perfect recall)
+const DAY_MS = 24 * 3600 * 1000;
+
+const MAX_PROMPT_LENGTH = 500;
+const MAX_ANSWER_LENGTH = 1000;
+
+// Next SM-2 state for an item given a 0-5 grade
+const scheduleReview = (item, grade, now = new Date()) => {
+  let easeFactor = item.ease_factor;
+  let intervalDays = item.interval_days;
+  let repetitions = item.repetitions;
+  let lapses = item.lapses;
+
+  if (grade < PASSING_GRADE) {
+    // Forgotten - start the ladder again tomorrow
+    repetitions = 0;
+    intervalDays = 1;
+    lapses += 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) intervalDays = 1;
+    else if (repetitions === 2) intervalDays = 6;
+    else intervalDays = Math.round(intervalDays * easeFactor);
+  }
+
+  easeFactor = Math.max(
+    MIN_EASE_FACTOR,
+    easeFactor + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)
+  );
+
+  return {
+    easeFactor: Math.round(easeFactor * 100) / 100,
+    intervalDays,
+    repetitions,
+    lapses,
+    dueAt: new Date(now.getTime() + intervalDays * DAY_MS)
+  };
+};
+
+// Shape a review_items row for API responses
+const formatReviewItem = (row) => ({
+  id: row.id,
+  subject: row.subject,
+  prompt: row.prompt,
+  answer: row.answer,
+  conversationId: row.conversation_id,
+  source: row.source,
+  easeFactor: row.ease_factor,
+  intervalDays: row.interval_days,
+  repetitions: row.repetitions,
+  lapses: row.lapses,
+  dueAt: row.due_at,
+  lastGrade: row.last_grade,
+  lastReviewedAt: row.last_reviewed_at
+});
+
+// Store extracted items, skipping prompts the learner already has
+const saveReviewItems = async (userId, conversationId, subject, items, source) => {
+  const saved = [];
+  for (const item of items) {
+    const row = await repos.reviewItems.create({
+      userId,
+      conversationId,
+      subject,
+      prompt: item.prompt.slice(0, MAX_PROMPT_LENGTH),
+      answer: item.answer.slice(0, MAX_ANSWER_LENGTH),
+      source
+    });
+    if (row) saved.push(row);
+  }
+  return saved;
+};
+
+// Extract review items from messages and save them for the learner
+const extractReviewItems = async (userId, conversationId, subject, messages, source = 'auto') => {
+  const items = await generateReviewItems(messages, subject);
+  if (items.length === 0) return [];
+
+  return saveReviewItems(userId, conversationId, subject, items, source);
+};
+
+// Items due now for the learner (optionally one subject), oldest due first
+const getDueReviewItems = (userId, subject, limit = 5) => {
+  const filterBySubject = subject && subject.toLowerCase() !== 'general';
+  return repos.reviewItems.listDue(userId, filterBySubject ? subject : null, limit);
+};
+
+// GET /api/review/due?subject=&limit=
+const getDueReviews = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const items = await getDueReviewItems(req.user.id, req.query.subject, limit);
+    res.json({ items: items.map(formatReviewItem) });
+  } catch (e) {
+    console.error('🚨 Get due reviews error:', e);
+    res.status(500).json({ error: 'Failed to fetch review items' });
+  }
+};
+
+// POST /api/review/:itemId/grade { grade: 0-5 }
+const gradeReviewItem = async (req, res) => {
+  try {
+    const itemId = parseInt(req.params.itemId, 10);
+    if (Number.isNaN(itemId)) return res.status(400).json({ error: 'Invalid review item id' });
+
+    const grade = Number(req.body.grade);
+    if (!Number.isInteger(grade) || grade < 0 || grade > 5) {
+      return res.status(400).json({ error: 'Grade must be an integer from 0 to 5' });
+    }
+
+    const item = await repos.reviewItems.findById(itemId);
+    if (!item) {
+      return res.status(404).json({ error: 'Review item not found' });
+    }
+    if (item.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const next = scheduleReview(item, grade);
+    const updated = await database.transaction(tx => tx.reviewItems.applyGrade(itemId, req.user.id, grade, next));
+
+    res.json({ item: formatReviewItem(updated) });
+  } catch (e) {
+    console.error('🚨 Grade review item error:', e);
+    res.status(500).json({ error: 'Failed to grade review item' });
+  }
+};
+
+// POST /api/review/items { subject, prompt, answer } - learner-authored card
+const createReviewItem = async (req, res) => {
+  try {
+    const { subject, prompt, answer } = req.body;
+    if (!subject || !prompt || !answer) {
+      return res.status(400).json({ error: 'Subject, prompt and answer are required' });
+    }
+
+    const saved = await saveReviewItems(req.user.id, null, subject, [{ prompt, answer }], 'manual');
+    if (saved.length === 0) {
+      return res.status(409).json({ error: 'A review item with this prompt already exists' });
+    }
+    res.status(201).json({ item: formatReviewItem(saved[0]) });
+  } catch (e) {
+    console.error('🚨 Create review item error:', e);
+    res.status(500).json({ error: 'Failed to create review item' });
+  }
+};
+
+// POST /api/conversations/:id/review-items - extract items from a saved conversation (owner only)
+const extractConversationReviewItems = async (req, res) => {
+  try {
+    const conversationId = parseInt(req.params.id, 10);
+    if (Number.isNaN(conversationId)) return res.status(400).json({ error: 'Invalid conversation id' });
+
+    const convo = await repos.conversations.findById(conversationId);
+    if (!convo) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    if (convo.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    // Extraction calls a model, so the learner's mentor guardrails apply (and it counts as a message)
+    if (!(await admitGuardedRequest(req, res, convo.subject))) return;
+
+    const messages = await loadConversationMessages(conversationId);
+
+    const saved = await extractReviewItems(
+      req.user.id,
+      conversationId,
+      convo.subject,
+      messages,
+      'manual'
+    );
+
+    console.log(`🗂️ Extracted ${saved.length} review items from conversation ${conversationId}`);
+    res.status(201).json({ items: saved.map(formatReviewItem) });
+  } catch (e) {
+    console.error('🚨 Extract review items error:', e);
+    res.status(500).json({ error: 'Failed to extract review items' });
+  }
+};
+
+module.exports = {
+  scheduleReview,
+  extractReviewItems,
+  getDueReviewItems,
+  getDueReviews,
+  gradeReviewItem,
+  createReviewItem,
+  extractConversationReviewItems
+};
@@ -0,0 +1,200 @@
+// schemaMigrations.js - Numbered up/down SQL migrations (migrations/NNN_name.up.sql / .down.sql)
+//
+// Applied versions are recorded in schema_migrations with a checksum of the up file, so an
+// edited migration is caught instead of silently diverging. A Postgres advisory lock keeps
+// several instances starting at once from applying the same migration twice.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_RE = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Arbitrary constant shared by every instance of the app
+const MIGRATION_LOCK_ID = 724019;
+
+// 7 -> "007_name", matching the file names
+const labelOf = (migration) => `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+
+const checksumOf = (sql) => crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+
+// [{ version, name, up, down, checksum }] sorted by version; every migration needs both files
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  const byVersion = new Map();
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = FILE_RE.exec(file);
+    if (!match) continue;
+
+    const version = parseInt(match[1], 10);
+    const entry = byVersion.get(version) || { version, name: match[2] };
+    if (entry.name !== match[2]) {
+      throw new Error(`Migration ${version} has files with different names (${entry.name}, ${match[2]})`);
+    }
+    entry[match[3]] = fs.readFileSync(path.join(dir, file), 'utf8');
+    byVersion.set(version, entry);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  for (const migration of migrations) {
+    if (!migration.up || !migration.down) {
+      throw new Error(`Migration ${labelOf(migration)} is missing its ${migration.up ? 'down' : 'up'} file`);
+    }
+    migration.checksum = checksumOf(migration.up);
+  }
+  return migrations;
+};
+
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum VARCHAR(64) NOT NULL,
+      execution_ms INTEGER,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+// Session-level lock, so it must be taken and released on the same client
+const withMigrationLock = async (client, fn) => {
+  await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+  try {
+    return await fn();
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+  }
+};
+
+// Compare migration files with schema_migrations.
+// problems: edited migrations (checksum mismatch) and applied versions with no file
+const getMigrationStatus = async (client, migrations = loadMigrations()) => {
+  await ensureMigrationsTable(client);
+  const result = await client.query(`SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version`);
+  const applied = new Map(result.rows.map(row => [row.version, row]));
+  const known = new Set(migrations.map(m => m.version));
+  const problems = [];
+
+  const list = migrations.map(migration => {
+    const row = applied.get(migration.version);
+    if (row && row.checksum !== migration.checksum) {
+      problems.push(`Migration ${labelOf(migration)} was changed after it was applied (checksum mismatch)`);
+    }
+    return {
+      version: migration.version,
+      name: migration.name,
+      appliedAt: row ? row.applied_at : null,
+      checksumMismatch: Boolean(row && row.checksum !== migration.checksum)
+    };
+  });
+
+  for (const row of result.rows) {
+    if (!known.has(row.version)) {
+      problems.push(`Migration ${labelOf(row)} is applied but its files are missing`);
+    }
+  }
+
+  return {
+    migrations: list,
+    pending: list.filter(m => !m.appliedAt),
+    problems
+  };
+};
+
+const runInTransaction = async (client, fn) => {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  }
+};
+
+// Apply every pending migration in order, each in its own transaction; returns the applied versions
+const migrateUp = async (client, { migrations = loadMigrations(), log = console.log } = {}) => {
+  return withMigrationLock(client, async () => {
+    const status = await getMigrationStatus(client, migrations);
+    if (status.problems.length > 0) {
+      throw new Error(`Refusing to migrate:\n  ${status.problems.join('\n  ')}`);
+    }
+
+    const pending = new Set(status.pending.map(m => m.version));
+    const applied = [];
+
+    for (const migration of migrations.filter(m => pending.has(m.version))) {
+      const started = Date.now();
+      try {
+        await runInTransaction(client, async () => {
+          await client.query(migration.up);
+          await client.query(`
+            INSERT INTO schema_migrations (version, name, checksum, execution_ms)
+            VALUES ($1, $2, $3, $4)
+          `, [migration.version, migration.name, migration.checksum, Date.now() - started]);
+        });
+      } catch (error) {
+        error.message = `Migration ${labelOf(migration)} failed: ${error.message}`;
+        throw error;
+      }
+      log(`✅ Applied migration ${labelOf(migration)} (${Date.now() - started}ms)`);
+      applied.push(migration.version);
+    }
+
+    return applied;
+  });
+};
+
+// Roll back the most recent `steps` applied migrations; returns the reverted versions
+const migrateDown = async (client, { steps = 1, migrations = loadMigrations(), log = console.log } = {}) => {
+  return withMigrationLock(client, async () => {
+    const status = await getMigrationStatus(client, migrations);
+    if (status.problems.length > 0) {
+      throw new Error(`Refusing to roll back:\n  ${status.problems.join('\n  ')}`);
+    }
+
+    const appliedVersions = new Set(status.migrations.filter(m => m.appliedAt).map(m => m.version));
+    const targets = migrations.filter(m => appliedVersions.has(m.version)).reverse().slice(0, steps);
+    const reverted = [];
+
+    for (const migration of targets) {
+      try {
+        await runInTransaction(client, async () => {
+          await client.query(migration.down);
+          await client.query(`DELETE FROM schema_migrations WHERE version = $1`, [migration.version]);
+        });
+      } catch (error) {
+        error.message = `Rolling back migration ${labelOf(migration)} failed: ${error.message}`;
+        throw error;
+      }
+      log(`↩️ Reverted migration ${labelOf(migration)}`);
+      reverted.push(migration.version);
+    }
+
+    return reverted;
+  });
+};
+
+// Throws unless every migration is applied and unchanged
+const assertSchemaCurrent = async (client, migrations = loadMigrations()) => {
+  const status = await getMigrationStatus(client, migrations);
+  const problems = [...status.problems];
+  if (status.pending.length > 0) {
+    problems.push(`Database schema is behind: ${status.pending.map(labelOf).join(', ')} not applied (run npm run migrate)`);
+  }
+  if (problems.length > 0) {
+    throw new Error(problems.join('\n'));
+  }
+  return status;
+};
+
+module.exports = {
+  MIGRATIONS_DIR,
+  labelOf,
+  loadMigrations,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  assertSchemaCurrent
+};
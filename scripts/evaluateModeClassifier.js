@@ -0,0 +1,21 @@
+// scripts/evaluateModeClassifier.js - Measure learning mode classifier accuracy
+// Usage: npm run eval:modes [-- path/to/fixtures.json]
+const path = require('path');
+const { evaluateClassifier } = require('../modeClassifier');
+
+const fixturePath = process.argv[2] || path.join(__dirname, '..', 'fixtures', 'learningModes.json');
+const examples = require(path.resolve(fixturePath));
+
+const report = evaluateClassifier(examples);
+
+console.log(`📊 Mode classifier accuracy: ${report.correct}/${report.total} (${(report.accuracy * 100).toFixed(1)}%)`);
+Object.entries(report.perMode).forEach(([mode, stats]) => {
+  console.log(`   ${mode.padEnd(12)} precision ${stats.precision ?? '-'}  recall ${stats.recall ?? '-'}`);
+});
+
+if (report.misses.length > 0) {
+  console.log('\n❌ Misclassified:');
+  report.misses.forEach(miss => {
+    console.log(`   "${miss.message}" expected ${miss.expected}, got ${miss.predicted}`);
+  });
+}
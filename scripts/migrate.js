@@ -0,0 +1,55 @@
+// scripts/migrate.js - Apply, inspect or roll back database migrations, then exit
+// Usage: npm run migrate | npm run migrate:status | npm run migrate:down [-- <steps>]
+const { pool } = require('../auth');
+const { labelOf, getMigrationStatus, migrateUp, migrateDown } = require('../schemaMigrations');
+
+const printStatus = (status) => {
+  for (const migration of status.migrations) {
+    const state = migration.checksumMismatch
+      ? '⚠️ changed '
+      : migration.appliedAt ? '✅ applied ' : '⏳ pending ';
+    const appliedAt = migration.appliedAt ? `  ${new Date(migration.appliedAt).toISOString()}` : '';
+    console.log(`${state} ${labelOf(migration)}${appliedAt}`);
+  }
+  for (const problem of status.problems) console.log(`❌ ${problem}`);
+  console.log(`📋 ${status.migrations.length - status.pending.length} applied, ${status.pending.length} pending`);
+};
+
+const run = async (command, arg) => {
+  const client = await pool.connect();
+  try {
+    switch (command) {
+      case 'up': {
+        const applied = await migrateUp(client);
+        console.log(applied.length > 0 ? `🎉 Applied ${applied.length} migration(s)` : '🎉 Database schema is up to date');
+        return 0;
+      }
+      case 'down': {
+        const steps = arg === undefined ? 1 : parseInt(arg, 10);
+        if (!Number.isInteger(steps) || steps < 1) throw new Error(`Invalid number of steps: ${arg}`);
+        const reverted = await migrateDown(client, { steps });
+        console.log(reverted.length > 0 ? `↩️ Reverted ${reverted.length} migration(s)` : 'Nothing to roll back');
+        return 0;
+      }
+      case 'status': {
+        const status = await getMigrationStatus(client);
+        printStatus(status);
+        return status.pending.length > 0 || status.problems.length > 0 ? 1 : 0;
+      }
+      default:
+        throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+    }
+  } finally {
+    client.release();
+  }
+};
+
+run(process.argv[2] || 'up', process.argv[3])
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,15 @@
+// scripts/sendReports.js - Send any progress reports that are due, then exit
+// Usage: npm run reports:send (for cron; set REPORTS_SCHEDULER=false on the web server)
+const { database } = require('../auth');
+const { sendDueReports } = require('../reports');
+
+sendDueReports()
+  .then(({ sent, failed }) => {
+    console.log(`📬 Done: ${sent} sent, ${failed} failed`);
+    process.exitCode = failed > 0 ? 1 : 0;
+  })
+  .catch(error => {
+    console.error('❌ Could not send progress reports:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => database.close());
@@ -4,6 +4,7 @@ const cors = require('cors');
 const { 
   initializeDatabase, 
   authenticateToken, 
+  requireAdminKey,
   registerUser, 
   loginUser, 
   getUserProfile,
@@ -12,22 +13,137 @@ const {
   getConversation,
   updateConversation,
   logoutUser,
+  refreshSession,
+  logoutAllSessions,
+  getSessions,
+  revokeSession,
+  requestEmailVerification,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+  changePassword,
   getLinkedMentors,
   getLinkedLearners,
   createMentorInvitation,
+  createLearnerInvitation,
+  acceptMentorInvitation,
+  approveMentorInvitation,
+  getPendingInvitations,
+  revokeInvitation,
   unlinkMentor,
   getLearnerConversations,
-  pool
+  parseMessages,
+  findOwnedConversation,
+  getConversationMessages,
+  appendConversationMessages,
+  storeTutorExchange,
+  database
 } = require('./auth');
 const { 
   processLearningInteraction, 
+  streamLearningInteraction,
   checkAPIStatus,
-  detectLearningMode 
+  checkProviderHealth,
+  detectLearningMode,
+  LEARNING_MODES
 } = require('./learningEngine');
+const {
+  refreshSkillEstimate,
+  getEffectiveSkillLevel,
+  getMySkillLevels,
+  getLearnerSkillLevels,
+  pinLearnerSkillLevel
+} = require('./skillEstimator');
+const {
+  extractReviewItems,
+  getDueReviewItems,
+  getDueReviews,
+  gradeReviewItem,
+  createReviewItem,
+  extractConversationReviewItems
+} = require('./reviewScheduler');
+const {
+  formatQuiz,
+  createQuizRecord,
+  createQuiz,
+  getQuiz,
+  submitQuizAttempt,
+  getMyQuizScores,
+  getLearnerQuizScores
+} = require('./quizzes');
+const {
+  handleUpload,
+  describeAttachment,
+  resolveTurnAttachments,
+  toPromptAttachments,
+  linkAttachmentsToConversation,
+  uploadAttachments,
+  getAttachment,
+  getAttachmentContent
+} = require('./attachments');
+const {
+  searchKnowledgeBase,
+  listDocuments,
+  createDocument,
+  getDocument,
+  updateDocument,
+  deleteDocument,
+  searchDocuments
+} = require('./knowledgeBase');
+const { getLearnerAnalytics } = require('./analytics');
+const {
+  startReportScheduler,
+  getReportSettings,
+  updateReportSettings,
+  listSentReports,
+  previewReport
+} = require('./reports');
+const { searchConversations } = require('./conversationSearch');
+const {
+  getModerationConfig,
+  stricterLevel,
+  moderateInteraction,
+  dropModeratedTurns,
+  recordModerationEvents
+} = require('./moderation');
+const {
+  loadIntegrityPolicy,
+  enforceIntegrityPolicy,
+  getMyIntegrityPolicy,
+  getLearnerIntegrityPolicy,
+  updateLearnerIntegrityPolicy
+} = require('./integrityPolicy');
+const {
+  checkGuardrails,
+  recordGuardedMessage,
+  sendGuardrailBlock,
+  capSkillLevel,
+  getMyGuardrails,
+  getLearnerGuardrails,
+  updateLearnerGuardrails
+} = require('./guardrails');
+const {
+  trackLLMUsage,
+  setUsageConversation,
+  budgetMetadata,
+  getUsageConfig,
+  getMyUsage,
+  getLearnerUsage
+} = require('./llmUsage');
+const { getProviderStatus, getResilienceConfig } = require('./providers');
+const { rateLimit, protectLogin, describeRateLimits } = require('./rateLimit');
+const { cachedTutorReply, invalidateResponseCache, describeResponseCache } = require('./responseCache');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 
+// Behind a load balancer TRUST_PROXY (hop count, subnet list or "true") makes req.ip - and so
+// per-IP rate limits - come from X-Forwarded-For
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+}
+
 // Middleware
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
@@ -71,50 +187,79 @@ const corsOptions = {
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
 };
 
 app.use(cors(corsOptions));
 
-// Rate limiting middleware (basic implementation)
-const requestCounts = new Map();
-const RATE_LIMIT_WINDOW = 60000; // 1 minute
-const MAX_REQUESTS = 100; // max requests per minute
-
-const rateLimiter = (req, res, next) => {
-  const ip = req.ip || req.connection.remoteAddress;
-  const now = Date.now();
-  
-  if (!requestCounts.has(ip)) {
-    requestCounts.set(ip, { count: 1, resetTime: now + RATE_LIMIT_WINDOW });
-    return next();
-  }
-  
-  const ipData = requestCounts.get(ip);
-  
-  if (now > ipData.resetTime) {
-    ipData.count = 1;
-    ipData.resetTime = now + RATE_LIMIT_WINDOW;
-    return next();
+// Rate limiting (see rateLimit/index.js)
+app.use('/api/auth/register', rateLimit('auth'));
+app.use('/api/auth/login', rateLimit('auth'));
+app.use('/api/auth/refresh', rateLimit('auth'));
+app.use('/api/auth/password-reset', rateLimit('auth'));
+app.use('/api/auth/verify-email', rateLimit('auth'));
+
+// Health check endpoint - each provider's circuit breaker (state, recent error rate, last success);
+// ?deep=true also pings each LLM provider. "degraded" while any breaker isn't closed.
+app.get('/health', async (req, res) => {
+  const apiStatus = checkAPIStatus();
+  const breakers = getProviderStatus();
+  const providerHealth = req.query.deep === 'true' ? await checkProviderHealth() : {};
+  const providers = Object.fromEntries(
+    Object.entries(breakers).map(([name, breaker]) => [name, { ...breaker, ...providerHealth[name] }])
+  );
+  const degraded = Object.values(breakers).some(breaker => breaker.state !== 'closed');
+  res.json({ 
+    status: degraded ? 'degraded' : 'healthy',
+    apis: apiStatus,
+    providers,
+    timestamp: new Date().toISOString()
+  });
+});
+
+const READINESS_TIMEOUT_MS = 2000;
+
+// Round trip to Postgres through the shared pool, with the pool's current usage
+const checkDatabaseReadiness = async () => {
+  if (database.driver !== 'postgres') {
+    return { ok: true, driver: database.driver };
   }
-  
-  if (ipData.count >= MAX_REQUESTS) {
-    return res.status(429).json({ error: 'Too many requests. Please try again later.' });
+
+  const { pool } = database;
+  const started = Date.now();
+  let timer;
+  try {
+    await Promise.race([
+      pool.query('SELECT 1'),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No response within ${READINESS_TIMEOUT_MS}ms`)), READINESS_TIMEOUT_MS);
+      })
+    ]);
+    return {
+      ok: true,
+      driver: database.driver,
+      latencyMs: Date.now() - started,
+      pool: { total: pool.totalCount, idle: pool.idleCount, waiting: pool.waitingCount }
+    };
+  } catch (error) {
+    return { ok: false, driver: database.driver, error: error.message };
+  } finally {
+    clearTimeout(timer);
   }
-  
-  ipData.count++;
-  next();
 };
 
-// Apply rate limiting to auth endpoints
-app.use('/api/auth/register', rateLimiter);
-app.use('/api/auth/login', rateLimiter);
-
-// Health check endpoint
-app.get('/health', (req, res) => {
+// Readiness endpoint for load balancers - 503 until the database answers and at least one
+// LLM provider's circuit breaker lets calls through
+app.get('/ready', async (req, res) => {
   const apiStatus = checkAPIStatus();
-  res.json({ 
-    status: 'healthy',
-    apis: apiStatus,
+  const checks = {
+    database: await checkDatabaseReadiness(),
+    providers: { ok: apiStatus.available.length > 0, available: apiStatus.available }
+  };
+  const ready = Object.values(checks).every(check => check.ok);
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
+    checks,
     timestamp: new Date().toISOString()
   });
 });
@@ -126,18 +271,51 @@ app.get('/', (req, res) => {
     version: '2.1.0',
     endpoints: {
       health: '/health',
+      ready: '/ready',
       auth: {
         register: 'POST /api/auth/register',
         login: 'POST /api/auth/login',
+        refresh: 'POST /api/auth/refresh',
         profile: 'GET /api/auth/profile',
-        logout: 'POST /api/auth/logout'
+        logout: 'POST /api/auth/logout',
+        logoutAll: 'POST /api/auth/logout-all',
+        sessions: 'GET /api/auth/sessions',
+        revokeSession: 'DELETE /api/auth/sessions/:sessionId',
+        changePassword: 'POST /api/auth/change-password',
+        requestEmailVerification: 'POST /api/auth/verify-email/request',
+        verifyEmail: 'POST /api/auth/verify-email',
+        requestPasswordReset: 'POST /api/auth/password-reset/request',
+        resetPassword: 'POST /api/auth/password-reset'
       },
       tutor: 'POST /api/tutor',
+      tutorStream: 'POST /api/tutor/stream',
+      quizzes: {
+        create: 'POST /api/quizzes',
+        get: 'GET /api/quizzes/:id',
+        attempt: 'POST /api/quizzes/:id/attempts'
+      },
+      attachments: {
+        upload: 'POST /api/attachments',
+        get: 'GET /api/attachments/:id',
+        content: 'GET /api/attachments/:id/content'
+      },
+      knowledgeBase: {
+        list: 'GET /api/knowledge-base/documents',
+        create: 'POST /api/knowledge-base/documents',
+        search: 'GET /api/knowledge-base/search'
+      },
+      review: {
+        due: 'GET /api/review/due',
+        grade: 'POST /api/review/:itemId/grade'
+      },
       conversations: {
         list: 'GET /api/conversations',
+        search: 'GET /api/conversations/search',
         save: 'POST /api/conversations',
         get: 'GET /api/conversations/:id',
-        update: 'PUT /api/conversations/:id'
+        update: 'PUT /api/conversations/:id',
+        messages: 'GET /api/conversations/:id/messages',
+        appendMessages: 'POST /api/conversations/:id/messages'
       }
     }
   });
@@ -145,109 +323,367 @@ app.get('/', (req, res) => {
 
 // Authentication routes
 app.post('/api/auth/register', registerUser);
-app.post('/api/auth/login', loginUser);
+app.post('/api/auth/login', protectLogin, loginUser);
 app.get('/api/auth/profile', authenticateToken, getUserProfile);
+app.post('/api/auth/refresh', refreshSession);
 app.post('/api/auth/logout', authenticateToken, logoutUser);
+app.post('/api/auth/logout-all', authenticateToken, logoutAllSessions);
+app.get('/api/auth/sessions', authenticateToken, getSessions);
+app.delete('/api/auth/sessions/:sessionId', authenticateToken, revokeSession);
+app.post('/api/auth/change-password', authenticateToken, changePassword);
+app.post('/api/auth/verify-email/request', authenticateToken, requestEmailVerification);
+app.post('/api/auth/verify-email', verifyEmail);
+app.post('/api/auth/password-reset/request', requestPasswordReset);
+app.post('/api/auth/password-reset', resetPassword);
 
 // Conversation routes
 app.get('/api/conversations', authenticateToken, getUserConversations);
+app.get('/api/conversations/search', authenticateToken, searchConversations); // before /:id
 app.post('/api/conversations', authenticateToken, saveConversation);
 app.get('/api/conversations/:id', authenticateToken, getConversation);
 app.put('/api/conversations/:id', authenticateToken, updateConversation);
+app.get('/api/conversations/:id/messages', authenticateToken, getConversationMessages);
+app.post('/api/conversations/:id/messages', authenticateToken, appendConversationMessages);
+app.post('/api/conversations/:id/review-items', authenticateToken, rateLimit('tutor'), trackLLMUsage, extractConversationReviewItems);
+
+// Spaced-repetition review routes
+app.get('/api/review/due', authenticateToken, getDueReviews);
+app.post('/api/review/items', authenticateToken, createReviewItem);
+app.post('/api/review/:itemId/grade', authenticateToken, gradeReviewItem);
+
+// Attachment routes (homework photos and documents; multipart "files" field)
+app.post('/api/attachments', authenticateToken, handleUpload, uploadAttachments);
+app.get('/api/attachments/:id', authenticateToken, getAttachment);
+app.get('/api/attachments/:id/content', authenticateToken, getAttachmentContent);
+
+// Knowledge base routes (mentor curriculum the tutor retrieves from)
+app.get('/api/knowledge-base/documents', authenticateToken, listDocuments);
+app.post('/api/knowledge-base/documents', authenticateToken, handleUpload, createDocument);
+app.get('/api/knowledge-base/documents/:id', authenticateToken, getDocument);
+app.put('/api/knowledge-base/documents/:id', authenticateToken, handleUpload, updateDocument);
+app.delete('/api/knowledge-base/documents/:id', authenticateToken, deleteDocument);
+app.get('/api/knowledge-base/search', authenticateToken, searchDocuments);
+
+// Quiz routes
+app.post('/api/quizzes', authenticateToken, rateLimit('tutor'), trackLLMUsage, createQuiz);
+app.get('/api/quizzes/:id', authenticateToken, getQuiz);
+app.post('/api/quizzes/:id/attempts', authenticateToken, submitQuizAttempt);
+app.get('/api/quiz-scores', authenticateToken, getMyQuizScores);
+app.get('/api/learners/:learnerId/quiz-scores', authenticateToken, getLearnerQuizScores);
 
 // Mentor-Learner Linking routes
 app.get('/api/mentors/linked', authenticateToken, getLinkedMentors);
 app.get('/api/learners/linked', authenticateToken, getLinkedLearners);
 app.post('/api/mentors/invite', authenticateToken, createMentorInvitation);
+app.post('/api/learners/invite', authenticateToken, createLearnerInvitation);
+app.get('/api/mentors/invitations', authenticateToken, getPendingInvitations);
+app.delete('/api/mentors/invitations/:invitationId', authenticateToken, revokeInvitation);
+app.post('/api/mentors/invitations/:code/accept', authenticateToken, acceptMentorInvitation);
+app.post('/api/mentors/invitations/:code/approve', authenticateToken, approveMentorInvitation);
 app.delete('/api/mentors/unlink/:mentorId', authenticateToken, unlinkMentor);
 app.get('/api/learners/:learnerId/conversations', authenticateToken, getLearnerConversations);
+app.get('/api/learners/:learnerId/analytics', authenticateToken, getLearnerAnalytics);
+app.get('/api/learners/:learnerId/report-preview', authenticateToken, rateLimit('tutor'), trackLLMUsage, previewReport);
+
+// Progress report routes (mentor opt-in and history)
+app.get('/api/reports', authenticateToken, listSentReports);
+app.get('/api/reports/settings', authenticateToken, getReportSettings);
+app.put('/api/reports/settings', authenticateToken, updateReportSettings);
+
+// Skill level routes (estimates per subject; mentors can pin)
+app.get('/api/skill-levels', authenticateToken, getMySkillLevels);
+app.get('/api/learners/:learnerId/skill-levels', authenticateToken, getLearnerSkillLevels);
+app.put('/api/learners/:learnerId/skill-levels/:subject', authenticateToken, pinLearnerSkillLevel);
+
+// Academic integrity policy routes (linked mentors set them; learners can read their own)
+app.get('/api/integrity-policy', authenticateToken, getMyIntegrityPolicy);
+app.get('/api/learners/:learnerId/integrity-policy', authenticateToken, getLearnerIntegrityPolicy);
+app.put('/api/learners/:learnerId/integrity-policy', authenticateToken, updateLearnerIntegrityPolicy);
+
+// LLM usage routes (tokens and estimated cost per month; mentors see linked learners)
+app.get('/api/usage', authenticateToken, getMyUsage);
+app.get('/api/learners/:learnerId/usage', authenticateToken, getLearnerUsage);
+
+// Guardrail routes (allowed subjects, message caps, quiet hours, max skill level)
+app.get('/api/guardrails', authenticateToken, getMyGuardrails);
+app.get('/api/learners/:learnerId/guardrails', authenticateToken, getLearnerGuardrails);
+app.put('/api/learners/:learnerId/guardrails', authenticateToken, updateLearnerGuardrails);
+
+// Admin routes (X-Admin-Key header, see ADMIN_API_KEY)
+app.delete('/api/admin/response-cache', requireAdminKey, invalidateResponseCache);
+
+// Resolve the optional conversationId from a tutor request (owner only)
+const loadTutorConversation = async (conversationId, userId) => {
+  if (conversationId === undefined || conversationId === null) {
+    return { conversation: null };
+  }
+
+  const id = parseInt(conversationId, 10);
+  if (Number.isNaN(id)) {
+    return { status: 400, error: 'Invalid conversation id' };
+  }
+
+  return findOwnedConversation(id, userId);
+};
+
+// Use the client's skillLevel when given, otherwise the learner's level for this subject
+const resolveSkillLevel = async (requestedLevel, user, subject) => {
+  if (requestedLevel) {
+    return { level: requestedLevel, source: 'request' };
+  }
+  try {
+    return await getEffectiveSkillLevel(user.id, subject, user.skillLevel);
+  } catch (error) {
+    console.error('⚠️ Could not load skill estimate:', error.message);
+    return { level: 'intermediate', source: 'default' };
+  }
+};
+
+// Count the message toward the learner's caps - blocked when a parallel request took the last
+// one since the check; a failed write shouldn't cost them the answer
+const countTutorMessage = async (userId, check) => {
+  try {
+    return await recordGuardedMessage(userId, check);
+  } catch (error) {
+    console.error('⚠️ Could not record tutor message usage:', error.message);
+    return { blocked: false };
+  }
+};
+
+// The learner's integrity policy; a lookup failure shouldn't block the turn
+const resolveIntegrityPolicy = async (userId) => {
+  try {
+    return await loadIntegrityPolicy(userId);
+  } catch (error) {
+    console.error('⚠️ Could not load integrity policy:', error.message);
+    return null;
+  }
+};
+
+// Save a tutor turn - appends to an existing conversation or starts a new one
+const saveTutorTurn = async ({ userId, conversation, subject, skillLevel, message, attachments = [], learningResult }) => {
+  const moderation = learningResult.metadata.moderation;
+  const messages = [
+    {
+      role: 'user',
+      content: message,
+      timestamp: new Date().toISOString(),
+      ...(attachments.length > 0 ? { attachments: attachments.map(describeAttachment) } : {}),
+      ...(moderation && moderation.stage === 'input' ? { metadata: { moderated: true } } : {})
+    },
+    {
+      role: 'assistant',
+      content: learningResult.response,
+      timestamp: new Date().toISOString(),
+      metadata: learningResult.metadata
+    }
+  ];
+
+  // New turns are appended as rows, so concurrent turns never overwrite each other
+  const savedId = await storeTutorExchange(userId, {
+    conversationId: conversation ? conversation.id : null,
+    subject,
+    title: `${subject} - ${new Date().toLocaleDateString()}`,
+    detectedLevel: skillLevel,
+    modelUsed: learningResult.metadata.model,
+    learningMode: learningResult.metadata.mode,
+    messages
+  });
+  if (savedId === null) {
+    throw new Error(`Conversation ${conversation.id} is no longer available`);
+  }
+
+  console.log(`💾 Conversation ${conversation ? 'updated' : 'saved'} with ID: ${savedId}`);
+  setUsageConversation(savedId);
+
+  await linkAttachmentsToConversation(userId, savedId, attachments);
+
+  // Re-estimate the learner's level in the background
+  refreshSkillEstimate(userId, subject).catch(error => {
+    console.error('⚠️ Could not refresh skill estimate:', error.message);
+  });
+
+  // Explanations become review items for later sessions
+  if (learningResult.metadata.mode === 'explanation' &&
+      learningResult.metadata.model !== 'fallback' &&
+      !moderation &&
+      process.env.REVIEW_AUTO_EXTRACT !== 'false') {
+    extractReviewItems(userId, savedId, subject, messages, 'auto').catch(error => {
+      console.error('⚠️ Could not extract review items:', error.message);
+    });
+  }
+
+  return savedId;
+};
+
+// Store a turn's moderation flags (and alert mentors) without holding up the response
+const recordTurnModeration = (userId, conversationId, skillLevel, flags) => {
+  if (flags.length === 0) return;
+  recordModerationEvents({ userId, conversationId, skillLevel, flags }).catch(error => {
+    console.error('⚠️ Could not record moderation events:', error.message);
+  });
+};
+
+// Structured quiz for challenge/practice turns when the client sends quiz: true
+// (multipart requests send it as the string 'true')
+const QUIZ_MODES = ['challenge', 'practice'];
+const createTurnQuiz = async (wantsQuiz, { userId, conversationId, subject, skillLevel, message, history, learningResult }) => {
+  if ((wantsQuiz !== true && wantsQuiz !== 'true') || !QUIZ_MODES.includes(learningResult.metadata.mode) ||
+      learningResult.metadata.moderation) {
+    return null;
+  }
+
+  try {
+    const row = await createQuizRecord({
+      userId,
+      conversationId,
+      subject,
+      skillLevel,
+      topic: message.slice(0, 255),
+      history: [
+        ...history,
+        { role: 'user', content: message },
+        { role: 'assistant', content: learningResult.response }
+      ]
+    });
+    return formatQuiz(row);
+  } catch (error) {
+    console.error('⚠️ Could not generate quiz:', error.message);
+    return null;
+  }
+};
 
 // FIXED: Main tutoring endpoint with proper conversation saving
-app.post('/api/tutor', authenticateToken, async (req, res) => {
+// Pass conversationId to continue an existing session instead of starting a new one,
+// mode to override learning mode detection, and quiz: true for a structured quiz in challenge/practice.
+// Homework goes in attachmentIds (from POST /api/attachments) or as multipart "files" on this request.
+// cache: false skips the response cache (see responseCache/index.js); metadata.cache reports hits.
+// Mentor guardrails answer 403/429 with { error, code, retryAfter?, guardrail } (see guardrails.js).
+app.post('/api/tutor', authenticateToken, rateLimit('tutor'), handleUpload, trackLLMUsage, async (req, res) => {
   try {
-    const { message, subject = 'General', skillLevel = 'intermediate' } = req.body;
+    const { message, subject: requestedSubject, skillLevel: requestedSkillLevel, conversationId, mode, quiz, cache } = req.body;
     const userId = req.user.id;
 
     if (!message) {
       return res.status(400).json({ error: 'Message is required' });
     }
+    if (mode !== undefined && !LEARNING_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Invalid mode. Expected one of: ${LEARNING_MODES.join(', ')}` });
+    }
+
+    // Load the existing conversation so the tutor remembers prior turns
+    const lookup = await loadTutorConversation(conversationId, userId);
+    if (lookup.error) {
+      return res.status(lookup.status).json({ error: lookup.error });
+    }
+    const conversation = lookup.conversation;
+    setUsageConversation(conversation && conversation.id);
+    const subject = requestedSubject || (conversation && conversation.subject) || 'General';
+
+    // Mentor guardrails are checked before anything is stored or sent to a model
+    const guard = await checkGuardrails(userId, subject);
+    if (guard.blocked) {
+      return sendGuardrailBlock(res, guard);
+    }
+
+    const turnAttachments = await resolveTurnAttachments(req);
+    if (turnAttachments.error) {
+      return res.status(turnAttachments.status).json({ error: turnAttachments.error });
+    }
+    const attachments = turnAttachments.attachments;
+
+    const history = conversation ? dropModeratedTurns(parseMessages(conversation.messages)) : [];
+    const skill = capSkillLevel(await resolveSkillLevel(requestedSkillLevel, req.user, subject), guard.guardrails);
+    const skillLevel = skill.level;
+    const moderationLevel = stricterLevel(skillLevel, req.user.skillLevel);
+    const integrityPolicy = await resolveIntegrityPolicy(userId);
 
     console.log(`🎓 Learning request from user ${userId}: "${message.substring(0, 50)}..."`);
 
     // Check API availability
     const apiStatus = checkAPIStatus();
-    console.log(`🔧 Debug - OpenAI available: ${apiStatus.openai}, Claude available: ${apiStatus.claude}`);
+    console.log(`🔧 Debug - Available providers: ${apiStatus.providers.join(', ') || 'none'}`);
 
     if (!apiStatus.ready) {
-      console.error('❌ No AI APIs configured');
+      console.error('❌ No AI provider available');
       return res.status(503).json({ 
         error: 'AI service temporarily unavailable. Please check API configuration.' 
       });
     }
 
-    // Process through learning engine
-    console.log(`🔧 Passing to learning engine - OpenAI: ${apiStatus.openai}, Claude: ${apiStatus.claude}`);
-    
-    const learningResult = await processLearningInteraction(
-      message, 
-      subject, 
-      skillLevel,
-      apiStatus.openai,
-      apiStatus.claude
-    );
+    const counted = await countTutorMessage(userId, guard);
+    if (counted.blocked) {
+      return sendGuardrailBlock(res, counted);
+    }
 
-    // Create conversation messages array
-    const messages = [
-      {
-        role: 'user',
-        content: message,
-        timestamp: new Date().toISOString()
-      },
-      {
-        role: 'assistant',
-        content: learningResult.response,
-        timestamp: new Date().toISOString(),
-        metadata: learningResult.metadata
-      }
-    ];
+    // Process through learning engine - moderation checks the message first and the reply after,
+    // and the mentor's integrity policy gets a say over the reply before moderation sees it.
+    // First-turn questions can be answered from the response cache instead of the model.
+    const promptAttachments = await toPromptAttachments(attachments);
+    const loadSources = () => searchKnowledgeBase({ learnerId: userId, subject, query: message });
+    const { result: learningResult, flags } = await moderateInteraction(
+      { message, attachments: promptAttachments, subject, skillLevel: moderationLevel },
+      () => cachedTutorReply(
+        {
+          message,
+          subject,
+          skillLevel,
+          mode,
+          history,
+          attachments: promptAttachments,
+          integrityPolicy,
+          safetyLevel: moderationLevel,
+          optOut: cache === false || cache === 'false',
+          loadSources
+        },
+        (prepared) => enforceIntegrityPolicy(
+          { policy: integrityPolicy, message },
+          (retry) => processLearningInteraction(
+            message, 
+            subject, 
+            skillLevel,
+            {
+              history,
+              mode,
+              attachments: promptAttachments,
+              loadReviewItems: () => getDueReviewItems(userId, subject, 5),
+              loadSources,
+              integrityPolicy,
+              ...prepared,
+              ...retry
+            }
+          )
+        )
+      )
+    );
+    learningResult.metadata.skillLevelSource = skill.source;
+    const budget = budgetMetadata();
+    if (budget) learningResult.metadata.budget = budget;
 
     // FIXED: Actually save the conversation to database
     try {
-      const client = await pool.connect();
-      
-      const saveResult = await client.query(`
-        INSERT INTO conversations (
-          user_id, subject, title, messages, detected_level, model_used, learning_mode
-        )
-        VALUES ($1, $2, $3, $4, $5, $6, $7)
-        RETURNING id, created_at
-      `, [
-        userId,
-        subject,
-        `${subject} - ${new Date().toLocaleDateString()}`,
-        JSON.stringify(messages),
-        skillLevel,
-        learningResult.metadata.model,
-        learningResult.metadata.mode
-      ]);
-      
-      client.release();
-      
-      console.log(`💾 Conversation saved with ID: ${saveResult.rows[0].id}`);
+      const savedId = await saveTutorTurn({ userId, conversation, subject, skillLevel, message, attachments, learningResult });
+      recordTurnModeration(userId, savedId, moderationLevel, flags);
+      const turnQuiz = await createTurnQuiz(quiz, {
+        userId, conversationId: savedId, subject, skillLevel, message, history, learningResult
+      });
       
       // Send response with conversation ID
       res.json({
         response: learningResult.response,
-        metadata: learningResult.metadata,
-        conversationId: saveResult.rows[0].id
+        metadata: turnQuiz ? { ...learningResult.metadata, quizId: turnQuiz.id } : learningResult.metadata,
+        conversationId: savedId,
+        quiz: turnQuiz || undefined
       });
       
     } catch (saveError) {
       console.error('⚠️ Could not save conversation:', saveError.message);
+      recordTurnModeration(userId, conversation ? conversation.id : null, moderationLevel, flags);
       // Don't fail the request, still return the response
       res.json({
         response: learningResult.response,
         metadata: learningResult.metadata,
+        conversationId: conversation ? conversation.id : undefined,
         warning: 'Conversation was not saved'
       });
     }
@@ -261,6 +697,235 @@ app.post('/api/tutor', authenticateToken, async (req, res) => {
   }
 });
 
+// Streaming tutoring endpoint (Server-Sent Events)
+// Events: metadata -> delta* -> moderation? -> quiz? -> done, or error. Same request body as /api/tutor.
+// A flagged message skips the model (metadata, then the safe reply as one delta). Reply deltas are
+// released a sentence window at a time after moderation has checked them, so flagged text is never
+// sent; a flagged reply is followed by a moderation event whose replaceWith text should replace
+// what was streamed.
+// Under an integrity policy the reply isn't streamed: it is generated in one piece, regenerated or
+// redacted if it gives the answer away, then sent as metadata and one delta (done's metadata.integrity
+// records the decision). A reply from the response cache comes as metadata (with cache.hit) and one delta.
+app.post('/api/tutor/stream', authenticateToken, rateLimit('tutor'), handleUpload, trackLLMUsage, async (req, res) => {
+  const { message, subject: requestedSubject, skillLevel: requestedSkillLevel, conversationId, mode, quiz, cache } = req.body;
+  const userId = req.user.id;
+
+  if (!message) {
+    return res.status(400).json({ error: 'Message is required' });
+  }
+  if (mode !== undefined && !LEARNING_MODES.includes(mode)) {
+    return res.status(400).json({ error: `Invalid mode. Expected one of: ${LEARNING_MODES.join(', ')}` });
+  }
+
+  let conversation;
+  let attachments;
+  let promptAttachments;
+  let subject;
+  let skill;
+  let guard;
+  let integrityPolicy;
+  try {
+    const lookup = await loadTutorConversation(conversationId, userId);
+    if (lookup.error) {
+      return res.status(lookup.status).json({ error: lookup.error });
+    }
+    conversation = lookup.conversation;
+    setUsageConversation(conversation && conversation.id);
+    subject = requestedSubject || (conversation && conversation.subject) || 'General';
+
+    // Blocked requests get a plain JSON error - the event stream hasn't started yet
+    guard = await checkGuardrails(userId, subject);
+    if (guard.blocked) {
+      return sendGuardrailBlock(res, guard);
+    }
+
+    const turnAttachments = await resolveTurnAttachments(req);
+    if (turnAttachments.error) {
+      return res.status(turnAttachments.status).json({ error: turnAttachments.error });
+    }
+    attachments = turnAttachments.attachments;
+    promptAttachments = await toPromptAttachments(attachments);
+
+    skill = capSkillLevel(await resolveSkillLevel(requestedSkillLevel, req.user, subject), guard.guardrails);
+    integrityPolicy = await resolveIntegrityPolicy(userId);
+  } catch (error) {
+    console.error('🚨 Tutor stream lookup error:', error);
+    return res.status(500).json({ error: 'An error occurred while processing your request' });
+  }
+
+  const apiStatus = checkAPIStatus();
+  if (!apiStatus.ready) {
+    console.error('❌ No AI provider available');
+    return res.status(503).json({ 
+      error: 'AI service temporarily unavailable. Please check API configuration.' 
+    });
+  }
+
+  const counted = await countTutorMessage(userId, guard);
+  if (counted.blocked) {
+    return sendGuardrailBlock(res, counted);
+  }
+
+  const skillLevel = skill.level;
+  const moderationLevel = stricterLevel(skillLevel, req.user.skillLevel);
+  const history = conversation ? dropModeratedTurns(parseMessages(conversation.messages)) : [];
+  const loadSources = () => searchKnowledgeBase({ learnerId: userId, subject, query: message });
+
+  console.log(`🎓 Streaming request from user ${userId}: "${message.substring(0, 50)}..."`);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const sendEvent = (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  // Abort the upstream model request if the client goes away mid-stream
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      console.log(`🔌 Client disconnected from stream (user ${userId})`);
+      controller.abort();
+    }
+  });
+
+  try {
+    const { result: learningResult, flags } = await moderateInteraction(
+      {
+        message,
+        attachments: promptAttachments,
+        subject,
+        skillLevel: moderationLevel,
+        // Reply text is held back until moderation has checked it
+        onDelta: (text) => sendEvent('delta', { text }),
+        onReplace: (text, moderation) => {
+          if (moderation.stage === 'input') {
+            sendEvent('metadata', {
+              mode: null,
+              model: 'moderation',
+              subject,
+              skillLevel,
+              skillLevelSource: skill.source,
+              moderation,
+              conversationId: conversation ? conversation.id : undefined
+            });
+            sendEvent('delta', { text });
+          } else {
+            sendEvent('moderation', { ...moderation, replaceWith: text });
+          }
+        }
+      },
+      (emit) => cachedTutorReply(
+        {
+          message,
+          subject,
+          skillLevel,
+          mode,
+          history,
+          attachments: promptAttachments,
+          integrityPolicy,
+          safetyLevel: moderationLevel,
+          optOut: cache === false || cache === 'false',
+          loadSources,
+          // A cached reply arrives as one delta
+          onHit: (cached) => {
+            sendEvent('metadata', {
+              mode: cached.metadata.mode,
+              model: cached.metadata.model,
+              subject,
+              skillLevel,
+              modeClassification: cached.metadata.modeClassification,
+              cache: cached.metadata.cache,
+              skillLevelSource: skill.source,
+              conversationId: conversation ? conversation.id : undefined
+            });
+            emit(cached.response);
+          }
+        },
+        async (prepared) => {
+          const options = {
+            history,
+            mode,
+            attachments: promptAttachments,
+            loadReviewItems: () => getDueReviewItems(userId, subject, 5),
+            loadSources,
+            integrityPolicy,
+            ...prepared
+          };
+          const sendMetadata = (metadata) => sendEvent('metadata', {
+            ...metadata,
+            skillLevelSource: skill.source,
+            conversationId: conversation ? conversation.id : undefined
+          });
+
+          if (!integrityPolicy) {
+            return streamLearningInteraction(message, subject, skillLevel, {
+              ...options,
+              signal: controller.signal,
+              onMetadata: sendMetadata,
+              onDelta: emit
+            });
+          }
+
+          // Under an integrity policy each draft is generated in one piece and checked (regenerated
+          // or redacted) before any of it is sent
+          const checked = await enforceIntegrityPolicy(
+            { policy: integrityPolicy, message },
+            (retry) => processLearningInteraction(message, subject, skillLevel, { ...options, ...retry })
+          );
+          const { mode: replyMode, model, modeClassification } = checked.metadata;
+          sendMetadata({ mode: replyMode, model, subject, skillLevel, modeClassification });
+          emit(checked.response);
+          return checked;
+        }
+      )
+    );
+
+    learningResult.metadata.skillLevelSource = skill.source;
+    const budget = budgetMetadata();
+    if (budget) learningResult.metadata.budget = budget;
+
+    let savedId;
+    let warning;
+    try {
+      savedId = await saveTutorTurn({ userId, conversation, subject, skillLevel, message, attachments, learningResult });
+    } catch (saveError) {
+      console.error('⚠️ Could not save streamed conversation:', saveError.message);
+      savedId = conversation ? conversation.id : undefined;
+      warning = 'Conversation was not saved';
+    }
+    recordTurnModeration(userId, savedId || null, moderationLevel, flags);
+
+    const turnQuiz = await createTurnQuiz(quiz, {
+      userId, conversationId: savedId, subject, skillLevel, message, history, learningResult
+    });
+    if (turnQuiz) {
+      sendEvent('quiz', turnQuiz);
+    }
+
+    sendEvent('done', {
+      metadata: turnQuiz ? { ...learningResult.metadata, quizId: turnQuiz.id } : learningResult.metadata,
+      conversationId: savedId,
+      warning
+    });
+    res.end();
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log('🛑 Stream aborted by client, nothing saved');
+      return;
+    }
+    console.error('🚨 Tutor stream error:', error);
+    sendEvent('error', { error: 'An error occurred while processing your request' });
+    res.end();
+  }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('🚨 Unhandled error:', err);
@@ -276,26 +941,38 @@ app.use((req, res) => {
 });
 
 // Initialize database and start server
+let server = null;
 const startServer = async () => {
   try {
     await initializeDatabase();
     
-    app.listen(PORT, () => {
+    server = app.listen(PORT, () => {
       console.log(`🌟 Lilibet Enhanced Learning Engine running on port ${PORT}`);
       console.log(`🎯 Environment: ${process.env.NODE_ENV || 'development'}`);
       
       const apiStatus = checkAPIStatus();
       console.log(`🔑 OpenAI API Key: ${process.env.OPENAI_API_KEY ? '✅ Set' : '❌ Not set'}`);
-      console.log(`🤖 Claude API Key: ${process.env.CLAUDE_API_KEY ? '✅ Set' : '❌ Not set'}`);
+      console.log(`🤖 Claude API Key: ${process.env.CLAUDE_API_KEY || process.env.ANTHROPIC_API_KEY ? '✅ Set' : '❌ Not set'}`);
+      console.log(`🖥️ Local LLM: ${process.env.LOCAL_LLM_BASE_URL ? `✅ ${process.env.LOCAL_LLM_BASE_URL}` : '❌ Not set'}`);
+      console.log(`🧩 LLM Providers: ${apiStatus.providers.join(', ') || 'none'}`);
       console.log(`🔐 JWT Secret: ${process.env.JWT_SECRET ? '✅ Set' : '⚠️ Using dev default'}`);
       console.log(`🔒 Authentication: ✅ Enabled with rate limiting`);
-      console.log(`💾 Database: ✅ PostgreSQL initialized`);
+      console.log(`💾 Database: ✅ ${database.driver === 'postgres' ? 'PostgreSQL' : 'SQLite'} initialized`);
       console.log(`🧠 Smart Learning Engine: ${apiStatus.ready ? '✅ Active' : '⚠️ Limited'}`);
       console.log(`🎯 Learning Mode Detection: ✅ Active`);
+      const moderation = getModerationConfig();
+      console.log(`🛡️ Content Moderation: ${moderation.enabled ? `✅ Rules${moderation.provider ? ` + ${moderation.provider}` : ''}` : '⚠️ Disabled'}`);
       console.log(`🔀 Intelligent Model Routing: ${apiStatus.ready ? '✅ Active' : '⚠️ Limited'}`);
+      const resilience = getResilienceConfig();
+      console.log(`🔁 Provider Resilience: ✅ ${resilience.timeoutMs / 1000}s timeout, ${resilience.maxRetries} retries, circuit breakers`);
       console.log(`📊 Learning Analytics: ✅ Active`);
+      const usageConfig = getUsageConfig();
+      console.log(`💸 LLM Budget: ${usageConfig.budgetUsd ? `✅ $${usageConfig.budgetUsd}/user/month (${usageConfig.action})` : '⚠️ Unlimited'}`);
       console.log(`🌐 CORS: ${process.env.NODE_ENV === 'production' ? '🔒 Strict mode' : '🔓 Dev mode'}`);
-      console.log(`⚡ Rate Limiting: ✅ Active (${MAX_REQUESTS} req/min)`);
+      console.log(`⚡ Rate Limiting: ${describeRateLimits()}`);
+      console.log(`♻️ Response Cache: ${describeResponseCache()}`);
+
+      startReportScheduler();
     });
   } catch (error) {
     console.error('❌ Failed to start server:', error);
@@ -305,15 +982,20 @@ const startServer = async () => {
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
+  if (!server) return;
   console.log('🛑 SIGTERM signal received: closing HTTP server');
-  app.close(() => {
+  server.close(() => {
     console.log('🛑 HTTP server closed');
-    pool.end(() => {
-      console.log('💾 Database pool closed');
+    database.close().then(() => {
+      console.log('💾 Database connections closed');
       process.exit(0);
     });
   });
 });
 
-// Start the server
-startServer();
\ No newline at end of file
+// Start the server when run directly (tests require the app and listen themselves)
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = { app, startServer };
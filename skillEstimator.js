@@ -0,0 +1,210 @@
+// skillEstimator.js - Adaptive per-subject skill level estimation
+// Estimates come from the learner's own messages (vocabulary, question complexity)
+// plus practice results; a linked mentor can pin a level that overrides the estimate.
+const { database } = require('./auth');
+
+const { repositories: repos } = database;
+
+const SKILL_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+// How much history feeds an estimate
+const MAX_MESSAGES = 60;
+// Messages needed before an estimate is trusted over the profile level
+const MIN_MESSAGES_FOR_ESTIMATE = 5;
+const FULL_CONFIDENCE_MESSAGES = 30;
+
+const COMPLEXITY_MARKERS = /\b(because|although|therefore|however|whereas|which|whether|unless|consequently|assuming|suppose|implies|relationship|compared|derive|prove|hypothes\w*|theor\w*|function|variable|coefficient|integral|derivative|probability|equation|analy\w*)\b/g;
+const SYMBOLS = /[=^√∫∑≤≥≠πθ%]|\b\d+\.\d+\b|\b\d+\/\d+\b/g;
+
+const normalizeSubject = (subject) => String(subject || 'general').trim().toLowerCase().slice(0, 100);
+
+const isValidSkillLevel = (level) => SKILL_LEVELS.includes(level);
+
+// Linear map of value in [low, high] onto [0, 3]
+const scale = (value, low, high) => {
+  if (value <= low) return 0;
+  if (value >= high) return 3;
+  return ((value - low) / (high - low)) * 3;
+};
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Estimate a level from learner-authored text and practice results
+// practice: { correct, total } - quiz and exercise results for the subject
+const estimateSkillLevel = (texts, practice = { correct: 0, total: 0 }) => {
+  const messages = texts.filter(t => typeof t === 'string' && t.trim());
+  const words = messages.join(' ').toLowerCase().match(/[a-zÀ-ɏ']+/g) || [];
+
+  if (messages.length === 0 || words.length === 0) {
+    return { level: null, confidence: 0, signals: { messages: 0 } };
+  }
+
+  const uniqueWords = new Set(words);
+  const avgWordLength = words.reduce((sum, w) => sum + w.length, 0) / words.length;
+  const longWordRatio = words.filter(w => w.length >= 8).length / words.length;
+  const typeTokenRatio = uniqueWords.size / Math.sqrt(words.length * 2);
+  const sentences = messages.join(' ').split(/[.!?]+/).filter(s => s.trim());
+  const avgSentenceWords = words.length / Math.max(sentences.length, 1);
+  const complexityPerMessage = messages.reduce((sum, t) => sum + (t.toLowerCase().match(COMPLEXITY_MARKERS) || []).length, 0) / messages.length;
+  const symbolsPerMessage = messages.reduce((sum, t) => sum + (t.match(SYMBOLS) || []).length, 0) / messages.length;
+
+  // Vocabulary and question complexity, each on a 0-3 scale
+  const vocabularyScore = (scale(avgWordLength, 3.8, 6.2) + scale(longWordRatio, 0.04, 0.25) + scale(typeTokenRatio, 0.5, 1.1)) / 3;
+  const complexityScore = (scale(avgSentenceWords, 5, 22) + scale(complexityPerMessage, 0, 2) + scale(symbolsPerMessage, 0, 2)) / 3;
+  let score = vocabularyScore * 0.5 + complexityScore * 0.5;
+
+  // Practice results nudge the estimate once there are enough of them
+  let practiceAccuracy = null;
+  if (practice.total > 0) {
+    practiceAccuracy = practice.correct / practice.total;
+    const practiceWeight = Math.min(practice.total / 10, 1);
+    if (practiceAccuracy >= 0.85) score += 0.6 * practiceWeight;
+    else if (practiceAccuracy < 0.5) score -= 0.6 * practiceWeight;
+  }
+
+  const levelIndex = Math.min(Math.max(Math.round(score), 0), SKILL_LEVELS.length - 1);
+  const confidence = Math.min(messages.length / FULL_CONFIDENCE_MESSAGES, 1);
+
+  return {
+    level: SKILL_LEVELS[levelIndex],
+    confidence: round(confidence),
+    signals: {
+      messages: messages.length,
+      score: round(score),
+      vocabularyScore: round(vocabularyScore),
+      complexityScore: round(complexityScore),
+      avgWordLength: round(avgWordLength),
+      longWordRatio: round(longWordRatio),
+      avgSentenceWords: round(avgSentenceWords),
+      practiceAccuracy: practiceAccuracy === null ? null : round(practiceAccuracy),
+      practiceTotal: practice.total
+    }
+  };
+};
+
+// Recompute and store the estimate for one learner and subject
+const refreshSkillEstimate = async (userId, subject) => {
+  const subjectKey = normalizeSubject(subject);
+
+  // Most recent learner messages for the subject, oldest first
+  const texts = (await repos.skillLevels.recentLearnerMessages(userId, subjectKey, MAX_MESSAGES)).reverse();
+
+  const existing = await repos.skillLevels.find(userId, subjectKey);
+  const practice = existing
+    ? { correct: existing.practice_correct, total: existing.practice_total }
+    : { correct: 0, total: 0 };
+
+  const estimate = estimateSkillLevel(texts, practice);
+  await repos.skillLevels.saveEstimate(userId, subjectKey, estimate);
+
+  return estimate;
+};
+
+// Add practice results (e.g. graded quiz answers) to a learner's subject record
+const recordPracticeResult = (userId, subject, correct, total) =>
+  repos.skillLevels.addPractice(userId, normalizeSubject(subject), correct, total);
+
+// Level the tutor should use: mentor pin > confident estimate > profile level > intermediate
+const getEffectiveSkillLevel = async (userId, subject, profileLevel) => {
+  const row = await repos.skillLevels.find(userId, normalizeSubject(subject));
+
+  if (row && row.pinned_level) {
+    return { level: row.pinned_level, source: 'pinned' };
+  }
+  if (row && row.estimated_level && (row.signals?.messages || 0) >= MIN_MESSAGES_FOR_ESTIMATE) {
+    return { level: row.estimated_level, source: 'estimated', confidence: row.confidence };
+  }
+  if (isValidSkillLevel(profileLevel)) {
+    return { level: profileLevel, source: 'profile' };
+  }
+  return { level: 'intermediate', source: 'default' };
+};
+
+// Shape a learner_skill_levels row for API responses
+const formatSkillLevel = (row) => ({
+  subject: row.subject,
+  estimatedLevel: row.estimated_level,
+  confidence: row.confidence,
+  pinnedLevel: row.pinned_level,
+  pinnedBy: row.pinned_by,
+  pinnedAt: row.pinned_at,
+  effectiveLevel: row.pinned_level || row.estimated_level,
+  practice: { correct: row.practice_correct, total: row.practice_total },
+  signals: row.signals,
+  updatedAt: row.updated_at
+});
+
+// Learner's own estimates
+const getMySkillLevels = async (req, res) => {
+  try {
+    const rows = await repos.skillLevels.listByUser(req.user.id);
+    res.json({ skillLevels: rows.map(formatSkillLevel) });
+  } catch (e) {
+    console.error('🚨 Get skill levels error:', e);
+    res.status(500).json({ error: 'Failed to fetch skill levels' });
+  }
+};
+
+// Estimates for a linked learner (mentors only)
+const getLearnerSkillLevels = async (req, res) => {
+  try {
+    if (req.user.userType !== 'mentor') {
+      return res.status(403).json({ error: 'Only mentors can view learner skill levels' });
+    }
+
+    const learnerId = parseInt(req.params.learnerId, 10);
+    if (Number.isNaN(learnerId)) return res.status(400).json({ error: 'Invalid learner id' });
+
+    if (!(await repos.links.isActive(req.user.id, learnerId))) {
+      return res.status(403).json({ error: 'No access to this learner' });
+    }
+
+    const rows = await repos.skillLevels.listByUser(learnerId);
+    res.json({ learnerId, skillLevels: rows.map(formatSkillLevel) });
+  } catch (e) {
+    console.error('🚨 Get learner skill levels error:', e);
+    res.status(500).json({ error: 'Failed to fetch learner skill levels' });
+  }
+};
+
+// Pin (or unpin with level: null) a linked learner's level for a subject
+const pinLearnerSkillLevel = async (req, res) => {
+  try {
+    if (req.user.userType !== 'mentor') {
+      return res.status(403).json({ error: 'Only mentors can set learner skill levels' });
+    }
+
+    const learnerId = parseInt(req.params.learnerId, 10);
+    if (Number.isNaN(learnerId)) return res.status(400).json({ error: 'Invalid learner id' });
+
+    const { level } = req.body;
+    if (level !== null && !isValidSkillLevel(level)) {
+      return res.status(400).json({ error: `Level must be null or one of: ${SKILL_LEVELS.join(', ')}` });
+    }
+
+    const subjectKey = normalizeSubject(req.params.subject);
+
+    if (!(await repos.links.isActive(req.user.id, learnerId))) {
+      return res.status(403).json({ error: 'No access to this learner' });
+    }
+
+    const row = await repos.skillLevels.pin(learnerId, subjectKey, level, req.user.id);
+
+    console.log(`📌 Mentor ${req.user.id} ${level ? `pinned ${subjectKey} to ${level}` : `unpinned ${subjectKey}`} for learner ${learnerId}`);
+    res.json({ skillLevel: formatSkillLevel(row) });
+  } catch (e) {
+    console.error('🚨 Pin skill level error:', e);
+    res.status(500).json({ error: 'Failed to update skill level' });
+  }
+};
+
+module.exports = {
+  SKILL_LEVELS,
+  estimateSkillLevel,
+  refreshSkillEstimate,
+  recordPracticeResult,
+  getEffectiveSkillLevel,
+  getMySkillLevels,
+  getLearnerSkillLevels,
+  pinLearnerSkillLevel
+};
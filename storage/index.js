@@ -0,0 +1,37 @@
+// storage/index.js - Upload storage registry
+//
+// A storage backend is an object with:
+//   name    - backend key ('local', ...)
+//   save    - async (key, buffer, { contentType }) => { key, size }
+//   read    - async (key) => Buffer
+//   remove  - async (key) => void (missing files are ignored)
+const { createLocalDiskStorage } = require('./localDiskStorage');
+
+let storage = null;
+
+// Pick the backend from UPLOAD_STORAGE (only 'local' ships today)
+const createDefaultStorage = (env = process.env) => {
+  const backend = env.UPLOAD_STORAGE || 'local';
+  if (backend !== 'local') {
+    throw new Error(`Unknown UPLOAD_STORAGE backend: ${backend}`);
+  }
+  return createLocalDiskStorage({ directory: env.UPLOAD_DIR || 'uploads' });
+};
+
+const getStorage = () => {
+  if (!storage) storage = createDefaultStorage();
+  return storage;
+};
+
+// Swap the backend (e.g. an object-store implementation)
+const setStorage = (backend) => {
+  storage = backend;
+  return storage;
+};
+
+module.exports = {
+  getStorage,
+  setStorage,
+  createDefaultStorage,
+  createLocalDiskStorage
+};
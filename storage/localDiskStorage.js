@@ -0,0 +1,43 @@
+// storage/localDiskStorage.js - Stores uploads as files under a local directory
+const fs = require('fs/promises');
+const path = require('path');
+
+const createLocalDiskStorage = ({ directory }) => {
+  const root = path.resolve(directory);
+
+  // Keys are generated server-side, but never let one escape the upload directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const save = async (key, buffer) => {
+    const filePath = resolveKey(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer, { flag: 'wx' });
+    return { key, size: buffer.length };
+  };
+
+  const read = async (key) => fs.readFile(resolveKey(key));
+
+  const remove = async (key) => {
+    try {
+      await fs.unlink(resolveKey(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  };
+
+  return {
+    name: 'local',
+    root,
+    save,
+    read,
+    remove
+  };
+};
+
+module.exports = { createLocalDiskStorage };
@@ -0,0 +1,119 @@
+// test/accountRecovery.test.js - Email verification, password reset and change password
+const { startTestServer } = require('./helpers/testServer');
+
+let t;
+
+beforeAll(async () => {
+  t = await startTestServer({ REQUIRE_VERIFIED_EMAIL_FOR_LINKING: 'true' });
+});
+
+afterAll(async () => {
+  await t.close();
+});
+
+// Account emails are sent in the background - wait for the next one to a given address
+const nextMail = async (to, subject) => {
+  for (let i = 0; i < 40; i++) {
+    const mail = t.sentMail.filter(m => m.to === to && subject.test(m.subject)).pop();
+    if (mail) {
+      t.sentMail.splice(t.sentMail.indexOf(mail), 1);
+      return mail;
+    }
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  throw new Error(`No mail to ${to}`);
+};
+const tokenFrom = (mail) => decodeURIComponent(mail.text.match(/token=([^\s]+)/)[1]);
+
+const login = (email, password) => t.request('POST', '/api/auth/login', { body: { emailOrUsername: email, password } });
+const profile = (token) => t.request('GET', '/api/auth/profile', { token });
+
+describe('email verification', () => {
+  test('registration sends a single-use link that verifies the account', async () => {
+    const user = await t.registerUser();
+    expect(user.user.emailVerified).toBe(false);
+
+    const token = tokenFrom(await nextMail(user.user.email, /Confirm/));
+    expect((await t.request('POST', '/api/auth/verify-email', { body: { token } })).status).toBe(200);
+    expect((await profile(user.token)).body.user.email_verified).toBe(true);
+
+    expect((await t.request('POST', '/api/auth/verify-email', { body: { token } })).status).toBe(400);
+  });
+
+  test('a new link replaces the old one', async () => {
+    const user = await t.registerUser();
+    const first = tokenFrom(await nextMail(user.user.email, /Confirm/));
+
+    await t.request('POST', '/api/auth/verify-email/request', { token: user.token, body: {} });
+    const second = tokenFrom(await nextMail(user.user.email, /Confirm/));
+
+    expect((await t.request('POST', '/api/auth/verify-email', { body: { token: first } })).status).toBe(400);
+    expect((await t.request('POST', '/api/auth/verify-email', { body: { token: second } })).status).toBe(200);
+  });
+
+  test('unverified accounts cannot link when verification is required', async () => {
+    const learner = await t.registerUser();
+    const invite = await t.request('POST', '/api/mentors/invite', { token: learner.token, body: {} });
+    expect(invite.status).toBe(403);
+    expect(invite.body.code).toBe('EMAIL_NOT_VERIFIED');
+
+    await t.request('POST', '/api/auth/verify-email', { body: { token: tokenFrom(await nextMail(learner.user.email, /Confirm/)) } });
+    expect((await t.request('POST', '/api/mentors/invite', { token: learner.token, body: {} })).status).toBe(201);
+  });
+});
+
+describe('password reset', () => {
+  test('resets the password once and signs out every session', async () => {
+    const user = await t.registerUser();
+    await t.request('POST', '/api/auth/password-reset/request', { body: { email: user.user.email } });
+    const token = tokenFrom(await nextMail(user.user.email, /Reset/));
+
+    const reset = await t.request('POST', '/api/auth/password-reset', { body: { token, newPassword: 'newsecret1' } });
+    expect(reset.status).toBe(200);
+    expect((await profile(user.token)).status).toBe(401);
+    expect((await login(user.user.email, 'secret123')).status).toBe(401);
+    expect((await login(user.user.email, 'newsecret1')).status).toBe(200);
+
+    expect((await t.request('POST', '/api/auth/password-reset', { body: { token, newPassword: 'another1' } })).status).toBe(400);
+  });
+
+  test('answers the same for unknown addresses and sends nothing', async () => {
+    const before = t.sentMail.length;
+    const response = await t.request('POST', '/api/auth/password-reset/request', { body: { email: 'nobody@example.com' } });
+    expect(response.status).toBe(200);
+    expect(response.body.message).toMatch(/If an account exists/);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(t.sentMail.length).toBe(before);
+  });
+
+  test('tokens are stored hashed', async () => {
+    const user = await t.registerUser();
+    await t.request('POST', '/api/auth/password-reset/request', { body: { email: user.user.email } });
+    const token = tokenFrom(await nextMail(user.user.email, /Reset/));
+    expect(await t.database.repositories.users.consumeAccountToken(token, 'password_reset')).toBeFalsy();
+  });
+});
+
+describe('change password', () => {
+  test('needs the current password and keeps only this session', async () => {
+    const user = await t.registerUser();
+    const other = await login(user.user.email, 'secret123');
+
+    const change = (body) => t.request('POST', '/api/auth/change-password', { token: user.token, body });
+    expect((await change({ currentPassword: 'wrong', newPassword: 'changed1' })).status).toBe(401);
+    expect((await change({ currentPassword: 'secret123', newPassword: 'short' })).status).toBe(400);
+    expect((await change({ currentPassword: 'secret123', newPassword: 'changed1' })).status).toBe(200);
+
+    expect((await profile(user.token)).status).toBe(200);
+    expect((await profile(other.body.token)).status).toBe(401);
+  });
+
+  test('invalidates outstanding reset links', async () => {
+    const user = await t.registerUser();
+    await t.request('POST', '/api/auth/password-reset/request', { body: { email: user.user.email } });
+    const token = tokenFrom(await nextMail(user.user.email, /Reset/));
+
+    await t.request('POST', '/api/auth/change-password', { token: user.token, body: { currentPassword: 'secret123', newPassword: 'changed1' } });
+    expect((await t.request('POST', '/api/auth/password-reset', { body: { token, newPassword: 'hijacked1' } })).status).toBe(400);
+  });
+});
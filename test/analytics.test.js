@@ -0,0 +1,93 @@
+// test/analytics.test.js - Mentor dashboard aggregates for linked learners
+const { startTestServer } = require('./helpers/testServer');
+
+let t;
+let parseDateRange;
+let learner;
+let mentor;
+
+const today = new Date().toISOString().slice(0, 10);
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 3600 * 1000).toISOString().slice(0, 10);
+
+beforeAll(async () => {
+  t = await startTestServer();
+  ({ parseDateRange } = require('../analytics'));
+  learner = await t.registerUser({ userType: 'learner' });
+  mentor = await t.registerUser({ userType: 'mentor' });
+  await t.linkMentor(mentor, learner);
+
+  const sessions = [
+    { subject: 'Math', learning_mode: 'practice', model_used: 'claude', detected_level: 'beginner' },
+    { subject: 'math', learning_mode: 'practice', model_used: 'openai', detected_level: 'intermediate' },
+    { subject: 'History', learning_mode: 'explanation', model_used: 'fallback', detected_level: 'intermediate' }
+  ];
+  for (const session of sessions) {
+    await t.request('POST', '/api/conversations', {
+      token: learner.token,
+      body: { ...session, messages: [{ role: 'user', content: 'hi' }, { role: 'assistant', content: 'hello' }] }
+    });
+  }
+});
+
+afterAll(async () => {
+  await t.close();
+});
+
+const analytics = (query = '', user = mentor, learnerId = learner.user.id) => t.request('GET', `/api/learners/${learnerId}/analytics${query}`, { token: user.token });
+
+describe('date range', () => {
+  test('defaults to the last 30 days', () => {
+    expect(parseDateRange({})).toEqual({ from: daysAgo(29), to: today, days: 30 });
+  });
+
+  test('rejects bad, reversed and overlong ranges', () => {
+    expect(parseDateRange({ from: '2026-13-45' }).error).toBeDefined();
+    expect(parseDateRange({ from: '2026-02-01', to: '2026-01-01' }).error).toMatch(/must not be after/);
+    expect(parseDateRange({ from: '2024-01-01', to: '2026-01-01' }).error).toMatch(/limited/);
+  });
+});
+
+describe('aggregates', () => {
+  test('summarise sessions, subjects, modes and models', async () => {
+    const result = await analytics(`?from=${daysAgo(6)}&to=${today}`);
+    expect(result.status).toBe(200);
+    expect(result.body.summary).toEqual({
+      sessions: 3,
+      activeDays: 1,
+      timeOnTaskMinutes: 6,
+      avgSessionMinutes: 2,
+      fallbackSessions: 1,
+      fallbackRate: 0.333
+    });
+    expect(result.body.subjects).toEqual([
+      { subject: 'math', sessions: 2, minutes: 4 },
+      { subject: 'history', sessions: 1, minutes: 2 }
+    ]);
+    expect(result.body.modes).toEqual([{ mode: 'practice', sessions: 2 }, { mode: 'explanation', sessions: 1 }]);
+    expect(result.body.models).toEqual(expect.arrayContaining([{ model: 'fallback', sessions: 1 }, { model: 'claude', sessions: 1 }]));
+  });
+
+  test('have one row per day and a skill trend for active days', async () => {
+    const result = await analytics(`?from=${daysAgo(6)}&to=${today}`);
+    expect(result.body.sessionsPerDay).toHaveLength(7);
+    expect(result.body.sessionsPerDay[6]).toEqual({ date: today, sessions: 3, minutes: 6 });
+    expect(result.body.sessionsPerDay[0].sessions).toBe(0);
+    expect(result.body.skillTrend).toEqual([{ date: today, levelScore: 1.67, level: 'intermediate' }]);
+  });
+
+  test('are empty outside the range', async () => {
+    const result = await analytics(`?from=${daysAgo(40)}&to=${daysAgo(35)}`);
+    expect(result.body.summary.sessions).toBe(0);
+    expect(result.body.subjects).toEqual([]);
+    expect(result.body.skillTrend).toEqual([]);
+  });
+});
+
+test('need a mentor with an active link', async () => {
+  expect((await analytics('', learner)).status).toBe(403);
+
+  const stranger = await t.registerUser({ userType: 'mentor' });
+  expect((await analytics('', stranger)).status).toBe(403);
+  expect((await analytics('?to=yesterday')).status).toBe(400);
+  expect((await analytics('', mentor, 'abc')).status).toBe(400);
+});
@@ -0,0 +1,154 @@
+// test/attachments.test.js - Homework uploads, text extraction, vision and mentor access
+const { startTestServer } = require('./helpers/testServer');
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452000000010000000108060000001f15c4890000000d4944415478da63f8cfc0f01f0005000201a5f4a5e60000000049454e44ae426082', 'hex');
+
+// Smallest PDF with one line of text
+const makePdf = (text) => {
+  const content = `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`;
+  return Buffer.from(pdf, 'latin1');
+};
+
+let t;
+let provider;
+let learner;
+let mentor;
+
+beforeAll(async () => {
+  t = await startTestServer();
+  provider = t.scriptResponses(['Nice worksheet! Which step feels hardest?']);
+  learner = await t.registerUser({ userType: 'learner' });
+  mentor = await t.registerUser({ userType: 'mentor' });
+  await t.linkMentor(mentor, learner);
+});
+
+afterAll(async () => {
+  await t.close();
+});
+
+// Multipart POST; files are [{ name, type, data }]
+const upload = async (path, files, { token = learner.token, fields = {} } = {}) => {
+  const form = new FormData();
+  for (const [key, value] of Object.entries(fields)) form.append(key, value);
+  for (const file of files) form.append('files', new Blob([file.data], { type: file.type }), file.name);
+
+  const response = await fetch(t.baseUrl + path, { method: 'POST', headers: { Authorization: `Bearer ${token}` }, body: form });
+  return { status: response.status, body: await response.json() };
+};
+
+const lastCall = () => provider.calls[provider.calls.length - 1];
+const lastUserMessage = () => lastCall().messages[lastCall().messages.length - 1];
+
+describe('uploads', () => {
+  test('store text files and their extracted text', async () => {
+    const uploaded = await upload('/api/attachments', [{ name: 'worksheet.txt', type: 'text/plain', data: 'Q1. Solve 2x + 3 = 7' }]);
+    expect(uploaded.status).toBe(201);
+    expect(uploaded.body.attachments[0]).toEqual(expect.objectContaining({ name: 'worksheet.txt', kind: 'document', hasText: true }));
+
+    const fetched = await t.request('GET', `/api/attachments/${uploaded.body.attachments[0].id}`, { token: learner.token });
+    expect(fetched.body.attachment.text).toBe('Q1. Solve 2x + 3 = 7');
+  });
+
+  test('read the text out of PDFs', async () => {
+    const uploaded = await upload('/api/attachments', [{ name: 'worksheet.pdf', type: 'application/pdf', data: makePdf('Find the area of a circle') }]);
+    expect(uploaded.status).toBe(201);
+
+    const fetched = await t.request('GET', `/api/attachments/${uploaded.body.attachments[0].id}`, { token: learner.token });
+    expect(fetched.body.attachment.text).toContain('Find the area of a circle');
+  });
+
+  test('reject unsupported types and files that lie about their type', async () => {
+    expect((await upload('/api/attachments', [{ name: 'run.exe', type: 'application/x-msdownload', data: 'MZ' }])).status).toBe(400);
+    expect((await upload('/api/attachments', [{ name: 'photo.png', type: 'image/png', data: 'not really a png' }])).status).toBe(400);
+    expect((await upload('/api/attachments', [])).status).toBe(400);
+  });
+
+  test('reject more than four files at once', async () => {
+    const files = Array.from({ length: 5 }, (_, i) => ({ name: `page${i}.txt`, type: 'text/plain', data: `page ${i}` }));
+    expect((await upload('/api/attachments', files)).status).toBe(400);
+  });
+});
+
+describe('tutor turns', () => {
+  test('pass documents as text and photos as images', async () => {
+    const document = await upload('/api/attachments', [{ name: 'notes.txt', type: 'text/plain', data: 'Area = pi * r^2' }]);
+    const documentId = document.body.attachments[0].id;
+
+    const turn = await upload('/api/tutor', [{ name: 'homework.png', type: 'image/png', data: PNG }], {
+      fields: { message: 'Help me with this worksheet', subject: 'Math', mode: 'practice', cache: 'false', attachmentIds: String(documentId) }
+    });
+    expect(turn.status).toBe(200);
+    expect(turn.body.metadata.attachmentIds).toHaveLength(2);
+    expect(turn.body.metadata.attachmentIds[0]).toBe(documentId);
+
+    const sent = lastUserMessage();
+    expect(sent.content).toContain('--- Attached document: notes.txt ---\nArea = pi * r^2');
+    expect(sent.images).toEqual([{ mimeType: 'image/png', data: PNG.toString('base64') }]);
+
+    // The stored message references both attachments
+    const conversation = await t.request('GET', `/api/conversations/${turn.body.conversationId}`, { token: learner.token });
+    const [question] = JSON.parse(conversation.body.conversation.messages);
+    expect(question.attachments.map(a => a.name)).toEqual(['notes.txt', 'homework.png']);
+  });
+
+  test('describe photos in words when the provider has no vision', async () => {
+    const blind = t.scriptResponses(['Can you type out the question?']);
+    blind.vision = false;
+
+    const turn = await upload('/api/tutor', [{ name: 'homework.png', type: 'image/png', data: PNG }], {
+      fields: { message: 'What is this?', subject: 'Math', mode: 'practice', cache: 'false' }
+    });
+    expect(turn.status).toBe(200);
+    const sent = blind.calls[blind.calls.length - 1].messages.slice(-1)[0];
+    expect(sent.images).toBeUndefined();
+    expect(sent.content).toMatch(/attached an image \(homework.png\) that can't be viewed/);
+
+    provider = t.scriptResponses(['Nice worksheet! Which step feels hardest?']);
+  });
+
+  test('only use attachments the learner owns', async () => {
+    const other = await t.registerUser({ userType: 'learner' });
+    const theirs = await upload('/api/attachments', [{ name: 'theirs.txt', type: 'text/plain', data: 'private' }], { token: other.token });
+
+    const turn = await t.request('POST', '/api/tutor', {
+      token: learner.token,
+      body: { message: 'Look at this', attachmentIds: [theirs.body.attachments[0].id], cache: false }
+    });
+    expect(turn.status).toBe(404);
+  });
+});
+
+describe('access', () => {
+  test('linked mentors can open a learner attachment, others cannot', async () => {
+    const uploaded = await upload('/api/attachments', [{ name: 'photo.png', type: 'image/png', data: PNG }]);
+    const id = uploaded.body.attachments[0].id;
+
+    const content = await fetch(`${t.baseUrl}/api/attachments/${id}/content`, { headers: { Authorization: `Bearer ${mentor.token}` } });
+    expect(content.status).toBe(200);
+    expect(content.headers.get('content-type')).toBe('image/png');
+    expect(Buffer.from(await content.arrayBuffer()).equals(PNG)).toBe(true);
+
+    const stranger = await t.registerUser({ userType: 'mentor' });
+    expect((await t.request('GET', `/api/attachments/${id}`, { token: stranger.token })).status).toBe(403);
+    const otherLearner = await t.registerUser({ userType: 'learner' });
+    expect((await t.request('GET', `/api/attachments/${id}`, { token: otherLearner.token })).status).toBe(403);
+    expect((await t.request('GET', '/api/attachments/999999', { token: learner.token })).status).toBe(404);
+  });
+});
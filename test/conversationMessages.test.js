@@ -0,0 +1,117 @@
+// test/conversationMessages.test.js - Per-turn message storage, paging and append-only updates
+const { startTestServer } = require('./helpers/testServer');
+
+let t;
+let learner;
+let mentor;
+
+beforeAll(async () => {
+  t = await startTestServer();
+  t.scriptResponses(['What do you think happens next?']);
+  learner = await t.registerUser();
+  mentor = await t.registerUser({ userType: 'mentor' });
+  await t.linkMentor(mentor, learner);
+});
+
+afterAll(async () => {
+  await t.close();
+});
+
+const turns = (count) => Array.from({ length: count }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: `turn ${i}` }));
+const create = async (messages) => (await t.request('POST', '/api/conversations', { token: learner.token, body: { subject: 'Math', messages } })).body.id;
+const page = async (id, query = '', user = learner) => t.request('GET', `/api/conversations/${id}/messages${query}`, { token: user.token });
+
+describe('storage', () => {
+  test('legacy { text, sender } messages are stored as roles', async () => {
+    const id = await create([{ text: 'Hi there', sender: 'user' }, { text: 'Hello!', sender: 'ai' }]);
+    const { body } = await page(id);
+    expect(body.messages.map(m => [m.role, m.content])).toEqual([['user', 'Hi there'], ['assistant', 'Hello!']]);
+  });
+
+  test('getConversation keeps returning messages as a JSON string', async () => {
+    const id = await create(turns(2));
+    const { body } = await t.request('GET', `/api/conversations/${id}`, { token: learner.token });
+    expect(typeof body.conversation.messages).toBe('string');
+    expect(JSON.parse(body.conversation.messages)).toEqual([
+      expect.objectContaining({ role: 'user', content: 'turn 0' }),
+      expect.objectContaining({ role: 'assistant', content: 'turn 1' })
+    ]);
+  });
+
+  test('tutor turns record the model and token counts', async () => {
+    const turn = await t.request('POST', '/api/tutor', { token: learner.token, body: { message: 'What is 2 + 2?', subject: 'Math', mode: 'practice', cache: false } });
+    const { body } = await page(turn.body.conversationId);
+    const reply = body.messages[1];
+    expect(reply).toEqual(expect.objectContaining({ role: 'assistant', model: 'scripted-1' }));
+    expect(reply.promptTokens).toBeGreaterThan(0);
+    expect(reply.completionTokens).toBeGreaterThan(0);
+  });
+});
+
+describe('paging', () => {
+  test('returns the newest page oldest-first and pages back with before', async () => {
+    const id = await create(turns(5));
+    const newest = await page(id, '?limit=2');
+    expect(newest.body.messages.map(m => m.content)).toEqual(['turn 3', 'turn 4']);
+    expect(newest.body.hasMore).toBe(true);
+
+    const older = await page(id, `?limit=2&before=${newest.body.messages[0].id}`);
+    expect(older.body.messages.map(m => m.content)).toEqual(['turn 1', 'turn 2']);
+
+    const oldest = await page(id, `?limit=2&before=${older.body.messages[0].id}`);
+    expect(oldest.body).toEqual({ messages: [expect.objectContaining({ content: 'turn 0' })], hasMore: false });
+  });
+
+  test('fetches newer turns with after', async () => {
+    const id = await create(turns(3));
+    const { body } = await page(id, '?limit=1');
+    await t.request('POST', `/api/conversations/${id}/messages`, { token: learner.token, body: { messages: turns(2) } });
+
+    const newer = await page(id, `?after=${body.messages[0].id}`);
+    expect(newer.body.messages.map(m => m.content)).toEqual(['turn 0', 'turn 1']);
+  });
+
+  test('rejects conflicting or invalid cursors', async () => {
+    const id = await create(turns(1));
+    expect((await page(id, '?before=1&after=1')).status).toBe(400);
+    expect((await page(id, '?before=abc')).status).toBe(400);
+  });
+
+  test('follows the conversation access rules', async () => {
+    const id = await create(turns(1));
+    expect((await page(id, '', mentor)).status).toBe(200);
+    const stranger = await t.registerUser();
+    expect((await page(id, '', stranger)).status).toBe(403);
+    expect((await page(999999)).status).toBe(404);
+  });
+});
+
+describe('appending', () => {
+  test('adds turns without rewriting history, owner only', async () => {
+    const id = await create(turns(1));
+    const appended = await t.request('POST', `/api/conversations/${id}/messages`, { token: learner.token, body: { role: 'assistant', content: 'reply', metadata: { note: 1 } } });
+    expect(appended.status).toBe(201);
+
+    const { body } = await page(id);
+    expect(body.messages.map(m => m.content)).toEqual(['turn 0', 'reply']);
+    expect(body.messages[1].metadata).toEqual({ note: 1 });
+
+    expect((await t.request('POST', `/api/conversations/${id}/messages`, { token: mentor.token, body: { role: 'user', content: 'x' } })).status).toBe(403);
+    expect((await t.request('POST', `/api/conversations/${id}/messages`, { token: learner.token, body: { role: 'system', content: 'x' } })).status).toBe(400);
+    expect((await t.request('POST', `/api/conversations/${id}/messages`, { token: learner.token, body: { role: 'user', content: '  ' } })).status).toBe(400);
+  });
+
+  test('a full-history PUT only appends, and a stale device gets a 409', async () => {
+    const id = await create(turns(2));
+    const put = (messages) => t.request('PUT', `/api/conversations/${id}`, { token: learner.token, body: { messages } });
+
+    const deviceA = await put(turns(3));
+    expect(deviceA.body).toEqual({ message: 'Conversation updated', appendedMessages: 1 });
+
+    // Device B still has the two-turn history and rewrites the third
+    const stale = await put([...turns(2), { role: 'user', content: 'something else' }]);
+    expect(stale.status).toBe(409);
+    expect(stale.body.messageCount).toBe(3);
+    expect((await page(id)).body.messages.map(m => m.content)).toEqual(['turn 0', 'turn 1', 'turn 2']);
+  });
+});
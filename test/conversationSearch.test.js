@@ -0,0 +1,114 @@
+// test/conversationSearch.test.js - Full-text conversation search, filters, snippets and paging
+const { startTestServer } = require('./helpers/testServer');
+
+let t;
+let learner;
+let mentor;
+let ids;
+
+beforeAll(async () => {
+  t = await startTestServer();
+  learner = await t.registerUser();
+  mentor = await t.registerUser({ userType: 'mentor' });
+  await t.linkMentor(mentor, learner);
+
+  const conversations = [
+    { subject: 'Math', title: 'Fractions homework', learning_mode: 'practice', tags: ['homework'], messages: ['How do I add fractions?', 'Find a common denominator first.'] },
+    { subject: 'Math', title: 'Decimals', learning_mode: 'explanation', tags: [], messages: ['Is 0.5 the same as one half? Fractions confuse me.', 'Yes, 0.5 equals 1/2.'] },
+    { subject: 'Science', title: 'Volcanoes', learning_mode: 'discovery', tags: ['project'], messages: ['Why do volcanoes erupt?', 'Pressure from magma builds up.'] }
+  ];
+  ids = [];
+  for (const { messages, ...fields } of conversations) {
+    const saved = await t.request('POST', '/api/conversations', {
+      token: learner.token,
+      body: { ...fields, messages: messages.map((content, i) => ({ role: i % 2 ? 'assistant' : 'user', content })) }
+    });
+    ids.push(saved.body.id);
+  }
+});
+
+afterAll(async () => {
+  await t.close();
+});
+
+const search = async (query, user = learner) => (await t.request('GET', `/api/conversations/search?${query}`, { token: user.token })).body;
+const titles = (result) => result.conversations.map(c => c.title);
+
+describe('matching', () => {
+  test('ranks title matches above message matches, with highlighted snippets', async () => {
+    const result = await search('q=fractions');
+    expect(titles(result)).toEqual(['Fractions homework', 'Decimals']);
+    expect(result.conversations[0].snippet).toContain('<mark>fractions</mark>');
+    expect(result.conversations[1].snippet).toContain('<mark>Fractions</mark> confuse me');
+  });
+
+  test('understands phrases, OR and exclusions', async () => {
+    expect(titles(await search(`q=${encodeURIComponent('"common denominator"')}`))).toEqual(['Fractions homework']);
+    expect(titles(await search('q=magma OR denominator')).sort()).toEqual(['Fractions homework', 'Volcanoes']);
+    expect(titles(await search('q=fractions -homework'))).toEqual(['Decimals']);
+  });
+
+  test('finds messages appended later', async () => {
+    await t.request('POST', `/api/conversations/${ids[2]}/messages`, { token: learner.token, body: { role: 'user', content: 'What about tectonic plates?' } });
+    expect(titles(await search('q=tectonic'))).toEqual(['Volcanoes']);
+  });
+
+  test('escapes HTML in snippets', async () => {
+    await t.request('POST', `/api/conversations/${ids[1]}/messages`, { token: learner.token, body: { role: 'user', content: 'Is <b>bold</b> a fraction?' } });
+    const [hit] = (await search('q=bold')).conversations;
+    expect(hit.snippet).toContain('&lt;b&gt;<mark>bold</mark>&lt;/b&gt;');
+  });
+});
+
+describe('filters', () => {
+  test('narrow by subject, mode, tags and archived state', async () => {
+    expect(titles(await search('subject=math')).sort()).toEqual(['Decimals', 'Fractions homework']);
+    expect(titles(await search('mode=discovery'))).toEqual(['Volcanoes']);
+    expect(titles(await search('tags=homework'))).toEqual(['Fractions homework']);
+
+    await t.request('PUT', `/api/conversations/${ids[1]}`, { token: learner.token, body: { is_archived: true } });
+    expect(titles(await search('archived=true'))).toEqual(['Decimals']);
+    expect(titles(await search('q=fractions&archived=false'))).toEqual(['Fractions homework']);
+  });
+
+  test('narrow by date range and reject bad dates', async () => {
+    const today = new Date().toISOString().slice(0, 10);
+    expect((await search(`from=${today}&to=${today}`)).conversations).toHaveLength(3);
+    expect((await search('to=2000-01-01')).conversations).toEqual([]);
+    expect((await t.request('GET', '/api/conversations/search?from=yesterday', { token: learner.token })).status).toBe(400);
+  });
+});
+
+describe('paging', () => {
+  test('walks every result once with the cursor', async () => {
+    const first = await search('limit=2');
+    expect(first.conversations.map(c => c.id)).toEqual([ids[2], ids[1]]);
+    const second = await search(`limit=2&cursor=${first.nextCursor}`);
+    expect(second.conversations.map(c => c.id)).toEqual([ids[0]]);
+    expect(second.nextCursor).toBeNull();
+  });
+
+  test('ranked results page by rank', async () => {
+    const first = await search('q=fractions&limit=1');
+    const second = await search(`q=fractions&limit=1&cursor=${first.nextCursor}`);
+    expect([...titles(first), ...titles(second)]).toEqual(['Fractions homework', 'Decimals']);
+    expect((await t.request('GET', '/api/conversations/search?q=fractions&cursor=garbage', { token: learner.token })).status).toBe(400);
+  });
+});
+
+describe('scope', () => {
+  test('learners only see their own conversations', async () => {
+    const other = await t.registerUser();
+    expect((await search('q=fractions', other)).conversations).toEqual([]);
+    expect((await t.request('GET', `/api/conversations/search?learnerId=${learner.user.id}`, { token: other.token })).status).toBe(403);
+  });
+
+  test('mentors search one linked learner or all of them', async () => {
+    expect(titles(await search(`q=volcanoes&learnerId=${learner.user.id}`, mentor))).toEqual(['Volcanoes']);
+    expect(titles(await search('q=volcanoes&learnerId=all', mentor))).toEqual(['Volcanoes']);
+
+    const stranger = await t.registerUser({ userType: 'mentor' });
+    expect((await t.request('GET', `/api/conversations/search?learnerId=${learner.user.id}`, { token: stranger.token })).status).toBe(403);
+    expect((await search('q=volcanoes&learnerId=all', stranger)).conversations).toEqual([]);
+  });
+});
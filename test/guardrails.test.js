@@ -0,0 +1,139 @@
+// test/guardrails.test.js - Mentor guardrails on tutor, quiz and review-card requests
+const { startTestServer } = require('./helpers/testServer');
+
+const QUIZ = {
+  title: 'Quick check',
+  questions: [{ type: 'true_false', question: 'Is 7 prime?', answer: true, explanation: 'Only 1 and 7 divide it.' }]
+};
+
+const replyFor = (request) => {
+  if (request.purpose === 'quiz') return JSON.stringify(QUIZ);
+  if (request.purpose === 'review_items') return JSON.stringify([{ prompt: 'Is 7 prime?', answer: 'Yes.' }]);
+  return 'Good question! What do you already know about it?';
+};
+
+let t;
+let mentor;
+
+beforeAll(async () => {
+  t = await startTestServer();
+  t.scriptResponses(replyFor);
+  mentor = await t.registerUser({ userType: 'mentor' });
+});
+
+afterAll(async () => {
+  await t.close();
+});
+
+// A fresh linked learner per test keeps usage (and the per-user rate limit) separate
+const guardedLearner = async (guardrails) => {
+  const learner = await t.registerUser({ userType: 'learner' });
+  await t.linkMentor(mentor, learner);
+  const saved = await t.request('PUT', `/api/learners/${learner.user.id}/guardrails`, { token: mentor.token, body: guardrails });
+  expect(saved.status).toBe(200);
+  return learner;
+};
+
+const ask = (learner, body = {}) => t.request('POST', '/api/tutor', {
+  token: learner.token,
+  body: { message: 'What is a prime number?', subject: 'Math', mode: 'discovery', cache: false, ...body }
+});
+
+const hhmm = (date) => date.toISOString().slice(11, 16);
+
+describe('message caps', () => {
+  test('block once the daily cap is used', async () => {
+    const learner = await guardedLearner({ dailyMessageLimit: 2 });
+    expect((await ask(learner)).status).toBe(200);
+    expect((await ask(learner)).status).toBe(200);
+
+    const blocked = await ask(learner);
+    expect(blocked.status).toBe(429);
+    expect(blocked.body.code).toBe('DAILY_LIMIT_REACHED');
+    expect(blocked.body.guardrail).toEqual(expect.objectContaining({ limit: 2, used: 2 }));
+    expect(Number(blocked.headers.get('retry-after'))).toBeGreaterThan(0);
+
+    const usage = await t.request('GET', `/api/learners/${learner.user.id}/guardrails`, { token: mentor.token });
+    expect(usage.body.usage.today).toBe(2);
+  });
+
+  test('block once the weekly cap is used', async () => {
+    const learner = await guardedLearner({ weeklyMessageLimit: 1 });
+    expect((await ask(learner)).status).toBe(200);
+
+    const blocked = await ask(learner);
+    expect(blocked.status).toBe(429);
+    expect(blocked.body.code).toBe('WEEKLY_LIMIT_REACHED');
+  });
+
+  test('cannot be overrun by parallel requests', async () => {
+    const learner = await guardedLearner({ dailyMessageLimit: 3 });
+    const results = await Promise.all(Array.from({ length: 8 }, () => ask(learner)));
+
+    expect(results.filter(r => r.status === 200)).toHaveLength(3);
+    expect(results.filter(r => r.status === 429).every(r => r.body.code === 'DAILY_LIMIT_REACHED')).toBe(true);
+
+    const usage = await t.request('GET', '/api/guardrails', { token: learner.token });
+    expect(usage.body.usage.today).toBe(3);
+  });
+
+  test('count quizzes and review cards too', async () => {
+    const learner = await guardedLearner({ dailyMessageLimit: 2 });
+    const quiz = await t.request('POST', '/api/quizzes', { token: learner.token, body: { subject: 'Math' } });
+    expect(quiz.status).toBe(201);
+
+    const turn = await ask(learner);
+    expect(turn.status).toBe(200);
+
+    const cards = await t.request('POST', `/api/conversations/${turn.body.conversationId}/review-items`, { token: learner.token, body: {} });
+    expect(cards.status).toBe(429);
+    expect(cards.body.code).toBe('DAILY_LIMIT_REACHED');
+  });
+});
+
+describe('subjects, quiet hours and skill level', () => {
+  test('only allowed subjects reach the tutor, quizzes and review cards', async () => {
+    const learner = await guardedLearner({ allowedSubjects: ['Math'] });
+    const saved = await t.request('POST', '/api/conversations', {
+      token: learner.token,
+      body: { subject: 'History', messages: [{ role: 'user', content: 'Who was Caesar?' }, { role: 'assistant', content: 'A Roman general.' }] }
+    });
+
+    const turn = await ask(learner, { subject: 'History' });
+    const quiz = await t.request('POST', '/api/quizzes', { token: learner.token, body: { subject: 'History' } });
+    const cards = await t.request('POST', `/api/conversations/${saved.body.id}/review-items`, { token: learner.token, body: {} });
+    for (const blocked of [turn, quiz, cards]) {
+      expect(blocked.status).toBe(403);
+      expect(blocked.body.code).toBe('SUBJECT_NOT_ALLOWED');
+    }
+
+    expect((await ask(learner, { subject: 'math' })).status).toBe(200);
+  });
+
+  test('quiet hours block requests until they end', async () => {
+    const now = Date.now();
+    const learner = await guardedLearner({
+      timeZone: 'UTC',
+      quietHours: { start: hhmm(new Date(now - 60 * 60 * 1000)), end: hhmm(new Date(now + 60 * 60 * 1000)) }
+    });
+
+    const blocked = await ask(learner);
+    expect(blocked.status).toBe(403);
+    expect(blocked.body.code).toBe('QUIET_HOURS');
+    expect(blocked.body.retryAfter).toBeGreaterThan(0);
+    expect(blocked.body.retryAfter).toBeLessThanOrEqual(60 * 60);
+  });
+
+  test('the mentor maximum caps the requested skill level', async () => {
+    const learner = await guardedLearner({ maxSkillLevel: 'beginner' });
+    const turn = await ask(learner, { skillLevel: 'expert' });
+    expect(turn.body.metadata.skillLevel).toBe('beginner');
+    expect(turn.body.metadata.skillLevelSource).toBe('mentor_limit');
+  });
+
+  test('only linked mentors manage guardrails', async () => {
+    const learner = await t.registerUser({ userType: 'learner' });
+    const denied = await t.request('PUT', `/api/learners/${learner.user.id}/guardrails`, { token: mentor.token, body: { dailyMessageLimit: 5 } });
+    expect(denied.status).toBe(403);
+  });
+});
@@ -0,0 +1,178 @@
+// test/helpers/testServer.js - Boots the app on an in-memory SQLite database with the scripted LLM provider
+// Jest gives every test file its own module registry, so each file gets a fresh server and database.
+// Call before requiring any app module; env overrides apply to that file only.
+// With TEST_DATABASE_URL set (a Postgres server the tests may create databases on), each file runs on
+// its own scratch PostgreSQL database instead, dropped again on close.
+const { Pool } = require('pg');
+
+const sentMail = [];
+const storedFiles = new Map();
+
+// Create an empty Postgres database for this test file and return its connection string
+const createScratchDatabase = async () => {
+  const name = `lilibet_test_${process.pid}_${Date.now()}`;
+  const admin = new Pool({ connectionString: process.env.TEST_DATABASE_URL });
+  try {
+    await admin.query(`CREATE DATABASE ${name}`);
+  } finally {
+    await admin.end();
+  }
+  const url = new URL(process.env.TEST_DATABASE_URL);
+  url.pathname = `/${name}`;
+  return { name, url: url.toString() };
+};
+
+const dropScratchDatabase = async (name) => {
+  const admin = new Pool({ connectionString: process.env.TEST_DATABASE_URL });
+  try {
+    await admin.query(`DROP DATABASE IF EXISTS ${name} WITH (FORCE)`);
+  } finally {
+    await admin.end();
+  }
+};
+
+const applyTestEnv = (env, scratch) => {
+  Object.assign(process.env, {
+    ...(scratch
+      ? { DB_DRIVER: 'postgres', DATABASE_URL: scratch.url }
+      : { DB_DRIVER: 'sqlite', SQLITE_PATH: ':memory:' }),
+    LLM_SCRIPTED: 'true',
+    // Keep real providers out even when the developer's .env configures them
+    OPENAI_API_KEY: '',
+    CLAUDE_API_KEY: '',
+    ANTHROPIC_API_KEY: '',
+    LOCAL_LLM_BASE_URL: '',
+    REPORTS_SCHEDULER: 'false',
+    JWT_SECRET: 'test-secret',
+    ...env
+  });
+};
+
+const startTestServer = async (env = {}) => {
+  const scratch = process.env.TEST_DATABASE_URL ? await createScratchDatabase() : null;
+  applyTestEnv(env, scratch);
+
+  const { app } = require('../../server');
+  const { database } = require('../../auth');
+  const { setTransport } = require('../../mailer');
+  const { setStorage } = require('../../storage');
+
+  // Mail and uploads stay in memory
+  setTransport({
+    name: 'memory',
+    send: async (message) => {
+      sentMail.push(message);
+      return { messageId: `test-${sentMail.length}` };
+    }
+  });
+  setStorage({
+    name: 'memory',
+    save: async (key, buffer) => {
+      storedFiles.set(key, buffer);
+      return { key, size: buffer.length };
+    },
+    read: async (key) => storedFiles.get(key),
+    remove: async (key) => {
+      storedFiles.delete(key);
+    }
+  });
+
+  await database.initialize();
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // JSON request; returns { status, body, headers } (body is text when it isn't JSON)
+  const request = async (method, path, { body, token, headers = {} } = {}) => {
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (e) {
+      // not JSON
+    }
+    return { status: response.status, body: parsed, headers: response.headers };
+  };
+
+  // Server-sent events from /api/tutor/stream as [{ event, data }]
+  const stream = async (path, { body, token } = {}) => {
+    const response = await fetch(baseUrl + path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify(body)
+    });
+    const text = await response.text();
+    const events = text.split('\n\n').filter(Boolean).map((block) => {
+      const event = (block.match(/^event: (.*)$/m) || [])[1] || 'message';
+      const data = (block.match(/^data: (.*)$/m) || [])[1];
+      let parsed = data;
+      try {
+        parsed = JSON.parse(data);
+      } catch (e) {
+        // plain text data
+      }
+      return { event, data: parsed };
+    });
+    return { status: response.status, events, text, headers: response.headers };
+  };
+
+  let userCount = 0;
+
+  // Register a learner or mentor; returns { token, refreshToken, user }
+  const registerUser = async ({ userType = 'learner', skillLevel = 'beginner', ...fields } = {}) => {
+    userCount += 1;
+    const response = await request('POST', '/api/auth/register', {
+      body: {
+        email: `${userType}${userCount}@example.com`,
+        username: `${userType}${userCount}`,
+        password: 'secret123',
+        displayName: `${userType} ${userCount}`,
+        userType,
+        skillLevel,
+        ...fields
+      }
+    });
+    if (response.status !== 201 && response.status !== 200) {
+      throw new Error(`Registration failed: ${response.status} ${JSON.stringify(response.body)}`);
+    }
+    return response.body;
+  };
+
+  // Active mentor/learner link through the invitation flow
+  const linkMentor = async (mentor, learner) => {
+    const invitation = await request('POST', '/api/mentors/invite', { body: {}, token: learner.token });
+    const accepted = await request('POST', `/api/mentors/invitations/${invitation.body.invitationCode}/accept`, {
+      body: {},
+      token: mentor.token
+    });
+    if (accepted.status !== 200) {
+      throw new Error(`Link failed: ${accepted.status} ${JSON.stringify(accepted.body)}`);
+    }
+  };
+
+  // Replace the scripted provider's replies: array of strings (cycled) or (request, index) => string
+  const scriptResponses = (responses) => {
+    const { registerProvider, createScriptedProvider } = require('../../providers');
+    return registerProvider(createScriptedProvider({ responses }));
+  };
+
+  const close = async () => {
+    await new Promise(resolve => server.close(resolve));
+    await database.close();
+    if (scratch) await dropScratchDatabase(scratch.name);
+  };
+
+  return { app, database, baseUrl, request, stream, registerUser, linkMentor, scriptResponses, sentMail, storedFiles, close };
+};
+
+module.exports = { startTestServer };
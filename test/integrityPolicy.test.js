@@ -0,0 +1,87 @@
+// test/integrityPolicy.test.js - Mentor integrity policies on tutor replies, streamed or not
+const { startTestServer } = require('./helpers/testServer');
+
+const GIVEAWAY = 'Subtract 3 from both sides. So x = 4.';
+const HINT = 'Try subtracting 3 from both sides. What do you get?';
+
+// First drafts give the answer away; retries do too when retryGivesAway is set
+let retryGivesAway = false;
+const replyFor = (request) => {
+  const retry = request.system.includes('Your previous draft gave the answer away');
+  return retry && !retryGivesAway ? HINT : GIVEAWAY;
+};
+
+let t;
+let learner;
+let mentor;
+
+beforeAll(async () => {
+  t = await startTestServer();
+  t.scriptResponses(replyFor);
+  learner = await t.registerUser({ userType: 'learner' });
+  mentor = await t.registerUser({ userType: 'mentor' });
+  await t.linkMentor(mentor, learner);
+});
+
+afterAll(async () => {
+  await t.close();
+});
+
+beforeEach(() => {
+  retryGivesAway = false;
+});
+
+const turn = { message: 'solve x + 3 = 7', subject: 'Math', mode: 'practice', cache: false };
+
+const deltaText = (events) => events.filter(e => e.event === 'delta').map(e => e.data.text).join('');
+
+test('mentors set the policy for linked learners only', async () => {
+  const outsider = await t.registerUser({ userType: 'mentor' });
+  const denied = await t.request('PUT', `/api/learners/${learner.user.id}/integrity-policy`, { token: outsider.token, body: { hintsOnly: true } });
+  expect(denied.status).toBe(403);
+
+  const saved = await t.request('PUT', `/api/learners/${learner.user.id}/integrity-policy`, { token: mentor.token, body: { hintsOnly: true } });
+  expect(saved.status).toBe(200);
+  expect(saved.body.policy).toEqual(expect.objectContaining({ hintsOnly: true, updatedBy: mentor.user.id }));
+
+  const mine = await t.request('GET', '/api/integrity-policy', { token: learner.token });
+  expect(mine.body.policy.hintsOnly).toBe(true);
+});
+
+test('a reply that gives the answer away is regenerated', async () => {
+  const result = await t.request('POST', '/api/tutor', { token: learner.token, body: turn });
+  expect(result.body.response).toBe(HINT);
+  expect(result.body.metadata.integrity.action).toBe('regenerated');
+  expect(result.body.metadata.integrity.checks.map(check => check.violation)).toEqual([true, false]);
+});
+
+test('a second giveaway is redacted', async () => {
+  retryGivesAway = true;
+  const result = await t.request('POST', '/api/tutor', { token: learner.token, body: turn });
+  expect(result.body.response).not.toMatch(/x = 4/);
+  expect(result.body.response).toMatch(/Subtract 3 from both sides/);
+  expect(result.body.metadata.integrity.action).toBe('redacted');
+});
+
+describe('streaming under a policy', () => {
+  test('sends only the regenerated reply', async () => {
+    const { events } = await t.stream('/api/tutor/stream', { token: learner.token, body: turn });
+    expect(events.map(e => e.event)).toEqual(['metadata', 'delta', 'done']);
+    expect(deltaText(events)).toBe(HINT);
+    expect(events[2].data.metadata.integrity.action).toBe('regenerated');
+  });
+
+  test('sends only the redacted reply', async () => {
+    retryGivesAway = true;
+    const { events } = await t.stream('/api/tutor/stream', { token: learner.token, body: turn });
+    expect(deltaText(events)).not.toMatch(/x = 4/);
+    expect(events.find(e => e.event === 'done').data.metadata.integrity.action).toBe('redacted');
+  });
+
+  test('streams word by word once the policy is lifted', async () => {
+    await t.request('PUT', `/api/learners/${learner.user.id}/integrity-policy`, { token: mentor.token, body: { hintsOnly: false } });
+    const { events } = await t.stream('/api/tutor/stream', { token: learner.token, body: turn });
+    expect(deltaText(events)).toBe(GIVEAWAY);
+    expect(events.find(e => e.event === 'done').data.metadata.integrity).toBeUndefined();
+  });
+});
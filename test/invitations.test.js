@@ -0,0 +1,144 @@
+// test/invitations.test.js - Mentor/learner invitation codes, approval, expiry, lockout and unlinking
+const { startTestServer } = require('./helpers/testServer');
+
+let t;
+
+beforeAll(async () => {
+  t = await startTestServer();
+});
+
+afterAll(async () => {
+  await t.close();
+});
+
+const invite = (user, path = '/api/mentors/invite') => t.request('POST', path, { token: user.token, body: {} });
+const accept = (mentor, code) => t.request('POST', `/api/mentors/invitations/${code}/accept`, { token: mentor.token, body: {} });
+const approve = (learner, code) => t.request('POST', `/api/mentors/invitations/${code}/approve`, { token: learner.token, body: {} });
+const linkedLearners = async (mentor) => (await t.request('GET', '/api/learners/linked', { token: mentor.token })).body.learners;
+
+// Move only the clock (not timers) forward, then sign in again so tokens are valid at that time
+const signInLater = async (user, days) => {
+  jest.useFakeTimers({ now: Date.now() + days * 24 * 3600 * 1000, doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance'] });
+  const login = await t.request('POST', '/api/auth/login', { body: { emailOrUsername: user.user.email, password: 'secret123' } });
+  return { ...user, token: login.body.token };
+};
+
+describe('codes', () => {
+  test('are random, unambiguous and expire after a week', async () => {
+    const learner = await t.registerUser();
+    const created = await invite(learner);
+    expect(created.status).toBe(201);
+    expect(created.body.invitationCode).toMatch(/^[ABCDEFGHJKMNPQRSTUVWXYZ23456789]{10}$/);
+
+    const days = (new Date(created.body.expiresAt) - new Date(created.body.createdAt)) / (24 * 3600 * 1000);
+    expect(Math.round(days)).toBe(7);
+  });
+
+  test('an existing mentor accepts a learner code, typed loosely', async () => {
+    const learner = await t.registerUser();
+    const mentor = await t.registerUser({ userType: 'mentor' });
+    const { invitationCode } = (await invite(learner)).body;
+
+    const loose = `${invitationCode.slice(0, 5).toLowerCase()}-${invitationCode.slice(5)}`;
+    const accepted = await accept(mentor, loose);
+    expect(accepted.status).toBe(200);
+    expect(accepted.body).toEqual(expect.objectContaining({ mentorId: mentor.user.id, learnerId: learner.user.id }));
+
+    // Single use
+    const second = await t.registerUser({ userType: 'mentor' });
+    expect((await accept(second, invitationCode)).status).toBe(404);
+  });
+
+  test('a mentor invites a learner who approves', async () => {
+    const mentor = await t.registerUser({ userType: 'mentor' });
+    const learners = [await t.registerUser(), await t.registerUser()];
+
+    for (const learner of learners) {
+      const { invitationCode } = (await invite(mentor, '/api/learners/invite')).body;
+      expect((await accept(learner, invitationCode)).status).toBe(403);
+      expect((await approve(learner, invitationCode)).status).toBe(200);
+    }
+    expect((await linkedLearners(mentor)).map(l => l.id).sort()).toEqual(learners.map(l => l.user.id).sort());
+  });
+
+  test('expired codes are rejected', async () => {
+    const learner = await t.registerUser();
+    const mentor = await t.registerUser({ userType: 'mentor' });
+    const { invitationCode } = (await invite(learner)).body;
+
+    try {
+      const later = await signInLater(mentor, 8);
+      expect((await accept(later, invitationCode)).status).toBe(404);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
+
+describe('pending invitations', () => {
+  test('are listed, revocable and capped at five', async () => {
+    const learner = await t.registerUser();
+    const codes = [];
+    for (let i = 0; i < 5; i++) codes.push((await invite(learner)).body);
+    expect((await invite(learner)).status).toBe(409);
+
+    const listed = await t.request('GET', '/api/mentors/invitations', { token: learner.token });
+    expect(listed.body.invitations).toHaveLength(5);
+    expect(listed.body.invitations[0].initiatedBy).toBe('learner');
+
+    const other = await t.registerUser();
+    expect((await t.request('DELETE', `/api/mentors/invitations/${codes[0].id}`, { token: other.token })).status).toBe(404);
+    expect((await t.request('DELETE', `/api/mentors/invitations/${codes[0].id}`, { token: learner.token })).status).toBe(200);
+    expect((await invite(learner)).status).toBe(201);
+
+    const mentor = await t.registerUser({ userType: 'mentor' });
+    expect((await accept(mentor, codes[0].invitationCode)).status).toBe(404);
+  });
+});
+
+test('repeated bad codes lock the account out', async () => {
+  const mentor = await t.registerUser({ userType: 'mentor' });
+  for (let i = 0; i < 5; i++) {
+    expect((await accept(mentor, 'AAAAAAAAAA')).status).toBe(404);
+  }
+
+  const learner = await t.registerUser();
+  const { invitationCode } = (await invite(learner)).body;
+  const locked = await accept(mentor, invitationCode);
+  expect(locked.status).toBe(429);
+  expect(Number(locked.headers.get('retry-after'))).toBeGreaterThan(0);
+});
+
+test('parallel bad codes all count toward the lockout', async () => {
+  const mentor = await t.registerUser({ userType: 'mentor' });
+  const guesses = await Promise.all(Array.from({ length: 8 }, () => accept(mentor, 'AAAAAAAAAA')));
+  expect(guesses.every(guess => [404, 429].includes(guess.status))).toBe(true);
+
+  const learner = await t.registerUser();
+  const { invitationCode } = (await invite(learner)).body;
+  expect((await accept(mentor, invitationCode)).status).toBe(429);
+
+  // Each concurrent failure is counted once and only the last one sets the lockout
+  const { links } = t.database.repositories;
+  const other = await t.registerUser({ userType: 'mentor' });
+  const now = Date.now();
+  const attempt = { now: new Date(now), windowStart: new Date(now - 60000), maxAttempts: 5, lockedUntil: new Date(now + 60000) };
+  const rows = await Promise.all(Array.from({ length: 6 }, () => links.recordFailedInviteAttempt(other.user.id, attempt)));
+  const counted = rows.filter(Boolean);
+  expect(counted.map(row => row.failed_count).sort()).toEqual([1, 2, 3, 4, 5]);
+  expect(counted.filter(row => row.locked_until)).toHaveLength(1);
+});
+
+test('unlinking revokes the link and it can be re-established', async () => {
+  const learner = await t.registerUser();
+  const mentor = await t.registerUser({ userType: 'mentor' });
+  await t.linkMentor(mentor, learner);
+
+  expect((await t.request('DELETE', `/api/mentors/unlink/${mentor.user.id}`, { token: learner.token })).status).toBe(200);
+  expect(await linkedLearners(mentor)).toEqual([]);
+  expect((await t.request('GET', `/api/learners/${learner.user.id}/conversations`, { token: mentor.token })).status).toBe(403);
+  expect((await t.request('DELETE', `/api/mentors/unlink/${mentor.user.id}`, { token: learner.token })).status).toBe(404);
+
+  await t.linkMentor(mentor, learner);
+  expect((await linkedLearners(mentor)).map(l => l.id)).toEqual([learner.user.id]);
+});
@@ -0,0 +1,114 @@
+// test/knowledgeBase.test.js - Mentor documents, BM25 retrieval and cited sources on tutor turns
+const { startTestServer } = require('./helpers/testServer');
+
+const PHOTOSYNTHESIS = 'Photosynthesis happens in the chloroplasts of plant cells. Light energy splits water and the plant builds glucose from carbon dioxide.';
+const FRACTIONS = 'To add fractions with different denominators, rewrite them over a common denominator first, then add the numerators.';
+
+let t;
+let provider;
+let kb;
+let learner;
+let mentor;
+
+beforeAll(async () => {
+  t = await startTestServer();
+  provider = t.scriptResponses(['Good question! Where do you think the energy comes from?']);
+  kb = require('../knowledgeBase');
+  learner = await t.registerUser({ userType: 'learner' });
+  mentor = await t.registerUser({ userType: 'mentor' });
+  await t.linkMentor(mentor, learner);
+});
+
+afterAll(async () => {
+  await t.close();
+});
+
+const addDocument = (body, user = mentor) => t.request('POST', '/api/knowledge-base/documents', { token: user.token, body });
+const ask = (message, subject, user = learner) => t.request('POST', '/api/tutor', {
+  token: user.token,
+  body: { message, subject, mode: 'explanation', cache: false }
+});
+
+describe('indexing', () => {
+  test('tokens drop stopwords, accents and simple plurals', () => {
+    expect(kb.tokenize('The Chloroplasts of the Célula')).toEqual(['chloroplast', 'celula']);
+  });
+
+  test('long documents split into overlapping passages', () => {
+    const words = Array.from({ length: 280 }, (_, i) => `w${i}`).join(' ');
+    const chunks = kb.chunkText(words);
+    expect(chunks).toHaveLength(2);
+    expect(chunks[0].split(' ')).toHaveLength(160);
+    expect(chunks[1].startsWith('w120 ')).toBe(true);
+  });
+});
+
+describe('documents', () => {
+  test('mentors create, read, update and delete their documents', async () => {
+    const created = await addDocument({ title: 'Cells', subject: 'Biology', content: 'Cells have a membrane.' });
+    expect(created.status).toBe(201);
+    expect(created.body.document).toEqual(expect.objectContaining({ title: 'Cells', subject: 'Biology', chunkCount: 1 }));
+    const id = created.body.document.id;
+
+    const updated = await t.request('PUT', `/api/knowledge-base/documents/${id}`, { token: mentor.token, body: { content: 'Cells have a membrane and a nucleus.' } });
+    expect(updated.status).toBe(200);
+    const fetched = await t.request('GET', `/api/knowledge-base/documents/${id}`, { token: mentor.token });
+    expect(fetched.body.document.content).toBe('Cells have a membrane and a nucleus.');
+
+    expect((await t.request('DELETE', `/api/knowledge-base/documents/${id}`, { token: mentor.token })).status).toBe(200);
+    expect((await t.request('GET', `/api/knowledge-base/documents/${id}`, { token: mentor.token })).status).toBe(404);
+  });
+
+  test('are mentor-only and scoped to linked learners', async () => {
+    expect((await addDocument({ title: 'Mine', content: 'x y z' }, learner)).status).toBe(403);
+    expect((await addDocument({ title: 'Empty', content: '' })).status).toBe(400);
+
+    const stranger = await t.registerUser({ userType: 'learner' });
+    expect((await addDocument({ title: 'Theirs', content: 'notes', learnerId: stranger.user.id })).status).toBe(403);
+
+    const created = await addDocument({ title: 'Private', content: 'notes' });
+    const otherMentor = await t.registerUser({ userType: 'mentor' });
+    expect((await t.request('GET', `/api/knowledge-base/documents/${created.body.document.id}`, { token: otherMentor.token })).status).toBe(403);
+  });
+});
+
+describe('retrieval', () => {
+  beforeAll(async () => {
+    await addDocument({ title: 'Photosynthesis notes', subject: 'Biology', content: PHOTOSYNTHESIS });
+    await addDocument({ title: 'Fractions notes', subject: 'Math', content: FRACTIONS });
+  });
+
+  test('ranks the passage that matches the question first', async () => {
+    const results = await kb.searchKnowledgeBase({ learnerId: learner.user.id, subject: 'General', query: 'how do chloroplasts make glucose' });
+    expect(results[0]).toEqual(expect.objectContaining({ title: 'Photosynthesis notes', mentorId: mentor.user.id }));
+    expect(results[0].score).toBeGreaterThan(0);
+  });
+
+  test('cites retrieved passages on tutor turns for the same subject', async () => {
+    const turn = await ask('How do chloroplasts make glucose?', 'Biology');
+    expect(turn.body.metadata.sources).toEqual([expect.objectContaining({ ref: 1, title: 'Photosynthesis notes' })]);
+
+    const { system } = provider.calls.filter(call => call.purpose === 'tutor').pop();
+    expect(system).toContain('[1] Photosynthesis notes');
+    expect(system).toContain('chloroplasts of plant cells');
+  });
+
+  test('leaves other subjects and unlinked learners alone', async () => {
+    const math = await ask('How do chloroplasts make glucose?', 'Math');
+    expect(math.body.metadata.sources).toBeUndefined();
+
+    const stranger = await t.registerUser({ userType: 'learner' });
+    const theirs = await ask('How do chloroplasts make glucose?', 'Biology', stranger);
+    expect(theirs.body.metadata.sources).toBeUndefined();
+  });
+
+  test('documents scoped to one learner are hidden from the others', async () => {
+    const sibling = await t.registerUser({ userType: 'learner' });
+    await t.linkMentor(mentor, sibling);
+    await addDocument({ title: 'Volcano notes', subject: 'Geology', content: 'Magma rises through the volcano vent.', learnerId: learner.user.id });
+
+    const search = (learnerId) => t.request('GET', `/api/knowledge-base/search?learnerId=${learnerId}&q=volcano magma`, { token: mentor.token });
+    expect((await search(learner.user.id)).body.results.map(r => r.title)).toEqual(['Volcano notes']);
+    expect((await search(sibling.user.id)).body.results).toEqual([]);
+  });
+});
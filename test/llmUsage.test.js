@@ -0,0 +1,162 @@
+// test/llmUsage.test.js - Token usage and cost accounting, usage routes and monthly budgets
+const { startTestServer } = require('./helpers/testServer');
+
+// Every call uses 100k input and 10k output tokens: $0.35 on gpt-4o, $0.021 on gpt-4o-mini
+const USAGE = { inputTokens: 100000, outputTokens: 10000 };
+
+let t;
+let usage;
+let providers;
+let paid;
+let failPrimary = false;
+let learner;
+let mentor;
+
+// An OpenAI-priced provider that answers locally
+const createPricedProvider = () => {
+  const calls = [];
+  const generate = async (request) => {
+    const model = request.model || 'gpt-4o';
+    calls.push(model);
+    if (failPrimary && model === 'gpt-4o') throw new Error('model overloaded');
+    return { text: 'What do you already know about it?', model, usage: USAGE };
+  };
+  return {
+    name: 'openai',
+    label: 'OpenAI',
+    models: { primary: 'gpt-4o', fallback: 'gpt-4o-mini' },
+    vision: false,
+    calls,
+    generate,
+    stream: async (request) => {
+      const result = await generate(request);
+      request.onDelta(result.text);
+      return result;
+    },
+    health: async () => ({ ok: true, model: 'gpt-4o' })
+  };
+};
+
+beforeAll(async () => {
+  t = await startTestServer();
+  usage = require('../llmUsage');
+  providers = require('../providers');
+  providers.unregisterProvider('scripted');
+  paid = providers.registerProvider(createPricedProvider());
+  mentor = await t.registerUser({ userType: 'mentor' });
+});
+
+afterAll(async () => {
+  await t.close();
+});
+
+beforeEach(async () => {
+  usage.setUsageConfig(usage.loadUsageConfig({}));
+  failPrimary = false;
+  learner = await t.registerUser();
+});
+
+const ask = () => t.request('POST', '/api/tutor', {
+  token: learner.token,
+  body: { message: 'What is gravity?', subject: 'Science', mode: 'practice', cache: false }
+});
+
+// Usage rows are written once the response has closed
+const usageOf = async (user, calls) => {
+  let body;
+  for (let i = 0; i < 40; i++) {
+    body = (await t.request('GET', '/api/usage', { token: user.token })).body;
+    if (body.usage.totals.calls >= calls) break;
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  return body.usage;
+};
+
+describe('pricing', () => {
+  test('matches the longest model prefix and treats local models as free', () => {
+    expect(usage.estimateCost({ provider: 'openai', model: 'gpt-4o-mini-2024-07-18', ...USAGE })).toBe(0.021);
+    expect(usage.estimateCost({ provider: 'openai', model: 'gpt-4o-2024-08-06', ...USAGE })).toBe(0.35);
+    expect(usage.estimateCost({ provider: 'openai', model: 'mystery-model', ...USAGE })).toBeNull();
+    expect(usage.estimateCost({ provider: 'local', model: 'llama3.1', ...USAGE })).toBe(0);
+  });
+
+  test('budget settings fall back to safe defaults', () => {
+    expect(usage.loadUsageConfig({ LLM_MONTHLY_BUDGET_USD: 'abc', LLM_BUDGET_ACTION: 'panic', LLM_BUDGET_DOWNGRADE_AT: '3' }))
+      .toEqual(expect.objectContaining({ budgetUsd: null, action: 'downgrade', downgradeAt: 0.8 }));
+  });
+});
+
+describe('accounting', () => {
+  test('records tokens, cost and latency for each call', async () => {
+    await ask();
+    const summary = await usageOf(learner, 1);
+    expect(summary.totals).toEqual({ calls: 1, failedCalls: 0, inputTokens: 100000, outputTokens: 10000, costUsd: 0.35 });
+    expect(summary.byModel).toEqual([expect.objectContaining({ provider: 'openai', model: 'gpt-4o', calls: 1, costUsd: 0.35 })]);
+    expect(summary.byPurpose).toEqual([{ purpose: 'tutor', calls: 1, costUsd: 0.35 }]);
+    expect(summary.byModel[0].avgLatencyMs).toEqual(expect.any(Number));
+  });
+
+  test('counts failed attempts and fallback-model retries', async () => {
+    failPrimary = true;
+    expect((await ask()).status).toBe(200);
+
+    const summary = await usageOf(learner, 2);
+    expect(summary.totals).toEqual(expect.objectContaining({ calls: 2, failedCalls: 1, costUsd: 0.021 }));
+    expect(summary.byModel.map(row => row.model).sort()).toEqual(['gpt-4o', 'gpt-4o-mini']);
+  });
+
+  test('linked mentors can see a learner\'s usage', async () => {
+    await ask();
+    await usageOf(learner, 1);
+
+    const view = (user) => t.request('GET', `/api/learners/${learner.user.id}/usage`, { token: user.token });
+    expect((await view(mentor)).status).toBe(403);
+    await t.linkMentor(mentor, learner);
+    expect((await view(mentor)).body.usage.totals.costUsd).toBe(0.35);
+    expect((await view(learner)).status).toBe(403);
+    expect((await t.request('GET', '/api/usage?month=2026-13', { token: learner.token })).status).toBe(400);
+  });
+});
+
+describe('budgets', () => {
+  test('switch to the cheaper model past the downgrade threshold', async () => {
+    usage.setUsageConfig(usage.loadUsageConfig({ LLM_MONTHLY_BUDGET_USD: '1' }));
+
+    for (let i = 1; i <= 3; i++) {
+      const turn = await ask();
+      expect(turn.body.metadata.budget).toBeUndefined();
+      await usageOf(learner, i);
+    }
+
+    // $1.05 spent, over 80% of $1
+    const before = paid.calls.length;
+    const turn = await ask();
+    expect(turn.status).toBe(200);
+    expect(turn.body.metadata.budget).toEqual({ status: 'downgraded', limitUsd: 1, spentUsd: 1.05 });
+    expect(paid.calls.slice(before)).toEqual(['gpt-4o-mini']);
+
+    const summary = await usageOf(learner, 4);
+    expect(summary.budget).toEqual(expect.objectContaining({ status: 'downgrade', limitUsd: 1, spentUsd: 1.071 }));
+  });
+
+  test('block requests once the budget is spent when configured to', async () => {
+    usage.setUsageConfig(usage.loadUsageConfig({ LLM_MONTHLY_BUDGET_USD: '0.5', LLM_BUDGET_ACTION: 'block' }));
+
+    expect((await ask()).status).toBe(200);
+    await usageOf(learner, 1);
+    expect((await ask()).status).toBe(200);
+    await usageOf(learner, 2);
+
+    const calls = paid.calls.length;
+    const blocked = await ask();
+    expect(blocked.status).toBe(429);
+    expect(blocked.body.code).toBe('BUDGET_EXCEEDED');
+    expect(Number(blocked.headers.get('retry-after'))).toBeGreaterThan(0);
+    expect(paid.calls.length).toBe(calls);
+
+    // Other users are unaffected
+    const other = await t.registerUser();
+    const theirs = await t.request('POST', '/api/tutor', { token: other.token, body: { message: 'What is gravity?', mode: 'practice', cache: false } });
+    expect(theirs.status).toBe(200);
+  });
+});
@@ -0,0 +1,74 @@
+// test/modeClassifier.test.js - Scored learning mode classifier and explicit overrides
+const { registerProvider, unregisterProvider, createScriptedProvider } = require('../providers');
+const { scoreLearningModes, classifyLearningMode, evaluateClassifier } = require('../modeClassifier');
+const { resolveLearningMode } = require('../learningEngine');
+const examples = require('../fixtures/learningModes.json');
+
+describe('rules', () => {
+  test('classify the labeled examples', () => {
+    const report = evaluateClassifier(examples);
+    expect(report.accuracy).toBeGreaterThanOrEqual(0.9);
+  });
+
+  test('rank every mode with confidences that sum to one', () => {
+    const result = scoreLearningModes('Can you explain how fractions work?');
+    expect(result).toEqual(expect.objectContaining({ mode: 'explanation', source: 'rules' }));
+    expect(result.ranked.map(entry => entry.mode).sort()).toEqual(['challenge', 'discovery', 'explanation', 'practice', 'review']);
+    expect(result.ranked.reduce((sum, entry) => sum + entry.confidence, 0)).toBeCloseTo(1, 2);
+    expect(result.ranked[0].features).toContain('explain');
+  });
+
+  test('understand Spanish, French and German with or without accents', () => {
+    expect(scoreLearningModes('¿Qué es la fotosíntesis?').mode).toBe('explanation');
+    expect(scoreLearningModes('Je veux résoudre cet exercice').mode).toBe('practice');
+    expect(scoreLearningModes('Kannst du das wiederholen und zusammenfassen?').mode).toBe('review');
+  });
+
+  test('short follow-ups continue the previous mode', () => {
+    const history = [
+      { role: 'user', content: 'Quiz me on fractions' },
+      { role: 'assistant', content: 'What is 1/2 + 1/4?', metadata: { mode: 'challenge' } }
+    ];
+    const result = scoreLearningModes('ok, is it three quarters?', { history });
+    expect(result.mode).toBe('challenge');
+    expect(result.ranked[0].features).toContain('previous-mode');
+  });
+
+  test('open-ended input lands in discovery', () => {
+    expect(scoreLearningModes('volcanoes').mode).toBe('discovery');
+  });
+});
+
+describe('LLM vote', () => {
+  let classifier;
+
+  beforeAll(() => {
+    classifier = registerProvider(createScriptedProvider({ name: 'classifier', responses: ['{"mode": "review", "confidence": 1}'] }));
+    process.env.MODE_CLASSIFIER_PROVIDER = 'classifier';
+  });
+
+  afterAll(() => {
+    unregisterProvider('classifier');
+    delete process.env.MODE_CLASSIFIER_PROVIDER;
+  });
+
+  test('breaks ties when the rules are unsure', async () => {
+    const result = await classifyLearningMode('the water cycle', { useLLM: true });
+    expect(result.mode).toBe('review');
+    expect(result.source).toBe('rules+llm');
+    expect(result.ranked[0].features).toContain('llm:classifier');
+  });
+
+  test('is skipped when the rules are confident', async () => {
+    const calls = classifier.calls.length;
+    const result = await classifyLearningMode('Can you explain what photosynthesis is?', { useLLM: true });
+    expect(result.source).toBe('rules');
+    expect(classifier.calls.length).toBe(calls);
+  });
+});
+
+test('an explicit mode wins but the rule scores are kept for auditing', async () => {
+  const result = await resolveLearningMode('What is photosynthesis?', [], 'review');
+  expect(result).toEqual(expect.objectContaining({ mode: 'review', confidence: 1, source: 'override' }));
+  expect(result.ranked[0].mode).toBe('explanation');
+});
@@ -0,0 +1,122 @@
+// test/moderation.test.js - Moderation rules, held-back streaming and attachment checks
+const { startTestServer } = require('./helpers/testServer');
+
+const CLEAN_OPENING = 'Plants make their own food. They use sunlight, water and carbon dioxide to do it. ' +
+  'The green parts of a leaf catch the light. Inside the leaf, tiny parts called chloroplasts do the work. ' +
+  'The plant turns that energy into sugar it can store. ';
+
+// Replies keyed on the learner's message
+const replyFor = (request) => {
+  const last = request.messages[request.messages.length - 1].content;
+  if (last.includes('dangerous chemistry')) {
+    return `${CLEAN_OPENING}Now here is how to make a pipe bomb at home. You will need a metal tube.`;
+  }
+  return 'Photosynthesis turns light into sugar inside chloroplasts. What do you think the sugar is used for?';
+};
+
+let t;
+let learner;
+let provider;
+let moderation;
+
+beforeAll(async () => {
+  t = await startTestServer();
+  provider = t.scriptResponses(replyFor);
+  moderation = require('../moderation');
+  learner = await t.registerUser({ userType: 'learner', skillLevel: 'intermediate' });
+});
+
+afterAll(async () => {
+  await t.close();
+});
+
+const deltaText = (events) => events.filter(e => e.event === 'delta').map(e => e.data.text).join('');
+
+describe('sexual_minors rules', () => {
+  const categoriesFor = async (text, skillLevel = 'expert') =>
+    (await moderation.moderateText(text, { stage: 'input', skillLevel })).categories.map(entry => entry.category);
+
+  test('flag explicit content naming a minor at every level', async () => {
+    expect(await categoriesFor('send me nude pics of 12 year olds')).toContain('sexual_minors');
+    expect(await categoriesFor('where can I find child porn')).toContain('sexual_minors');
+    expect(await categoriesFor('take photos of yourself naked and send them')).toContain('sexual_minors');
+  });
+
+  test('leave sex education and biology alone', async () => {
+    expect(await categoriesFor('how does sexual reproduction work in plants', 'beginner')).not.toContain('sexual_minors');
+    expect(await categoriesFor('why do kids learn sex education in school', 'beginner')).not.toContain('sexual_minors');
+    expect(await categoriesFor("don't tell your mom about the surprise party", 'beginner')).not.toContain('sexual_minors');
+  });
+});
+
+describe('attachment text', () => {
+  test('is moderated as learner input before the model is called', async () => {
+    const form = new FormData();
+    form.append('files', new Blob(['I want to kill myself, nothing matters anymore'], { type: 'text/plain' }), 'notes.txt');
+    const upload = await fetch(`${t.baseUrl}/api/attachments`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${learner.token}` },
+      body: form
+    });
+    const { attachments } = await upload.json();
+
+    const callsBefore = provider.calls.length;
+    const turn = await t.request('POST', '/api/tutor', {
+      token: learner.token,
+      body: { message: 'Can you check my notes?', subject: 'English', attachmentIds: [attachments[0].id] }
+    });
+
+    expect(turn.status).toBe(200);
+    expect(turn.body.metadata.model).toBe('moderation');
+    expect(turn.body.metadata.moderation).toEqual(expect.objectContaining({ stage: 'input', categories: ['self_harm'] }));
+    expect(provider.calls.length).toBe(callsBefore);
+  });
+});
+
+describe('streamed replies', () => {
+  test('release clean sentences and never send flagged text', async () => {
+    const { events } = await t.stream('/api/tutor/stream', {
+      token: learner.token,
+      body: { message: 'tell me about dangerous chemistry', subject: 'Chemistry', mode: 'discovery', cache: false }
+    });
+
+    const streamed = deltaText(events);
+    expect(streamed.length).toBeGreaterThan(0);
+    expect(CLEAN_OPENING.startsWith(streamed)).toBe(true);
+    expect(streamed).not.toMatch(/bomb/);
+
+    const flagged = events.find(e => e.event === 'moderation');
+    expect(flagged.data).toEqual(expect.objectContaining({ stage: 'output', categories: ['illicit'] }));
+    expect(flagged.data.replaceWith).toEqual(expect.any(String));
+    expect(events[events.length - 1].event).toBe('done');
+  });
+
+  test('send clean replies in full', async () => {
+    const { events } = await t.stream('/api/tutor/stream', {
+      token: learner.token,
+      body: { message: 'what is photosynthesis', subject: 'Biology', mode: 'discovery', cache: false }
+    });
+    expect(deltaText(events)).toBe(replyFor({ messages: [{ content: 'what is photosynthesis' }] }));
+    expect(events.find(e => e.event === 'moderation')).toBeUndefined();
+  });
+
+  test('check cached replies before sending them', async () => {
+    const body = { message: 'why are leaves green', subject: 'Biology', mode: 'discovery' };
+    const first = await t.request('POST', '/api/tutor', { token: learner.token, body });
+    expect(first.body.metadata.cache).toEqual({ hit: false });
+
+    // Rules tightened after the reply was cached
+    const original = moderation.getModerationConfig();
+    const stricter = moderation.loadModerationConfig({});
+    stricter.rules.violence = [...stricter.rules.violence, { name: 'test-chloroplast', pattern: /chloroplast/, weight: 1 }];
+    moderation.setModerationConfig(stricter);
+    try {
+      const { events } = await t.stream('/api/tutor/stream', { token: learner.token, body });
+      expect(events[0].data.cache).toEqual(expect.objectContaining({ hit: true }));
+      expect(deltaText(events)).not.toMatch(/chloroplast/);
+      expect(events.find(e => e.event === 'moderation').data.categories).toEqual(['violence']);
+    } finally {
+      moderation.setModerationConfig(original);
+    }
+  });
+});
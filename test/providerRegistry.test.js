@@ -0,0 +1,128 @@
+// test/providerRegistry.test.js - Provider registry, call hooks and the local OpenAI-compatible provider
+const http = require('http');
+const { startTestServer } = require('./helpers/testServer');
+
+const LOCAL_REPLY = 'Hello from the local model. What do you already know?';
+
+// Minimal OpenAI-compatible server (the shape Ollama and llama.cpp expose)
+const startFakeLocalServer = () => new Promise((resolve) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({ path: req.url, body });
+
+      if (req.url.endsWith('/models')) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ object: 'list', data: [{ id: 'llama3.1', object: 'model' }] }));
+      }
+
+      if (body.stream) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (const piece of LOCAL_REPLY.match(/\S+\s*/g)) {
+          const chunk = { id: 'c1', object: 'chat.completion.chunk', created: 0, model: body.model, choices: [{ index: 0, delta: { content: piece }, finish_reason: null }] };
+          res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+        }
+        return res.end('data: [DONE]\n\n');
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        id: 'c1',
+        object: 'chat.completion',
+        created: 0,
+        model: body.model,
+        choices: [{ index: 0, message: { role: 'assistant', content: LOCAL_REPLY }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 12, completion_tokens: 9, total_tokens: 21 }
+      }));
+    });
+  });
+  server.listen(0, '127.0.0.1', () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}/v1` }));
+});
+
+let t;
+let fake;
+let learner;
+let providers;
+let learningEngine;
+
+beforeAll(async () => {
+  fake = await startFakeLocalServer();
+  t = await startTestServer({ LLM_SCRIPTED: 'false', LOCAL_LLM_BASE_URL: fake.url, LOCAL_LLM_MODEL: 'llama3.1' });
+  providers = require('../providers');
+  learningEngine = require('../learningEngine');
+  learner = await t.registerUser({ userType: 'learner' });
+});
+
+afterAll(async () => {
+  await t.close();
+  await new Promise(resolve => fake.server.close(resolve));
+});
+
+const turn = { message: 'What is gravity?', subject: 'Science', mode: 'discovery', cache: false };
+
+describe('local provider', () => {
+  test('answers tutor turns without a cloud key', async () => {
+    expect(providers.listProviders().map(p => p.name)).toEqual(['local']);
+
+    const result = await t.request('POST', '/api/tutor', { token: learner.token, body: turn });
+    expect(result.body.response).toBe(LOCAL_REPLY);
+    expect(result.body.metadata).toEqual(expect.objectContaining({ model: 'local', modelName: 'llama3.1' }));
+
+    const sent = fake.requests[fake.requests.length - 1];
+    expect(sent.path).toBe('/v1/chat/completions');
+    expect(sent.body.messages[0].role).toBe('system');
+    expect(sent.body.messages[sent.body.messages.length - 1]).toEqual({ role: 'user', content: 'What is gravity?' });
+  });
+
+  test('streams without asking for usage chunks', async () => {
+    const { events } = await t.stream('/api/tutor/stream', { token: learner.token, body: turn });
+    expect(events.filter(e => e.event === 'delta').map(e => e.data.text).join('')).toBe(LOCAL_REPLY);
+
+    const sent = fake.requests[fake.requests.length - 1].body;
+    expect(sent.stream).toBe(true);
+    expect(sent.stream_options).toBeUndefined();
+  });
+
+  test('reports live health on a deep check', async () => {
+    const health = await t.request('GET', '/health?deep=true');
+    expect(health.body.providers.local).toEqual(expect.objectContaining({ ok: true, model: 'llama3.1', state: 'closed' }));
+  });
+});
+
+describe('registry', () => {
+  afterEach(() => {
+    providers.unregisterProvider('claude');
+    delete process.env.LLM_DEFAULT_PROVIDER;
+  });
+
+  test('call hooks see every attempt until removed', async () => {
+    const seen = [];
+    const remove = providers.addCallHook({ after: (call) => seen.push(call) });
+
+    await t.request('POST', '/api/tutor', { token: learner.token, body: turn });
+    expect(seen).toEqual([expect.objectContaining({
+      provider: 'local', model: 'llama3.1', operation: 'generate', purpose: 'tutor', status: 'ok',
+      usage: { inputTokens: 12, outputTokens: 9 }
+    })]);
+
+    remove();
+    await t.request('POST', '/api/tutor', { token: learner.token, body: turn });
+    expect(seen).toHaveLength(1);
+  });
+
+  test('picks providers by learning mode unless one is forced', () => {
+    providers.registerProvider(providers.createScriptedProvider({ name: 'claude' }));
+    expect(learningEngine.selectOptimalModel('discovery')).toBe('claude');
+    expect(learningEngine.rankProviders('discovery')).toEqual(['claude', 'local']);
+
+    process.env.LLM_DEFAULT_PROVIDER = 'local';
+    expect(learningEngine.selectOptimalModel('discovery')).toBe('local');
+  });
+
+  test('reports none when nothing is registered', () => {
+    expect(learningEngine.selectOptimalModel('discovery', [])).toBe('none');
+  });
+});
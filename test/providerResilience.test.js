@@ -0,0 +1,173 @@
+// test/providerResilience.test.js - Failover, attempt budgets, circuit breakers and readiness
+const { startTestServer } = require('./helpers/testServer');
+
+let t;
+let learner;
+let providers;
+let resilience;
+let defaults;
+
+beforeAll(async () => {
+  t = await startTestServer();
+  providers = require('../providers');
+  resilience = require('../providers/resilience');
+  defaults = resilience.getResilienceConfig();
+  learner = await t.registerUser({ userType: 'learner' });
+});
+
+afterAll(async () => {
+  await t.close();
+});
+
+afterEach(() => {
+  resilience.setResilienceConfig(defaults);
+  providers.unregisterProvider('claude');
+  providers.unregisterProvider('openai');
+  t.scriptResponses();
+});
+
+const useConfig = (overrides) => resilience.setResilienceConfig({
+  ...defaults,
+  retryBaseMs: 1,
+  ...overrides,
+  breaker: { ...defaults.breaker, ...overrides.breaker }
+});
+
+const overloaded = () => Object.assign(new Error('Overloaded'), { status: 529 });
+
+// Scripted stand-in for a real provider; fails with a 529 while state.failing is set
+const flakyProvider = (name, state = { failing: true }) => providers.registerProvider({
+  ...providers.createScriptedProvider({
+    name,
+    responses: () => {
+      if (state.failing) throw overloaded();
+      return `Hello from ${name}. What do you already know?`;
+    }
+  }),
+  label: `Flaky ${name}`,
+  models: { primary: `${name}-primary`, fallback: `${name}-fallback` }
+});
+
+// Never answers; only the timeout ends the call
+const hangingProvider = (name) => providers.registerProvider({
+  name,
+  label: `Hanging ${name}`,
+  models: { primary: `${name}-primary`, fallback: null },
+  generate: (request) => new Promise((resolve, reject) => {
+    request.signal.addEventListener('abort', () => reject(new Error('Request was aborted.')));
+  }),
+  stream: (request) => new Promise((resolve, reject) => {
+    request.signal.addEventListener('abort', () => reject(new Error('Request was aborted.')));
+  }),
+  health: async () => ({ ok: false })
+});
+
+// Discovery turns prefer claude, then openai, then anything else registered
+const turn = { message: 'Why is the sky blue?', subject: 'Science', mode: 'discovery', cache: false };
+const ask = () => t.request('POST', '/api/tutor', { token: learner.token, body: turn });
+
+describe('failover', () => {
+  test('a failing provider hands the turn to the next one in the same request', async () => {
+    useConfig({});
+    const claude = flakyProvider('claude');
+
+    const result = await ask();
+    expect(result.status).toBe(200);
+    expect(result.body.metadata.model).toBe('scripted');
+    expect(claude.calls).toHaveLength(1);
+  });
+
+  test('streams fail over before anything is sent', async () => {
+    useConfig({});
+    flakyProvider('claude');
+
+    const { events } = await t.stream('/api/tutor/stream', { token: learner.token, body: turn });
+    const done = events.find(e => e.event === 'done');
+    expect(done.data.metadata.model).toBe('scripted');
+    expect(events.filter(e => e.event === 'delta').map(e => e.data.text).join('')).toMatch(/Why is the sky blue/);
+  });
+
+  test('a timed-out provider is left for the next one', async () => {
+    useConfig({ timeoutMs: 100 });
+    hangingProvider('claude');
+
+    const result = await ask();
+    expect(result.body.metadata.model).toBe('scripted');
+  });
+
+  test('one attempt cap covers every provider, retry and fallback model', async () => {
+    useConfig({ maxAttempts: 3, maxRetries: 2 });
+    const claude = flakyProvider('claude');
+    const openai = flakyProvider('openai');
+    const scripted = t.scriptResponses(() => { throw overloaded(); });
+
+    const result = await ask();
+    expect(result.body.metadata.model).toBe('fallback');
+    expect(claude.calls.length + openai.calls.length + scripted.calls.length).toBe(3);
+  });
+
+  test('one deadline covers the whole request', async () => {
+    useConfig({ timeoutMs: 10000, deadlineMs: 200 });
+    hangingProvider('claude');
+    hangingProvider('openai');
+
+    const started = Date.now();
+    const result = await ask();
+    expect(result.body.metadata.model).toBe('fallback');
+    expect(Date.now() - started).toBeLessThan(2000);
+  });
+});
+
+describe('circuit breakers', () => {
+  test('open after repeated failures, then let one trial through after the cooldown', async () => {
+    useConfig({ breaker: { failureThreshold: 2, cooldownMs: 50 } });
+    const breaker = resilience.createCircuitBreaker('test');
+
+    breaker.recordFailure(overloaded());
+    expect(breaker.allowRequest()).toBe(true);
+    breaker.recordFailure(overloaded());
+    expect(breaker.snapshot().state).toBe('open');
+    expect(breaker.allowRequest()).toBe(false);
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    expect(breaker.snapshot().state).toBe('half_open');
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.allowRequest()).toBe(false);
+
+    breaker.recordFailure(overloaded());
+    expect(breaker.snapshot().state).toBe('open');
+  });
+
+  test('skip an open provider and recover through health, readiness and the half-open trial', async () => {
+    useConfig({ breaker: { failureThreshold: 2, cooldownMs: 200 } });
+    const state = { failing: true };
+    const claude = flakyProvider('claude', state);
+
+    await ask();
+    await ask();
+    const health = await t.request('GET', '/health');
+    expect(health.body.status).toBe('degraded');
+    expect(health.body.providers.claude.state).toBe('open');
+
+    // Open breakers are passed over without a call
+    const skipped = await ask();
+    expect(skipped.body.metadata.model).toBe('scripted');
+    expect(claude.calls).toHaveLength(2);
+
+    // Not ready while the only provider's breaker is open
+    providers.unregisterProvider('scripted');
+    const notReady = await t.request('GET', '/ready');
+    expect(notReady.status).toBe(503);
+    expect(notReady.body.checks.providers.ok).toBe(false);
+    expect((await ask()).status).toBe(503);
+
+    await new Promise(resolve => setTimeout(resolve, 250));
+    expect((await t.request('GET', '/ready')).status).toBe(200);
+    expect((await t.request('GET', '/health')).body.providers.claude.state).toBe('half_open');
+
+    state.failing = false;
+    const recovered = await ask();
+    expect(recovered.body.metadata.model).toBe('claude');
+    expect((await t.request('GET', '/health')).body.providers.claude.state).toBe('closed');
+  });
+});
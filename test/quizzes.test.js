@@ -0,0 +1,144 @@
+// test/quizzes.test.js - Quiz generation, validation and server-side grading
+const { startTestServer } = require('./helpers/testServer');
+
+const QUIZ = {
+  title: 'Capitals',
+  questions: [
+    { type: 'multiple_choice', question: 'Capital of France?', choices: ['Lyon', 'Paris', 'Nice'], answerIndex: 1, explanation: 'Paris is the capital.' },
+    { type: 'true_false', question: 'Rome is in Italy.', answer: true, explanation: 'It is.' },
+    { type: 'short_answer', question: 'Half of one, as a decimal?', acceptedAnswers: ['0.5'], explanation: '1/2 = 0.5' }
+  ]
+};
+
+// Quiz replies in order; the tutor gets its usual reply
+let quizReplies = [];
+const replyFor = (request) => {
+  if (request.purpose === 'quiz') return quizReplies.length > 1 ? quizReplies.shift() : quizReplies[0];
+  return 'Here is a practice problem: what is 2 + 2?';
+};
+
+let t;
+let provider;
+let quizzes;
+let validateQuiz;
+let learner;
+let mentor;
+
+beforeAll(async () => {
+  t = await startTestServer();
+  provider = t.scriptResponses(replyFor);
+  quizzes = require('../quizzes');
+  ({ validateQuiz } = require('../quizSchema'));
+  learner = await t.registerUser({ userType: 'learner' });
+  mentor = await t.registerUser({ userType: 'mentor' });
+  await t.linkMentor(mentor, learner);
+});
+
+afterAll(async () => {
+  await t.close();
+});
+
+beforeEach(() => {
+  quizReplies = [JSON.stringify(QUIZ)];
+});
+
+const createQuiz = (body = {}) => t.request('POST', '/api/quizzes', { token: learner.token, body: { subject: 'Geography', ...body } });
+const quizCalls = () => provider.calls.filter(call => call.purpose === 'quiz');
+
+describe('grading', () => {
+  const [choice, trueFalse, shortAnswer] = QUIZ.questions;
+
+  test('accepts a choice by index or text', () => {
+    expect(quizzes.gradeQuestion(choice, 1)).toBe(true);
+    expect(quizzes.gradeQuestion(choice, 'paris.')).toBe(true);
+    expect(quizzes.gradeQuestion(choice, 0)).toBe(false);
+  });
+
+  test('accepts booleans and their spelling', () => {
+    expect(quizzes.gradeQuestion(trueFalse, true)).toBe(true);
+    expect(quizzes.gradeQuestion(trueFalse, 'True')).toBe(true);
+    expect(quizzes.gradeQuestion(trueFalse, false)).toBe(false);
+  });
+
+  test('matches short answers loosely and numbers by value', () => {
+    expect(quizzes.gradeQuestion(shortAnswer, '.50')).toBe(true);
+    expect(quizzes.gradeQuestion(shortAnswer, ' 0.5 ')).toBe(true);
+    expect(quizzes.gradeQuestion(shortAnswer, '')).toBe(false);
+  });
+});
+
+describe('generation', () => {
+  test('rejects quizzes that break the schema', () => {
+    expect(validateQuiz(QUIZ)).toEqual([]);
+    const broken = { ...QUIZ, questions: [{ ...QUIZ.questions[0], answerIndex: 5 }, { type: 'true_false', question: 'x', explanation: 'y' }] };
+    expect(validateQuiz(broken).length).toBeGreaterThan(0);
+  });
+
+  test('hides the answer key from the learner', async () => {
+    const created = await createQuiz();
+    expect(created.status).toBe(201);
+    expect(created.body.quiz.questions[0]).toEqual({ index: 0, type: 'multiple_choice', question: 'Capital of France?', choices: ['Lyon', 'Paris', 'Nice'] });
+
+    const asMentor = await t.request('GET', `/api/quizzes/${created.body.quiz.id}`, { token: mentor.token });
+    expect(asMentor.body.quiz.questions[0]).toEqual(expect.objectContaining({ answerIndex: 1, explanation: 'Paris is the capital.' }));
+  });
+
+  test('asks the model to repair invalid output', async () => {
+    const before = quizCalls().length;
+    quizReplies = ['{"title": "Capitals", "questions": []}', JSON.stringify(QUIZ)];
+
+    const created = await createQuiz();
+    expect(created.status).toBe(201);
+    const calls = quizCalls().slice(before);
+    expect(calls).toHaveLength(2);
+    expect(calls[1].messages[calls[1].messages.length - 1].content).toMatch(/not valid/);
+  });
+
+  test('fixes smart quotes and trailing commas without asking again', async () => {
+    const before = quizCalls().length;
+    quizReplies = [JSON.stringify(QUIZ).replace(/"Capitals"/, '“Capitals”').replace(/}]}$/, '},]}')];
+
+    expect((await createQuiz()).status).toBe(201);
+    expect(quizCalls().length - before).toBe(1);
+  });
+
+  test('gives up with a 502 after three invalid replies', async () => {
+    quizReplies = ['not a quiz'];
+    expect((await createQuiz()).status).toBe(502);
+  });
+});
+
+describe('attempts', () => {
+  test('are graded on the server and update subject scores', async () => {
+    const created = await createQuiz();
+    const attempt = await t.request('POST', `/api/quizzes/${created.body.quiz.id}/attempts`, {
+      token: learner.token,
+      body: { answers: [1, false, '0.5'] }
+    });
+    expect(attempt.status).toBe(201);
+    expect(attempt.body).toEqual(expect.objectContaining({ score: 2, total: 3 }));
+    expect(attempt.body.results.map(result => result.correct)).toEqual([true, false, true]);
+
+    const scores = await t.request('GET', `/api/learners/${learner.user.id}/quiz-scores`, { token: mentor.token });
+    expect(scores.body.scores).toEqual([expect.objectContaining({ subject: 'geography', attempts: 1, questionsAnswered: 3, correctAnswers: 2, lastScorePct: 66.7 })]);
+  });
+
+  test('need one answer per question from the quiz owner', async () => {
+    const created = await createQuiz();
+    const submit = (body, user = learner) => t.request('POST', `/api/quizzes/${created.body.quiz.id}/attempts`, { token: user.token, body });
+
+    expect((await submit({ answers: [1] })).status).toBe(400);
+    expect((await submit({ answers: 'Paris' })).status).toBe(400);
+    const other = await t.registerUser({ userType: 'learner' });
+    expect((await submit({ answers: [1, true, '0.5'] }, other)).status).toBe(403);
+  });
+});
+
+test('challenge turns can come with a quiz', async () => {
+  const turn = await t.request('POST', '/api/tutor', {
+    token: learner.token,
+    body: { message: 'Quiz me on capitals', subject: 'Geography', mode: 'challenge', quiz: true, cache: false }
+  });
+  expect(turn.body.quiz.questions).toHaveLength(3);
+  expect(turn.body.metadata.quizId).toBe(turn.body.quiz.id);
+});
@@ -0,0 +1,159 @@
+// test/rateLimit.test.js - Tutor limits on every model route and login brute-force protection
+const { startTestServer } = require('./helpers/testServer');
+
+const QUIZ = {
+  title: 'Quick check',
+  questions: [{ type: 'true_false', question: 'Is 7 prime?', answer: true, explanation: 'Only 1 and 7 divide it.' }]
+};
+
+const replyFor = (request) => {
+  if (request.purpose === 'quiz') return JSON.stringify(QUIZ);
+  if (request.purpose === 'review_items') return JSON.stringify([{ prompt: 'Is 7 prime?', answer: 'Yes.' }]);
+  return 'Good question! What do you already know about it?';
+};
+
+let t;
+let rateLimits;
+let defaults;
+
+beforeAll(async () => {
+  t = await startTestServer();
+  t.scriptResponses(replyFor);
+  rateLimits = require('../rateLimit');
+  defaults = rateLimits.getRateLimitConfig();
+});
+
+afterAll(async () => {
+  rateLimits.setRateLimitConfig(defaults);
+  await t.close();
+});
+
+// Every test starts from empty counters and the given policy overrides
+const useLimits = (overrides) => {
+  rateLimits.setStore(rateLimits.createMemoryStore());
+  rateLimits.setRateLimitConfig({
+    enabled: true,
+    policies: rateLimits.loadPolicies({ RATE_LIMIT_POLICIES: JSON.stringify(overrides) })
+  });
+};
+
+const login = (user, password, emailOrUsername = user.user.email) => t.request('POST', '/api/auth/login', {
+  body: { emailOrUsername, password }
+});
+
+describe('algorithms', () => {
+  const policy = { limit: 2, windowMs: 60 * 1000 };
+
+  test('a token bucket refund gives a token back without overfilling', () => {
+    const spent = rateLimits.tokenBucket(null, policy, 0);
+    expect(spent.remaining).toBe(1);
+    expect(rateLimits.tokenBucket(spent.state, policy, 0, { refund: true }).remaining).toBe(2);
+    expect(rateLimits.tokenBucket(null, policy, 0, { refund: true }).remaining).toBe(2);
+  });
+
+  test('a sliding window refund reaches into the previous window', () => {
+    const spent = rateLimits.slidingWindow(null, policy, 59 * 1000);
+    const refunded = rateLimits.slidingWindow(spent.state, policy, 61 * 1000, { refund: true });
+    expect(refunded.state).toEqual(expect.objectContaining({ current: 0, previous: 0 }));
+    expect(refunded.remaining).toBe(2);
+  });
+});
+
+describe('tutor policy', () => {
+  test('covers quizzes, review cards and report previews', async () => {
+    useLimits({ tutor: { limit: 2 } });
+    const learner = await t.registerUser({ userType: 'learner' });
+
+    const first = await t.request('POST', '/api/quizzes', { token: learner.token, body: { subject: 'Math' } });
+    expect(first.status).toBe(201);
+    expect(first.headers.get('ratelimit-remaining')).toBe('1');
+
+    const turn = await t.request('POST', '/api/tutor', { token: learner.token, body: { message: 'What is a prime?', subject: 'Math', cache: false } });
+    expect(turn.status).toBe(200);
+
+    const quiz = await t.request('POST', '/api/quizzes', { token: learner.token, body: { subject: 'Math' } });
+    const cards = await t.request('POST', `/api/conversations/${turn.body.conversationId}/review-items`, { token: learner.token, body: {} });
+    for (const limited of [quiz, cards]) {
+      expect(limited.status).toBe(429);
+      expect(limited.body.code).toBe('RATE_LIMITED');
+      expect(Number(limited.headers.get('retry-after'))).toBeGreaterThan(0);
+    }
+  });
+
+  test('limits report previews per mentor', async () => {
+    useLimits({ tutor: { limit: 1 } });
+    const mentor = await t.registerUser({ userType: 'mentor' });
+    const learner = await t.registerUser({ userType: 'learner' });
+    await t.linkMentor(mentor, learner);
+
+    const first = await t.request('GET', `/api/learners/${learner.user.id}/report-preview`, { token: mentor.token });
+    expect(first.status).not.toBe(429);
+
+    const second = await t.request('GET', `/api/learners/${learner.user.id}/report-preview`, { token: mentor.token });
+    expect(second.status).toBe(429);
+  });
+});
+
+describe('login protection', () => {
+  test('locks an account after five failed attempts', async () => {
+    useLimits({});
+    const learner = await t.registerUser({ userType: 'learner' });
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      expect((await login(learner, 'wrong-password')).status).toBe(401);
+    }
+    const locked = await login(learner, 'secret123');
+    expect(locked.status).toBe(429);
+    expect(locked.body.code).toBe('TOO_MANY_LOGIN_ATTEMPTS');
+    expect(Number(locked.headers.get('retry-after'))).toBeGreaterThan(0);
+  });
+
+  test('does not count successful logins', async () => {
+    useLimits({ login_ip: { limit: 3 } });
+    const learner = await t.registerUser({ userType: 'learner' });
+
+    for (let attempt = 0; attempt < 8; attempt++) {
+      expect((await login(learner, 'secret123')).status).toBe(200);
+    }
+    expect((await login(learner, 'wrong-password')).status).toBe(401);
+  });
+
+  test('a successful login clears the failed attempts', async () => {
+    useLimits({});
+    const learner = await t.registerUser({ userType: 'learner' });
+
+    for (let attempt = 0; attempt < 4; attempt++) await login(learner, 'wrong-password');
+    expect((await login(learner, 'secret123')).status).toBe(200);
+    for (let attempt = 0; attempt < 5; attempt++) {
+      expect((await login(learner, 'wrong-password')).status).toBe(401);
+    }
+  });
+
+  test('email and username attempts count against the same account', async () => {
+    useLimits({});
+    const learner = await t.registerUser({ userType: 'learner' });
+    const { email, username } = learner.user;
+
+    for (const identifier of [email, username, ` ${email.toUpperCase()} `, username, email]) {
+      expect((await login(learner, 'wrong-password', identifier)).status).toBe(401);
+    }
+    expect((await login(learner, 'secret123', username)).status).toBe(429);
+    expect((await login(learner, 'secret123', email)).status).toBe(429);
+
+    // Unknown accounts are still limited by what was typed
+    const nobody = { user: { email: 'nobody@example.com' } };
+    for (let attempt = 0; attempt < 5; attempt++) {
+      expect((await login(nobody, 'wrong-password')).status).toBe(401);
+    }
+    expect((await login(nobody, 'wrong-password', 'NOBODY@example.com')).status).toBe(429);
+  });
+
+  test('parallel guesses cannot get past the limit', async () => {
+    useLimits({});
+    const learner = await t.registerUser({ userType: 'learner' });
+
+    const results = await Promise.all(Array.from({ length: 12 }, () => login(learner, 'wrong-password')));
+    expect(results.filter(r => r.status === 401)).toHaveLength(5);
+    expect(results.filter(r => r.status === 429)).toHaveLength(7);
+  });
+});
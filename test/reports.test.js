@@ -0,0 +1,112 @@
+// test/reports.test.js - Scheduled mentor progress reports, delivery and preview
+const { startTestServer } = require('./helpers/testServer');
+
+const SUMMARY = JSON.stringify({ highlights: ['Worked through fractions <carefully>.'], struggles: ['Mixed up numerators.'] });
+
+let t;
+let reports;
+let learner;
+let mentor;
+
+// A week from now, so the last completed week is the one with today's sessions in it
+const nextWeek = () => new Date(Date.now() + 7 * 24 * 3600 * 1000);
+
+beforeAll(async () => {
+  t = await startTestServer();
+  t.scriptResponses((request) => (request.purpose === 'progress_summary' ? SUMMARY : 'What do you notice about the denominators?'));
+  reports = require('../reports');
+  learner = await t.registerUser({ userType: 'learner', displayName: 'Ada' });
+  mentor = await t.registerUser({ userType: 'mentor', displayName: 'Grace' });
+  await t.linkMentor(mentor, learner);
+
+  await t.request('POST', '/api/tutor', {
+    token: learner.token,
+    body: { message: 'How do I add 1/2 and 1/3?', subject: 'Math', mode: 'practice', cache: false }
+  });
+});
+
+afterAll(async () => {
+  await t.close();
+});
+
+const reportMail = () => t.sentMail.filter(mail => / learning report /.test(mail.subject));
+const enableReports = (body = { enabled: true }) => t.request('PUT', '/api/reports/settings', { token: mentor.token, body });
+
+describe('periods', () => {
+  test('weeks run Monday to Sunday', () => {
+    expect(reports.lastCompletedPeriod('weekly', new Date('2026-10-21T12:00:00Z'))).toEqual({ from: '2026-10-12', to: '2026-10-18' });
+  });
+
+  test('months are the previous calendar month', () => {
+    expect(reports.lastCompletedPeriod('monthly', new Date('2026-03-05T00:00:00Z'))).toEqual({ from: '2026-02-01', to: '2026-02-28' });
+  });
+
+  test('biweekly periods stay aligned to the anchor', () => {
+    const first = reports.lastCompletedPeriod('biweekly', new Date('2026-10-21T00:00:00Z'));
+    const second = reports.lastCompletedPeriod('biweekly', new Date('2026-10-28T00:00:00Z'));
+    expect(first).toEqual(second);
+    expect((new Date(first.to) - new Date(first.from)) / (24 * 3600 * 1000)).toBe(13);
+  });
+});
+
+describe('settings', () => {
+  test('are off by default and validated', async () => {
+    const initial = await t.request('GET', '/api/reports/settings', { token: mentor.token });
+    expect(initial.body.settings).toEqual({ mentorId: mentor.user.id, enabled: false, frequency: 'weekly' });
+
+    expect((await enableReports({ frequency: 'daily' })).status).toBe(400);
+    expect((await enableReports({ enabled: 'yes' })).status).toBe(400);
+    expect((await t.request('GET', '/api/reports/settings', { token: learner.token })).status).toBe(403);
+  });
+});
+
+describe('delivery', () => {
+  test('nothing is sent until the mentor opts in', async () => {
+    expect(await reports.sendDueReports(nextWeek())).toEqual({ sent: 0, failed: 0 });
+    expect(reportMail()).toHaveLength(0);
+  });
+
+  test('sends each period once, as text and HTML, with the model summary', async () => {
+    await enableReports();
+
+    expect(await reports.sendDueReports(nextWeek())).toEqual({ sent: 1, failed: 0 });
+    const [mail] = reportMail();
+    expect(mail.to).toBe('mentor2@example.com');
+    expect(mail.subject).toMatch(/^Ada's learning report/);
+    expect(mail.text).toContain('Hi Grace');
+    expect(mail.text).toContain('math: 1 session');
+    expect(mail.text).toContain('Worked through fractions <carefully>.');
+    expect(mail.html).toContain('Worked through fractions &lt;carefully&gt;.');
+
+    // A second run (or a restart) finds the period already claimed
+    expect(await reports.sendDueReports(nextWeek())).toEqual({ sent: 0, failed: 0 });
+    expect(reportMail()).toHaveLength(1);
+
+    const sent = await t.request('GET', '/api/reports', { token: mentor.token });
+    expect(sent.body.reports).toEqual([expect.objectContaining({ learnerId: learner.user.id, status: 'sent', transport: 'memory' })]);
+  });
+});
+
+describe('preview', () => {
+  test('renders without sending or recording anything', async () => {
+    const today = new Date().toISOString().slice(0, 10);
+    const before = reportMail().length;
+
+    const json = await t.request('GET', `/api/learners/${learner.user.id}/report-preview?from=${today}&to=${today}`, { token: mentor.token });
+    expect(json.status).toBe(200);
+    expect(json.body.report).toEqual(expect.objectContaining({ highlights: ['Worked through fractions <carefully>.'], summarySource: 'model' }));
+
+    const html = await t.request('GET', `/api/learners/${learner.user.id}/report-preview?format=html&from=${today}&to=${today}`, { token: mentor.token });
+    expect(html.headers.get('content-type')).toMatch(/text\/html/);
+    expect(html.body).toContain('<strong>Ada</strong>');
+
+    expect(reportMail().length).toBe(before);
+    expect((await t.request('GET', '/api/reports', { token: mentor.token })).body.reports).toHaveLength(1);
+  });
+
+  test('needs a linked mentor and a known format', async () => {
+    expect((await t.request('GET', `/api/learners/${learner.user.id}/report-preview?format=pdf`, { token: mentor.token })).status).toBe(400);
+    const stranger = await t.registerUser({ userType: 'mentor' });
+    expect((await t.request('GET', `/api/learners/${learner.user.id}/report-preview`, { token: stranger.token })).status).toBe(403);
+  });
+});
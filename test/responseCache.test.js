@@ -0,0 +1,212 @@
+// test/responseCache.test.js - Shared first-turn replies, key separation, bypasses, TTLs and invalidation
+const { startTestServer } = require('./helpers/testServer');
+
+let t;
+let cache;
+let moderation;
+let provider;
+let mentor;
+let learner;
+
+beforeAll(async () => {
+  t = await startTestServer({ ADMIN_API_KEY: 'admin-secret' });
+  cache = require('../responseCache');
+  moderation = require('../moderation');
+  mentor = await t.registerUser({ userType: 'mentor' });
+});
+
+afterAll(async () => {
+  await t.close();
+});
+
+beforeEach(async () => {
+  cache.setCacheConfig(cache.loadCacheConfig({}));
+  cache.setStore(cache.createMemoryStore());
+  moderation.setModerationConfig(moderation.loadModerationConfig());
+  provider = t.scriptResponses((request, i) => `What do you notice first? (${i})`);
+  learner = await t.registerUser({ skillLevel: 'advanced' });
+});
+
+const ask = (user, body) => t.request('POST', '/api/tutor', {
+  token: user.token,
+  body: { message: 'What is photosynthesis?', subject: 'Science', skillLevel: 'advanced', mode: 'practice', ...body }
+});
+
+const modelCalls = () => provider.calls.filter(call => call.purpose === 'tutor').length;
+
+describe('hits', () => {
+  test('the same normalized question is answered from the cache', async () => {
+    const first = await ask(learner);
+    expect(first.body.metadata.cache).toEqual({ hit: false });
+
+    const again = await ask(learner, { message: '  what is PHOTOSYNTHESIS ' });
+    expect(again.status).toBe(200);
+    expect(again.body.response).toBe(first.body.response);
+    expect(again.body.metadata.cache).toEqual(expect.objectContaining({ hit: true, storedAt: expect.any(String), expiresAt: expect.any(String) }));
+    expect(again.body.metadata.usage).toBeUndefined();
+    expect(modelCalls()).toBe(1);
+
+    // Cached turns are still saved to the learner's own conversation
+    const { body } = await t.request('GET', `/api/conversations/${again.body.conversationId}/messages`, { token: learner.token });
+    expect(body.messages.map(m => m.content)).toEqual(['  what is PHOTOSYNTHESIS ', first.body.response]);
+  });
+
+  test('other learners with the same settings share the reply', async () => {
+    await ask(learner);
+    const other = await t.registerUser({ skillLevel: 'advanced' });
+    expect((await ask(other)).body.metadata.cache.hit).toBe(true);
+    expect(modelCalls()).toBe(1);
+  });
+
+  test('subject, skill level and mode are part of the key', async () => {
+    await ask(learner);
+    expect((await ask(learner, { subject: 'Biology' })).body.metadata.cache.hit).toBe(false);
+    expect((await ask(learner, { skillLevel: 'intermediate' })).body.metadata.cache.hit).toBe(false);
+    expect((await ask(learner, { mode: 'discovery' })).body.metadata.cache.hit).toBe(false);
+    expect(modelCalls()).toBe(4);
+  });
+
+  test('streaming requests get a cached reply as one delta', async () => {
+    const first = await ask(learner);
+    const { events } = await t.stream('/api/tutor/stream', {
+      token: learner.token,
+      body: { message: 'What is photosynthesis?', subject: 'Science', skillLevel: 'advanced', mode: 'practice' }
+    });
+
+    expect(events.find(e => e.event === 'metadata').data.cache).toEqual(expect.objectContaining({ hit: true }));
+    expect(events.filter(e => e.event === 'delta').map(e => e.data.text || e.data).join('')).toBe(first.body.response);
+    expect(modelCalls()).toBe(1);
+  });
+});
+
+describe('key separation', () => {
+  test('learners under an integrity policy never share replies with those without one', async () => {
+    await ask(learner);
+
+    const restricted = await t.registerUser({ skillLevel: 'advanced' });
+    await t.linkMentor(mentor, restricted);
+    const policy = await t.request('PUT', `/api/learners/${restricted.user.id}/integrity-policy`, { token: mentor.token, body: { hintsOnly: true } });
+    expect(policy.status).toBe(200);
+
+    expect((await ask(restricted)).body.metadata.cache.hit).toBe(false);
+    expect((await ask(restricted)).body.metadata.cache.hit).toBe(true);
+    expect(modelCalls()).toBe(2);
+  });
+
+  test('questions that differ only by an operator get their own replies', async () => {
+    const request = { subject: 'Math', skillLevel: 'advanced', mode: 'practice', integrityPolicy: null, safetyLevel: 'advanced' };
+    const keys = ['What is 2+2?', 'what is 2-2', 'what is 2*2', 'what is 2/2', 'is 2<3', 'is 2>3']
+      .map(message => cache.cacheKey({ ...request, message }));
+    expect(new Set(keys).size).toBe(keys.length);
+    expect(cache.cacheKey({ ...request, message: '  WHAT is 2+2 ' })).toBe(keys[0]);
+
+    const sum = await ask(learner, { message: 'What is 2+2?', subject: 'Math' });
+    const difference = await ask(learner, { message: 'what is 2-2', subject: 'Math' });
+    const product = await ask(learner, { message: 'what is 2*2', subject: 'Math' });
+    expect([difference, product].map(turn => turn.body.metadata.cache.hit)).toEqual([false, false]);
+    expect(new Set([sum, difference, product].map(turn => turn.body.response)).size).toBe(3);
+    expect(modelCalls()).toBe(3);
+  });
+
+  test('the safety level follows the stricter of the requested and profile skill level', async () => {
+    await ask(learner);
+
+    // Same requested skill level, but a beginner profile is moderated as a beginner
+    const younger = await t.registerUser({ skillLevel: 'beginner' });
+    expect((await ask(younger)).body.metadata.cache.hit).toBe(false);
+    expect(modelCalls()).toBe(2);
+  });
+
+  test('moderation settings change the key', () => {
+    const request = { message: 'What is photosynthesis?', subject: 'Science', skillLevel: 'advanced', mode: 'practice', integrityPolicy: null };
+    const advanced = cache.cacheKey({ ...request, safetyLevel: 'advanced' });
+    expect(cache.cacheKey({ ...request, safetyLevel: 'advanced' })).toBe(advanced);
+    expect(cache.cacheKey({ ...request, safetyLevel: 'beginner' })).not.toBe(advanced);
+    expect(cache.cacheKey({ ...request, safetyLevel: 'advanced', integrityPolicy: { hintsOnly: true } })).not.toBe(advanced);
+
+    moderation.setModerationConfig({ ...moderation.getModerationConfig(), enabled: false });
+    expect(cache.cacheKey({ ...request, safetyLevel: 'advanced' })).not.toBe(advanced);
+  });
+});
+
+describe('bypasses', () => {
+  test('cache: false always goes to the model', async () => {
+    await ask(learner);
+    const skipped = await ask(learner, { cache: false });
+    expect(skipped.body.metadata.cache).toEqual({ hit: false, bypass: 'opted_out' });
+    expect(modelCalls()).toBe(2);
+  });
+
+  test('follow-up turns are never served from or stored in the cache', async () => {
+    const first = await ask(learner, { message: 'Tell me about plants' });
+    await ask(learner);
+
+    const followUp = await ask(learner, { conversationId: first.body.conversationId });
+    expect(followUp.body.metadata.cache).toEqual({ hit: false, bypass: 'multi_turn' });
+    expect(modelCalls()).toBe(3);
+  });
+
+  test('knowledge base passages make the turn personal', async () => {
+    await t.linkMentor(mentor, learner);
+    const uploaded = await t.request('POST', '/api/knowledge-base/documents', {
+      token: mentor.token,
+      body: { title: 'Class notes', subject: 'Science', learnerId: learner.user.id, content: 'Photosynthesis turns light, water and carbon dioxide into sugar in the chloroplasts.' }
+    });
+    expect(uploaded.status).toBe(201);
+
+    const turn = await ask(learner);
+    expect(turn.body.metadata.cache).toEqual({ hit: false, bypass: 'personalized' });
+    expect((await ask(learner)).body.metadata.cache.hit).toBe(false);
+  });
+
+  test('modes with no lifetime and RESPONSE_CACHE_ENABLED=false skip the cache', async () => {
+    cache.setCacheConfig(cache.loadCacheConfig({ RESPONSE_CACHE_TTLS: '{"practice":0}' }));
+    expect((await ask(learner)).body.metadata.cache).toEqual({ hit: false, bypass: 'mode_not_cached' });
+
+    cache.setCacheConfig(cache.loadCacheConfig({ RESPONSE_CACHE_ENABLED: 'false' }));
+    await ask(learner);
+    expect((await ask(learner)).body.metadata.cache).toBeUndefined();
+    expect(modelCalls()).toBe(3);
+  });
+});
+
+describe('expiry and invalidation', () => {
+  test('entries expire after the mode lifetime', async () => {
+    cache.setCacheConfig(cache.loadCacheConfig({ RESPONSE_CACHE_TTLS: '{"practice":0.05}' }));
+    await ask(learner);
+    expect((await ask(learner)).body.metadata.cache.hit).toBe(true);
+
+    await new Promise(resolve => setTimeout(resolve, 80));
+    expect((await ask(learner)).body.metadata.cache.hit).toBe(false);
+    expect(modelCalls()).toBe(2);
+  });
+
+  test('the memory store drops the least recently used entry when full', async () => {
+    const store = cache.createMemoryStore({ maxEntries: 2 });
+    const entry = { response: 'r', metadata: {}, subject: 'Math', mode: 'practice', skillLevel: 'beginner' };
+    await store.set('a', entry, 60000);
+    await store.set('b', entry, 60000);
+    await store.get('a');
+    await store.set('c', entry, 60000);
+
+    expect(await store.get('b')).toBeNull();
+    expect(await store.get('a')).toEqual(expect.objectContaining({ response: 'r', hits: 2 }));
+  });
+
+  test('admins drop cached replies by subject and mode', async () => {
+    await ask(learner);
+    await ask(learner, { subject: 'History' });
+    await ask(learner, { mode: 'discovery' });
+
+    const invalidate = (query, key = 'admin-secret') => t.request('DELETE', `/api/admin/response-cache${query}`, { headers: { 'X-Admin-Key': key } });
+    expect((await invalidate('', 'wrong')).status).toBe(403);
+    expect((await invalidate('?mode=lecture')).status).toBe(400);
+
+    expect((await invalidate('?subject=science&mode=practice')).body).toEqual({ removed: 1 });
+    expect((await ask(learner)).body.metadata.cache.hit).toBe(false);
+    expect((await ask(learner, { subject: 'History' })).body.metadata.cache.hit).toBe(true);
+
+    expect((await invalidate('')).body).toEqual({ removed: 3 });
+    expect((await ask(learner, { mode: 'discovery' })).body.metadata.cache.hit).toBe(false);
+  });
+});
@@ -0,0 +1,104 @@
+// test/reviewScheduler.test.js - SM-2 scheduling, review cards and review mode
+const { startTestServer } = require('./helpers/testServer');
+
+const replyFor = (request) => {
+  if (request.purpose === 'review_items') return JSON.stringify([{ prompt: 'What does a chloroplast do?', answer: 'It turns light into sugar.' }]);
+  return 'Chloroplasts capture light and turn it into sugar. What do you think the sugar is for?';
+};
+
+let t;
+let provider;
+let scheduleReview;
+let learner;
+
+beforeAll(async () => {
+  t = await startTestServer();
+  provider = t.scriptResponses(replyFor);
+  ({ scheduleReview } = require('../reviewScheduler'));
+  learner = await t.registerUser({ userType: 'learner' });
+});
+
+afterAll(async () => {
+  await t.close();
+});
+
+const card = (subject, prompt, user = learner) => t.request('POST', '/api/review/items', {
+  token: user.token,
+  body: { subject, prompt, answer: 'An answer.' }
+});
+
+const due = async (subject) => (await t.request('GET', `/api/review/due?subject=${subject}`, { token: learner.token })).body.items;
+
+describe('scheduling', () => {
+  const fresh = { ease_factor: 2.5, interval_days: 0, repetitions: 0, lapses: 0 };
+  const apply = (item, next) => ({ ...item, ease_factor: next.easeFactor, interval_days: next.intervalDays, repetitions: next.repetitions, lapses: next.lapses });
+
+  test('climbs the SM-2 ladder on good answers', () => {
+    const now = new Date('2026-01-01T00:00:00Z');
+    const first = scheduleReview(fresh, 5, now);
+    const second = scheduleReview(apply(fresh, first), 5, now);
+    const third = scheduleReview(apply(fresh, second), 5, now);
+
+    expect([first.intervalDays, second.intervalDays, third.intervalDays]).toEqual([1, 6, 16]);
+    expect(first.easeFactor).toBe(2.6);
+    expect(third.dueAt).toEqual(new Date('2026-01-17T00:00:00Z'));
+  });
+
+  test('starts over after a lapse and never lets ease fall below 1.3', () => {
+    const learned = { ease_factor: 1.4, interval_days: 20, repetitions: 4, lapses: 0 };
+    const forgot = scheduleReview(learned, 0);
+    expect(forgot).toEqual(expect.objectContaining({ intervalDays: 1, repetitions: 0, lapses: 1, easeFactor: 1.3 }));
+  });
+});
+
+describe('cards', () => {
+  test('graded cards leave the due list until they are due again', async () => {
+    const created = await card('Chemistry', 'What is an atom?');
+    expect(created.status).toBe(201);
+    expect((await due('Chemistry')).map(item => item.id)).toEqual([created.body.item.id]);
+
+    const graded = await t.request('POST', `/api/review/${created.body.item.id}/grade`, { token: learner.token, body: { grade: 4 } });
+    expect(graded.body.item).toEqual(expect.objectContaining({ repetitions: 1, intervalDays: 1, lastGrade: 4 }));
+    expect(await due('Chemistry')).toEqual([]);
+  });
+
+  test('reject duplicates, bad grades and other learners', async () => {
+    const created = await card('Physics', 'What is inertia?');
+    expect((await card('Physics', 'What is inertia?')).status).toBe(409);
+
+    const other = await t.registerUser({ userType: 'learner' });
+    expect((await card('Physics', 'What is inertia?', other)).status).toBe(201);
+
+    const grade = (body, user = learner) => t.request('POST', `/api/review/${created.body.item.id}/grade`, { token: user.token, body });
+    expect((await grade({ grade: 6 })).status).toBe(400);
+    expect((await grade({ grade: 'five' })).status).toBe(400);
+    expect((await grade({ grade: 3 }, other)).status).toBe(403);
+  });
+});
+
+describe('review mode', () => {
+  test('puts due cards in the prompt and reports which ones', async () => {
+    const created = await card('Geography', 'What is the capital of Peru?');
+
+    const turn = await t.request('POST', '/api/tutor', {
+      token: learner.token,
+      body: { message: "Let's review", subject: 'Geography', mode: 'review', cache: false }
+    });
+    expect(turn.body.metadata.reviewItemIds).toEqual([created.body.item.id]);
+    expect(provider.calls[provider.calls.length - 1].system).toContain('What is the capital of Peru?');
+  });
+
+  test('explanations become cards in the background', async () => {
+    await t.request('POST', '/api/tutor', {
+      token: learner.token,
+      body: { message: 'Explain what chloroplasts do', subject: 'Biology', mode: 'explanation', cache: false }
+    });
+
+    let items = [];
+    for (let i = 0; i < 20 && items.length === 0; i++) {
+      await new Promise(resolve => setTimeout(resolve, 25));
+      items = await due('Biology');
+    }
+    expect(items).toEqual([expect.objectContaining({ prompt: 'What does a chloroplast do?', source: 'auto' })]);
+  });
+});
@@ -0,0 +1,148 @@
+// test/schemaMigrations.test.js - Numbered migrations, checksums, locking and rollback
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadMigrations, getMigrationStatus, migrateUp, migrateDown, assertSchemaCurrent } = require('../schemaMigrations');
+
+// Stand-in for a pg client: keeps schema_migrations in memory and records every statement.
+// Migration SQL containing FAIL throws, like a statement Postgres rejects.
+const createFakeClient = () => {
+  const applied = new Map();
+  const statements = [];
+  let pending = null;
+
+  const query = async (sql, params = []) => {
+    const text = sql.trim();
+    statements.push(text);
+
+    if (text === 'BEGIN') {
+      pending = new Map(applied);
+    } else if (text === 'COMMIT') {
+      pending.forEach((row, version) => applied.set(version, row));
+      [...applied.keys()].filter(version => !pending.has(version)).forEach(version => applied.delete(version));
+      pending = null;
+    } else if (text === 'ROLLBACK') {
+      pending = null;
+    } else if (text.startsWith('SELECT version')) {
+      return { rows: [...applied.values()].sort((a, b) => a.version - b.version) };
+    } else if (text.startsWith('INSERT INTO schema_migrations')) {
+      const [version, name, checksum] = params;
+      pending.set(version, { version, name, checksum, applied_at: new Date() });
+    } else if (text.startsWith('DELETE FROM schema_migrations')) {
+      pending.delete(params[0]);
+    } else if (text.includes('FAIL')) {
+      throw new Error('syntax error at or near "FAIL"');
+    }
+    return { rows: [] };
+  };
+
+  return { query, applied, statements };
+};
+
+const tempDirs = [];
+const writeMigrations = (files) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  tempDirs.push(dir);
+  for (const [name, sql] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), sql);
+  return dir;
+};
+
+const SAMPLE = {
+  '001_users.up.sql': 'CREATE TABLE users (id SERIAL);',
+  '001_users.down.sql': 'DROP TABLE users;',
+  '002_tags.up.sql': 'ALTER TABLE users ADD COLUMN tags TEXT;',
+  '002_tags.down.sql': 'ALTER TABLE users DROP COLUMN tags;',
+  'README.md': 'not a migration'
+};
+
+const quiet = { log: () => {} };
+
+afterAll(() => {
+  tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+describe('loading', () => {
+  test('the shipped migrations are numbered without gaps and all have both halves', () => {
+    const migrations = loadMigrations();
+    expect(migrations.map(m => m.version)).toEqual(migrations.map((_, i) => i + 1));
+    expect(migrations[0].name).toBe('initial_schema');
+    migrations.forEach(m => expect(m.checksum).toMatch(/^[0-9a-f]{64}$/));
+  });
+
+  test('a missing down file or mismatched names are errors', () => {
+    expect(() => loadMigrations(writeMigrations({ '001_a.up.sql': 'SELECT 1;' }))).toThrow(/missing its down file/);
+    expect(() => loadMigrations(writeMigrations({ '001_a.up.sql': 'SELECT 1;', '001_b.down.sql': 'SELECT 1;' }))).toThrow(/different names/);
+  });
+});
+
+describe('migrating', () => {
+  test('applies pending migrations in order under the advisory lock', async () => {
+    const client = createFakeClient();
+    const migrations = loadMigrations(writeMigrations(SAMPLE));
+
+    expect(await migrateUp(client, { migrations, ...quiet })).toEqual([1, 2]);
+    expect(client.statements[0]).toMatch(/pg_advisory_lock/);
+    expect(client.statements[client.statements.length - 1]).toMatch(/pg_advisory_unlock/);
+    expect(client.statements.indexOf('CREATE TABLE users (id SERIAL);')).toBeLessThan(client.statements.indexOf('ALTER TABLE users ADD COLUMN tags TEXT;'));
+
+    // Nothing left to do the second time
+    expect(await migrateUp(client, { migrations, ...quiet })).toEqual([]);
+    await expect(assertSchemaCurrent(client, migrations)).resolves.toEqual(expect.objectContaining({ pending: [] }));
+  });
+
+  test('a failing migration is rolled back and stops the run', async () => {
+    const client = createFakeClient();
+    const migrations = loadMigrations(writeMigrations({ ...SAMPLE, '002_tags.up.sql': 'FAIL;' }));
+
+    await expect(migrateUp(client, { migrations, ...quiet })).rejects.toThrow(/Migration 002_tags failed/);
+    expect([...client.applied.keys()]).toEqual([1]);
+    expect(client.statements).toContain('ROLLBACK');
+    expect(client.statements[client.statements.length - 1]).toMatch(/pg_advisory_unlock/);
+  });
+
+  test('rolls back the most recent migrations', async () => {
+    const client = createFakeClient();
+    const migrations = loadMigrations(writeMigrations(SAMPLE));
+    await migrateUp(client, { migrations, ...quiet });
+
+    expect(await migrateDown(client, { migrations, ...quiet })).toEqual([2]);
+    expect(client.statements).toContain('ALTER TABLE users DROP COLUMN tags;');
+    expect((await getMigrationStatus(client, migrations)).pending.map(m => m.version)).toEqual([2]);
+
+    expect(await migrateDown(client, { steps: 5, migrations, ...quiet })).toEqual([1]);
+    expect(client.applied.size).toBe(0);
+  });
+});
+
+describe('status', () => {
+  test('a schema that is behind fails the startup check', async () => {
+    const client = createFakeClient();
+    const migrations = loadMigrations(writeMigrations(SAMPLE));
+    await expect(assertSchemaCurrent(client, migrations)).rejects.toThrow(/schema is behind: 001_users, 002_tags not applied/);
+  });
+
+  test('edited and orphaned migrations are reported and block migrating', async () => {
+    const client = createFakeClient();
+    await migrateUp(client, { migrations: loadMigrations(writeMigrations(SAMPLE)), ...quiet });
+
+    const edited = loadMigrations(writeMigrations({
+      '001_users.up.sql': 'CREATE TABLE users (id BIGSERIAL);',
+      '001_users.down.sql': 'DROP TABLE users;'
+    }));
+    const status = await getMigrationStatus(client, edited);
+    expect(status.migrations[0].checksumMismatch).toBe(true);
+    expect(status.problems).toEqual([
+      expect.stringMatching(/001_users was changed after it was applied/),
+      expect.stringMatching(/002_tags is applied but its files are missing/)
+    ]);
+
+    await expect(migrateUp(client, { migrations: edited, ...quiet })).rejects.toThrow(/Refusing to migrate/);
+    await expect(migrateDown(client, { migrations: edited, ...quiet })).rejects.toThrow(/Refusing to roll back/);
+  });
+
+  test('line endings do not change the checksum', () => {
+    const unix = loadMigrations(writeMigrations({ '001_a.up.sql': 'SELECT 1;\nSELECT 2;\n', '001_a.down.sql': 'SELECT 1;' }));
+    const windows = loadMigrations(writeMigrations({ '001_a.up.sql': 'SELECT 1;\r\nSELECT 2;\r\n', '001_a.down.sql': 'SELECT 1;' }));
+    expect(windows[0].checksum).toBe(unix[0].checksum);
+  });
+});
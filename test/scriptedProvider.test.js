@@ -0,0 +1,58 @@
+// test/scriptedProvider.test.js - Deterministic provider used by the rest of the suite
+const { createScriptedProvider } = require('../providers/scriptedProvider');
+
+const request = (content) => ({ system: 'You are a tutor.', messages: [{ role: 'user', content }] });
+
+test('cycles scripted responses and reports usage', async () => {
+  const provider = createScriptedProvider({ responses: ['first', 'second'] });
+  const replies = [];
+  for (let i = 0; i < 3; i++) {
+    replies.push((await provider.generate(request(`question ${i}`))).text);
+  }
+  expect(replies).toEqual(['first', 'second', 'first']);
+
+  const result = await provider.generate(request('hello'));
+  expect(result.model).toBe('scripted-1');
+  expect(result.usage).toEqual({ inputTokens: expect.any(Number), outputTokens: expect.any(Number) });
+});
+
+test('echoes the learner message when no responses are scripted', async () => {
+  const provider = createScriptedProvider();
+  const result = await provider.generate(request('What is a prime number?'));
+  expect(result.text).toContain('What is a prime number?');
+});
+
+test('streams word by word and stops when aborted', async () => {
+  const provider = createScriptedProvider({ responses: ['one two three'] });
+  const deltas = [];
+  const result = await provider.stream({ ...request('count'), onDelta: (text) => deltas.push(text) });
+  expect(deltas).toEqual(['one ', 'two ', 'three']);
+  expect(result.text).toBe('one two three');
+
+  const controller = new AbortController();
+  controller.abort();
+  await expect(provider.stream({ ...request('count'), signal: controller.signal, onDelta: () => {} }))
+    .rejects.toThrow('aborted');
+});
+
+test('keeps only the most recent calls', async () => {
+  const provider = createScriptedProvider({ responses: (req, index) => `reply ${index}`, maxCalls: 3 });
+  for (let i = 0; i < 10; i++) {
+    await provider.generate(request(`question ${i}`));
+  }
+
+  expect(provider.calls).toHaveLength(3);
+  expect(provider.calls.map(call => call.messages[0].content)).toEqual(['question 7', 'question 8', 'question 9']);
+  // The call index keeps counting past the cap
+  expect((await provider.generate(request('next'))).text).toBe('reply 10');
+});
+
+test('reset clears recorded calls and restarts the script', async () => {
+  const provider = createScriptedProvider({ responses: ['first', 'second'] });
+  await provider.generate(request('a'));
+  await provider.generate(request('b'));
+
+  provider.reset();
+  expect(provider.calls).toHaveLength(0);
+  expect((await provider.generate(request('c'))).text).toBe('first');
+});
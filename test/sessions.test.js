@@ -0,0 +1,116 @@
+// test/sessions.test.js - Short-lived access tokens, rotating refresh tokens and session revocation
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { startTestServer } = require('./helpers/testServer');
+
+let t;
+
+beforeAll(async () => {
+  t = await startTestServer();
+});
+
+afterAll(async () => {
+  await t.close();
+});
+
+const login = (user, device = 'jest') => t.request('POST', '/api/auth/login', {
+  body: { emailOrUsername: user.user.email, password: 'secret123' },
+  headers: { 'User-Agent': device }
+});
+const refresh = (refreshToken) => t.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+const profile = (token) => t.request('GET', '/api/auth/profile', { token });
+
+describe('tokens', () => {
+  test('access tokens are short-lived and tied to a session', async () => {
+    const user = await t.registerUser();
+    const { exp, iat, sid } = jwt.decode(user.token);
+    expect(exp - iat).toBe(15 * 60);
+    expect(sid).toEqual(expect.any(String));
+    expect(user.refreshToken).toEqual(expect.any(String));
+  });
+
+  test('refresh rotates the token and the old one stops working', async () => {
+    const user = await t.registerUser();
+    const first = await refresh(user.refreshToken);
+    expect(first.status).toBe(200);
+    expect(first.body.refreshToken).not.toBe(user.refreshToken);
+    expect((await profile(first.body.token)).status).toBe(200);
+
+    const second = await refresh(first.body.refreshToken);
+    expect(second.status).toBe(200);
+  });
+
+  test('reusing a rotated token revokes the whole session family', async () => {
+    const user = await t.registerUser();
+    const rotated = await refresh(user.refreshToken);
+
+    const reuse = await refresh(user.refreshToken);
+    expect(reuse.status).toBe(401);
+    expect(reuse.body.code).toBe('SESSION_REVOKED');
+
+    // The attacker's and the victim's latest tokens are both dead
+    expect((await refresh(rotated.body.refreshToken)).status).toBe(401);
+    expect((await profile(rotated.body.token)).status).toBe(401);
+  });
+
+  test('unknown and missing refresh tokens are rejected', async () => {
+    expect((await refresh('not-a-token')).status).toBe(401);
+    expect((await t.request('POST', '/api/auth/refresh', { body: {} })).status).toBe(400);
+  });
+
+  test('refresh tokens are stored as SHA-256 hashes', async () => {
+    const user = await t.registerUser();
+    const { sessions } = t.database.repositories;
+    expect(await sessions.findByTokenHash(user.refreshToken)).toBeFalsy();
+
+    const hash = crypto.createHash('sha256').update(user.refreshToken).digest('hex');
+    expect(await sessions.findByTokenHash(hash)).toEqual(expect.objectContaining({ user_id: user.user.id }));
+  });
+});
+
+describe('sessions', () => {
+  test('are listed per device with the current one marked', async () => {
+    const user = await t.registerUser();
+    const laptop = await login(user, 'Laptop Browser');
+
+    const listed = await t.request('GET', '/api/auth/sessions', { token: laptop.body.token });
+    expect(listed.body.sessions).toHaveLength(2);
+    expect(listed.body.sessions.find(session => session.current)).toEqual(expect.objectContaining({ deviceInfo: 'Laptop Browser' }));
+  });
+
+  test('logout ends only the current session', async () => {
+    const user = await t.registerUser();
+    const other = await login(user);
+
+    expect((await t.request('POST', '/api/auth/logout', { token: user.token, body: {} })).status).toBe(200);
+    expect((await profile(user.token)).status).toBe(401);
+    expect((await refresh(user.refreshToken)).status).toBe(401);
+    expect((await profile(other.body.token)).status).toBe(200);
+  });
+
+  test('one device can be signed out from another', async () => {
+    const user = await t.registerUser();
+    const phone = await login(user, 'Phone');
+    const { sid } = jwt.decode(phone.body.token);
+
+    expect((await t.request('DELETE', `/api/auth/sessions/${sid}`, { token: user.token })).status).toBe(200);
+    expect((await profile(phone.body.token)).status).toBe(401);
+    expect((await t.request('DELETE', `/api/auth/sessions/${sid}`, { token: user.token })).status).toBe(404);
+
+    // Nobody else's sessions can be revoked
+    const stranger = await t.registerUser();
+    const { sid: strangerSid } = jwt.decode(stranger.token);
+    expect((await t.request('DELETE', `/api/auth/sessions/${strangerSid}`, { token: user.token })).status).toBe(404);
+    expect((await profile(stranger.token)).status).toBe(200);
+  });
+
+  test('sign out everywhere ends every session', async () => {
+    const user = await t.registerUser();
+    const other = await login(user);
+
+    expect((await t.request('POST', '/api/auth/logout-all', { token: user.token, body: {} })).status).toBe(200);
+    expect((await profile(user.token)).status).toBe(401);
+    expect((await profile(other.body.token)).status).toBe(401);
+    expect((await refresh(other.body.refreshToken)).status).toBe(401);
+  });
+});
@@ -0,0 +1,99 @@
+// test/skillEstimator.test.js - Per-subject skill estimates, mentor pins and the level the tutor uses
+const { startTestServer } = require('./helpers/testServer');
+
+const SIMPLE = Array.from({ length: 3 }, () => ['is my cat big?', 'my cat is big.', 'is my dog big?', 'my dog is big.']).flat();
+const ADVANCED = [
+  'Assuming the function is differentiable, how would I derive the relationship between its integral and the coefficient?',
+  'Whether the hypothesis holds depends on the probability distribution, therefore I compared both theoretical analyses.',
+  'However, the derivative implies a consequently steeper curve whereas the equation suggests otherwise, which confuses me.',
+  'Suppose θ ≥ π/2; does the integral ∫ sin(θ) still converge, because the theorem requires continuity?',
+  'Although the variable substitution works, I would like to prove the identity rigorously using 3.14 as an approximation.'
+];
+
+let t;
+let skills;
+let mentor;
+
+beforeAll(async () => {
+  t = await startTestServer();
+  t.scriptResponses(['Interesting! What do you think?']);
+  skills = require('../skillEstimator');
+  mentor = await t.registerUser({ userType: 'mentor' });
+});
+
+afterAll(async () => {
+  await t.close();
+});
+
+const ask = (learner, message, subject = 'Math') => t.request('POST', '/api/tutor', {
+  token: learner.token,
+  body: { message, subject, mode: 'discovery', cache: false }
+});
+
+describe('estimates', () => {
+  test('follow vocabulary and question complexity', () => {
+    expect(skills.estimateSkillLevel(SIMPLE).level).toBe('beginner');
+    expect(['advanced', 'expert']).toContain(skills.estimateSkillLevel(ADVANCED).level);
+    expect(skills.estimateSkillLevel([]).level).toBeNull();
+  });
+
+  test('grow more confident with more messages', () => {
+    expect(skills.estimateSkillLevel(SIMPLE.slice(0, 4)).confidence).toBeLessThan(skills.estimateSkillLevel(SIMPLE).confidence);
+  });
+
+  test('are nudged by practice results', () => {
+    const base = skills.estimateSkillLevel(SIMPLE).signals.score;
+    expect(skills.estimateSkillLevel(SIMPLE, { correct: 10, total: 10 }).signals.score).toBeGreaterThan(base);
+    expect(skills.estimateSkillLevel(SIMPLE, { correct: 1, total: 10 }).signals.score).toBeLessThan(base);
+  });
+});
+
+describe('level used by the tutor', () => {
+  test('comes from the profile until there are enough messages', async () => {
+    const learner = await t.registerUser({ userType: 'learner', skillLevel: 'intermediate' });
+    const turn = await ask(learner, ADVANCED[0]);
+    expect(turn.body.metadata).toEqual(expect.objectContaining({ skillLevel: 'intermediate', skillLevelSource: 'profile' }));
+  });
+
+  test('switches to the estimate once it has enough messages for the subject', async () => {
+    const learner = await t.registerUser({ userType: 'learner', skillLevel: 'beginner' });
+    for (const message of ADVANCED) await ask(learner, message);
+    const estimate = await skills.refreshSkillEstimate(learner.user.id, 'Math');
+
+    const turn = await ask(learner, 'What about limits?');
+    expect(turn.body.metadata).toEqual(expect.objectContaining({ skillLevel: estimate.level, skillLevelSource: 'estimated' }));
+
+    // Other subjects keep the profile level
+    const history = await ask(learner, 'Who built the pyramids?', 'History');
+    expect(history.body.metadata.skillLevelSource).toBe('profile');
+
+    const mine = await t.request('GET', '/api/skill-levels', { token: learner.token });
+    const math = mine.body.skillLevels.find(row => row.subject === 'math');
+    expect(math.signals.messages).toBeGreaterThanOrEqual(ADVANCED.length);
+  });
+
+  test('is the mentor pin when there is one, and a request level beats both', async () => {
+    const learner = await t.registerUser({ userType: 'learner', skillLevel: 'beginner' });
+    await t.linkMentor(mentor, learner);
+    await t.request('PUT', `/api/learners/${learner.user.id}/skill-levels/Math`, { token: mentor.token, body: { level: 'expert' } });
+
+    const pinned = await ask(learner, 'What is a limit?');
+    expect(pinned.body.metadata).toEqual(expect.objectContaining({ skillLevel: 'expert', skillLevelSource: 'pinned' }));
+
+    const requested = await t.request('POST', '/api/tutor', {
+      token: learner.token,
+      body: { message: 'What is a limit?', subject: 'Math', skillLevel: 'beginner', mode: 'discovery', cache: false }
+    });
+    expect(requested.body.metadata.skillLevelSource).toBe('request');
+  });
+});
+
+test('only linked mentors pin valid levels', async () => {
+  const learner = await t.registerUser({ userType: 'learner' });
+  expect((await t.request('PUT', `/api/learners/${learner.user.id}/skill-levels/Math`, { token: mentor.token, body: { level: 'advanced' } })).status).toBe(403);
+  expect((await t.request('GET', `/api/learners/${learner.user.id}/skill-levels`, { token: mentor.token })).status).toBe(403);
+
+  await t.linkMentor(mentor, learner);
+  expect((await t.request('PUT', `/api/learners/${learner.user.id}/skill-levels/Math`, { token: mentor.token, body: { level: 'genius' } })).status).toBe(400);
+  expect((await t.request('PUT', `/api/learners/${learner.user.id}/skill-levels/Math`, { token: learner.token, body: { level: 'expert' } })).status).toBe(403);
+});
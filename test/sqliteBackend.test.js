@@ -0,0 +1,207 @@
+// test/sqliteBackend.test.js - Every feature route on the SQLite backend
+const { startTestServer } = require('./helpers/testServer');
+
+const QUIZ = {
+  title: 'Fractions check',
+  questions: [
+    { type: 'true_false', question: 'Is 1/2 bigger than 1/3?', answer: true, explanation: 'Halves are bigger pieces than thirds.' },
+    { type: 'short_answer', question: 'What is 1/2 + 1/4?', acceptedAnswers: ['3/4', '0.75'], explanation: 'Two quarters plus one quarter.' }
+  ]
+};
+
+// Replies by purpose so one scripted provider serves tutoring, quizzes, cards and reports
+const replyFor = (request) => {
+  switch (request.purpose) {
+    case 'quiz':
+      return JSON.stringify(QUIZ);
+    case 'review_items':
+      return JSON.stringify([{ prompt: 'What is a denominator?', answer: 'The bottom number of a fraction.' }]);
+    case 'progress_summary':
+      return JSON.stringify({ highlights: ['Asked good questions about fractions'], struggles: [] });
+    default:
+      return 'A fraction has a numerator on top and a denominator below. What do you think 1/2 means?';
+  }
+};
+
+let t;
+let learner;
+let mentor;
+
+beforeAll(async () => {
+  t = await startTestServer();
+  t.scriptResponses(replyFor);
+  learner = await t.registerUser({ userType: 'learner' });
+  mentor = await t.registerUser({ userType: 'mentor' });
+  await t.linkMentor(mentor, learner);
+});
+
+afterAll(async () => {
+  await t.close();
+});
+
+const saveConversation = async (fields) => {
+  const saved = await t.request('POST', '/api/conversations', { token: learner.token, body: fields });
+  expect(saved.status).toBe(201);
+  return saved.body.id;
+};
+
+describe('tutor turns on SQLite', () => {
+  test('saves the turn and links uploaded attachments', async () => {
+    const form = new FormData();
+    form.append('files', new Blob(['Homework: simplify 4/8 and 6/9'], { type: 'text/plain' }), 'homework.txt');
+    const upload = await fetch(`${t.baseUrl}/api/attachments`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${learner.token}` },
+      body: form
+    });
+    expect(upload.status).toBe(201);
+    const { attachments } = await upload.json();
+    expect(attachments).toHaveLength(1);
+
+    const turn = await t.request('POST', '/api/tutor', {
+      token: learner.token,
+      body: { message: 'Can you help with my homework?', subject: 'Math', attachmentIds: [attachments[0].id] }
+    });
+    expect(turn.status).toBe(200);
+    expect(turn.body.warning).toBeUndefined();
+    expect(turn.body.conversationId).toEqual(expect.any(Number));
+
+    const attachment = await t.request('GET', `/api/attachments/${attachments[0].id}`, { token: learner.token });
+    expect(attachment.status).toBe(200);
+    expect(attachment.body.attachment.conversationId).toBe(turn.body.conversationId);
+  });
+});
+
+describe('conversation search on SQLite', () => {
+  beforeAll(async () => {
+    await saveConversation({
+      subject: 'Biology',
+      title: 'Cells',
+      tags: ['exam'],
+      messages: [
+        { role: 'user', content: 'How does photosynthesis work in plant cells?' },
+        { role: 'assistant', content: 'Chloroplasts capture light energy to make glucose.' }
+      ]
+    });
+    await saveConversation({
+      subject: 'History',
+      title: 'Rome',
+      messages: [{ role: 'user', content: 'Why did the Roman empire fall?' }]
+    });
+  });
+
+  test('ranks matches and highlights the snippet', async () => {
+    const result = await t.request('GET', '/api/conversations/search?q=photosynthesis', { token: learner.token });
+    expect(result.status).toBe(200);
+    expect(result.body.conversations).toHaveLength(1);
+    expect(result.body.conversations[0].subject).toBe('Biology');
+    expect(result.body.conversations[0].snippet).toContain('<mark>photosynthesis</mark>');
+  });
+
+  test('supports OR, exclusion and tag filters', async () => {
+    const either = await t.request('GET', `/api/conversations/search?q=${encodeURIComponent('photosynthesis or roman')}`, { token: learner.token });
+    expect(either.body.conversations.map(c => c.subject).sort()).toEqual(['Biology', 'History']);
+
+    const excluded = await t.request('GET', `/api/conversations/search?q=${encodeURIComponent('photosynthesis or roman -empire')}`, { token: learner.token });
+    expect(excluded.body.conversations.map(c => c.subject)).toEqual(['Biology']);
+
+    const tagged = await t.request('GET', '/api/conversations/search?tags=exam', { token: learner.token });
+    expect(tagged.body.conversations.map(c => c.subject)).toEqual(['Biology']);
+  });
+});
+
+describe('review items and quizzes on SQLite', () => {
+  test('extracts, deduplicates and grades review items', async () => {
+    const conversationId = await saveConversation({
+      subject: 'Math',
+      messages: [
+        { role: 'user', content: 'What is a denominator?' },
+        { role: 'assistant', content: 'The bottom number of a fraction.' }
+      ]
+    });
+
+    const extracted = await t.request('POST', `/api/conversations/${conversationId}/review-items`, { token: learner.token, body: {} });
+    expect(extracted.status).toBe(201);
+    expect(extracted.body.items).toHaveLength(1);
+
+    const again = await t.request('POST', `/api/conversations/${conversationId}/review-items`, { token: learner.token, body: {} });
+    expect(again.body.items).toHaveLength(0);
+
+    const due = await t.request('GET', '/api/review/due?subject=Math', { token: learner.token });
+    expect(due.body.items.map(item => item.prompt)).toContain('What is a denominator?');
+
+    const graded = await t.request('POST', `/api/review/${extracted.body.items[0].id}/grade`, { token: learner.token, body: { grade: 5 } });
+    expect(graded.status).toBe(200);
+    expect(graded.body.item.repetitions).toBe(1);
+  });
+
+  test('creates, grades and scores a quiz', async () => {
+    const created = await t.request('POST', '/api/quizzes', { token: learner.token, body: { subject: 'Math', topic: 'fractions' } });
+    expect(created.status).toBe(201);
+    const quizId = created.body.quiz.id;
+
+    const attempt = await t.request('POST', `/api/quizzes/${quizId}/attempts`, { token: learner.token, body: { answers: [true, '3/4'] } });
+    expect(attempt.status).toBe(201);
+    expect(attempt.body.score).toBe(2);
+
+    const scores = await t.request('GET', `/api/learners/${learner.user.id}/quiz-scores`, { token: mentor.token });
+    expect(scores.status).toBe(200);
+    expect(JSON.stringify(scores.body)).toContain('math');
+  });
+});
+
+describe('mentor features on SQLite', () => {
+  test('indexes and searches knowledge base documents', async () => {
+    const created = await t.request('POST', '/api/knowledge-base/documents', {
+      token: mentor.token,
+      body: {
+        title: 'Fraction rules',
+        subject: 'Math',
+        learnerId: learner.user.id,
+        content: 'To add fractions, find a common denominator first. Then add the numerators and keep the denominator.'
+      }
+    });
+    expect(created.status).toBe(201);
+    expect(created.body.document.chunkCount).toBeGreaterThan(0);
+
+    const search = await t.request('GET', `/api/knowledge-base/search?learnerId=${learner.user.id}&q=common+denominator`, { token: mentor.token });
+    expect(search.status).toBe(200);
+    expect(search.body.results[0].title).toBe('Fraction rules');
+  });
+
+  test('reports analytics with a row per day', async () => {
+    const today = new Date().toISOString().slice(0, 10);
+    const analytics = await t.request('GET', `/api/learners/${learner.user.id}/analytics?from=${today}&to=${today}`, { token: mentor.token });
+    expect(analytics.status).toBe(200);
+    expect(analytics.body.summary.sessions).toBeGreaterThan(0);
+    expect(analytics.body.sessionsPerDay).toEqual([expect.objectContaining({ date: today })]);
+    expect(analytics.body.subjects.map(row => row.subject)).toContain('math');
+  });
+
+  test('pins and unpins skill levels', async () => {
+    const pinned = await t.request('PUT', `/api/learners/${learner.user.id}/skill-levels/Math`, { token: mentor.token, body: { level: 'advanced' } });
+    expect(pinned.status).toBe(200);
+    expect(pinned.body.skillLevel.pinnedLevel).toBe('advanced');
+
+    const unpinned = await t.request('PUT', `/api/learners/${learner.user.id}/skill-levels/Math`, { token: mentor.token, body: { level: null } });
+    expect(unpinned.body.skillLevel.pinnedLevel).toBeNull();
+  });
+
+  test('saves report settings, previews and sends each period once', async () => {
+    const settings = await t.request('PUT', '/api/reports/settings', { token: mentor.token, body: { enabled: true, frequency: 'weekly' } });
+    expect(settings.status).toBe(200);
+    expect(settings.body.settings.enabled).toBe(true);
+
+    const today = new Date().toISOString().slice(0, 10);
+    const preview = await t.request('GET', `/api/learners/${learner.user.id}/report-preview?from=${today}&to=${today}`, { token: mentor.token });
+    expect(preview.status).toBe(200);
+    expect(preview.body.email.subject).toEqual(expect.any(String));
+
+    const { sendDueReports } = require('../reports');
+    expect(await sendDueReports()).toEqual({ sent: 1, failed: 0 });
+    expect(await sendDueReports()).toEqual({ sent: 0, failed: 0 });
+
+    const sent = await t.request('GET', '/api/reports', { token: mentor.token });
+    expect(sent.body.reports).toHaveLength(1);
+  });
+});
@@ -0,0 +1,61 @@
+// test/tutorSessions.test.js - Multi-turn tutoring sessions on POST /api/tutor
+const { startTestServer } = require('./helpers/testServer');
+
+let t;
+let learner;
+let provider;
+
+beforeAll(async () => {
+  t = await startTestServer();
+  provider = t.scriptResponses((request) => `Reply ${request.messages.length}: what do you think comes next?`);
+  learner = await t.registerUser({ userType: 'learner' });
+});
+
+afterAll(async () => {
+  await t.close();
+});
+
+const ask = (body, user = learner) => t.request('POST', '/api/tutor', {
+  token: user.token,
+  body: { subject: 'Math', mode: 'discovery', cache: false, ...body }
+});
+
+test('a conversationId continues the session with its history', async () => {
+  const first = await ask({ message: 'What is a fraction?' });
+  expect(first.status).toBe(200);
+
+  const second = await ask({ message: 'And a decimal?', conversationId: first.body.conversationId, subject: undefined });
+  expect(second.body.conversationId).toBe(first.body.conversationId);
+  expect(second.body.metadata.subject).toBe('Math');
+
+  const sent = provider.calls[provider.calls.length - 1].messages;
+  expect(sent.map(m => m.role)).toEqual(['user', 'assistant', 'user']);
+  expect(sent[0].content).toBe('What is a fraction?');
+  expect(sent[1].content).toBe(first.body.response);
+
+  const stored = await t.request('GET', `/api/conversations/${first.body.conversationId}/messages`, { token: learner.token });
+  expect(stored.body.messages.map(m => m.content)).toEqual([
+    'What is a fraction?', first.body.response, 'And a decimal?', second.body.response
+  ]);
+});
+
+test('a turn without a conversationId starts a new session', async () => {
+  const first = await ask({ message: 'What is an angle?' });
+  const second = await ask({ message: 'What is a triangle?' });
+  expect(second.body.conversationId).not.toBe(first.body.conversationId);
+  expect(provider.calls[provider.calls.length - 1].messages).toHaveLength(1);
+});
+
+test('only the owner can continue a session', async () => {
+  const mine = await ask({ message: 'What is a prime?' });
+  const other = await t.registerUser({ userType: 'learner' });
+
+  expect((await ask({ message: 'Hi', conversationId: mine.body.conversationId }, other)).status).toBe(403);
+  expect((await ask({ message: 'Hi', conversationId: 999999 })).status).toBe(404);
+  expect((await ask({ message: 'Hi', conversationId: 'abc' })).status).toBe(400);
+});
+
+test('requires a message and a known mode', async () => {
+  expect((await ask({})).status).toBe(400);
+  expect((await ask({ message: 'Hi', mode: 'lecture' })).status).toBe(400);
+});
@@ -0,0 +1,97 @@
+// test/tutorStream.test.js - Server-Sent Events on POST /api/tutor/stream
+const { startTestServer } = require('./helpers/testServer');
+
+const QUIZ = {
+  title: 'Fractions',
+  questions: [{ type: 'true_false', question: 'Is 1/2 bigger than 1/3?', answer: true, explanation: 'Halves are bigger pieces.' }]
+};
+
+const REPLY = 'Think of a pizza cut into equal slices. How many slices would half of it be?';
+
+let failing = false;
+const replyFor = (request) => {
+  if (failing) throw Object.assign(new Error('Overloaded'), { status: 529 });
+  if (request.purpose === 'quiz') return JSON.stringify(QUIZ);
+  return REPLY;
+};
+
+let t;
+let learner;
+let provider;
+let resilience;
+
+beforeAll(async () => {
+  t = await startTestServer();
+  provider = t.scriptResponses(replyFor);
+  resilience = require('../providers/resilience');
+  learner = await t.registerUser({ userType: 'learner' });
+});
+
+afterAll(async () => {
+  await t.close();
+});
+
+const stream = (body) => t.stream('/api/tutor/stream', {
+  token: learner.token,
+  body: { message: 'What is a fraction?', subject: 'Math', mode: 'discovery', cache: false, ...body }
+});
+
+const deltaText = (events) => events.filter(e => e.event === 'delta').map(e => e.data.text).join('');
+
+test('sends metadata, the reply as deltas, then done', async () => {
+  const { status, headers, events } = await stream();
+  expect(status).toBe(200);
+  expect(headers.get('content-type')).toMatch(/text\/event-stream/);
+
+  expect(events[0].event).toBe('metadata');
+  expect(events[0].data).toEqual(expect.objectContaining({ mode: 'discovery', model: 'scripted', subject: 'Math' }));
+  expect(deltaText(events)).toBe(REPLY);
+
+  const done = events[events.length - 1];
+  expect(done.event).toBe('done');
+  expect(done.data.conversationId).toEqual(expect.any(Number));
+
+  const stored = await t.request('GET', `/api/conversations/${done.data.conversationId}/messages`, { token: learner.token });
+  expect(stored.body.messages.map(m => m.content)).toEqual(['What is a fraction?', REPLY]);
+});
+
+test('continues a session with its history', async () => {
+  const first = await stream();
+  const conversationId = first.events[first.events.length - 1].data.conversationId;
+
+  const { events } = await stream({ message: 'Is 1/2 a fraction?', conversationId });
+  expect(events[0].data.conversationId).toBe(conversationId);
+  expect(events[events.length - 1].data.conversationId).toBe(conversationId);
+  expect(provider.calls[provider.calls.length - 1].messages).toHaveLength(3);
+});
+
+test('sends a quiz event before done when asked for one', async () => {
+  const { events } = await stream({ mode: 'practice', quiz: true });
+  const names = events.map(e => e.event);
+  expect(names.slice(-2)).toEqual(['quiz', 'done']);
+  expect(events[names.indexOf('quiz')].data.questions).toHaveLength(1);
+  expect(events[events.length - 1].data.metadata.quizId).toBe(events[names.indexOf('quiz')].data.id);
+});
+
+test('falls back to the canned reply when no provider answers', async () => {
+  const defaults = resilience.getResilienceConfig();
+  resilience.setResilienceConfig({ ...defaults, maxRetries: 0 });
+  failing = true;
+  try {
+    const { events } = await stream();
+    expect(deltaText(events).length).toBeGreaterThan(0);
+    expect(events[events.length - 1].data.metadata.model).toBe('fallback');
+  } finally {
+    failing = false;
+    resilience.setResilienceConfig(defaults);
+  }
+});
+
+test('rejects bad requests with JSON before the stream starts', async () => {
+  const missing = await t.request('POST', '/api/tutor/stream', { token: learner.token, body: { subject: 'Math' } });
+  expect(missing.status).toBe(400);
+  expect(missing.body.error).toMatch(/Message is required/);
+
+  const foreign = await t.request('POST', '/api/tutor/stream', { token: learner.token, body: { message: 'Hi', conversationId: 999999 } });
+  expect(foreign.status).toBe(404);
+});